@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+
+// Persistence layer. Routes talk to firestoreHelpers/userHelpers only; the
+// store underneath is chosen by DATA_STORE:
+//   firestore - Cloud Firestore + Firebase Auth (default)
+//   memory    - in-process maps, no credentials needed (default under NODE_ENV=test)
+const STORES = {
+  firestore: () => require('./stores/firestoreStore').createFirestoreStore(),
+  memory: () => require('./stores/memoryStore').createMemoryStore()
+};
+
+const storeName = process.env.DATA_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'firestore');
+
+if (!STORES[storeName]) {
+  throw new Error(`Unknown DATA_STORE "${storeName}". Use one of: ${Object.keys(STORES).join(', ')}`);
+}
+
+let store;
+try {
+  store = STORES[storeName]();
+  console.log(`🗄️  Data store: ${store.name}`);
+} catch (error) {
+  console.error(`❌ Data store "${storeName}" initialization failed:`, error);
+  process.exit(1);
+}
+
+const { documents, identity, fieldValues } = store;
+
+// Firestore collections
+const COLLECTIONS = {
+  USERS: 'users',
+  USER_PROFILES: 'userProfiles',
+  EMAIL_VERIFICATION: 'emailVerification',
+  PASSWORD_RESET: 'passwordReset',
+  TRACKING_SESSIONS: 'trackingSessions',
+  GAZE_CHUNKS: 'gazeChunks',
+  SESSION_ANALYSES: 'sessionAnalyses',
+  SESSION_EVENTS: 'sessionEvents',
+  CALIBRATIONS: 'calibrations',
+  AOIS: 'aois',
+  STUDIES: 'studies',
+  STUDY_PARTICIPANTS: 'studyParticipants',
+  ORGANIZATIONS: 'organizations',
+  ORGANIZATION_MEMBERS: 'organizationMembers',
+  ORGANIZATION_INVITATIONS: 'organizationInvitations',
+  ROLES: 'roles',
+  API_KEYS: 'apiKeys',
+  SIGN_INS: 'signIns',
+  TWO_FACTOR: 'twoFactor',
+  OAUTH_STATES: 'oauthStates',
+  OAUTH_LINKS: 'oauthLinks',
+  LOGIN_ATTEMPTS: 'loginAttempts',
+  ACCOUNT_UNLOCK: 'accountUnlock',
+  RATE_LIMITS: 'rateLimits',
+  STRIPE_EVENTS: 'stripeEvents',
+  LICENSES: 'licenses',
+  LICENSE_ACTIVATIONS: 'licenseActivations',
+  RELEASES: 'releases',
+  RELEASE_CHANNELS: 'releaseChannels',
+  EMAIL_OUTBOX: 'emailOutbox',
+  NOTIFICATIONS: 'notifications'
+};
+
+// Helper functions for document operations
+const firestoreHelpers = {
+  // Create a new document
+  async createDocument(collection, id, data) {
+    try {
+      await documents.createDocument(collection, id, data);
+      return { id, ...data };
+    } catch (error) {
+      throw new Error(`Failed to create document: ${error.message}`);
+    }
+  },
+
+  // Create a document unless one with this ID already exists.
+  // Returns true if it was created, false if it already existed.
+  async createDocumentIfAbsent(collection, id, data) {
+    try {
+      return await documents.createDocumentIfAbsent(collection, id, data);
+    } catch (error) {
+      throw new Error(`Failed to create document: ${error.message}`);
+    }
+  },
+
+  // Apply several writes atomically: either all of them happen or none do.
+  // operations: [{ type: 'create' | 'update', collection, id, data }].
+  // Returns false (writing nothing) when a document to create already exists.
+  async commitBatch(operations) {
+    try {
+      return await documents.commitBatch(operations);
+    } catch (error) {
+      throw new Error(`Failed to commit batch: ${error.message}`);
+    }
+  },
+
+  // Get a document by ID
+  async getDocument(collection, id) {
+    try {
+      return await documents.getDocument(collection, id);
+    } catch (error) {
+      throw new Error(`Failed to get document: ${error.message}`);
+    }
+  },
+
+  // Update a document
+  async updateDocument(collection, id, data) {
+    try {
+      await documents.updateDocument(collection, id, data);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update document: ${error.message}`);
+    }
+  },
+
+  // Delete a document
+  async deleteDocument(collection, id) {
+    try {
+      await documents.deleteDocument(collection, id);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete document: ${error.message}`);
+    }
+  },
+
+  // Delete a document only if field still equals value, atomically.
+  // Returns the deleted document, or null if it was gone or had changed.
+  async deleteDocumentIf(collection, id, field, value) {
+    try {
+      return await documents.deleteDocumentIf(collection, id, field, value);
+    } catch (error) {
+      throw new Error(`Failed to delete document: ${error.message}`);
+    }
+  },
+
+  // Query documents
+  async queryDocuments(collection, field, operator, value) {
+    try {
+      return await documents.queryDocuments(collection, field, operator, value);
+    } catch (error) {
+      throw new Error(`Failed to query documents: ${error.message}`);
+    }
+  },
+
+  // Get all documents in a collection with pagination
+  async getAllDocuments(collection, limit = 20, offset = 0) {
+    try {
+      return await documents.getAllDocuments(collection, limit, offset);
+    } catch (error) {
+      throw new Error(`Failed to get documents: ${error.message}`);
+    }
+  }
+};
+
+// User management functions
+const userHelpers = {
+  // Create user with Firebase Auth
+  async createUser(email, password, userData) {
+    try {
+      // Create user in Firebase Auth
+      const userRecord = await identity.createUser({
+        email: email,
+        password: password,
+        displayName: `${userData.firstName} ${userData.lastName}`,
+        emailVerified: false
+      });
+
+      // Store additional user data in Firestore
+      await firestoreHelpers.createDocument(COLLECTIONS.USER_PROFILES, userRecord.uid, {
+        email: email,
+        firstName: userData.firstName,
+        lastName: userData.lastName,
+        language: userData.language || 'en',
+        preferences: userData.preferences || {
+          theme: 'dark',
+          notifications: { email: true, updates: true }
+        },
+        role: 'user',
+        emailVerified: false
+      });
+
+      return {
+        uid: userRecord.uid,
+        email: userRecord.email,
+        ...userData
+      };
+    } catch (error) {
+      throw new Error(`Failed to create user: ${error.message}`);
+    }
+  },
+
+  // Get user by ID
+  // The auth/* error code is kept so callers can tell a deleted user from
+  // a failed lookup
+  async getUserById(uid) {
+    try {
+      const [authUser, profileData] = await Promise.all([
+        identity.getUser(uid),
+        firestoreHelpers.getDocument(COLLECTIONS.USER_PROFILES, uid)
+      ]);
+
+      return {
+        uid: authUser.uid,
+        email: authUser.email,
+        emailVerified: authUser.emailVerified,
+        ...profileData
+      };
+    } catch (error) {
+      const wrapped = new Error(`Failed to get user: ${error.message}`);
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  },
+
+  // Get user by ID, or null if the account has been deleted
+  async findUserById(uid) {
+    try {
+      return await userHelpers.getUserById(uid);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // Get user by email
+  async getUserByEmail(email) {
+    try {
+      const authUser = await identity.getUserByEmail(email);
+      const profileData = await firestoreHelpers.getDocument(COLLECTIONS.USER_PROFILES, authUser.uid);
+
+      return {
+        uid: authUser.uid,
+        email: authUser.email,
+        emailVerified: authUser.emailVerified,
+        ...profileData
+      };
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return null;
+      }
+      throw new Error(`Failed to get user by email: ${error.message}`);
+    }
+  },
+
+  // Update user profile
+  async updateUserProfile(uid, updateData) {
+    try {
+      // Update Firebase Auth if needed
+      if (updateData.email || updateData.firstName || updateData.lastName) {
+        const authUpdates = {};
+        if (updateData.email) authUpdates.email = updateData.email;
+        if (updateData.firstName || updateData.lastName) {
+          authUpdates.displayName = `${updateData.firstName || ''} ${updateData.lastName || ''}`.trim();
+        }
+        await identity.updateUser(uid, authUpdates);
+      }
+
+      // Update Firestore profile
+      await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, uid, updateData);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update user profile: ${error.message}`);
+    }
+  },
+
+  // Delete user
+  async deleteUser(uid) {
+    try {
+      // Delete from Firebase Auth
+      await identity.deleteUser(uid);
+
+      // Delete from Firestore
+      await firestoreHelpers.deleteDocument(COLLECTIONS.USER_PROFILES, uid);
+
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete user: ${error.message}`);
+    }
+  },
+
+  // Verify ID token. The auth/* error code is kept so callers can tell
+  // expired tokens from invalid ones.
+  async verifyToken(idToken, checkRevoked = false) {
+    try {
+      const decodedToken = await identity.verifyIdToken(idToken, checkRevoked);
+      return decodedToken;
+    } catch (error) {
+      const wrapped = new Error(`Invalid token: ${error.message}`);
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  },
+
+  // Revoke all of a user's refresh tokens. ID tokens issued before now are
+  // rejected when verified with checkRevoked.
+  async revokeRefreshTokens(uid) {
+    try {
+      await identity.revokeRefreshTokens(uid);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to revoke tokens: ${error.message}`);
+    }
+  },
+
+  // Create a custom token the client can exchange for an ID token
+  async createCustomToken(uid, additionalClaims = {}) {
+    return identity.createCustomToken(uid, additionalClaims);
+  },
+
+  // Sign in with email and password. Throws with code auth/invalid-credential
+  // when the email or password is wrong.
+  async signInWithPassword(email, password) {
+    return identity.signInWithPassword(email, password);
+  },
+
+  // Issue ID and refresh tokens for a user the server has authenticated
+  // some other way (e.g. OAuth). Throws with code auth/user-disabled for
+  // disabled accounts.
+  async signInAsUser(uid) {
+    const customToken = await identity.createCustomToken(uid);
+    const session = await identity.signInWithCustomToken(customToken);
+    return { uid, ...session };
+  },
+
+  // Exchange a refresh token for a new ID token
+  async refreshIdToken(refreshToken) {
+    return identity.refreshIdToken(refreshToken);
+  },
+
+  // Mark the email address as verified in both Auth and the profile
+  async markEmailVerified(uid) {
+    try {
+      await identity.updateUser(uid, { emailVerified: true });
+      await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, uid, { emailVerified: true });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to mark email as verified: ${error.message}`);
+    }
+  },
+
+  // Set a new password
+  async updatePassword(uid, password) {
+    try {
+      await identity.updateUser(uid, { password });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update password: ${error.message}`);
+    }
+  }
+};
+
+// One-time tokens (email verification, password reset, account unlock).
+// Stored one per user, keyed by uid, so issuing a new token replaces the old one.
+const tokenHelpers = {
+  // Issue a new token for a user
+  async issueToken(collection, uid, email, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await firestoreHelpers.createDocument(collection, uid, {
+      token,
+      email,
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+  },
+
+  // Look up a token and delete it. Returns the token record, or null if the
+  // token is unknown or expired. The delete only succeeds while the record
+  // still holds this token, so two requests racing with it can't both use it.
+  async consumeToken(collection, token) {
+    const [found] = await firestoreHelpers.queryDocuments(collection, 'token', '==', token);
+    if (!found) {
+      return null;
+    }
+
+    const record = await firestoreHelpers.deleteDocumentIf(collection, found.id, 'token', token);
+    if (!record) {
+      return null;
+    }
+
+    if (toDate(record.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    return { ...record, uid: record.id };
+  }
+};
+
+// Convert a Firestore Timestamp, Date, string or number to a Date
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  return new Date(value);
+}
+
+module.exports = {
+  store,
+  fieldValues,
+  firestoreHelpers,
+  userHelpers,
+  tokenHelpers,
+  toDate,
+  COLLECTIONS
+};
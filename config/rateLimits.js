@@ -0,0 +1,65 @@
+// Rate limit policies, by name. Every limiter in the API is one of these.
+// Any policy can be tuned with RATE_LIMIT_<NAME>_MAX and
+// RATE_LIMIT_<NAME>_WINDOW_MS (e.g. RATE_LIMIT_LOGIN_MAX=10); the global and
+// auth limits also keep their older names.
+//
+// Policies with perUser count per IP and signed-in user, so users behind a
+// shared address don't use up each other's attempts. Policies with
+// failClosed refuse requests when the shared counter store is unavailable.
+
+const MINUTE = 60 * 1000;
+
+const TOO_MANY_ATTEMPTS = {
+  success: false,
+  message: 'Too many attempts, please try again later'
+};
+
+const POLICIES = {
+  // Every /api request
+  global: {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * MINUTE,
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+    message: 'Too many requests from this IP, please try again later.'
+  },
+
+  // Every /api/auth request
+  auth: {
+    windowMs: 15 * MINUTE,
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 10,
+    failClosed: true,
+    message: 'Too many authentication attempts, please try again later.'
+  },
+
+  register: { windowMs: 15 * MINUTE, max: 5, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  login: { windowMs: 15 * MINUTE, max: 5, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  resendVerification: { windowMs: 15 * MINUTE, max: 3, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  forgotPassword: { windowMs: 15 * MINUTE, max: 3, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  resetPassword: { windowMs: 15 * MINUTE, max: 5, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  unlockAccount: { windowMs: 15 * MINUTE, max: 5, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  twoFactor: { windowMs: 15 * MINUTE, max: 5, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  oauthCallback: { windowMs: 15 * MINUTE, max: 10, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  oauthTwoFactor: { windowMs: 15 * MINUTE, max: 5, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  changePassword: { windowMs: 15 * MINUTE, max: 3, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  deleteAccount: { windowMs: 60 * MINUTE, max: 2, perUser: true, failClosed: true, message: TOO_MANY_ATTEMPTS },
+  licenseActivation: { windowMs: 15 * MINUTE, max: 20, message: TOO_MANY_ATTEMPTS }
+};
+
+// A policy with its env overrides applied, or null for unknown names
+const getPolicy = (name) => {
+  const policy = Object.prototype.hasOwnProperty.call(POLICIES, name) && POLICIES[name];
+  if (!policy) {
+    return null;
+  }
+
+  const envName = name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+  return {
+    ...policy,
+    windowMs: parseInt(process.env[`RATE_LIMIT_${envName}_WINDOW_MS`], 10) || policy.windowMs,
+    max: parseInt(process.env[`RATE_LIMIT_${envName}_MAX`], 10) || policy.max
+  };
+};
+
+module.exports = {
+  POLICIES,
+  getPolicy
+};
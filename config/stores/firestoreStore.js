@@ -0,0 +1,241 @@
+const { getFirebase } = require('../firebase');
+
+// Firebase Auth REST endpoints (used for password sign-in and token refresh)
+const IDENTITY_TOOLKIT_URL = 'https://identitytoolkit.googleapis.com/v1';
+const SECURE_TOKEN_URL = 'https://securetoken.googleapis.com/v1/token';
+
+const IDENTITY_TOOLKIT_ERRORS = {
+  EMAIL_NOT_FOUND: 'auth/invalid-credential',
+  INVALID_PASSWORD: 'auth/invalid-credential',
+  INVALID_LOGIN_CREDENTIALS: 'auth/invalid-credential',
+  USER_DISABLED: 'auth/user-disabled',
+  TOO_MANY_ATTEMPTS_TRY_LATER: 'auth/too-many-requests',
+  INVALID_CUSTOM_TOKEN: 'auth/invalid-custom-token',
+  TOKEN_EXPIRED: 'auth/invalid-refresh-token',
+  INVALID_REFRESH_TOKEN: 'auth/invalid-refresh-token',
+  USER_NOT_FOUND: 'auth/invalid-refresh-token'
+};
+
+// gRPC status code returned by DocumentReference.create() for existing documents
+const ALREADY_EXISTS = 6;
+
+// Call a Firebase Auth REST endpoint and map its errors to auth/* codes
+async function identityToolkitRequest(url, body) {
+  if (!process.env.FIREBASE_API_KEY) {
+    throw new Error('FIREBASE_API_KEY is not configured');
+  }
+
+  const response = await fetch(`${url}?key=${process.env.FIREBASE_API_KEY}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const reason = (data.error && data.error.message || 'UNKNOWN').split(' ')[0];
+    const error = new Error(`Firebase Auth request failed: ${reason}`);
+    error.code = IDENTITY_TOOLKIT_ERRORS[reason] || 'auth/internal-error';
+    throw error;
+  }
+
+  return data;
+}
+
+// Store backed by Cloud Firestore and Firebase Authentication
+const createFirestoreStore = () => {
+  const { admin, db, auth } = getFirebase();
+  const { FieldValue } = admin.firestore;
+
+  const documents = {
+    async createDocument(collection, id, data) {
+      await db.collection(collection).doc(id).set({
+        ...data,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    },
+
+    // Create only if no document with this ID exists. Returns false when it does.
+    async createDocumentIfAbsent(collection, id, data) {
+      try {
+        await db.collection(collection).doc(id).create({
+          ...data,
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp()
+        });
+        return true;
+      } catch (error) {
+        if (error.code === ALREADY_EXISTS) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    // Writes in one batch; a create that hits an existing document fails
+    // the whole batch
+    async commitBatch(operations) {
+      const batch = db.batch();
+      operations.forEach(({ type, collection, id, data }) => {
+        const ref = db.collection(collection).doc(id);
+        if (type === 'create') {
+          batch.create(ref, {
+            ...data,
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+          });
+        } else {
+          batch.update(ref, { ...data, updatedAt: FieldValue.serverTimestamp() });
+        }
+      });
+
+      try {
+        await batch.commit();
+        return true;
+      } catch (error) {
+        if (error.code === ALREADY_EXISTS) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async getDocument(collection, id) {
+      const doc = await db.collection(collection).doc(id).get();
+      if (!doc.exists) {
+        return null;
+      }
+      return { id: doc.id, ...doc.data() };
+    },
+
+    async updateDocument(collection, id, data) {
+      await db.collection(collection).doc(id).update({
+        ...data,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    },
+
+    async deleteDocument(collection, id) {
+      await db.collection(collection).doc(id).delete();
+    },
+
+    // Delete in a transaction, only while field still holds value.
+    // Returns the deleted document, or null when it didn't match.
+    async deleteDocumentIf(collection, id, field, value) {
+      const ref = db.collection(collection).doc(id);
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.get(field) !== value) {
+          return null;
+        }
+        transaction.delete(ref);
+        return { id: doc.id, ...doc.data() };
+      });
+    },
+
+    async queryDocuments(collection, field, operator, value) {
+      const snapshot = await db.collection(collection)
+        .where(field, operator, value)
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    },
+
+    async getAllDocuments(collection, limit, offset) {
+      let query = db.collection(collection);
+
+      if (offset > 0) {
+        query = query.offset(offset);
+      }
+
+      if (limit > 0) {
+        query = query.limit(limit);
+      }
+
+      const snapshot = await query.get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    }
+  };
+
+  const identity = {
+    createUser: (properties) => auth.createUser(properties),
+    getUser: (uid) => auth.getUser(uid),
+    getUserByEmail: (email) => auth.getUserByEmail(email),
+    updateUser: (uid, properties) => auth.updateUser(uid, properties),
+    deleteUser: (uid) => auth.deleteUser(uid),
+    verifyIdToken: (idToken, checkRevoked = false) => auth.verifyIdToken(idToken, checkRevoked),
+    createCustomToken: (uid, claims) => auth.createCustomToken(uid, claims),
+    revokeRefreshTokens: (uid) => auth.revokeRefreshTokens(uid),
+
+    // The Admin SDK cannot check passwords, so this goes through the
+    // Identity Toolkit REST API with the web API key
+    async signInWithPassword(email, password) {
+      const data = await identityToolkitRequest(
+        `${IDENTITY_TOOLKIT_URL}/accounts:signInWithPassword`,
+        { email, password, returnSecureToken: true }
+      );
+
+      return {
+        uid: data.localId,
+        email: data.email,
+        idToken: data.idToken,
+        refreshToken: data.refreshToken,
+        expiresIn: parseInt(data.expiresIn, 10)
+      };
+    },
+
+    // Exchange a custom token minted by createCustomToken for an ID token
+    async signInWithCustomToken(customToken) {
+      const data = await identityToolkitRequest(
+        `${IDENTITY_TOOLKIT_URL}/accounts:signInWithCustomToken`,
+        { token: customToken, returnSecureToken: true }
+      );
+
+      return {
+        idToken: data.idToken,
+        refreshToken: data.refreshToken,
+        expiresIn: parseInt(data.expiresIn, 10)
+      };
+    },
+
+    async refreshIdToken(refreshToken) {
+      const data = await identityToolkitRequest(
+        SECURE_TOKEN_URL,
+        { grant_type: 'refresh_token', refresh_token: refreshToken }
+      );
+
+      return {
+        uid: data.user_id,
+        idToken: data.id_token,
+        refreshToken: data.refresh_token,
+        expiresIn: parseInt(data.expires_in, 10)
+      };
+    }
+  };
+
+  const fieldValues = {
+    increment: (n) => FieldValue.increment(n),
+    arrayUnion: (...elements) => FieldValue.arrayUnion(...elements),
+    arrayRemove: (...elements) => FieldValue.arrayRemove(...elements),
+    delete: () => FieldValue.delete()
+  };
+
+  return {
+    name: 'firestore',
+    documents,
+    identity,
+    fieldValues
+  };
+};
+
+module.exports = {
+  createFirestoreStore
+};
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+
+// In-memory store for local development and tests. Mirrors the behaviour of
+// the Firestore store closely enough that routes cannot tell them apart:
+// same error codes, same timestamps, same query operators.
+
+const ID_TOKEN_TTL = 60 * 60; // seconds, same as Firebase ID tokens
+
+// Markers returned by fieldValues and resolved on write
+const FIELD_VALUE = Symbol('fieldValue');
+
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const getField = (data, path) =>
+  path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const equals = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+  }
+  return comparable(a) === comparable(b);
+};
+
+const OPERATORS = {
+  '==': (a, b) => equals(a, b),
+  '!=': (a, b) => a !== undefined && !equals(a, b),
+  '<': (a, b) => a !== undefined && comparable(a) < comparable(b),
+  '<=': (a, b) => a !== undefined && comparable(a) <= comparable(b),
+  '>': (a, b) => a !== undefined && comparable(a) > comparable(b),
+  '>=': (a, b) => a !== undefined && comparable(a) >= comparable(b),
+  'in': (a, b) => b.some(item => equals(a, item)),
+  'not-in': (a, b) => a !== undefined && !b.some(item => equals(a, item)),
+  'array-contains': (a, b) => Array.isArray(a) && a.some(item => equals(item, b)),
+  'array-contains-any': (a, b) => Array.isArray(a) && a.some(item => b.some(other => equals(item, other)))
+};
+
+// Resolve a field value marker against the current value of the field.
+// Plain values are copied so callers cannot mutate stored data.
+const resolveValue = (current, value) => {
+  if (!value || !value[FIELD_VALUE]) {
+    return structuredClone(value);
+  }
+
+  const { op, operand } = value[FIELD_VALUE];
+  switch (op) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      operand.forEach(item => {
+        if (!result.some(existing => equals(existing, item))) {
+          result.push(item);
+        }
+      });
+      return result;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter(item => !operand.some(other => equals(item, other)));
+    default:
+      return undefined;
+  }
+};
+
+const isDelete = (value) => value && value[FIELD_VALUE] && value[FIELD_VALUE].op === 'delete';
+
+// Apply an update, honouring dotted field paths like Firestore does
+const applyUpdate = (target, data) => {
+  Object.entries(data).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let node = target;
+
+    keys.forEach(key => {
+      if (!isPlainObject(node[key])) {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+
+    if (isDelete(value)) {
+      delete node[last];
+    } else {
+      node[last] = resolveValue(node[last], value);
+    }
+  });
+};
+
+const createMemoryStore = () => {
+  const collections = new Map();
+  const users = new Map();
+  const passwords = new Map();
+  const idTokens = new Map();
+  const refreshTokens = new Map();
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  const toResult = (id, data) => ({ id, ...structuredClone(data) });
+
+  const writeNew = (collection, id, data) => {
+    const now = new Date();
+    const doc = {};
+    applyUpdate(doc, data);
+    getCollection(collection).set(id, { ...doc, createdAt: now, updatedAt: now });
+  };
+
+  const existingDocument = (collection, id) => {
+    const doc = getCollection(collection).get(id);
+    if (!doc) {
+      const error = new Error(`No document to update: ${collection}/${id}`);
+      error.code = 'not-found';
+      throw error;
+    }
+    return doc;
+  };
+
+  const documents = {
+    async createDocument(collection, id, data) {
+      writeNew(collection, id, data);
+    },
+
+    async createDocumentIfAbsent(collection, id, data) {
+      if (getCollection(collection).has(id)) {
+        return false;
+      }
+      await documents.createDocument(collection, id, data);
+      return true;
+    },
+
+    async getDocument(collection, id) {
+      const doc = getCollection(collection).get(id);
+      return doc ? toResult(id, doc) : null;
+    },
+
+    async updateDocument(collection, id, data) {
+      applyUpdate(existingDocument(collection, id), { ...data, updatedAt: new Date() });
+    },
+
+    // Every check runs before the first write, so nothing is half applied
+    async commitBatch(operations) {
+      for (const { type, collection, id } of operations) {
+        if (type === 'create' && getCollection(collection).has(id)) {
+          return false;
+        }
+        if (type === 'update') {
+          existingDocument(collection, id);
+        }
+      }
+
+      operations.forEach(({ type, collection, id, data }) => {
+        if (type === 'create') {
+          writeNew(collection, id, data);
+        } else {
+          applyUpdate(getCollection(collection).get(id), { ...data, updatedAt: new Date() });
+        }
+      });
+      return true;
+    },
+
+    async deleteDocument(collection, id) {
+      getCollection(collection).delete(id);
+    },
+
+    async deleteDocumentIf(collection, id, field, value) {
+      const doc = getCollection(collection).get(id);
+      if (!doc || !equals(getField(doc, field), value)) {
+        return null;
+      }
+      getCollection(collection).delete(id);
+      return toResult(id, doc);
+    },
+
+    async queryDocuments(collection, field, operator, value) {
+      const matches = OPERATORS[operator];
+      if (!matches) {
+        throw new Error(`Unsupported query operator: ${operator}`);
+      }
+
+      const results = [];
+      getCollection(collection).forEach((doc, id) => {
+        if (matches(getField(doc, field), value)) {
+          results.push(toResult(id, doc));
+        }
+      });
+      return results;
+    },
+
+    async getAllDocuments(collection, limit, offset) {
+      const ids = [...getCollection(collection).keys()].sort();
+      const page = ids.slice(offset > 0 ? offset : 0, limit > 0 ? (offset || 0) + limit : undefined);
+      return page.map(id => toResult(id, getCollection(collection).get(id)));
+    }
+  };
+
+  const toUserRecord = (user) => structuredClone(user);
+
+  const findUser = (uid) => {
+    const user = users.get(uid);
+    if (!user) {
+      throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+    }
+    return user;
+  };
+
+  const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) =>
+    `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+
+  const checkPassword = (password, stored) => {
+    const [salt, hash] = stored.split(':');
+    const candidate = crypto.scryptSync(password, salt, 32);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+  };
+
+  const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < 6) {
+      throw authError('auth/invalid-password', 'The password must be a string with at least 6 characters.');
+    }
+  };
+
+  // Refreshed sessions keep the auth_time of the sign-in they came from
+  const issueSession = (user, authTime) => {
+    const now = Math.floor(Date.now() / 1000);
+    const idToken = `mem.${crypto.randomBytes(24).toString('hex')}`;
+    const refreshToken = `mem-refresh.${crypto.randomBytes(24).toString('hex')}`;
+
+    idTokens.set(idToken, { uid: user.uid, iat: now, exp: now + ID_TOKEN_TTL, authTime: authTime || now });
+    refreshTokens.set(refreshToken, { uid: user.uid, iat: now, authTime: authTime || now });
+    user.metadata.lastSignInTime = new Date().toUTCString();
+
+    return { uid: user.uid, email: user.email, idToken, refreshToken, expiresIn: ID_TOKEN_TTL };
+  };
+
+  // Revocation timestamps have one-second resolution, like Firebase
+  const isRevoked = (user, issuedAt) =>
+    user.tokensValidAfterTime && issuedAt < Math.floor(new Date(user.tokensValidAfterTime).getTime() / 1000);
+
+  const identity = {
+    async createUser({ uid = crypto.randomBytes(14).toString('hex'), email, password, displayName, emailVerified = false, disabled = false }) {
+      if (email && [...users.values()].some(user => user.email === email)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+      if (password !== undefined) {
+        validatePassword(password);
+      }
+
+      const user = {
+        uid,
+        email,
+        emailVerified,
+        displayName,
+        disabled,
+        customClaims: {},
+        tokensValidAfterTime: null,
+        metadata: { creationTime: new Date().toUTCString(), lastSignInTime: null }
+      };
+      users.set(uid, user);
+      if (password !== undefined) {
+        passwords.set(uid, hashPassword(password));
+      }
+      return toUserRecord(user);
+    },
+
+    async getUser(uid) {
+      return toUserRecord(findUser(uid));
+    },
+
+    async getUserByEmail(email) {
+      const user = [...users.values()].find(candidate => candidate.email === email);
+      if (!user) {
+        throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      }
+      return toUserRecord(user);
+    },
+
+    async updateUser(uid, properties) {
+      const user = findUser(uid);
+      const { password, ...rest } = properties;
+
+      if (rest.email && rest.email !== user.email && [...users.values()].some(other => other.email === rest.email)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+      if (password !== undefined) {
+        validatePassword(password);
+        passwords.set(uid, hashPassword(password));
+      }
+
+      Object.assign(user, rest);
+      return toUserRecord(user);
+    },
+
+    async deleteUser(uid) {
+      findUser(uid);
+      users.delete(uid);
+      passwords.delete(uid);
+    },
+
+    async verifyIdToken(idToken, checkRevoked = false) {
+      const token = idTokens.get(idToken);
+      if (!token) {
+        throw authError('auth/argument-error', 'Decoding Firebase ID token failed.');
+      }
+      if (token.exp <= Math.floor(Date.now() / 1000)) {
+        throw authError('auth/id-token-expired', 'Firebase ID token has expired.');
+      }
+
+      const user = users.get(token.uid);
+      if (checkRevoked) {
+        if (!user) {
+          throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+        }
+        if (user.disabled) {
+          throw authError('auth/user-disabled', 'The user record is disabled.');
+        }
+        if (isRevoked(user, token.iat)) {
+          throw authError('auth/id-token-revoked', 'The Firebase ID token has been revoked.');
+        }
+      }
+
+      return {
+        uid: token.uid,
+        sub: token.uid,
+        email: user && user.email,
+        email_verified: !!(user && user.emailVerified),
+        iat: token.iat,
+        exp: token.exp,
+        auth_time: token.authTime,
+        ...(user ? user.customClaims : {})
+      };
+    },
+
+    async createCustomToken(uid, claims = {}) {
+      return `mem-custom.${Buffer.from(JSON.stringify({ uid, claims })).toString('base64url')}`;
+    },
+
+    async revokeRefreshTokens(uid) {
+      const user = findUser(uid);
+      user.tokensValidAfterTime = new Date().toUTCString();
+      refreshTokens.forEach((token, key) => {
+        if (token.uid === uid) {
+          refreshTokens.delete(key);
+        }
+      });
+    },
+
+    async signInWithPassword(email, password) {
+      const user = [...users.values()].find(candidate => candidate.email === email);
+      if (!user || !passwords.has(user.uid) || !checkPassword(password, passwords.get(user.uid))) {
+        throw authError('auth/invalid-credential', 'Firebase Auth request failed: INVALID_LOGIN_CREDENTIALS');
+      }
+      if (user.disabled) {
+        throw authError('auth/user-disabled', 'Firebase Auth request failed: USER_DISABLED');
+      }
+      return issueSession(user);
+    },
+
+    async signInWithCustomToken(customToken) {
+      let uid;
+      try {
+        ({ uid } = JSON.parse(Buffer.from(customToken.replace(/^mem-custom\./, ''), 'base64url').toString()));
+      } catch (error) {
+        throw authError('auth/invalid-custom-token', 'Firebase Auth request failed: INVALID_CUSTOM_TOKEN');
+      }
+
+      const user = users.get(uid);
+      if (!user) {
+        throw authError('auth/invalid-custom-token', 'Firebase Auth request failed: INVALID_CUSTOM_TOKEN');
+      }
+      if (user.disabled) {
+        throw authError('auth/user-disabled', 'Firebase Auth request failed: USER_DISABLED');
+      }
+
+      const { idToken, refreshToken, expiresIn } = issueSession(user);
+      return { idToken, refreshToken, expiresIn };
+    },
+
+    async refreshIdToken(refreshToken) {
+      const token = refreshTokens.get(refreshToken);
+      const user = token && users.get(token.uid);
+      if (!user || user.disabled) {
+        throw authError('auth/invalid-refresh-token', 'Firebase Auth request failed: INVALID_REFRESH_TOKEN');
+      }
+
+      refreshTokens.delete(refreshToken);
+      const session = issueSession(user, token.authTime);
+      return {
+        uid: session.uid,
+        idToken: session.idToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      };
+    }
+  };
+
+  const marker = (op, operand) => ({ [FIELD_VALUE]: { op, operand } });
+
+  const fieldValues = {
+    increment: (n) => marker('increment', n),
+    arrayUnion: (...elements) => marker('arrayUnion', elements),
+    arrayRemove: (...elements) => marker('arrayRemove', elements),
+    delete: () => marker('delete')
+  };
+
+  // Drop all data (used between tests)
+  const reset = () => {
+    collections.clear();
+    users.clear();
+    passwords.clear();
+    idTokens.clear();
+    refreshTokens.clear();
+  };
+
+  return {
+    name: 'memory',
+    documents,
+    identity,
+    fieldValues,
+    reset
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
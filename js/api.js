@@ -221,6 +221,17 @@ class WETApi {
     return await this.makeRequest('/user/admin/stats');
   }
 
+  // Release methods
+  async getReleases(channel = 'stable') {
+    return await this.makeRequest(`/releases?channel=${encodeURIComponent(channel)}`);
+  }
+
+  async getDownloadLink(releaseId, artifactId) {
+    return await this.makeRequest(`/releases/${encodeURIComponent(releaseId)}/artifacts/${artifactId}/download`, {
+      method: 'POST'
+    });
+  }
+
   // Utility methods
   async checkHealth() {
     try {
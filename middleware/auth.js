@@ -1,11 +1,86 @@
-const rateLimit = require('express-rate-limit');
-const { auth, userHelpers } = require('../config/firebase');
+const { userHelpers, toDate } = require('../config/database');
+const organizationService = require('../services/organizationService');
+const permissionService = require('../services/permissionService');
+const apiKeyService = require('../services/apiKeyService');
+const signInService = require('../services/signInService');
+const subscriptionService = require('../services/subscriptionService');
 
-// Verify Firebase ID token middleware
+// Extract a bearer token from an Authorization header
+const getBearerToken = (authHeader) =>
+  authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+
+// Verify a Firebase ID token and load the user it belongs to.
+// Shared by the HTTP middleware below and the gaze WebSocket.
+// Returns null if the user no longer exists; throws on invalid tokens,
+// including tokens revoked for all devices or for their own sign-in.
+const verifyIdToken = async (token, { ip } = {}) => {
+  // Verify Firebase ID token, rejecting revoked ones
+  const decodedToken = await userHelpers.verifyToken(token, true);
+
+  // Tokens from a signed out device stop working before they expire, even
+  // once the Firebase SDK has refreshed them
+  const signIn = await signInService.findByIdToken(token) ||
+    await signInService.findByRefreshedIdToken(decodedToken, token);
+  if (signIn && signIn.revokedAt) {
+    const error = new Error('Sign-in has been revoked');
+    error.code = 'auth/id-token-revoked';
+    throw error;
+  }
+
+  // Get user data from Firestore
+  const user = await userHelpers.findUserById(decodedToken.uid);
+  if (!user) {
+    return null;
+  }
+
+  // With two-factor authentication on, ID tokens only count if they came
+  // from a sign-in completed with a second factor
+  if (user.twoFactorEnabled && !(signIn && signIn.secondFactorAt)) {
+    const error = new Error('Two-factor authentication required');
+    error.code = 'auth/two-factor-required';
+    throw error;
+  }
+
+  if (signIn) {
+    await signInService.touch(signIn, ip);
+  }
+
+  return { uid: decodedToken.uid, user, signIn, expiresAt: new Date(decodedToken.exp * 1000) };
+};
+
+// Verify a bearer credential: a Firebase ID token or a personal API key.
+// Shared by the HTTP middleware below and the gaze WebSocket.
+// Returns null if the user no longer exists; throws on invalid credentials.
+// API keys are returned as apiKey, so callers can check their scopes.
+const verifyCredential = async (token, options) => {
+  if (!apiKeyService.isApiKey(token)) {
+    return verifyIdToken(token, options);
+  }
+
+  const apiKey = await apiKeyService.verifyKey(token);
+  if (apiKey.error) {
+    const error = new Error(apiKey.error);
+    error.code = 'auth/invalid-api-key';
+    throw error;
+  }
+
+  const user = await userHelpers.findUserById(apiKey.uid);
+  if (!user) {
+    return null;
+  }
+
+  return { uid: apiKey.uid, user, apiKey, expiresAt: toDate(apiKey.expiresAt) };
+};
+
+// Roles that require two-factor authentication can only reach the auth
+// endpoints (to enroll) until the user has enrolled
+const needsTwoFactorEnrollment = async (user) =>
+  !user.twoFactorEnabled && await permissionService.requiresTwoFactor(user.role);
+
+// Verify Firebase ID token or API key middleware
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    const token = getBearerToken(req.headers.authorization);
 
     if (!token) {
       return res.status(401).json({
@@ -14,21 +89,40 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify Firebase ID token
-    const decodedToken = await auth.verifyIdToken(token);
-    
-    // Get user data from Firestore
-    const user = await userHelpers.getUserById(decodedToken.uid);
-    if (!user) {
+    const authenticated = await verifyCredential(token, { ip: req.ip });
+    if (!authenticated) {
       return res.status(401).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    const { user } = authenticated;
+
+    if (req.baseUrl !== '/api/auth' && await needsTwoFactorEnrollment(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for this account',
+        code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+      });
+    }
+
+    // API keys only reach the endpoints their scopes cover
+    if (authenticated.apiKey) {
+      const scope = apiKeyService.scopeForRequest(req.method, req.baseUrl, req.path);
+      if (!apiKeyService.hasScope(authenticated.apiKey, scope)) {
+        return res.status(403).json({
+          success: false,
+          message: scope ? `API key is missing the ${scope} scope` : 'API keys cannot be used for this endpoint'
+        });
+      }
+    }
+
     // Attach user to request object
-    req.user = user;
-    req.uid = decodedToken.uid;
+    req.user = authenticated.user;
+    req.uid = authenticated.uid;
+    req.apiKey = authenticated.apiKey || null;
+    req.signIn = authenticated.signIn || null;
     next();
     
   } catch (error) {
@@ -41,6 +135,36 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
+    if (error.code === 'auth/id-token-revoked' || error.code === 'auth/user-disabled') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token revoked'
+      });
+    }
+
+    if (error.code === 'auth/two-factor-required') {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    // Checking a deleted user's token for revocation finds no user
+    if (error.code === 'auth/user-not-found') {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (error.code === 'auth/invalid-api-key') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.code === 'auth/argument-error' || error.code === 'auth/invalid-id-token') {
       return res.status(401).json({
         success: false,
@@ -58,8 +182,7 @@ const authenticateToken = async (req, res, next) => {
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    const token = getBearerToken(req.headers.authorization);
 
     if (!token) {
       req.user = null;
@@ -67,11 +190,10 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decodedToken = await auth.verifyIdToken(token);
-    const user = await userHelpers.getUserById(decodedToken.uid);
+    const authenticated = await verifyIdToken(token);
     
-    req.user = user || null;
-    req.uid = decodedToken.uid || null;
+    req.user = authenticated ? authenticated.user : null;
+    req.uid = authenticated ? authenticated.uid : null;
     next();
     
   } catch (error) {
@@ -81,6 +203,34 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Require a recent two-factor check on the current device for sensitive
+// operations. Users without two-factor authentication pass.
+const requireRecentSecondFactor = (maxAgeMs = 15 * 60 * 1000) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return next();
+    }
+
+    const verifiedAt = req.signIn && toDate(req.signIn.secondFactorAt);
+    if (!verifiedAt || Date.now() - verifiedAt.getTime() > maxAgeMs) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please confirm with your two-factor code first',
+        code: 'SECOND_FACTOR_REQUIRED'
+      });
+    }
+
+    next();
+  };
+};
+
 // Require email verification
 const requireEmailVerification = (req, res, next) => {
   if (!req.user) {
@@ -130,6 +280,83 @@ const requireRole = (roles) => {
 // Admin only access
 const requireAdmin = requireRole(['admin']);
 
+// Permission-based access control: the user's role must grant every
+// listed permission (see permissionService.PERMISSIONS)
+const requirePermission = (permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const required = Array.isArray(permissions) ? permissions : [permissions];
+      const granted = await permissionService.getPermissions(req.user.role);
+
+      if (!required.every(permission => granted.has(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check permissions'
+      });
+    }
+  };
+};
+
+// Require at least the given role in the organization named by :orgId.
+// Users with the organizations:manage permission pass without a
+// membership. Attaches req.membership (null for those who are not members).
+const requireOrgRole = (minRole) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const membership = await organizationService.getMembership(req.params.orgId, req.uid);
+      const canManage = await permissionService.hasPermission(req.user, 'organizations:manage');
+
+      if (!membership && !canManage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      if (!organizationService.hasRole(membership, minRole) && !canManage) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+
+      req.membership = membership;
+      next();
+
+    } catch (error) {
+      console.error('Organization role check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check organization role'
+      });
+    }
+  };
+};
+
 // Premium subscription check
 const requirePremium = (req, res, next) => {
   if (!req.user) {
@@ -139,15 +366,7 @@ const requirePremium = (req, res, next) => {
     });
   }
 
-  const { subscription } = req.user;
-  const now = new Date();
-  
-  const isPremium = subscription && 
-    (subscription.type === 'premium' || subscription.type === 'enterprise') &&
-    subscription.endDate && 
-    new Date(subscription.endDate) > now;
-
-  if (!isPremium) {
+  if (!subscriptionService.hasPlan(req.user, 'professional')) {
     return res.status(403).json({
       success: false,
       message: 'Premium subscription required',
@@ -158,27 +377,33 @@ const requirePremium = (req, res, next) => {
   next();
 };
 
-// Rate limiting for sensitive operations
-const sensitiveOperationLimiter = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-  return rateLimit({
-    windowMs: windowMs,
-    max: maxAttempts,
-    message: {
-      success: false,
-      message: 'Too many attempts, please try again later'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    keyGenerator: (req) => {
-      return req.ip + (req.uid || req.user?.uid || '');
-    }
-  });
+// Require a feature of the user's plan (see subscriptionService)
+const requireFeature = (feature) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!subscriptionService.hasFeature(req.user, feature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your plan does not include this feature',
+        code: 'FEATURE_NOT_AVAILABLE',
+        feature
+      });
+    }
+
+    next();
+  };
 };
 
 // Generate custom token for client
 const generateCustomToken = async (uid, additionalClaims = {}) => {
   try {
-    const customToken = await auth.createCustomToken(uid, additionalClaims);
+    const customToken = await userHelpers.createCustomToken(uid, additionalClaims);
     return customToken;
   } catch (error) {
     throw new Error(`Failed to generate custom token: ${error.message}`);
@@ -186,12 +411,19 @@ const generateCustomToken = async (uid, additionalClaims = {}) => {
 };
 
 module.exports = {
+  getBearerToken,
+  verifyIdToken,
+  verifyCredential,
+  needsTwoFactorEnrollment,
   authenticateToken,
   optionalAuth,
   requireEmailVerification,
+  requireRecentSecondFactor,
   requireRole,
   requireAdmin,
+  requirePermission,
+  requireOrgRole,
   requirePremium,
-  sensitiveOperationLimiter,
+  requireFeature,
   generateCustomToken
 };
\ No newline at end of file
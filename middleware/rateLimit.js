@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { store, firestoreHelpers, fieldValues, COLLECTIONS } = require('../config/database');
+const { getPolicy } = require('../config/rateLimits');
+
+// Where hit counters live, chosen by RATE_LIMIT_STORE:
+//   firestore - in the data store, shared by every instance and the Netlify
+//               functions (default when DATA_STORE is firestore)
+//   memory    - per process, reset on restart
+// Stores implement express-rate-limit's Store interface
+// (init / increment / decrement / resetKey).
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Counts hits in fixed windows, one document per key and window, so counters
+// never need resetting. Documents carry expiresAt for a Firestore TTL policy.
+// With failClosed, data store errors refuse the request instead of letting
+// it through.
+class DataStoreRateLimitStore {
+  constructor(prefix, { failClosed = false } = {}) {
+    this.prefix = prefix;
+    this.failClosed = failClosed;
+    this.localKeys = false;
+    this.windowMs = 15 * 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  currentWindow() {
+    const index = Math.floor(Date.now() / this.windowMs);
+    return { index, resetTime: new Date((index + 1) * this.windowMs) };
+  }
+
+  documentId(key, index) {
+    return `${this.prefix}_${index}_${hashKey(key)}`;
+  }
+
+  async increment(key) {
+    const { index, resetTime } = this.currentWindow();
+    const id = this.documentId(key, index);
+
+    try {
+      const created = await firestoreHelpers.createDocumentIfAbsent(COLLECTIONS.RATE_LIMITS, id, {
+        hits: 1,
+        expiresAt: resetTime
+      });
+      if (created) {
+        return { totalHits: 1, resetTime };
+      }
+
+      await firestoreHelpers.updateDocument(COLLECTIONS.RATE_LIMITS, id, { hits: fieldValues.increment(1) });
+      const counter = await firestoreHelpers.getDocument(COLLECTIONS.RATE_LIMITS, id);
+      return { totalHits: counter ? counter.hits : 1, resetTime };
+    } catch (error) {
+      // Sign-in throttling must not switch off when the data store is
+      // degraded; other limits aren't worth failing requests over
+      if (this.failClosed) {
+        console.error(`🚨 Rate limit store error, refusing ${this.prefix} requests:`, error.message);
+        return { totalHits: Infinity, resetTime };
+      }
+      console.error(`🚨 Rate limit store error, not limiting ${this.prefix} requests:`, error.message);
+      return { totalHits: 0, resetTime };
+    }
+  }
+
+  async decrement(key) {
+    const id = this.documentId(key, this.currentWindow().index);
+    try {
+      await firestoreHelpers.updateDocument(COLLECTIONS.RATE_LIMITS, id, { hits: fieldValues.increment(-1) });
+    } catch (error) {
+      // Nothing to take back if the window has already rolled over
+    }
+  }
+
+  async resetKey(key) {
+    await firestoreHelpers.deleteDocument(COLLECTIONS.RATE_LIMITS, this.documentId(key, this.currentWindow().index));
+  }
+}
+
+const STORES = {
+  firestore: (prefix, policy) => new DataStoreRateLimitStore(prefix, { failClosed: policy.failClosed }),
+  memory: () => new rateLimit.MemoryStore()
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || (store.name === 'firestore' ? 'firestore' : 'memory');
+
+if (!STORES[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}". Use one of: ${Object.keys(STORES).join(', ')}`);
+}
+
+// One limiter (and store) per policy, so routes sharing a policy share its
+// counters in every store
+const limiters = new Map();
+const policyStores = new Map();
+
+const getRequiredPolicy = (name) => {
+  const policy = getPolicy(name);
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${name}"`);
+  }
+  return policy;
+};
+
+// Express middleware enforcing a policy from config/rateLimits
+const rateLimiter = (name) => {
+  if (!limiters.has(name)) {
+    const policy = getRequiredPolicy(name);
+    const limiterStore = STORES[storeName](name, policy);
+    policyStores.set(name, limiterStore);
+
+    limiters.set(name, rateLimit({
+      windowMs: policy.windowMs,
+      max: policy.max,
+      message: policy.message,
+      standardHeaders: true,
+      legacyHeaders: false,
+      store: limiterStore,
+      ...(policy.perUser && {
+        keyGenerator: (req) => req.ip + (req.uid || req.user?.uid || '')
+      })
+    }));
+  }
+  return limiters.get(name);
+};
+
+// Count a hit against a policy outside Express (the Netlify functions), with
+// the same counters as the Express limiter. key is what the limiter keys on:
+// the client IP. Returns { limited, totalHits, resetTime, message }.
+const consumeRateLimit = async (name, key) => {
+  const policy = getRequiredPolicy(name);
+  rateLimiter(name); // creates and initializes the policy's store
+  const { totalHits, resetTime } = await policyStores.get(name).increment(key);
+  return { limited: totalHits > policy.max, totalHits, resetTime, message: policy.message };
+};
+
+module.exports = {
+  DataStoreRateLimitStore,
+  rateLimiter,
+  consumeRateLimit
+};
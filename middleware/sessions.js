@@ -0,0 +1,45 @@
+const sessionService = require('../services/sessionService');
+const organizationService = require('../services/organizationService');
+
+// Load the tracking session named by :id and check that the caller may
+// access it at the given level (see organizationService.ACCESS_LEVELS):
+// the owner and admins always can, organization members depending on
+// their role. Attaches it as req.trackingSession.
+const loadSession = (level = 'view') => async (req, res, next) => {
+  try {
+    const session = await sessionService.getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const allowed = await organizationService.canAccess(req.user, {
+      ownerUid: session.uid,
+      organizationId: session.organizationId
+    }, level);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    req.trackingSession = session;
+    next();
+
+  } catch (error) {
+    console.error('Load session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load session'
+    });
+  }
+};
+
+module.exports = {
+  loadSession
+};
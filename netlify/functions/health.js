@@ -1,3 +1,9 @@
+const { consumeRateLimit } = require('../../middleware/rateLimit');
+
+// The address Netlify received the request from
+const clientIp = (event) =>
+  event.headers['x-nf-client-connection-ip'] || event.headers['client-ip'] || 'unknown';
+
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -15,6 +21,22 @@ exports.handler = async (event, context) => {
     };
   }
 
+  // Same policy and shared counters as every /api request to the server
+  const { limited, resetTime, message } = await consumeRateLimit('global', clientIp(event));
+  if (limited) {
+    return {
+      statusCode: 429,
+      headers: {
+        ...headers,
+        'Retry-After': String(Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)))
+      },
+      body: JSON.stringify({
+        success: false,
+        message
+      })
+    };
+  }
+
   if (event.httpMethod !== 'GET') {
     return {
       statusCode: 405,
@@ -0,0 +1,146 @@
+const express = require('express');
+const analysisService = require('../services/analysisService');
+const sessionService = require('../services/sessionService');
+const aoiService = require('../services/aoiService');
+const { authenticateToken } = require('../middleware/auth');
+const { loadSession } = require('../middleware/sessions');
+
+const router = express.Router();
+
+// Run fixation/saccade/blink detection on a finalized session.
+// Body: { algorithm: 'ivt' | 'idt', params: { ...thresholds } }
+router.post('/:id/analyze', authenticateToken, loadSession('analyze'), async (req, res) => {
+  try {
+    const session = req.trackingSession;
+    const { algorithm = 'ivt', params = {} } = req.body;
+
+    if (!analysisService.ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({
+        success: false,
+        message: `algorithm must be one of: ${analysisService.ALGORITHMS.join(', ')}`
+      });
+    }
+
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+      return res.status(400).json({
+        success: false,
+        message: 'params must be an object'
+      });
+    }
+
+    if (session.status !== sessionService.STATUS.COMPLETED) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session must be finalized before it can be analyzed'
+      });
+    }
+
+    const analysis = await analysisService.analyzeSession(session, { algorithm, params });
+
+    res.json({
+      success: true,
+      message: 'Session analyzed',
+      data: { analysis }
+    });
+
+  } catch (error) {
+    console.error('Analyze session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyze session'
+    });
+  }
+});
+
+// Get detected events.
+// Query: type=fixation,saccade,blink  from=<ms>  to=<ms>
+router.get('/:id/events', authenticateToken, loadSession(), async (req, res) => {
+  try {
+    const analysis = await analysisService.getAnalysis(req.trackingSession.id);
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session has not been analyzed yet'
+      });
+    }
+
+    const types = req.query.type ? req.query.type.split(',') : undefined;
+    if (types && types.some(type => !analysisService.EVENT_TYPES.includes(type))) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one or more of: ${analysisService.EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const from = req.query.from !== undefined ? Number(req.query.from) : undefined;
+    const to = req.query.to !== undefined ? Number(req.query.to) : undefined;
+    if ([from, to].some(value => value !== undefined && !Number.isFinite(value))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be timestamps in milliseconds'
+      });
+    }
+
+    const events = await analysisService.getEvents(analysis, { types, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        analysis,
+        events
+      }
+    });
+
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get events'
+    });
+  }
+});
+
+// Per-AOI metrics computed from the stored fixations.
+// Query: onset=<ms> (defaults to the first sample of the session)
+router.get('/:id/aoi-metrics', authenticateToken, loadSession(), async (req, res) => {
+  try {
+    const session = req.trackingSession;
+
+    const analysis = await analysisService.getAnalysis(session.id);
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session has not been analyzed yet'
+      });
+    }
+
+    const onset = req.query.onset !== undefined
+      ? Number(req.query.onset)
+      : (session.stats && session.stats.startTime) || 0;
+    if (!Number.isFinite(onset)) {
+      return res.status(400).json({
+        success: false,
+        message: 'onset must be a timestamp in milliseconds'
+      });
+    }
+
+    const aois = await aoiService.getAoisForSession(session);
+    const fixations = await analysisService.getEvents(analysis, { types: ['fixation'] });
+
+    res.json({
+      success: true,
+      data: {
+        metrics: aoiService.computeMetrics(aois, fixations, { onset })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get AOI metrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute AOI metrics'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const aoiService = require('../services/aoiService');
+const sessionService = require('../services/sessionService');
+const organizationService = require('../services/organizationService');
+const permissionService = require('../services/permissionService');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load the AOI named by :id if the caller owns it (or may manage any
+// user's sessions)
+const loadAoi = async (req, res, next) => {
+  try {
+    const aoi = await aoiService.getAoi(req.params.id);
+
+    if (!aoi || (aoi.uid !== req.uid && !await permissionService.hasPermission(req.user, 'sessions:manage'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'AOI not found'
+      });
+    }
+
+    req.aoi = aoi;
+    next();
+
+  } catch (error) {
+    console.error('Load AOI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load AOI'
+    });
+  }
+};
+
+// AOIs may only be attached to sessions the caller can access
+const checkSessionAccess = async (req, sessionId) => {
+  if (!sessionId) {
+    return true;
+  }
+  const session = await sessionService.getSession(sessionId);
+  if (!session) {
+    return false;
+  }
+  return organizationService.canAccess(req.user, {
+    ownerUid: session.uid,
+    organizationId: session.organizationId
+  }, 'analyze');
+};
+
+// Create an AOI
+// Body: { name, shape: 'rectangle', rect: { x, y, width, height } }
+//    or { name, shape: 'polygon', points: [{ x, y }, ...] }
+//    plus sessionId and/or stimulusId
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const validationError = aoiService.validateAoiInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (!await checkSessionAccess(req, req.body.sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const aoi = await aoiService.createAoi(req.uid, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'AOI created',
+      data: { aoi }
+    });
+
+  } catch (error) {
+    console.error('Create AOI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create AOI'
+    });
+  }
+});
+
+// List the current user's AOIs
+// Query: sessionId=<id>  stimulusId=<id>
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const aois = await aoiService.listAois(req.uid, {
+      sessionId: req.query.sessionId,
+      stimulusId: req.query.stimulusId
+    });
+
+    res.json({
+      success: true,
+      data: { aois }
+    });
+
+  } catch (error) {
+    console.error('List AOIs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get AOIs'
+    });
+  }
+});
+
+// Get an AOI
+router.get('/:id', authenticateToken, loadAoi, (req, res) => {
+  res.json({
+    success: true,
+    data: { aoi: req.aoi }
+  });
+});
+
+// Update an AOI
+router.put('/:id', authenticateToken, loadAoi, async (req, res) => {
+  try {
+    const input = { ...req.body };
+
+    // New geometry without a shape keeps the current shape
+    if (input.shape === undefined && (input.rect !== undefined || input.points !== undefined)) {
+      input.shape = req.aoi.shape;
+    }
+
+    const validationError = aoiService.validateAoiInput(input, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const sessionId = input.sessionId === undefined ? req.aoi.sessionId : input.sessionId;
+    const stimulusId = input.stimulusId === undefined ? req.aoi.stimulusId : input.stimulusId;
+    if (!sessionId && !stimulusId) {
+      return res.status(400).json({
+        success: false,
+        message: 'An AOI must be attached to a sessionId or a stimulusId'
+      });
+    }
+
+    if (input.sessionId && !await checkSessionAccess(req, input.sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const aoi = await aoiService.updateAoi(req.aoi, input);
+
+    res.json({
+      success: true,
+      message: 'AOI updated',
+      data: { aoi }
+    });
+
+  } catch (error) {
+    console.error('Update AOI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update AOI'
+    });
+  }
+});
+
+// Delete an AOI
+router.delete('/:id', authenticateToken, loadAoi, async (req, res) => {
+  try {
+    await aoiService.deleteAoi(req.aoi.id);
+
+    res.json({
+      success: true,
+      message: 'AOI deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete AOI error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete AOI'
+    });
+  }
+});
+
+module.exports = router;
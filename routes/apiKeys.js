@@ -0,0 +1,111 @@
+const express = require('express');
+const apiKeyService = require('../services/apiKeyService');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape an API key for API responses, without its hash
+const formatKey = ({ keyHash, ...apiKey }) => ({
+  ...apiKey,
+  active: apiKeyService.isActive(apiKey)
+});
+
+// Available scopes
+router.get('/scopes', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scopes: Object.entries(apiKeyService.SCOPES)
+        .map(([id, description]) => ({ id, description }))
+    }
+  });
+});
+
+// Create an API key. The key itself is only shown in this response.
+// Body: { name, scopes: [...], expiresInDays? }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const validationError = apiKeyService.validateKeyInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = await apiKeyService.createKey(req.uid, req.body);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        apiKey: formatKey(result.apiKey),
+        key: result.key
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+// List the caller's API keys
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.uid);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: keys.map(formatKey)
+      }
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get API keys'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.getKey(req.params.id);
+    if (!apiKey || apiKey.uid !== req.uid) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const revoked = apiKey.revokedAt ? apiKey : await apiKeyService.revokeKey(apiKey);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: { apiKey: formatKey(revoked) }
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,97 @@
 const express = require('express');
-const { auth, userHelpers, firestoreHelpers, COLLECTIONS } = require('../config/firebase');
+const { userHelpers, firestoreHelpers, tokenHelpers, COLLECTIONS } = require('../config/database');
 const emailService = require('../services/emailService');
-const { 
-  sensitiveOperationLimiter,
-  authenticateToken,
-  generateCustomToken
-} = require('../middleware/auth');
+const signInService = require('../services/signInService');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+const oauthService = require('../services/oauthService');
+const lockoutService = require('../services/lockoutService');
+const notificationService = require('../services/notificationService');
+const emailTemplateService = require('../services/emailTemplateService');
+const { authenticateToken, requireRecentSecondFactor } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const ACCOUNT_UNLOCK_TTL = 60 * 60 * 1000; // 1 hour
+
+// Shape a user record for API responses
+const formatUser = (user) => ({
+  uid: user.uid,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+  isEmailVerified: !!user.emailVerified,
+  twoFactorEnabled: !!user.twoFactorEnabled,
+  linkedProviders: user.oauthProviders || [],
+  role: user.role,
+  subscription: user.subscription,
+  preferences: user.preferences,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Record a completed sign-in on the device and build the response data
+// handed to the client
+const completeSignIn = async (req, user, session, { secondFactorAt = null } = {}) => {
+  const lastLogin = new Date();
+  await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, user.uid, { lastLogin });
+  await signInService.createSignIn(user.uid, session, req, { secondFactorAt });
+
+  return {
+    user: formatUser({ ...user, lastLogin }),
+    token: session.idToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn
+  };
+};
+
+// Refuse a sign-in while the account or IP is locked
+const respondLocked = (res, { kind, lockUntil }) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: kind === 'account'
+      ? 'This account is temporarily locked after too many failed sign-in attempts. Try again later or use the unlock link sent to your email.'
+      : 'Too many failed sign-in attempts from this network. Please try again later.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+// Count a failed sign-in. When it locks the account, the owner (if there
+// is one) is emailed an unlock link. Returns the lock it caused, or null.
+const recordLoginFailure = async (req, email) => {
+  const { accountLockUntil, ipLockUntil } = await lockoutService.recordFailure(email, req.ip);
+
+  if (accountLockUntil) {
+    try {
+      const user = await userHelpers.getUserByEmail(email);
+      if (user) {
+        const unlockToken = await tokenHelpers.issueToken(COLLECTIONS.ACCOUNT_UNLOCK, user.uid, email, ACCOUNT_UNLOCK_TTL);
+        await notificationService.notify(user, 'security', {
+          template: 'account-locked',
+          emailPath: `/unlock-account?token=${unlockToken}`,
+          showLink: true,
+          lockUntil: accountLockUntil
+        });
+      }
+    } catch (emailError) {
+      console.error('Failed to send account locked email:', emailError);
+    }
+    return { kind: 'account', lockUntil: accountLockUntil };
+  }
+
+  return ipLockUntil ? { kind: 'ip', lockUntil: ipLockUntil } : null;
+};
+
 // Register new user
-router.post('/register', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (req, res) => {
+router.post('/register', rateLimiter('register'), async (req, res) => {
   try {
     const { email, password, firstName, lastName, language = 'en' } = req.body;
 
@@ -23,6 +104,13 @@ router.post('/register', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (re
       });
     }
 
+    if (!emailTemplateService.LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `language must be one of: ${emailTemplateService.LANGUAGES.join(', ')}`
+      });
+    }
+
     // Check if user already exists
     const existingUser = await userHelpers.getUserByEmail(email.toLowerCase());
     if (existingUser) {
@@ -39,6 +127,7 @@ router.post('/register', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (re
       language,
       preferences: {
         theme: 'dark',
+        language,
         notifications: { email: true, updates: true }
       }
     };
@@ -46,19 +135,20 @@ router.post('/register', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (re
     const user = await userHelpers.createUser(email.toLowerCase(), password, userData);
 
     // Generate email verification token and store it
-    const verificationToken = emailService.generateToken();
-    await firestoreHelpers.createDocument(COLLECTIONS.EMAIL_VERIFICATION, user.uid, {
-      token: verificationToken,
-      email: email.toLowerCase(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
-    });
+    const verificationToken = await tokenHelpers.issueToken(
+      COLLECTIONS.EMAIL_VERIFICATION,
+      user.uid,
+      email.toLowerCase(),
+      EMAIL_VERIFICATION_TTL
+    );
 
     // Send verification email
     try {
       await emailService.sendVerificationEmail({
         email: user.email,
         firstName: user.firstName,
-        lastName: user.lastName
+        lastName: user.lastName,
+        preferences: userData.preferences
       }, verificationToken);
     } catch (emailError) {
       console.error('Failed to send verification email:', emailError);
@@ -70,26 +160,13 @@ router.post('/register', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (re
       success: true,
       message: 'Registration successful. Please check your email to verify your account.',
       data: {
-        user: {
-          uid: user.uid,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName,
-          isEmailVerified: user.isEmailVerified,
-          role: user.role,
-          subscription: user.subscription,
-          preferences: user.preferences,
-          createdAt: user.createdAt
-        },
-        token,
-        refreshToken
+        user: formatUser({ ...user, role: 'user', emailVerified: false })
       }
     });
 
   } catch (error) {
     console.error('Registration error:', error);
-    
+
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
@@ -109,7 +186,7 @@ router.post('/register', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (re
 });
 
 // Login user
-router.post('/login', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (req, res) => {
+router.post('/login', rateLimiter('login'), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -120,73 +197,81 @@ router.post('/login', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (req,
       });
     }
 
-    // Find user and include password for comparison
-    const user = await User.findByEmail(email.toLowerCase());
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+    const normalizedEmail = email.toLowerCase();
 
-    // Check if account is locked
-    if (user.isLocked) {
-      return res.status(423).json({
-        success: false,
-        message: 'Account temporarily locked due to too many failed login attempts'
-      });
+    const lock = await lockoutService.checkLock(normalizedEmail, req.ip);
+    if (lock) {
+      return respondLocked(res, lock);
     }
 
-    // Verify password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      // Increment login attempts
-      await user.incLoginAttempts();
-      
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+    // Verify credentials with Firebase Auth
+    let session;
+    try {
+      session = await userHelpers.signInWithPassword(normalizedEmail, password);
+    } catch (signInError) {
+      if (signInError.code === 'auth/invalid-credential') {
+        const newLock = await recordLoginFailure(req, normalizedEmail);
+        if (newLock) {
+          return respondLocked(res, newLock);
+        }
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
 
-    // Reset login attempts on successful login
-    if (user.loginAttempts > 0) {
-      await user.updateOne({
-        $unset: { loginAttempts: 1, lockUntil: 1 }
-      });
+      if (signInError.code === 'auth/user-disabled') {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been disabled'
+        });
+      }
+
+      if (signInError.code === 'auth/too-many-requests') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts, please try again later'
+        });
+      }
+
+      throw signInError;
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    const user = await userHelpers.getUserById(session.uid);
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Accounts with two-factor authentication also need a code (or a
+    // recovery code) before any tokens are handed out
+    let secondFactorAt = null;
+    if (user.twoFactorEnabled) {
+      if (!req.body.code) {
+        return res.status(401).json({
+          success: false,
+          message: 'Two-factor code required',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
 
-    // Remove sensitive fields for response
-    const userResponse = await User.findById(user._id);
+      const result = await twoFactorService.verify(session.uid, String(req.body.code));
+      if (result.error) {
+        const newLock = await recordLoginFailure(req, normalizedEmail);
+        if (newLock) {
+          return respondLocked(res, newLock);
+        }
+        return res.status(401).json({
+          success: false,
+          message: result.error,
+          code: 'TWO_FACTOR_INVALID'
+        });
+      }
+      secondFactorAt = new Date();
+    }
+
+    await lockoutService.clearAccount(normalizedEmail);
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        user: {
-          id: userResponse._id,
-          email: userResponse.email,
-          firstName: userResponse.firstName,
-          lastName: userResponse.lastName,
-          fullName: userResponse.fullName,
-          isEmailVerified: userResponse.isEmailVerified,
-          role: userResponse.role,
-          subscription: userResponse.subscription,
-          preferences: userResponse.preferences,
-          lastLogin: userResponse.lastLogin,
-          createdAt: userResponse.createdAt
-        },
-        token,
-        refreshToken
-      }
+      data: await completeSignIn(req, user, session, { secondFactorAt })
     });
 
   } catch (error) {
@@ -210,9 +295,9 @@ router.post('/verify-email', async (req, res) => {
       });
     }
 
-    // Find user by verification token
-    const user = await User.findByVerificationToken(token);
-    if (!user) {
+    // Tokens are single-use: consuming deletes the record
+    const record = await tokenHelpers.consumeToken(COLLECTIONS.EMAIL_VERIFICATION, token);
+    if (!record) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired verification token'
@@ -220,10 +305,8 @@ router.post('/verify-email', async (req, res) => {
     }
 
     // Mark email as verified
-    user.isEmailVerified = true;
-    user.emailVerificationToken = undefined;
-    user.emailVerificationExpires = undefined;
-    await user.save();
+    await userHelpers.markEmailVerified(record.uid);
+    const user = await userHelpers.getUserById(record.uid);
 
     // Send welcome email
     try {
@@ -238,11 +321,11 @@ router.post('/verify-email', async (req, res) => {
       message: 'Email verified successfully',
       data: {
         user: {
-          id: user._id,
+          uid: user.uid,
           email: user.email,
           firstName: user.firstName,
           lastName: user.lastName,
-          isEmailVerified: user.isEmailVerified
+          isEmailVerified: true
         }
       }
     });
@@ -257,7 +340,7 @@ router.post('/verify-email', async (req, res) => {
 });
 
 // Resend verification email
-router.post('/resend-verification', sensitiveOperationLimiter(3, 15 * 60 * 1000), async (req, res) => {
+router.post('/resend-verification', rateLimiter('resendVerification'), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -268,7 +351,7 @@ router.post('/resend-verification', sensitiveOperationLimiter(3, 15 * 60 * 1000)
       });
     }
 
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await userHelpers.getUserByEmail(email.toLowerCase());
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -276,18 +359,20 @@ router.post('/resend-verification', sensitiveOperationLimiter(3, 15 * 60 * 1000)
       });
     }
 
-    if (user.isEmailVerified) {
+    if (user.emailVerified) {
       return res.status(400).json({
         success: false,
         message: 'Email is already verified'
       });
     }
 
-    // Generate new verification token
-    const verificationToken = emailService.generateToken();
-    user.emailVerificationToken = verificationToken;
-    user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
-    await user.save();
+    // Generate new verification token (replaces any previous one)
+    const verificationToken = await tokenHelpers.issueToken(
+      COLLECTIONS.EMAIL_VERIFICATION,
+      user.uid,
+      user.email,
+      EMAIL_VERIFICATION_TTL
+    );
 
     // Send verification email
     await emailService.sendVerificationEmail(user, verificationToken);
@@ -307,7 +392,7 @@ router.post('/resend-verification', sensitiveOperationLimiter(3, 15 * 60 * 1000)
 });
 
 // Request password reset
-router.post('/forgot-password', sensitiveOperationLimiter(3, 15 * 60 * 1000), async (req, res) => {
+router.post('/forgot-password', rateLimiter('forgotPassword'), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -318,7 +403,7 @@ router.post('/forgot-password', sensitiveOperationLimiter(3, 15 * 60 * 1000), as
       });
     }
 
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const user = await userHelpers.getUserByEmail(email.toLowerCase());
     if (!user) {
       // Don't reveal if user exists or not
       return res.json({
@@ -327,11 +412,13 @@ router.post('/forgot-password', sensitiveOperationLimiter(3, 15 * 60 * 1000), as
       });
     }
 
-    // Generate reset token
-    const resetToken = emailService.generateToken();
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
-    await user.save();
+    // Generate reset token (replaces any previous one)
+    const resetToken = await tokenHelpers.issueToken(
+      COLLECTIONS.PASSWORD_RESET,
+      user.uid,
+      user.email,
+      PASSWORD_RESET_TTL
+    );
 
     // Send reset email
     try {
@@ -359,7 +446,7 @@ router.post('/forgot-password', sensitiveOperationLimiter(3, 15 * 60 * 1000), as
 });
 
 // Reset password
-router.post('/reset-password', sensitiveOperationLimiter(5, 15 * 60 * 1000), async (req, res) => {
+router.post('/reset-password', rateLimiter('resetPassword'), async (req, res) => {
   try {
     const { token, password } = req.body;
 
@@ -377,25 +464,20 @@ router.post('/reset-password', sensitiveOperationLimiter(5, 15 * 60 * 1000), asy
       });
     }
 
-    // Find user by reset token
-    const user = await User.findByResetToken(token);
-    if (!user) {
+    // Tokens are single-use: consuming deletes the record
+    const record = await tokenHelpers.consumeToken(COLLECTIONS.PASSWORD_RESET, token);
+    if (!record) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired reset token'
       });
     }
 
-    // Update password
-    user.password = password;
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
-    
-    // Reset login attempts if account was locked
-    user.loginAttempts = undefined;
-    user.lockUntil = undefined;
-    
-    await user.save();
+    // Update password. Accounts created through OAuth get their first
+    // password this way.
+    await userHelpers.updatePassword(record.uid, password);
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, record.uid, { hasPassword: true });
+    await lockoutService.clearAccount(record.email);
 
     res.json({
       success: true,
@@ -411,19 +493,90 @@ router.post('/reset-password', sensitiveOperationLimiter(5, 15 * 60 * 1000), asy
   }
 });
 
+// Lift an account lock with the link emailed when it was locked
+router.post('/unlock-account', rateLimiter('unlockAccount'), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock token is required'
+      });
+    }
+
+    const record = await tokenHelpers.consumeToken(COLLECTIONS.ACCOUNT_UNLOCK, token);
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    await lockoutService.clearAccount(record.email);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
 // Refresh access token
-router.post('/refresh-token', validateRefreshToken, async (req, res) => {
+router.post('/refresh-token', async (req, res) => {
   try {
-    // Generate new tokens
-    const token = generateToken(req.user._id);
-    const refreshToken = generateRefreshToken(req.user._id);
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    // Devices that were signed out cannot refresh, even if Firebase would
+    // still accept the token
+    const signIn = await signInService.findByRefreshToken(refreshToken);
+    if (signIn && signIn.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    let session;
+    try {
+      session = await userHelpers.refreshIdToken(refreshToken);
+    } catch (refreshError) {
+      if (refreshError.code === 'auth/invalid-refresh-token') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token'
+        });
+      }
+      throw refreshError;
+    }
+
+    if (signIn) {
+      await signInService.rotateTokens(signIn, session, req);
+    } else {
+      await signInService.createSignIn(session.uid, session, req);
+    }
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token,
-        refreshToken
+        token: session.idToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
       }
     });
 
@@ -436,12 +589,14 @@ router.post('/refresh-token', validateRefreshToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token invalidation)
+// Logout: signs out the current device. Its ID and refresh tokens stop
+// working; other devices stay signed in.
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a real implementation, you might want to maintain a token blacklist
-    // For now, we'll just return success and let the client handle token removal
-    
+    if (req.signIn) {
+      await signInService.revoke(req.signIn);
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -456,26 +611,565 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Two-factor authentication status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.uid);
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        required: await permissionService.requiresTwoFactor(req.user.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+});
+
+// Start two-factor setup. Returns the secret and a QR code for an
+// authenticator app; setup completes with POST /2fa/enable.
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const result = await twoFactorService.beginEnrollment(req.user);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm setup with a code from the app. Returns recovery codes, which
+// are only shown once. Other devices must sign in again with a code.
+// Body: { code }
+router.post('/2fa/enable', authenticateToken, rateLimiter('twoFactor'), async (req, res) => {
+  try {
+    const result = await twoFactorService.confirmEnrollment(req.uid, String(req.body.code || ''));
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    if (req.signIn) {
+      await signInService.markSecondFactor(req.signIn);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes: result.recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Confirm a second factor on this device, for operations that require a
+// recent one
+// Body: { code }
+router.post('/2fa/verify', authenticateToken, rateLimiter('twoFactor'), async (req, res) => {
+  try {
+    if (!req.signIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign in again to verify this device'
+      });
+    }
+
+    const result = await twoFactorService.verify(req.uid, String(req.body.code || ''));
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await signInService.markSecondFactor(req.signIn);
+
+    res.json({
+      success: true,
+      message: 'Two-factor code verified',
+      data: { method: result.method }
+    });
+
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify two-factor code'
+    });
+  }
+});
+
+// Replace the recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, requireRecentSecondFactor(), async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.uid);
+    if (!status.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.uid);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+// Turn two-factor authentication off. Not allowed for roles that require it.
+router.post('/2fa/disable', authenticateToken, requireRecentSecondFactor(), async (req, res) => {
+  try {
+    if (await permissionService.requiresTwoFactor(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    await twoFactorService.disable(req.uid);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Devices the user is signed in on
+router.get('/devices', authenticateToken, async (req, res) => {
+  try {
+    const signIns = await signInService.listActive(req.uid);
+
+    res.json({
+      success: true,
+      data: {
+        devices: signIns.map(signIn => ({
+          id: signIn.id,
+          device: signIn.device,
+          ip: signIn.ip,
+          createdAt: signIn.createdAt,
+          lastSeenAt: signIn.lastSeenAt,
+          current: Boolean(req.signIn) && req.signIn.id === signIn.id
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get devices'
+    });
+  }
+});
+
+// Sign out every device, including this one
+router.post('/devices/revoke-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await signInService.revokeAll(req.uid);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${count} device(s)`
+    });
+
+  } catch (error) {
+    console.error('Revoke all devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out devices'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/devices/:id', authenticateToken, async (req, res) => {
+  try {
+    const signIn = await signInService.getSignIn(req.params.id);
+    if (!signIn || signIn.uid !== req.uid || signIn.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await signInService.revoke(signIn);
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
+    });
+  }
+});
+
+// Load the OAuth provider named by :provider
+const loadProvider = (req, res, next) => {
+  const provider = oauthService.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown or unconfigured sign-in provider'
+    });
+  }
+
+  req.provider = provider;
+  next();
+};
+
+// Social sign-in providers that are configured
+router.get('/oauth/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: oauthService.listProviders() }
+  });
+});
+
+// Start signing in with a provider. The client sends the browser to
+// authorizationUrl; the provider redirects back to the frontend, which posts
+// the code and state to the callback below.
+router.post('/oauth/:provider/start', loadProvider, async (req, res) => {
+  try {
+    const { authorizationUrl, state } = await oauthService.startAuthorization(req.provider);
+
+    res.json({
+      success: true,
+      data: { authorizationUrl, state }
+    });
+
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start sign-in'
+    });
+  }
+});
+
+// Finish signing in with a provider
+// Body: { code, state }
+router.post('/oauth/:provider/callback', loadProvider, rateLimiter('oauthCallback'), async (req, res) => {
+  try {
+    const stateRecord = await oauthService.consumeState(req.provider, req.body.state, 'signin');
+    if (!stateRecord) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in state'
+      });
+    }
+
+    const { profile, error } = await oauthService.completeAuthorization(req.provider, req.body.code, stateRecord);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const account = await oauthService.resolveUser(profile);
+    if (!account.uid) {
+      return res.status(account.status).json({
+        success: false,
+        message: account.message,
+        ...(account.code && { code: account.code })
+      });
+    }
+
+    const user = await userHelpers.getUserById(account.uid);
+
+    if (account.created) {
+      try {
+        await emailService.sendWelcomeEmail(user);
+      } catch (emailError) {
+        console.error('Failed to send welcome email:', emailError);
+      }
+    }
+
+    // The provider vouches for the password, not for the second factor
+    if (user.twoFactorEnabled) {
+      const ticket = await oauthService.issueTwoFactorTicket(user.uid, req.provider.id);
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor code required',
+        code: 'TWO_FACTOR_REQUIRED',
+        data: { ticket }
+      });
+    }
+
+    let session;
+    try {
+      session = await userHelpers.signInAsUser(user.uid);
+    } catch (signInError) {
+      if (signInError.code === 'auth/user-disabled') {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been disabled'
+        });
+      }
+      throw signInError;
+    }
+
+    res.status(account.created ? 201 : 200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...await completeSignIn(req, user, session),
+        created: account.created
+      }
+    });
+
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Sign-in failed. Please try again.'
+    });
+  }
+});
+
+// Finish an OAuth sign-in for an account with two-factor authentication.
+// Wrong codes count towards the account lockout like password failures,
+// and use up the ticket after a few tries.
+// Body: { ticket, code }
+router.post('/oauth/two-factor', rateLimiter('oauthTwoFactor'), async (req, res) => {
+  try {
+    const ticket = await oauthService.getTwoFactorTicket(req.body.ticket);
+    const user = ticket && await userHelpers.findUserById(ticket.uid);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in ticket'
+      });
+    }
+
+    const lock = await lockoutService.checkLock(user.email, req.ip);
+    if (lock) {
+      return respondLocked(res, lock);
+    }
+
+    const result = await twoFactorService.verify(ticket.uid, String(req.body.code || ''));
+    if (result.error) {
+      const usable = await oauthService.recordTwoFactorFailure(ticket);
+      const newLock = await recordLoginFailure(req, user.email);
+      if (newLock) {
+        return respondLocked(res, newLock);
+      }
+      return res.status(401).json({
+        success: false,
+        message: usable ? result.error : 'Too many wrong codes. Please sign in again.',
+        code: usable ? 'TWO_FACTOR_INVALID' : 'TWO_FACTOR_TICKET_EXPIRED'
+      });
+    }
+    await oauthService.deleteTwoFactorTicket(ticket);
+    await lockoutService.clearAccount(user.email);
+
+    let session;
+    try {
+      session = await userHelpers.signInAsUser(ticket.uid);
+    } catch (signInError) {
+      if (signInError.code === 'auth/user-disabled') {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been disabled'
+        });
+      }
+      throw signInError;
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeSignIn(req, user, session, { secondFactorAt: new Date() })
+    });
+
+  } catch (error) {
+    console.error('OAuth two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Sign-in failed. Please try again.'
+    });
+  }
+});
+
+// Providers linked to the caller's account
+router.get('/oauth/links', authenticateToken, async (req, res) => {
+  try {
+    const links = await oauthService.listLinks(req.uid);
+
+    res.json({
+      success: true,
+      data: {
+        links: links.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+        hasPassword: req.user.hasPassword !== false
+      }
+    });
+
+  } catch (error) {
+    console.error('List OAuth links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get linked accounts'
+    });
+  }
+});
+
+// Start linking a provider to the caller's account
+router.post('/oauth/:provider/link', authenticateToken, requireRecentSecondFactor(), loadProvider, async (req, res) => {
+  try {
+    const { authorizationUrl, state } = await oauthService.startAuthorization(req.provider, {
+      purpose: 'link',
+      uid: req.uid
+    });
+
+    res.json({
+      success: true,
+      data: { authorizationUrl, state }
+    });
+
+  } catch (error) {
+    console.error('OAuth link start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start linking'
+    });
+  }
+});
+
+// Finish linking a provider
+// Body: { code, state }
+router.post('/oauth/:provider/link/callback', authenticateToken, loadProvider, async (req, res) => {
+  try {
+    const stateRecord = await oauthService.consumeState(req.provider, req.body.state, 'link');
+    if (!stateRecord || stateRecord.uid !== req.uid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link state'
+      });
+    }
+
+    const { profile, error } = await oauthService.completeAuthorization(req.provider, req.body.code, stateRecord);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await oauthService.linkAccount(req.uid, profile);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${req.provider.name} account linked`,
+      data: {
+        link: {
+          provider: result.link.provider,
+          email: result.link.email,
+          linkedAt: result.link.linkedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('OAuth link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link account'
+    });
+  }
+});
+
+// Unlink a provider from the caller's account
+router.delete('/oauth/:provider/link', authenticateToken, requireRecentSecondFactor(), async (req, res) => {
+  try {
+    const result = await oauthService.unlinkAccount(req.user, req.params.provider);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlinked'
+    });
+
+  } catch (error) {
+    console.error('OAuth unlink error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink account'
+    });
+  }
+});
+
 // Get current user info (protected route)
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     res.json({
       success: true,
       data: {
-        user: {
-          id: req.user._id,
-          email: req.user.email,
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-          fullName: req.user.fullName,
-          isEmailVerified: req.user.isEmailVerified,
-          role: req.user.role,
-          subscription: req.user.subscription,
-          preferences: req.user.preferences,
-          lastLogin: req.user.lastLogin,
-          createdAt: req.user.createdAt,
-          updatedAt: req.user.updatedAt
-        }
+        user: formatUser(req.user)
       }
     });
 
@@ -0,0 +1,194 @@
+const express = require('express');
+const calibrationService = require('../services/calibrationService');
+const permissionService = require('../services/permissionService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load the calibration run named by :id if the caller owns it (or may
+// read all calibrations)
+const loadRun = async (req, res, next) => {
+  try {
+    const run = await calibrationService.getRun(req.params.id);
+
+    if (!run || (run.uid !== req.uid && !await permissionService.hasPermission(req.user, 'calibrations:read'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calibration not found'
+      });
+    }
+
+    req.calibration = run;
+    next();
+
+  } catch (error) {
+    console.error('Load calibration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load calibration'
+    });
+  }
+};
+
+// Admin: calibration quality over time
+// Query: from=<ISO date>  to=<ISO date>
+router.get('/admin/quality', authenticateToken, requirePermission('calibrations:read'), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    if ([from, to].some(date => date && isNaN(date.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const timeline = await calibrationService.getQualityTimeline({ from, to });
+
+    res.json({
+      success: true,
+      data: { timeline }
+    });
+
+  } catch (error) {
+    console.error('Get calibration quality error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calibration quality'
+    });
+  }
+});
+
+// Store a calibration run
+// Body: { deviceId, screen, points: [{ target, samples }], model: { type, coefficients }, sessionId? }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const validationError = calibrationService.validateRunInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const run = await calibrationService.createRun(req.uid, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calibration stored',
+      data: { calibration: run }
+    });
+
+  } catch (error) {
+    console.error('Create calibration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store calibration'
+    });
+  }
+});
+
+// List the current user's calibrations
+// Query: deviceId=<id>
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const runs = await calibrationService.listRuns(req.uid, { deviceId: req.query.deviceId });
+
+    res.json({
+      success: true,
+      data: {
+        calibrations: runs.map(({ points, ...run }) => run)
+      }
+    });
+
+  } catch (error) {
+    console.error('List calibrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calibrations'
+    });
+  }
+});
+
+// Latest valid calibration for a device
+router.get('/latest', authenticateToken, async (req, res) => {
+  try {
+    if (!req.query.deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'deviceId is required'
+      });
+    }
+
+    const run = await calibrationService.getLatestValid(req.uid, req.query.deviceId);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'No valid calibration for this device'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { calibration: run }
+    });
+
+  } catch (error) {
+    console.error('Get latest calibration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calibration'
+    });
+  }
+});
+
+// Get a calibration run
+router.get('/:id', authenticateToken, loadRun, (req, res) => {
+  res.json({
+    success: true,
+    data: { calibration: req.calibration }
+  });
+});
+
+// Submit a validation pass for a calibration run
+// Body: { points: [{ target, samples }], maxAccuracyDeg? }
+router.post('/:id/validation', authenticateToken, loadRun, async (req, res) => {
+  try {
+    const { points, maxAccuracyDeg } = req.body;
+
+    const pointsError = calibrationService.validatePoints(points);
+    if (pointsError) {
+      return res.status(400).json({
+        success: false,
+        message: pointsError
+      });
+    }
+
+    if (maxAccuracyDeg !== undefined && (typeof maxAccuracyDeg !== 'number' || !(maxAccuracyDeg > 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxAccuracyDeg must be a positive number'
+      });
+    }
+
+    const run = await calibrationService.validateRun(req.calibration, points, { maxAccuracyDeg });
+
+    res.json({
+      success: true,
+      message: run.validation.passed ? 'Calibration is valid' : 'Calibration failed validation',
+      data: {
+        calibration: run
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate calibration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate calibration'
+    });
+  }
+});
+
+module.exports = router;
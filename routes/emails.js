@@ -0,0 +1,119 @@
+const express = require('express');
+const emailOutboxService = require('../services/emailOutboxService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape an outbox message for API responses. Bodies are never returned:
+// they hold verification and reset links.
+const formatMessage = (message) => ({
+  id: message.id,
+  to: message.to,
+  kind: message.kind,
+  language: message.language,
+  subject: message.subject,
+  status: message.status,
+  attempts: message.attempts,
+  maxAttempts: emailOutboxService.MAX_ATTEMPTS,
+  lastError: message.lastError,
+  nextAttemptAt: message.nextAttemptAt,
+  messageId: message.messageId,
+  createdAt: message.createdAt,
+  sentAt: message.sentAt
+});
+
+router.use(authenticateToken, requirePermission('emails:manage'));
+
+// Delivery status of outgoing email, newest first
+// Query: status? (pending, sending, sent or dead), to?
+router.get('/', async (req, res) => {
+  try {
+    const { status, to } = req.query;
+    if (status && !emailOutboxService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${emailOutboxService.STATUSES.join(', ')}`
+      });
+    }
+
+    const messages = await emailOutboxService.listMessages({ status, to });
+    const counts = await emailOutboxService.countByStatus();
+
+    res.json({
+      success: true,
+      data: {
+        messages: messages.map(formatMessage),
+        counts
+      }
+    });
+
+  } catch (error) {
+    console.error('List emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get emails'
+    });
+  }
+});
+
+// One message's delivery status
+router.get('/:id', async (req, res) => {
+  try {
+    const message = await emailOutboxService.getMessage(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: formatMessage(message) }
+    });
+
+  } catch (error) {
+    console.error('Get email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get email'
+    });
+  }
+});
+
+// Send a dead-lettered message again, with a fresh set of attempts
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const message = await emailOutboxService.getMessage(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    if (message.status !== 'dead') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only dead-lettered emails can be retried'
+      });
+    }
+
+    const result = await emailOutboxService.retry(message);
+
+    res.json({
+      success: true,
+      message: result.status === 'sent' ? 'Email sent' : 'Email queued for retry',
+      data: { message: formatMessage(result) }
+    });
+
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry email'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const exportService = require('../services/exportService');
+const analysisService = require('../services/analysisService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { loadSession } = require('../middleware/sessions');
+
+const router = express.Router();
+
+// Download a session's samples, events and AOI metrics.
+// Query: format=csv|ndjson|columnar|bids  table=samples|events|aoi-metrics
+// csv and columnar hold a single table (samples by default); ndjson and
+// bids include everything that is available.
+router.get('/:id/export', authenticateToken, requirePermission('exports:create'), loadSession('export'), async (req, res) => {
+  try {
+    const session = req.trackingSession;
+
+    const { options, error } = exportService.parseOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (exportService.needsAnalysis(options) && !await analysisService.getAnalysis(session.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session has not been analyzed yet'
+      });
+    }
+
+    const { contentType, filename } = exportService.describe(session, options);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    await exportService.write(session, options, res);
+    res.end();
+
+  } catch (error) {
+    console.error('Export session error:', error);
+
+    // Once streaming has started the status can no longer change; cut the
+    // response short so the client sees an incomplete download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export session'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,487 @@
+const express = require('express');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+const licenseService = require('../services/licenseService');
+const organizationService = require('../services/organizationService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Shape a license for API responses
+const formatLicense = (license) => ({
+  id: license.id,
+  key: license.key,
+  edition: license.edition,
+  editionName: licenseService.EDITIONS[license.edition].name,
+  licenseType: license.licenseType,
+  ownerUid: license.ownerUid,
+  organizationId: license.organizationId,
+  seats: license.seats,
+  ...(license.seatsUsed !== undefined && { seatsUsed: license.seatsUsed }),
+  offlineActivation: license.offlineActivation,
+  source: license.source,
+  issuedAt: license.issuedAt,
+  expiresAt: license.expiresAt,
+  revokedAt: license.revokedAt
+});
+
+const formatActivation = ({ machineHash, machinePublicKey, offlineNonce, ...activation }) => activation;
+
+// Answer a deactivation. Offline machines without a valid receipt keep
+// their seat until their certificate runs out.
+const respondReleased = (res, result) => {
+  if (result.released) {
+    return res.json({
+      success: true,
+      message: 'Machine deactivated'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'This machine was activated offline. Its seat is freed when its certificate expires, ' +
+      'or straight away with a deactivation receipt from the machine.',
+    code: 'SEAT_HELD_UNTIL_EXPIRY',
+    data: { heldUntil: result.heldUntil }
+  });
+};
+
+// Licensing needs a signing key (LICENSE_SIGNING_KEY)
+const requireLicensing = (req, res, next) => {
+  if (!licenseService.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Licensing is not configured'
+    });
+  }
+  next();
+};
+
+// Load the license named by :id if the caller has the given access to it:
+// its owner, members of its organization, or users with licenses:manage
+const loadLicense = (level) => {
+  return async (req, res, next) => {
+    try {
+      const license = await licenseService.getLicense(req.params.id);
+      const allowed = license && await organizationService.canAccess(req.user, {
+        ownerUid: license.ownerUid,
+        organizationId: license.organizationId
+      }, level, 'licenses');
+
+      if (!license || !allowed) {
+        return res.status(404).json({
+          success: false,
+          message: 'License not found'
+        });
+      }
+
+      req.license = license;
+      next();
+
+    } catch (error) {
+      console.error('Load license error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load license'
+      });
+    }
+  };
+};
+
+router.use(requireLicensing);
+
+// The key the desktop apps verify license keys and certificates with
+router.get('/public-key', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      algorithm: 'Ed25519',
+      publicKey: licenseService.getPublicKey()
+    }
+  });
+});
+
+// Activate a machine. Called by the desktop app; the key is the credential.
+// Calling again from an activated machine refreshes its certificate.
+// Body: { key, machineId, machineName? }
+router.post('/activate', rateLimiter('licenseActivation'), async (req, res) => {
+  try {
+    const { key, machineId, machineName } = req.body;
+
+    const machineError = licenseService.validateMachine({ machineId, machineName });
+    if (machineError) {
+      return res.status(400).json({
+        success: false,
+        message: machineError
+      });
+    }
+
+    const resolved = await licenseService.resolveKey(typeof key === 'string' ? key : '');
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+
+    const result = await licenseService.activate(resolved.license, { machineId, machineName });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Machine activated',
+      data: {
+        activation: formatActivation(result.activation),
+        certificate: result.certificate
+      }
+    });
+
+  } catch (error) {
+    console.error('Activate license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate license'
+    });
+  }
+});
+
+// Release this machine's seat. Called by the desktop app.
+// Body: { key, machineId, receipt? } - receipt for offline activations
+router.post('/deactivate', rateLimiter('licenseActivation'), async (req, res) => {
+  try {
+    const { key, machineId, receipt } = req.body;
+
+    const machineError = licenseService.validateMachine({ machineId });
+    if (machineError) {
+      return res.status(400).json({
+        success: false,
+        message: machineError
+      });
+    }
+
+    // Revoked and expired licenses can still give their seats back
+    const payload = licenseService.verify(key, licenseService.PURPOSES.LICENSE);
+    const license = payload && await licenseService.getLicense(payload.lid);
+    if (!license || license.key !== key.trim()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid license key'
+      });
+    }
+
+    const result = await licenseService.deactivate(license, machineId, receipt);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'This machine is not activated'
+      });
+    }
+
+    respondReleased(res, result);
+
+  } catch (error) {
+    console.error('Deactivate license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate license'
+    });
+  }
+});
+
+// Offline activation. The app on the offline machine writes a request file;
+// the user uploads it here from any connected computer and carries the
+// signed response file back.
+// Body: the request file's JSON
+router.post('/offline/activate', authenticateToken, rateLimiter('licenseActivation'), async (req, res) => {
+  try {
+    const parsed = licenseService.parseOfflineRequest(req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { licenseKey, machineId, machineName, nonce, machinePublicKey } = parsed.request;
+    const resolved = await licenseService.resolveKey(licenseKey);
+    const allowed = resolved.license && await organizationService.canAccess(req.user, {
+      ownerUid: resolved.license.ownerUid,
+      organizationId: resolved.license.organizationId
+    }, 'view', 'licenses');
+
+    if (resolved.error || !allowed) {
+      return res.status(resolved.status || 404).json({
+        success: false,
+        message: resolved.error || 'Invalid license key'
+      });
+    }
+
+    if (!resolved.license.offlineActivation) {
+      return res.status(403).json({
+        success: false,
+        message: 'This license does not allow offline activation'
+      });
+    }
+
+    const result = await licenseService.activate(resolved.license, { machineId, machineName, mode: 'offline', nonce, machinePublicKey });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Copy the response file to the offline machine to finish activation',
+      data: {
+        response: licenseService.offlineResponse(resolved.license, result.activation, result.certificate)
+      }
+    });
+
+  } catch (error) {
+    console.error('Offline activation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate license'
+    });
+  }
+});
+
+// The caller's licenses and those of their organizations
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const licenses = await licenseService.listForOwner(req.uid);
+    const memberships = await organizationService.listMemberships(req.uid);
+    for (const membership of memberships) {
+      licenses.push(...await licenseService.listForOrganization(membership.organizationId));
+    }
+
+    const withUsage = await licenseService.withUsage(licenses);
+
+    res.json({
+      success: true,
+      data: {
+        licenses: withUsage.map(formatLicense)
+      }
+    });
+
+  } catch (error) {
+    console.error('List licenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get licenses'
+    });
+  }
+});
+
+// Issue the caller a license from their plan
+// Body: { edition }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { edition } = req.body;
+    if (!licenseService.EDITIONS[edition]) {
+      return res.status(400).json({
+        success: false,
+        message: `edition must be one of: ${Object.keys(licenseService.EDITIONS).join(', ')}`
+      });
+    }
+
+    const result = await licenseService.issueForPlan(req.user, edition);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'License issued',
+      data: { license: formatLicense({ ...result.license, seatsUsed: 0 }) }
+    });
+
+  } catch (error) {
+    console.error('Issue license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue license'
+    });
+  }
+});
+
+// All licenses with their seat usage (licenses:manage)
+// Query: ownerUid?, organizationId?, edition?, active?
+router.get('/admin', authenticateToken, requirePermission('licenses:manage'), async (req, res) => {
+  try {
+    const { ownerUid, organizationId, edition, active } = req.query;
+
+    let licenses = ownerUid ? await licenseService.listForOwner(ownerUid)
+      : organizationId ? await licenseService.listForOrganization(organizationId)
+        : await licenseService.listAll();
+
+    if (edition) {
+      licenses = licenses.filter(license => license.edition === edition);
+    }
+    if (active !== undefined) {
+      const wanted = active === 'true';
+      const filtered = [];
+      for (const license of licenses) {
+        if (!(await licenseService.unusableReason(license)) === wanted) {
+          filtered.push(license);
+        }
+      }
+      licenses = filtered;
+    }
+
+    const withUsage = await licenseService.withUsage(licenses);
+
+    res.json({
+      success: true,
+      data: {
+        licenses: withUsage.map(formatLicense),
+        totals: {
+          licenses: withUsage.length,
+          seats: withUsage.reduce((sum, license) => sum + license.seats, 0),
+          seatsUsed: withUsage.reduce((sum, license) => sum + license.seatsUsed, 0)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('License usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get license usage'
+    });
+  }
+});
+
+// Issue a license to a user or organization (licenses:manage)
+// Body: { edition, ownerUid | organizationId, seats, durationDays?, offlineActivation? }
+router.post('/admin', authenticateToken, requirePermission('licenses:manage'), async (req, res) => {
+  try {
+    const validationError = licenseService.validateIssueInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { ownerUid, organizationId } = req.body;
+    const holder = ownerUid
+      ? await firestoreHelpers.getDocument(COLLECTIONS.USER_PROFILES, ownerUid)
+      : await organizationService.getOrganization(organizationId);
+    if (!holder) {
+      return res.status(404).json({
+        success: false,
+        message: ownerUid ? 'User not found' : 'Organization not found'
+      });
+    }
+
+    const license = await licenseService.issueLicense({
+      ...req.body,
+      source: 'manual',
+      issuedBy: req.uid
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'License issued',
+      data: { license: formatLicense({ ...license, seatsUsed: 0 }) }
+    });
+
+  } catch (error) {
+    console.error('Issue license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue license'
+    });
+  }
+});
+
+// Revoke a license (licenses:manage). Activated apps stop working when
+// their certificates run out.
+router.delete('/admin/:id', authenticateToken, requirePermission('licenses:manage'), async (req, res) => {
+  try {
+    const license = await licenseService.getLicense(req.params.id);
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    const revoked = license.revokedAt ? license : await licenseService.revokeLicense(license);
+
+    res.json({
+      success: true,
+      message: 'License revoked',
+      data: { license: formatLicense(revoked) }
+    });
+
+  } catch (error) {
+    console.error('Revoke license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke license'
+    });
+  }
+});
+
+// A license with the machines using it
+router.get('/:id', authenticateToken, loadLicense('view'), async (req, res) => {
+  try {
+    const activations = await licenseService.listSeatHolders(req.license.id);
+
+    res.json({
+      success: true,
+      data: {
+        license: formatLicense({ ...req.license, seatsUsed: activations.length }),
+        activations: activations.map(formatActivation)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get license error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get license'
+    });
+  }
+});
+
+// Free a seat held by a machine, e.g. one that was lost or wiped. Only
+// the license's owner (or an organization owner) can do this.
+// Body: { receipt? } - the offline machine's deactivation receipt
+router.delete('/:id/activations/:activationId', authenticateToken, loadLicense('manage'), async (req, res) => {
+  try {
+    const activation = await licenseService.getActivation(req.params.activationId);
+    if (!activation || activation.licenseId !== req.license.id || !licenseService.holdsSeat(activation)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Activation not found'
+      });
+    }
+
+    const result = await licenseService.release(activation, req.body && req.body.receipt);
+    respondReleased(res, result);
+
+  } catch (error) {
+    console.error('Remove activation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate machine'
+    });
+  }
+});
+
+module.exports = router;
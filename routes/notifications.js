@@ -0,0 +1,192 @@
+const express = require('express');
+const { userHelpers } = require('../config/database');
+const notificationService = require('../services/notificationService');
+const emailTemplateService = require('../services/emailTemplateService');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape a user's settings with the category descriptions
+const formatSettings = (settings) => Object.entries(notificationService.CATEGORIES).map(([id, category]) => ({
+  id,
+  name: category.name,
+  description: category.description,
+  required: !!category.required,
+  ...settings[id]
+}));
+
+const formatNotification = (notification) => ({
+  id: notification.id,
+  category: notification.category,
+  title: notification.title,
+  url: notification.url,
+  readAt: notification.readAt,
+  createdAt: notification.createdAt
+});
+
+// The user an unsubscribe token names, or null
+const resolveUnsubscribe = async (token) => {
+  const payload = notificationService.verifyUnsubscribeToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  try {
+    const user = await userHelpers.getUserById(payload.uid);
+    return { user, category: payload.category };
+  } catch (error) {
+    return null; // the account has been deleted
+  }
+};
+
+// Unsubscribe links are opened in a browser, so they answer with a page
+const sendUnsubscribePage = (res, { user, category, done, formAction }) => {
+  const language = emailTemplateService.languageFor(user);
+  const { html } = emailTemplateService.render('unsubscribe', language, {
+    user,
+    done,
+    all: category === 'all',
+    categoryName: category !== 'all' && notificationService.categoryName(category, language),
+    formAction
+  });
+  res.type('html').send(html);
+};
+
+// Confirm an unsubscribe from an email link. Mail scanners follow links,
+// so opening it changes nothing; the page's button posts back here.
+// Query: token
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const resolved = await resolveUnsubscribe(req.query.token);
+    if (!resolved) {
+      return res.status(404).type('text').send('This unsubscribe link is not valid.');
+    }
+
+    sendUnsubscribePage(res, {
+      ...resolved,
+      done: false,
+      formAction: `${req.baseUrl}/unsubscribe?token=${encodeURIComponent(req.query.token)}`
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).type('text').send('Something went wrong. Please try again later.');
+  }
+});
+
+// One-click unsubscribe (RFC 8058). Mail clients POST
+// "List-Unsubscribe=One-Click" here; the confirmation page's button does too.
+// Query: token
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const resolved = await resolveUnsubscribe(req.query.token);
+    if (!resolved) {
+      return res.status(404).type('text').send('This unsubscribe link is not valid.');
+    }
+
+    const categories = await notificationService.unsubscribe(resolved.user, resolved.category);
+    console.log(`🔕 ${resolved.user.uid} unsubscribed from ${categories.join(', ')} emails`);
+
+    sendUnsubscribePage(res, { ...resolved, done: true });
+
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).type('text').send('Something went wrong. Please try again later.');
+  }
+});
+
+// The caller's settings for every notification category
+router.get('/preferences', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      categories: formatSettings(notificationService.settingsFor(req.user)),
+      emailModes: notificationService.EMAIL_MODES
+    }
+  });
+});
+
+// Change notification settings. Categories left out keep theirs.
+// Body: { categories: { <category>: { email?: immediate|daily|weekly|off, inApp?: boolean } } }
+router.put('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { categories } = req.body;
+    const validationError = notificationService.validateSettings(categories);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const settings = await notificationService.updateSettings(req.user, categories);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { categories: formatSettings(settings) }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
+// The in-app notification feed, newest first
+// Query: unread? (true for unread only)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { notifications, unreadCount } = await notificationService.listForUser(req.uid, {
+      unread: req.query.unread === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map(formatNotification),
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications'
+    });
+  }
+});
+
+// Mark notifications read
+// Body: { ids? } - all of the caller's notifications when left out
+router.post('/read', authenticateToken, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length > 100 || !ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must be an array of up to 100 notification ids'
+      });
+    }
+
+    const marked = await notificationService.markRead(req.uid, ids || null);
+
+    res.json({
+      success: true,
+      message: `${marked} notification(s) marked read`
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications read'
+    });
+  }
+});
+
+module.exports = router;
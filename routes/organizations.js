@@ -0,0 +1,423 @@
+const express = require('express');
+const organizationService = require('../services/organizationService');
+const studyService = require('../services/studyService');
+const sessionService = require('../services/sessionService');
+const { userHelpers } = require('../config/database');
+const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const permissionService = require('../services/permissionService');
+const { authenticateToken, requireOrgRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shape an invitation for API responses, without its token hash
+const formatInvitation = ({ tokenHash, ...invitation }) => invitation;
+
+// Load the organization named by :orgId. Runs after requireOrgRole, so
+// only users with organizations:manage get here for an organization they
+// are not a member of.
+const loadOrganization = async (req, res, next) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.orgId);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    req.organization = organization;
+    next();
+
+  } catch (error) {
+    console.error('Load organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load organization'
+    });
+  }
+};
+
+// Accept an invitation as the signed in user
+// Body: { token }
+router.post('/invitations/accept', authenticateToken, async (req, res) => {
+  try {
+    if (typeof req.body.token !== 'string' || !req.body.token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token is required'
+      });
+    }
+
+    const result = await organizationService.acceptInvitation(req.user, req.body.token);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Joined ${result.organization.name}`,
+      data: {
+        organization: { ...result.organization, role: result.member.role }
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+});
+
+// Create an organization owned by the caller
+// Body: { name }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const validationError = organizationService.validateName(req.body.name);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const organization = await organizationService.createOrganization(req.user, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created',
+      data: {
+        organization: { ...organization, role: 'owner' }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create organization'
+    });
+  }
+});
+
+// Organizations the caller belongs to, with their role in each
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const organizations = await organizationService.listForUser(req.uid);
+
+    res.json({
+      success: true,
+      data: { organizations }
+    });
+
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get organizations'
+    });
+  }
+});
+
+// Get an organization
+router.get('/:orgId', authenticateToken, requireOrgRole('viewer'), loadOrganization, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      organization: {
+        ...req.organization,
+        role: req.membership ? req.membership.role : null
+      }
+    }
+  });
+});
+
+// Rename an organization
+// Body: { name }
+router.put('/:orgId', authenticateToken, requireOrgRole('owner'), loadOrganization, async (req, res) => {
+  try {
+    const validationError = organizationService.validateName(req.body.name);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const organization = await organizationService.updateOrganization(req.organization, req.body);
+
+    res.json({
+      success: true,
+      message: 'Organization updated',
+      data: { organization }
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update organization'
+    });
+  }
+});
+
+// Delete an organization with its memberships and invitations.
+// Organizations that still hold studies or sessions cannot be deleted.
+router.delete('/:orgId', authenticateToken, requireOrgRole('owner'), loadOrganization, async (req, res) => {
+  try {
+    const studies = await studyService.listOrganizationStudies(req.organization.id);
+    const sessions = await sessionService.listOrganizationSessions(req.organization.id);
+    if (studies.length > 0 || sessions.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Organization still has studies or sessions'
+      });
+    }
+
+    await organizationService.deleteOrganization(req.organization);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete organization'
+    });
+  }
+});
+
+// List members
+router.get('/:orgId/members', authenticateToken, requireOrgRole('viewer'), loadOrganization, async (req, res) => {
+  try {
+    const members = await organizationService.listMembers(req.organization.id);
+
+    res.json({
+      success: true,
+      data: { members }
+    });
+
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get members'
+    });
+  }
+});
+
+// Change a member's role
+// Body: { role }
+router.put('/:orgId/members/:uid', authenticateToken, requireOrgRole('owner'), loadOrganization, async (req, res) => {
+  try {
+    const validationError = organizationService.validateRole(req.body.role);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const member = await organizationService.getMembership(req.organization.id, req.params.uid);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const result = await organizationService.updateMemberRole(member, req.body.role);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: { member: result.member }
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update member'
+    });
+  }
+});
+
+// Remove a member. Members may remove themselves (leave); removing
+// anyone else requires the owner role.
+router.delete('/:orgId/members/:uid', authenticateToken, requireOrgRole('viewer'), loadOrganization, async (req, res) => {
+  try {
+    const leaving = req.params.uid === req.uid;
+    if (!leaving && !organizationService.hasRole(req.membership, 'owner') &&
+        !await permissionService.hasPermission(req.user, 'organizations:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const member = await organizationService.getMembership(req.organization.id, req.params.uid);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const result = await organizationService.removeMember(member);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: leaving ? 'Left organization' : 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+// Invite someone by email
+// Body: { email, role }
+router.post('/:orgId/invitations', authenticateToken, requireOrgRole('owner'), loadOrganization, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required'
+      });
+    }
+
+    const validationError = organizationService.validateRole(role);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { invitation, token } = await organizationService.createInvitation(req.organization.id, req.user, email, role);
+
+    // People who already have an account also get it in their feed. The
+    // email goes out whatever their settings, since the link is only in it.
+    try {
+      const invitee = await userHelpers.getUserByEmail(invitation.email);
+      if (invitee) {
+        await notificationService.notify(invitee, 'invitations', {
+          template: 'organization-invitation',
+          emailPath: `/accept-invitation?token=${token}`,
+          transactional: true,
+          showLink: true,
+          organization: req.organization,
+          inviterName: [req.user.firstName, req.user.lastName].filter(Boolean).join(' ') || req.user.email,
+          role
+        });
+      } else {
+        await emailService.sendOrganizationInvitationEmail(invitation.email, {
+          organization: req.organization,
+          inviter: req.user,
+          role,
+          token
+        });
+      }
+    } catch (emailError) {
+      console.error('Failed to send invitation email:', emailError);
+      await organizationService.deleteInvitation(invitation.id);
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send invitation email'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: { invitation: formatInvitation(invitation) }
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation'
+    });
+  }
+});
+
+// List pending invitations
+router.get('/:orgId/invitations', authenticateToken, requireOrgRole('owner'), loadOrganization, async (req, res) => {
+  try {
+    const invitations = await organizationService.listInvitations(req.organization.id);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(formatInvitation)
+      }
+    });
+
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invitations'
+    });
+  }
+});
+
+// Revoke an invitation
+router.delete('/:orgId/invitations/:invitationId', authenticateToken, requireOrgRole('owner'), loadOrganization, async (req, res) => {
+  try {
+    const invitation = await organizationService.getInvitation(req.params.invitationId);
+    if (!invitation || invitation.organizationId !== req.organization.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await organizationService.deleteInvitation(invitation.id);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,519 @@
+const express = require('express');
+const fs = require('fs');
+const releaseService = require('../services/releaseService');
+const notificationService = require('../services/notificationService');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape a release for API responses. Signed-in callers also learn which
+// artifacts they can download.
+const formatRelease = (release, { user, channels } = {}) => ({
+  id: release.id,
+  version: release.version,
+  channel: release.channel,
+  notes: release.notes,
+  publishedAt: release.publishedAt,
+  artifacts: release.artifacts.map(({ id, name, edition, fileName, size, sha256, minOs }) => ({
+    id,
+    name,
+    edition,
+    fileName,
+    size,
+    sha256,
+    ...(minOs && { minOs }),
+    ...(user && { available: !releaseService.downloadDeniedReason(user, channels, release, { edition }) })
+  }))
+});
+
+// Tell everyone about a release, after responding
+const announce = async (release) => {
+  const announced = await releaseService.markAnnounced(release);
+  notificationService.notifyEveryone('updates', {
+    template: 'product-update',
+    path: '/#download',
+    release: announced
+  }).catch(error => console.error('Release announcement error:', error));
+  return announced;
+};
+
+// The channel named in the query, if the caller may see it
+const resolveChannel = async (req, res) => {
+  const channel = req.query.channel || 'stable';
+  if (!releaseService.CHANNELS.includes(channel)) {
+    res.status(400).json({
+      success: false,
+      message: `channel must be one of: ${releaseService.CHANNELS.join(', ')}`
+    });
+    return null;
+  }
+
+  const channels = req.user ? await releaseService.channelsFor(req.user) : releaseService.CHANNELS.filter(name => name !== 'nightly');
+  if (!channels.includes(channel)) {
+    res.status(404).json({
+      success: false,
+      message: 'Channel not found'
+    });
+    return null;
+  }
+  return { channel, channels };
+};
+
+// Releases on a channel, newest first
+// Query: channel? (stable, beta or nightly; default stable)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const resolved = await resolveChannel(req, res);
+    if (!resolved) {
+      return;
+    }
+
+    const releases = await releaseService.listReleases(resolved.channel);
+
+    res.json({
+      success: true,
+      data: {
+        channel: resolved.channel,
+        releases: releases.map(release => formatRelease(release, { user: req.user, channels: resolved.channels }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List releases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get releases'
+    });
+  }
+});
+
+// The newest release on a channel
+// Query: channel?, artifact? (only releases that include it)
+router.get('/latest', optionalAuth, async (req, res) => {
+  try {
+    const resolved = await resolveChannel(req, res);
+    if (!resolved) {
+      return;
+    }
+
+    const release = await releaseService.getLatest(resolved.channel, req.query.artifact);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'No release found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { release: formatRelease(release, { user: req.user, channels: resolved.channels }) }
+    });
+
+  } catch (error) {
+    console.error('Latest release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get release'
+    });
+  }
+});
+
+// Update check for the desktop apps. Signed-in apps also get a download
+// link when their plan includes the edition.
+// Query: version, platform (windows, macos or lite), channel?, installId?
+// (a random id the app keeps, used to place it in staged rollouts)
+router.get('/updates', optionalAuth, async (req, res) => {
+  try {
+    if (!releaseService.canSignManifests()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Update manifests are not configured'
+      });
+    }
+
+    const resolved = await resolveChannel(req, res);
+    if (!resolved) {
+      return;
+    }
+
+    const check = { ...req.query, channel: resolved.channel };
+    const validationError = releaseService.validateUpdateCheck(check);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const update = await releaseService.findUpdate(check);
+    if (!update.release) {
+      return res.json({
+        success: true,
+        data: {
+          updateAvailable: false,
+          supported: !update.mandatory
+        }
+      });
+    }
+
+    const { release, artifact, mandatory } = update;
+    const canDownload = req.user && !releaseService.downloadDeniedReason(req.user, resolved.channels, release, artifact);
+    const baseUrl = releaseService.downloadBaseUrl(req);
+
+    res.json({
+      success: true,
+      data: {
+        updateAvailable: true,
+        supported: !mandatory,
+        mandatory,
+        release: formatRelease({ ...release, artifacts: [artifact] }),
+        manifest: releaseService.signManifest(update),
+        downloadPath: `/api/releases/${encodeURIComponent(release.id)}/artifacts/${artifact.id}/download`,
+        ...(canDownload && baseUrl && {
+          download: releaseService.createDownloadUrl(baseUrl, release, artifact, req.uid)
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Update check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check for updates'
+    });
+  }
+});
+
+// Fetch an installer through a signed URL from the download endpoint
+router.get('/files/:releaseId/:artifactId', async (req, res) => {
+  try {
+    const { releaseId, artifactId } = req.params;
+    if (!releaseService.verifyDownloadUrl(releaseId, artifactId, req.query)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const release = await releaseService.getRelease(releaseId);
+    const artifact = release && !release.yankedAt && release.artifacts.find(item => item.id === artifactId);
+    const filePath = artifact && releaseService.filePath(artifact.fileName);
+    if (!artifact || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    await releaseService.recordDownload(release, artifact);
+
+    res.set('X-Checksum-SHA256', artifact.sha256);
+    res.download(filePath, artifact.fileName, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Release file error:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to send file'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Release file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send file'
+    });
+  }
+});
+
+// Download counts per channel and release (releases:manage)
+router.get('/stats', authenticateToken, requirePermission('releases:manage'), async (req, res) => {
+  try {
+    const stats = await releaseService.getDownloadStats();
+
+    res.json({
+      success: true,
+      data: { stats }
+    });
+
+  } catch (error) {
+    console.error('Release stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get download statistics'
+    });
+  }
+});
+
+// Publish a release (releases:manage). Sizes and checksums are read from
+// the files in the releases directory where they are not given.
+// Body: { version, channel, notes?, rolloutPercentage?, artifacts: [{ id, fileName, size?, sha256?, minOs? }] }
+router.post('/', authenticateToken, requirePermission('releases:manage'), async (req, res) => {
+  try {
+    const validationError = releaseService.validateReleaseInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = await releaseService.publish(req.user, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Staged rollouts are announced when they reach everyone
+    if (releaseService.isReadyToAnnounce(result.release)) {
+      await announce(result.release);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Release published',
+      data: { release: formatRelease(result.release) }
+    });
+
+  } catch (error) {
+    console.error('Publish release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish release'
+    });
+  }
+});
+
+// Set the oldest version a channel supports (releases:manage). Older
+// installs are told to update before they can be used.
+// Body: { minimumVersion } - null to clear
+router.put('/channels/:channel', authenticateToken, requirePermission('releases:manage'), async (req, res) => {
+  try {
+    const { channel } = req.params;
+    if (!releaseService.CHANNELS.includes(channel)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Channel not found'
+      });
+    }
+
+    const { minimumVersion = null } = req.body;
+    const validationError = releaseService.validateMinimumVersion(minimumVersion);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const settings = await releaseService.setMinimumVersion(channel, minimumVersion, req.user);
+
+    res.json({
+      success: true,
+      message: 'Channel updated',
+      data: { channel, ...settings }
+    });
+
+  } catch (error) {
+    console.error('Update channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update channel'
+    });
+  }
+});
+
+// Change what share of installs is offered a release (releases:manage)
+// Body: { percentage }
+router.put('/:id/rollout', authenticateToken, requirePermission('releases:manage'), async (req, res) => {
+  try {
+    const validationError = releaseService.validatePercentage(req.body.percentage);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const release = await releaseService.getRelease(req.params.id);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Release not found'
+      });
+    }
+
+    const updated = await releaseService.setRolloutPercentage(release, req.body.percentage);
+    if (releaseService.isReadyToAnnounce(updated)) {
+      await announce(updated);
+    }
+
+    res.json({
+      success: true,
+      message: 'Rollout updated',
+      data: { release: { id: updated.id, version: updated.version, rollout: updated.rollout } }
+    });
+
+  } catch (error) {
+    console.error('Update rollout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update rollout'
+    });
+  }
+});
+
+// Pause or resume a release's rollout (releases:manage)
+router.post('/:id/rollout/:action(pause|resume)', authenticateToken, requirePermission('releases:manage'), async (req, res) => {
+  try {
+    const release = await releaseService.getRelease(req.params.id);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Release not found'
+      });
+    }
+
+    const paused = req.params.action === 'pause';
+    const updated = await releaseService.setRolloutPaused(release, req.user, paused);
+    if (releaseService.isReadyToAnnounce(updated)) {
+      await announce(updated);
+    }
+
+    res.json({
+      success: true,
+      message: paused ? 'Rollout paused' : 'Rollout resumed',
+      data: { release: { id: updated.id, version: updated.version, rollout: updated.rollout } }
+    });
+
+  } catch (error) {
+    console.error('Pause rollout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change rollout'
+    });
+  }
+});
+
+// Announce a release to everyone now, e.g. a beta or a staged rollout
+// (releases:manage). Releases are announced only once.
+router.post('/:id/announce', authenticateToken, requirePermission('releases:manage'), async (req, res) => {
+  try {
+    const release = await releaseService.getRelease(req.params.id);
+    if (!release || release.yankedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Release not found'
+      });
+    }
+
+    if (release.announcedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Release already announced'
+      });
+    }
+
+    const announced = await announce(release);
+
+    res.json({
+      success: true,
+      message: 'Release announced',
+      data: { release: { id: announced.id, version: announced.version, announcedAt: announced.announcedAt } }
+    });
+
+  } catch (error) {
+    console.error('Announce release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to announce release'
+    });
+  }
+});
+
+// Withdraw a release (releases:manage)
+router.delete('/:id', authenticateToken, requirePermission('releases:manage'), async (req, res) => {
+  try {
+    const release = await releaseService.getRelease(req.params.id);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        message: 'Release not found'
+      });
+    }
+
+    if (!release.yankedAt) {
+      await releaseService.yank(release);
+    }
+
+    res.json({
+      success: true,
+      message: 'Release withdrawn'
+    });
+
+  } catch (error) {
+    console.error('Yank release error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw release'
+    });
+  }
+});
+
+// A short-lived download link for one artifact, for users whose plan
+// includes its edition
+router.post('/:id/artifacts/:artifactId/download', authenticateToken, async (req, res) => {
+  try {
+    const release = await releaseService.getRelease(req.params.id);
+    const artifact = release && !release.yankedAt && release.artifacts.find(item => item.id === req.params.artifactId);
+    if (!artifact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Release not found'
+      });
+    }
+
+    const channels = await releaseService.channelsFor(req.user);
+    const deniedReason = releaseService.downloadDeniedReason(req.user, channels, release, artifact);
+    if (deniedReason) {
+      return res.status(403).json({
+        success: false,
+        message: deniedReason,
+        code: 'DOWNLOAD_NOT_AVAILABLE'
+      });
+    }
+
+    const baseUrl = releaseService.downloadBaseUrl(req);
+    if (!baseUrl) {
+      return res.status(503).json({
+        success: false,
+        message: 'Downloads are not configured'
+      });
+    }
+
+    const { url, expiresAt } = releaseService.createDownloadUrl(baseUrl, release, artifact, req.uid);
+
+    res.json({
+      success: true,
+      data: {
+        url,
+        expiresAt,
+        fileName: artifact.fileName,
+        size: artifact.size,
+        sha256: artifact.sha256
+      }
+    });
+
+  } catch (error) {
+    console.error('Download link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create download link'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const permissionService = require('../services/permissionService');
+const { authenticateToken, requirePermission, requireRecentSecondFactor } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load the role named by :roleId
+const loadRole = async (req, res, next) => {
+  try {
+    const role = await permissionService.getRole(req.params.roleId);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    req.role = role;
+    next();
+
+  } catch (error) {
+    console.error('Load role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load role'
+    });
+  }
+};
+
+// Roles can only grant permissions the caller holds themselves.
+// Returns the permissions that are missing.
+const missingPermissions = async (user, permissions) => {
+  const granted = await permissionService.getPermissions(user.role);
+  return permissions.filter(permission => !granted.has(permission));
+};
+
+// The permission registry
+router.get('/permissions', authenticateToken, requirePermission('users:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(permissionService.PERMISSIONS)
+        .map(([id, description]) => ({ id, description }))
+    }
+  });
+});
+
+// List roles
+router.get('/', authenticateToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const roles = await permissionService.listRoles();
+
+    res.json({
+      success: true,
+      data: { roles }
+    });
+
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get roles'
+    });
+  }
+});
+
+// Get a role
+router.get('/:roleId', authenticateToken, requirePermission('users:read'), loadRole, (req, res) => {
+  res.json({
+    success: true,
+    data: { role: req.role }
+  });
+});
+
+// Create a custom role
+// Body: { id, name, description?, permissions: [...], requireTwoFactor? }
+router.post('/', authenticateToken, requirePermission('roles:manage'), requireRecentSecondFactor(), async (req, res) => {
+  try {
+    const validationError = permissionService.validateRoleInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const missing = await missingPermissions(req.user, req.body.permissions);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Cannot grant permissions you do not have: ${missing.join(', ')}`
+      });
+    }
+
+    const role = await permissionService.createRole(req.body);
+    if (!role) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this id already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created',
+      data: { role }
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create role'
+    });
+  }
+});
+
+// Update a role. The admin role's permissions cannot be changed.
+// requireTwoFactor forces users with the role to enroll in two-factor
+// authentication before they can use anything but the auth endpoints.
+// Body: { name?, description?, permissions?, requireTwoFactor? }
+router.put('/:roleId', authenticateToken, requirePermission('roles:manage'), requireRecentSecondFactor(), loadRole, async (req, res) => {
+  try {
+    const validationError = permissionService.validateRoleInput(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (req.body.permissions !== undefined) {
+      if (!permissionService.isEditable(req.role)) {
+        return res.status(409).json({
+          success: false,
+          message: "This role's permissions cannot be changed"
+        });
+      }
+
+      const missing = await missingPermissions(req.user, req.body.permissions);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Cannot grant permissions you do not have: ${missing.join(', ')}`
+        });
+      }
+    }
+
+    const role = await permissionService.updateRole(req.role, req.body);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { role }
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// Delete a custom role that no user has
+router.delete('/:roleId', authenticateToken, requirePermission('roles:manage'), requireRecentSecondFactor(), loadRole, async (req, res) => {
+  try {
+    if (req.role.builtIn) {
+      return res.status(409).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await permissionService.countUsersWithRole(req.role.id);
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user(s)`
+      });
+    }
+
+    await permissionService.deleteRole(req.role);
+
+    res.json({
+      success: true,
+      message: 'Role deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const { userHelpers } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const analysisService = require('../services/analysisService');
+const aoiService = require('../services/aoiService');
+const studyService = require('../services/studyService');
+const organizationService = require('../services/organizationService');
+const permissionService = require('../services/permissionService');
+const notificationService = require('../services/notificationService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { loadSession } = require('../middleware/sessions');
+
+const router = express.Router();
+
+// Shape a session for API responses (chunk bookkeeping stays internal)
+const formatSession = ({ sequences, ...session }) => session;
+
+// Create a tracking session
+router.post('/', authenticateToken, requirePermission('sessions:create'), async (req, res) => {
+  try {
+    const validationError = sessionService.validateSessionInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // Sessions recorded for a study must name a consenting participant and
+    // belong to the study's organization
+    let link = null;
+    const { studyId, participantCode, organizationId } = req.body;
+    if (studyId !== undefined || participantCode !== undefined) {
+      const result = await studyService.checkSessionLink(req.user, { studyId, participantCode });
+      if (result.message) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+      link = {
+        studyId,
+        participantCode,
+        consentVersion: result.participant.consent.version,
+        organizationId: result.study.organizationId || null
+      };
+    } else if (organizationId !== undefined) {
+      const membership = typeof organizationId === 'string'
+        ? await organizationService.getMembership(organizationId, req.uid)
+        : null;
+      if (!organizationService.hasRole(membership, organizationService.ACCESS_LEVELS.edit)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions in this organization'
+        });
+      }
+      link = { organizationId };
+    }
+
+    const session = await sessionService.createSession(req.uid, req.body, link);
+
+    res.status(201).json({
+      success: true,
+      message: 'Session created',
+      data: {
+        session: formatSession(session),
+        maxSamplesPerChunk: sessionService.maxSamplesPerChunk,
+        maxChunks: sessionService.maxChunksPerSession
+      }
+    });
+
+  } catch (error) {
+    console.error('Create session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create session'
+    });
+  }
+});
+
+// List the current user's sessions, or an organization's
+// Query: organizationId=<id>
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { organizationId } = req.query;
+
+    if (organizationId) {
+      const membership = await organizationService.getMembership(organizationId, req.uid);
+      if (!membership && !await permissionService.hasPermission(req.user, 'sessions:read')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions in this organization'
+        });
+      }
+    }
+
+    const sessions = organizationId
+      ? await sessionService.listOrganizationSessions(organizationId)
+      : await sessionService.listSessions(req.uid);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(formatSession)
+      }
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+// Get a single session
+router.get('/:id', authenticateToken, loadSession(), async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      session: formatSession(req.trackingSession)
+    }
+  });
+});
+
+// Upload a chunk of gaze samples.
+// Requires an Idempotency-Key header so that retries are safe.
+router.post('/:id/chunks', authenticateToken, loadSession('edit'), async (req, res) => {
+  try {
+    const session = req.trackingSession;
+    const idempotencyKey = req.get('Idempotency-Key');
+    const { sequence, samples } = req.body;
+
+    if (!idempotencyKey || idempotencyKey.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key header is required (max 255 characters)'
+      });
+    }
+
+    if (!Number.isInteger(sequence) || sequence < 0 || sequence >= sessionService.maxChunksPerSession) {
+      return res.status(400).json({
+        success: false,
+        message: `sequence must be an integer from 0 to ${sessionService.maxChunksPerSession - 1}`
+      });
+    }
+
+    if (session.status !== sessionService.STATUS.RECORDING) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session has been finalized and no longer accepts samples'
+      });
+    }
+
+    const normalized = sessionService.normalizeSamples(samples);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error
+      });
+    }
+
+    const result = await sessionService.appendChunk(session, {
+      sequence,
+      samples: normalized.samples,
+      idempotencyKey
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: result.conflict
+      });
+    }
+
+    if (!result.created) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Chunk stored' : 'Chunk already stored',
+      data: {
+        chunk: result.chunk
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store samples'
+    });
+  }
+});
+
+// Finalize a session. If chunkCount is given, every sequence below it must
+// have been uploaded; otherwise the missing ones are reported.
+router.post('/:id/finalize', authenticateToken, loadSession('edit'), async (req, res) => {
+  try {
+    const session = req.trackingSession;
+    const { chunkCount, endedAt } = req.body;
+
+    if (session.status === sessionService.STATUS.COMPLETED) {
+      return res.json({
+        success: true,
+        message: 'Session already finalized',
+        data: {
+          session: formatSession(session)
+        }
+      });
+    }
+
+    if (chunkCount !== undefined) {
+      if (!Number.isInteger(chunkCount) || chunkCount < 0 || chunkCount > sessionService.maxChunksPerSession) {
+        return res.status(400).json({
+          success: false,
+          message: `chunkCount must be an integer from 0 to ${sessionService.maxChunksPerSession}`
+        });
+      }
+
+      const missing = sessionService.findMissingChunks(session, chunkCount);
+      if (missing.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Some chunks have not been uploaded',
+          code: 'CHUNKS_MISSING',
+          missing
+        });
+      }
+    }
+
+    if (endedAt !== undefined && isNaN(new Date(endedAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'endedAt must be a valid date'
+      });
+    }
+
+    const finalized = await sessionService.finalizeSession(session, { endedAt });
+
+    // Detect events with the default settings; it can be re-run later with
+    // other thresholds, so a failure here does not fail the request
+    let analysis = null;
+    try {
+      analysis = await analysisService.analyzeSession(finalized);
+    } catch (analysisError) {
+      console.error('Failed to analyze session:', analysisError);
+    }
+
+    // Let the owner know the analysis is ready
+    if (analysis) {
+      try {
+        const owner = finalized.uid === req.uid ? req.user : await userHelpers.getUserById(finalized.uid);
+        await notificationService.notify(owner, 'sessions', {
+          template: 'session-processed',
+          path: `/sessions/${finalized.id}`,
+          session: finalized,
+          analysis
+        });
+      } catch (notifyError) {
+        console.error('Failed to send session notification:', notifyError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Session finalized',
+      data: {
+        session: formatSession(finalized)
+      }
+    });
+
+  } catch (error) {
+    console.error('Finalize session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to finalize session'
+    });
+  }
+});
+
+// Delete a session and its samples
+router.delete('/:id', authenticateToken, loadSession('manage'), async (req, res) => {
+  try {
+    await analysisService.deleteAnalysis(req.trackingSession.id);
+    await aoiService.deleteSessionAois(req.trackingSession.id);
+    await sessionService.deleteSession(req.trackingSession);
+
+    res.json({
+      success: true,
+      message: 'Session deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete session'
+    });
+  }
+});
+
+module.exports = router;
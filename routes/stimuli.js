@@ -0,0 +1,82 @@
+const express = require('express');
+const renderService = require('../services/renderService');
+const sessionService = require('../services/sessionService');
+const organizationService = require('../services/organizationService');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_AGGREGATED_SESSIONS = 200;
+
+// Heatmap aggregated over several sessions recorded on the same stimulus.
+// Defaults to all of the caller's sessions on the stimulus; pass
+// sessions=<id>,<id> to choose (any sessions the caller can view).
+// Takes the same rendering options as the single session heatmap.
+router.get('/:stimulusId/heatmap', authenticateToken, async (req, res) => {
+  try {
+    const { options, error } = renderService.parseOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    let sessions;
+    if (req.query.sessions) {
+      const ids = [...new Set(req.query.sessions.split(',').filter(Boolean))];
+      if (ids.length > MAX_AGGREGATED_SESSIONS) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_AGGREGATED_SESSIONS} sessions can be aggregated`
+        });
+      }
+
+      sessions = [];
+      for (const id of ids) {
+        const session = await sessionService.getSession(id);
+        const allowed = session && await organizationService.canAccess(req.user, {
+          ownerUid: session.uid,
+          organizationId: session.organizationId
+        });
+        if (!allowed || sessionService.stimulusIdOf(session) !== req.params.stimulusId) {
+          return res.status(404).json({
+            success: false,
+            message: `Session ${id} not found for this stimulus`
+          });
+        }
+        sessions.push(session);
+      }
+    } else {
+      sessions = (await sessionService.listStimulusSessions(req.uid, req.params.stimulusId))
+        .slice(0, MAX_AGGREGATED_SESSIONS);
+    }
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No sessions found for this stimulus'
+      });
+    }
+
+    const result = await renderService.renderHeatmap(sessions, options);
+    if (result.error) {
+      return res.status(502).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.set('X-Session-Count', String(result.sessionCount));
+    res.type(result.contentType).send(result.body);
+
+  } catch (error) {
+    console.error('Render aggregated heatmap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render heatmap'
+    });
+  }
+});
+
+module.exports = router;
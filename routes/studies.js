@@ -0,0 +1,442 @@
+const express = require('express');
+const studyService = require('../services/studyService');
+const organizationService = require('../services/organizationService');
+const permissionService = require('../services/permissionService');
+const exportService = require('../services/exportService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Shape a study for API responses. Consent form texts are only returned
+// by the consent-forms endpoint.
+const formatStudy = ({ consentForms, ...study }) => study;
+
+// Load the study named by :id and check that the caller may access it at
+// the given level (see organizationService.ACCESS_LEVELS). Attaches it as
+// req.study.
+const loadStudy = (level = 'view') => async (req, res, next) => {
+  try {
+    const study = await studyService.getStudy(req.params.id);
+
+    if (!study) {
+      return res.status(404).json({
+        success: false,
+        message: 'Study not found'
+      });
+    }
+
+    if (!await studyService.canAccess(req.user, study, level)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    req.study = study;
+    next();
+
+  } catch (error) {
+    console.error('Load study error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load study'
+    });
+  }
+};
+
+// Load the participant named by :code within req.study
+const loadParticipant = async (req, res, next) => {
+  try {
+    const participant = await studyService.getParticipant(req.study.id, req.params.code);
+
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found'
+      });
+    }
+
+    req.participant = participant;
+    next();
+
+  } catch (error) {
+    console.error('Load participant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load participant'
+    });
+  }
+};
+
+// Create a study, optionally shared with an organization in which the
+// caller is at least a researcher
+// Body: { title, description?, consentText, organizationId? }
+router.post('/', authenticateToken, requirePermission('studies:create'), async (req, res) => {
+  try {
+    const validationError = studyService.validateStudyInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { organizationId } = req.body;
+    if (organizationId !== undefined) {
+      const membership = typeof organizationId === 'string'
+        ? await organizationService.getMembership(organizationId, req.uid)
+        : null;
+      if (!organizationService.hasRole(membership, organizationService.ACCESS_LEVELS.edit)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Creating studies requires the researcher role in the organization'
+        });
+      }
+    }
+
+    const study = await studyService.createStudy(req.uid, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Study created',
+      data: { study: formatStudy(study) }
+    });
+
+  } catch (error) {
+    console.error('Create study error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create study'
+    });
+  }
+});
+
+// List the caller's own and organization studies. Users with the
+// studies:read permission may pass all=true to see every study.
+// Query: organizationId=<id>
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { organizationId } = req.query;
+    const canReadAll = await permissionService.hasPermission(req.user, 'studies:read');
+    const all = req.query.all === 'true' && canReadAll;
+
+    if (organizationId && !canReadAll && !await organizationService.getMembership(organizationId, req.uid)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a member of this organization'
+      });
+    }
+
+    let studies;
+    if (organizationId) {
+      studies = await studyService.listOrganizationStudies(organizationId);
+    } else if (all) {
+      studies = await studyService.listAllStudies();
+    } else {
+      studies = await studyService.listStudies(req.uid);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        studies: studies.map(formatStudy)
+      }
+    });
+
+  } catch (error) {
+    console.error('List studies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get studies'
+    });
+  }
+});
+
+// Get a study
+router.get('/:id', authenticateToken, loadStudy(), (req, res) => {
+  res.json({
+    success: true,
+    data: { study: formatStudy(req.study) }
+  });
+});
+
+// Update a study
+// Body: { title?, description?, status? }
+router.put('/:id', authenticateToken, loadStudy('edit'), async (req, res) => {
+  try {
+    const validationError = studyService.validateStudyInput(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const study = await studyService.updateStudy(req.study, req.body);
+
+    res.json({
+      success: true,
+      message: 'Study updated',
+      data: { study: formatStudy(study) }
+    });
+
+  } catch (error) {
+    console.error('Update study error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update study'
+    });
+  }
+});
+
+// Delete a study and its participants. Studies with recorded sessions
+// cannot be deleted.
+router.delete('/:id', authenticateToken, loadStudy('manage'), async (req, res) => {
+  try {
+    const sessions = await studyService.listStudySessions(req.study.id);
+    if (sessions.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Study has recorded sessions; close it instead'
+      });
+    }
+
+    await studyService.deleteStudy(req.study);
+
+    res.json({
+      success: true,
+      message: 'Study deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete study error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete study'
+    });
+  }
+});
+
+// All versions of the study's consent form
+router.get('/:id/consent-forms', authenticateToken, loadStudy(), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      currentVersion: req.study.consentVersion,
+      consentForms: req.study.consentForms
+    }
+  });
+});
+
+// Publish a new consent form version
+// Body: { consentText }
+router.post('/:id/consent-forms', authenticateToken, loadStudy('edit'), async (req, res) => {
+  try {
+    const validationError = studyService.validateConsentText(req.body.consentText);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const study = await studyService.addConsentForm(req.study, req.body.consentText);
+
+    res.status(201).json({
+      success: true,
+      message: `Consent form version ${study.consentVersion} published`,
+      data: { study: formatStudy(study) }
+    });
+
+  } catch (error) {
+    console.error('Add consent form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish consent form'
+    });
+  }
+});
+
+// Enroll participants
+// Body: { code } for a chosen code, or { count } to generate codes
+router.post('/:id/participants', authenticateToken, loadStudy('edit'), async (req, res) => {
+  try {
+    const validationError = studyService.validateEnrollInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (req.study.status === studyService.STATUS.CLOSED) {
+      return res.status(409).json({
+        success: false,
+        message: 'Study is closed'
+      });
+    }
+
+    const { participants, conflicts } = await studyService.enrollParticipants(req.study, req.body);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Participant code is already in use'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${participants.length} participant(s) enrolled`,
+      data: { participants }
+    });
+
+  } catch (error) {
+    console.error('Enroll participants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enroll participants'
+    });
+  }
+});
+
+// List participants
+router.get('/:id/participants', authenticateToken, loadStudy(), async (req, res) => {
+  try {
+    const participants = await studyService.listParticipants(req.study.id);
+
+    res.json({
+      success: true,
+      data: {
+        participants: participants.map(participant => ({
+          ...participant,
+          hasCurrentConsent: studyService.hasCurrentConsent(req.study, participant)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List participants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get participants'
+    });
+  }
+});
+
+// Record a participant's consent
+// Body: { version } - must be the current consent form version
+router.post('/:id/participants/:code/consent', authenticateToken, loadStudy('edit'), loadParticipant, async (req, res) => {
+  try {
+    if (req.body.version !== req.study.consentVersion) {
+      return res.status(409).json({
+        success: false,
+        message: `Consent must be given to the current consent form (version ${req.study.consentVersion})`
+      });
+    }
+
+    const participant = await studyService.recordConsent(req.participant, req.body.version);
+
+    res.json({
+      success: true,
+      message: 'Consent recorded',
+      data: { participant }
+    });
+
+  } catch (error) {
+    console.error('Record consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record consent'
+    });
+  }
+});
+
+// Withdraw a participant's consent
+router.delete('/:id/participants/:code/consent', authenticateToken, loadStudy('edit'), loadParticipant, async (req, res) => {
+  try {
+    const participant = await studyService.withdrawConsent(req.participant);
+
+    res.json({
+      success: true,
+      message: 'Consent withdrawn',
+      data: { participant }
+    });
+
+  } catch (error) {
+    console.error('Withdraw consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw consent'
+    });
+  }
+});
+
+// Sessions recorded for the study
+// Query: participant=<code>
+router.get('/:id/sessions', authenticateToken, loadStudy(), async (req, res) => {
+  try {
+    const sessions = (await studyService.listStudySessions(req.study.id))
+      .filter(session => !req.query.participant || session.participantCode === req.query.participant);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(({ sequences, ...session }) => session)
+      }
+    });
+
+  } catch (error) {
+    console.error('List study sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get study sessions'
+    });
+  }
+});
+
+// Export the study
+// Query: format=csv|ndjson  table=sessions|participants (csv only)
+router.get('/:id/export', authenticateToken, requirePermission('exports:create'), loadStudy('export'), async (req, res) => {
+  try {
+    const { format = 'csv', table = 'sessions' } = req.query;
+
+    if (!exportService.STUDY_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${exportService.STUDY_FORMATS.join(', ')}`
+      });
+    }
+    if (!exportService.STUDY_TABLES.includes(table)) {
+      return res.status(400).json({
+        success: false,
+        message: `table must be one of: ${exportService.STUDY_TABLES.join(', ')}`
+      });
+    }
+
+    const sessions = await studyService.listStudySessions(req.study.id);
+    const participants = await studyService.listParticipants(req.study.id);
+
+    const filename = format === 'csv' ? `study_${req.study.id}_${table}.csv` : `study_${req.study.id}.ndjson`;
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+
+    await exportService.writeStudy(req.study, { format, table }, { sessions, participants }, res);
+    res.end();
+
+  } catch (error) {
+    console.error('Export study error:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export study'
+    });
+  }
+});
+
+module.exports = router;
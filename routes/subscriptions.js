@@ -0,0 +1,191 @@
+const express = require('express');
+const { userHelpers, firestoreHelpers, COLLECTIONS } = require('../config/database');
+const subscriptionService = require('../services/subscriptionService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load the user named by :userId
+const loadTargetUser = async (req, res, next) => {
+  try {
+    const profile = await firestoreHelpers.getDocument(COLLECTIONS.USER_PROFILES, req.params.userId);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.targetUser = await userHelpers.getUserById(req.params.userId);
+    next();
+
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load user'
+    });
+  }
+};
+
+// Available plans and their features
+router.get('/plans', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      plans: Object.values(subscriptionService.PLANS)
+        .map(({ id, name, features }) => ({ id, name, features }))
+    }
+  });
+});
+
+// The caller's plan
+router.get('/', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: { subscription: subscriptionService.describe(req.user) }
+  });
+});
+
+// Stop the caller's plan from renewing. Stripe-billed plans are canceled
+// in the billing portal and reach us through the webhook.
+router.post('/cancel', authenticateToken, async (req, res) => {
+  try {
+    const current = subscriptionService.describe(req.user);
+
+    if (current.subscribedPlan === 'free' || current.status === 'expired') {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no paid plan to cancel'
+      });
+    }
+    if (current.source === 'stripe') {
+      return res.status(409).json({
+        success: false,
+        message: 'Manage this plan in the billing portal'
+      });
+    }
+
+    await subscriptionService.cancel(req.user);
+    const user = await userHelpers.getUserById(req.uid);
+
+    res.json({
+      success: true,
+      message: 'Your plan will not renew',
+      data: { subscription: subscriptionService.describe(user) }
+    });
+
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription'
+    });
+  }
+});
+
+// A user's plan (subscriptions:manage)
+router.get('/users/:userId', authenticateToken, requirePermission('subscriptions:manage'), loadTargetUser, (req, res) => {
+  res.json({
+    success: true,
+    data: { subscription: subscriptionService.describe(req.targetUser) }
+  });
+});
+
+// Put a user on a plan, starting now (subscriptions:manage)
+// Body: { plan, durationDays? | endDate? } - endDate null for no end date
+router.put('/users/:userId', authenticateToken, requirePermission('subscriptions:manage'), loadTargetUser, async (req, res) => {
+  try {
+    const validationError = subscriptionService.validateGrantInput(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { plan, durationDays, endDate } = req.body;
+    if (plan === 'free') {
+      await subscriptionService.expire(req.targetUser);
+    } else {
+      await subscriptionService.grant(req.targetUser, plan, { durationDays, endDate });
+    }
+
+    const user = await userHelpers.getUserById(req.targetUser.uid);
+
+    res.json({
+      success: true,
+      message: 'Subscription updated',
+      data: { subscription: subscriptionService.describe(user) }
+    });
+
+  } catch (error) {
+    console.error('Grant subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update subscription'
+    });
+  }
+});
+
+// Extend a user's plan (subscriptions:manage)
+// Body: { durationDays? | endDate? }
+router.post('/users/:userId/renew', authenticateToken, requirePermission('subscriptions:manage'), loadTargetUser, async (req, res) => {
+  try {
+    const current = subscriptionService.describe(req.targetUser);
+    if (current.subscribedPlan === 'free' || current.status === 'expired') {
+      return res.status(409).json({
+        success: false,
+        message: 'User has no paid plan to renew'
+      });
+    }
+
+    const validationError = subscriptionService.validateGrantInput({ ...req.body, plan: current.subscribedPlan });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { durationDays, endDate } = req.body;
+    await subscriptionService.renew(req.targetUser, { durationDays, endDate });
+    const user = await userHelpers.getUserById(req.targetUser.uid);
+
+    res.json({
+      success: true,
+      message: 'Subscription renewed',
+      data: { subscription: subscriptionService.describe(user) }
+    });
+
+  } catch (error) {
+    console.error('Renew subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to renew subscription'
+    });
+  }
+});
+
+// End a user's plan now (subscriptions:manage)
+router.delete('/users/:userId', authenticateToken, requirePermission('subscriptions:manage'), loadTargetUser, async (req, res) => {
+  try {
+    await subscriptionService.expire(req.targetUser);
+    const user = await userHelpers.getUserById(req.targetUser.uid);
+
+    res.json({
+      success: true,
+      message: 'Subscription ended',
+      data: { subscription: subscriptionService.describe(user) }
+    });
+
+  } catch (error) {
+    console.error('End subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end subscription'
+    });
+  }
+});
+
+module.exports = router;
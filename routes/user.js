@@ -1,34 +1,62 @@
 const express = require('express');
-const User = require('../models/User');
+const { userHelpers, firestoreHelpers, toDate, COLLECTIONS } = require('../config/database');
+const permissionService = require('../services/permissionService');
+const oauthService = require('../services/oauthService');
+const subscriptionService = require('../services/subscriptionService');
+const licenseService = require('../services/licenseService');
+const emailOutboxService = require('../services/emailOutboxService');
+const notificationService = require('../services/notificationService');
+const emailTemplateService = require('../services/emailTemplateService');
+const apiKeyService = require('../services/apiKeyService');
+const signInService = require('../services/signInService');
 const { 
   authenticateToken, 
   requireEmailVerification, 
-  requireAdmin,
-  sensitiveOperationLimiter 
+  requirePermission,
+  requireRecentSecondFactor
 } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Shape a user record for API responses
+const formatUser = (user) => ({
+  uid: user.uid || user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+  isEmailVerified: !!user.emailVerified,
+  twoFactorEnabled: !!user.twoFactorEnabled,
+  linkedProviders: user.oauthProviders || [],
+  role: user.role,
+  subscription: user.subscription,
+  preferences: user.preferences,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Check a password by signing in with it
+const isPasswordValid = async (email, password) => {
+  try {
+    await userHelpers.signInWithPassword(email, password);
+    return true;
+  } catch (error) {
+    if (error.code === 'auth/invalid-credential') {
+      return false;
+    }
+    throw error;
+  }
+};
+
 // Get user profile (protected)
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     res.json({
       success: true,
       data: {
-        user: {
-          id: req.user._id,
-          email: req.user.email,
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-          fullName: req.user.fullName,
-          isEmailVerified: req.user.isEmailVerified,
-          role: req.user.role,
-          subscription: req.user.subscription,
-          preferences: req.user.preferences,
-          lastLogin: req.user.lastLogin,
-          createdAt: req.user.createdAt,
-          updatedAt: req.user.updatedAt
-        }
+        user: formatUser(req.user)
       }
     });
 
@@ -78,6 +106,30 @@ router.put('/profile', authenticateToken, async (req, res) => {
         }
       });
 
+      if (validPreferences.language !== undefined && !emailTemplateService.LANGUAGES.includes(validPreferences.language)) {
+        return res.status(400).json({
+          success: false,
+          message: `language must be one of: ${emailTemplateService.LANGUAGES.join(', ')}`
+        });
+      }
+
+      // Only the email/updates switches are set here; per-category
+      // settings go through /api/notifications/preferences
+      if (validPreferences.notifications !== undefined) {
+        const { email, updates: productUpdates } = validPreferences.notifications || {};
+        if ([email, productUpdates].some(value => value !== undefined && typeof value !== 'boolean')) {
+          return res.status(400).json({
+            success: false,
+            message: 'notifications.email and notifications.updates must be true or false'
+          });
+        }
+        validPreferences.notifications = {
+          ...(req.user.preferences && req.user.preferences.notifications),
+          ...(email !== undefined && { email }),
+          ...(productUpdates !== undefined && { updates: productUpdates })
+        };
+      }
+
       if (Object.keys(validPreferences).length > 0) {
         updates.preferences = { ...req.user.preferences, ...validPreferences };
       }
@@ -91,30 +143,14 @@ router.put('/profile', authenticateToken, async (req, res) => {
     }
 
     // Update user
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user._id,
-      updates,
-      { new: true, runValidators: true }
-    );
+    await userHelpers.updateUserProfile(req.uid, updates);
+    const updatedUser = await userHelpers.getUserById(req.uid);
 
     res.json({
       success: true,
       message: 'Profile updated successfully',
       data: {
-        user: {
-          id: updatedUser._id,
-          email: updatedUser.email,
-          firstName: updatedUser.firstName,
-          lastName: updatedUser.lastName,
-          fullName: updatedUser.fullName,
-          isEmailVerified: updatedUser.isEmailVerified,
-          role: updatedUser.role,
-          subscription: updatedUser.subscription,
-          preferences: updatedUser.preferences,
-          lastLogin: updatedUser.lastLogin,
-          createdAt: updatedUser.createdAt,
-          updatedAt: updatedUser.updatedAt
-        }
+        user: formatUser(updatedUser)
       }
     });
 
@@ -142,7 +178,8 @@ router.put('/profile', authenticateToken, async (req, res) => {
 // Change password (protected)
 router.put('/change-password', 
   authenticateToken, 
-  sensitiveOperationLimiter(3, 15 * 60 * 1000), 
+  rateLimiter('changePassword'), 
+  requireRecentSecondFactor(),
   async (req, res) => {
     try {
       const { currentPassword, newPassword } = req.body;
@@ -161,17 +198,8 @@ router.put('/change-password',
         });
       }
 
-      // Get user with password
-      const user = await User.findById(req.user._id).select('+password');
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
       // Verify current password
-      const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+      const isCurrentPasswordValid = await isPasswordValid(req.user.email, currentPassword);
       if (!isCurrentPasswordValid) {
         return res.status(401).json({
           success: false,
@@ -180,8 +208,7 @@ router.put('/change-password',
       }
 
       // Update password
-      user.password = newPassword;
-      await user.save();
+      await userHelpers.updatePassword(req.uid, newPassword);
 
       res.json({
         success: true,
@@ -202,12 +229,16 @@ router.put('/change-password',
 router.delete('/account', 
   authenticateToken, 
   requireEmailVerification,
-  sensitiveOperationLimiter(2, 60 * 60 * 1000), // Very strict limit for account deletion
+  rateLimiter('deleteAccount'),
+  requireRecentSecondFactor(),
   async (req, res) => {
     try {
       const { password, confirmation } = req.body;
 
-      if (!password) {
+      // Accounts created through OAuth have no password to confirm with
+      const hasPassword = req.user.hasPassword !== false;
+
+      if (hasPassword && !password) {
         return res.status(400).json({
           success: false,
           message: 'Password is required to delete account'
@@ -221,26 +252,29 @@ router.delete('/account',
         });
       }
 
-      // Get user with password
-      const user = await User.findById(req.user._id).select('+password');
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
       // Verify password
-      const isPasswordValid = await user.comparePassword(password);
-      if (!isPasswordValid) {
+      const isPasswordCorrect = !hasPassword || await isPasswordValid(req.user.email, password);
+      if (!isPasswordCorrect) {
         return res.status(401).json({
           success: false,
           message: 'Password is incorrect'
         });
       }
 
-      // Delete user account
-      await User.findByIdAndDelete(user._id);
+      // Sign out every device and revoke API keys while the account exists
+      await signInService.revokeAll(req.uid);
+      await apiKeyService.revokeAll(req.uid);
+
+      // Delete user account and any outstanding one-time tokens
+      await userHelpers.deleteUser(req.uid);
+      await firestoreHelpers.deleteDocument(COLLECTIONS.EMAIL_VERIFICATION, req.uid);
+      await firestoreHelpers.deleteDocument(COLLECTIONS.PASSWORD_RESET, req.uid);
+      await firestoreHelpers.deleteDocument(COLLECTIONS.ACCOUNT_UNLOCK, req.uid);
+      await firestoreHelpers.deleteDocument(COLLECTIONS.TWO_FACTOR, req.uid);
+      await oauthService.deleteLinks(req.uid);
+      await licenseService.deleteForOwner(req.uid);
+      await emailOutboxService.deleteForRecipient(req.user.email);
+      await notificationService.deleteForUser(req.uid);
 
       res.json({
         success: true,
@@ -258,39 +292,39 @@ router.delete('/account',
 );
 
 // Admin routes
-// Get all users (admin only)
-router.get('/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+// Get all users (users:read)
+router.get('/admin/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const query = {};
-    
+    // Profiles are filtered in memory; the store only supports single-field queries
+    let users = await firestoreHelpers.getAllDocuments(COLLECTIONS.USER_PROFILES, 0);
+
     // Search filters
     if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, 'i');
-      query.$or = [
-        { firstName: searchRegex },
-        { lastName: searchRegex },
-        { email: searchRegex }
-      ];
+      const search = req.query.search.toLowerCase();
+      users = users.filter(user =>
+        [user.firstName, user.lastName, user.email].some(value =>
+          (value || '').toLowerCase().includes(search)
+        )
+      );
     }
 
     if (req.query.role) {
-      query.role = req.query.role;
+      users = users.filter(user => user.role === req.query.role);
     }
 
     if (req.query.verified !== undefined) {
-      query.isEmailVerified = req.query.verified === 'true';
+      const verified = req.query.verified === 'true';
+      users = users.filter(user => !!user.emailVerified === verified);
     }
 
-    const users = await User.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    users.sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0));
 
-    const total = await User.countDocuments(query);
+    const total = users.length;
+    users = users.slice(skip, skip + limit).map(formatUser);
 
     res.json({
       success: true,
@@ -315,36 +349,51 @@ router.get('/admin/users', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-// Update user role (admin only)
-router.put('/admin/users/:userId/role', authenticateToken, requireAdmin, async (req, res) => {
+// Update user role (users:manage). Callers can only change the role of
+// users whose permissions they hold themselves, and only to such a role.
+router.put('/admin/users/:userId/role', authenticateToken, requirePermission('users:manage'), requireRecentSecondFactor(), async (req, res) => {
   try {
     const { userId } = req.params;
     const { role } = req.body;
 
-    if (!['user', 'admin', 'premium'].includes(role)) {
+    if (typeof role !== 'string' || !await permissionService.getRole(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be: user, admin, or premium'
+        message: 'Invalid role'
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { role },
-      { new: true, runValidators: true }
-    );
+    const granted = await permissionService.getPermissions(req.user.role);
+    const withinGranted = (permissions) => [...permissions].every(permission => granted.has(permission));
+
+    if (!withinGranted(await permissionService.getPermissions(role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot assign a role with permissions you do not have'
+      });
+    }
 
-    if (!user) {
+    const profile = await firestoreHelpers.getDocument(COLLECTIONS.USER_PROFILES, userId);
+    if (!profile) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    if (!withinGranted(await permissionService.getPermissions(profile.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot change the role of a user with permissions you do not have'
+      });
+    }
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, userId, { role });
+
     res.json({
       success: true,
       message: 'User role updated successfully',
-      data: { user }
+      data: { user: formatUser({ ...profile, role }) }
     });
 
   } catch (error) {
@@ -356,26 +405,33 @@ router.put('/admin/users/:userId/role', authenticateToken, requireAdmin, async (
   }
 });
 
-// Get user statistics (admin only)
-router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
+// Get user statistics (users:read)
+router.get('/admin/stats', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments();
-    const verifiedUsers = await User.countDocuments({ isEmailVerified: true });
-    const unverifiedUsers = await User.countDocuments({ isEmailVerified: false });
-    const premiumUsers = await User.countDocuments({ 
-      'subscription.type': { $in: ['premium', 'enterprise'] } 
-    });
+    const users = await firestoreHelpers.getAllDocuments(COLLECTIONS.USER_PROFILES, 0);
+
+    const totalUsers = users.length;
+    const verifiedUsers = users.filter(user => user.emailVerified).length;
+    const unverifiedUsers = totalUsers - verifiedUsers;
+    const premiumUsers = users.filter(user => subscriptionService.hasPlan(user, 'professional')).length;
     
     // Users registered in the last 30 days
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const recentUsers = await User.countDocuments({ 
-      createdAt: { $gte: thirtyDaysAgo } 
-    });
+    const recentUsers = users.filter(user => toDate(user.createdAt) >= thirtyDaysAgo).length;
+
+    // Users by effective plan
+    const planStats = users.reduce((acc, user) => {
+      const plan = subscriptionService.getEffectivePlan(user.subscription).plan.id;
+      acc[plan] = (acc[plan] || 0) + 1;
+      return acc;
+    }, {});
 
     // Users by role
-    const roleStats = await User.aggregate([
-      { $group: { _id: '$role', count: { $sum: 1 } } }
-    ]);
+    const roleStats = users.reduce((acc, user) => {
+      const role = user.role || 'user';
+      acc[role] = (acc[role] || 0) + 1;
+      return acc;
+    }, {});
 
     res.json({
       success: true,
@@ -387,10 +443,8 @@ router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
           premiumUsers,
           recentUsers
         },
-        roleDistribution: roleStats.reduce((acc, curr) => {
-          acc[curr._id] = curr.count;
-          return acc;
-        }, {})
+        roleDistribution: roleStats,
+        planDistribution: planStats
       }
     });
 
@@ -0,0 +1,81 @@
+const express = require('express');
+const renderService = require('../services/renderService');
+const analysisService = require('../services/analysisService');
+const { authenticateToken } = require('../middleware/auth');
+const { loadSession } = require('../middleware/sessions');
+
+const router = express.Router();
+
+// Gaussian-smoothed gaze heatmap.
+// Query: format=svg|png  source=samples|fixations  width=<px>  sigma=<px>
+//        background=stimulus|none
+router.get('/:id/heatmap', authenticateToken, loadSession(), async (req, res) => {
+  try {
+    const { options, error } = renderService.parseOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await renderService.renderHeatmap([req.trackingSession], options);
+    if (result.error) {
+      return res.status(502).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.type(result.contentType).send(result.body);
+
+  } catch (error) {
+    console.error('Render heatmap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render heatmap'
+    });
+  }
+});
+
+// Numbered fixation scanpath.
+// Query: format=svg|png  width=<px>  background=stimulus|none
+router.get('/:id/scanpath', authenticateToken, loadSession(), async (req, res) => {
+  try {
+    const { options, error } = renderService.parseOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const analysis = await analysisService.getAnalysis(req.trackingSession.id);
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session has not been analyzed yet'
+      });
+    }
+
+    const fixations = await analysisService.getEvents(analysis, { types: ['fixation'] });
+    const result = await renderService.renderScanpath(req.trackingSession, fixations, options);
+    if (result.error) {
+      return res.status(502).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.type(result.contentType).send(result.body);
+
+  } catch (error) {
+    console.error('Render scanpath error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render scanpath'
+    });
+  }
+});
+
+module.exports = router;
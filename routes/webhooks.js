@@ -0,0 +1,45 @@
+const express = require('express');
+const stripeService = require('../services/stripeService');
+
+const router = express.Router();
+
+// Stripe events. Mounted ahead of the JSON body parser: the signature is
+// computed over the raw body.
+router.post('/stripe', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  try {
+    if (!stripeService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Stripe webhooks are not configured'
+      });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    const { event, error } = stripeService.verifyWebhook(rawBody, req.get('Stripe-Signature'));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await stripeService.handleEvent(event);
+    if (result.status === 'ignored') {
+      console.log(`ℹ️  Stripe event ${event.id} (${event.type}) ignored: ${result.reason}`);
+    }
+
+    res.json({
+      received: true,
+      status: result.status
+    });
+
+  } catch (error) {
+    console.error('Stripe webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+module.exports = router;
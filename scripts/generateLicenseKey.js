@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Generate the Ed25519 key pair that signs license keys and activation
+// certificates. Put the LICENSE_SIGNING_KEY line in .env and ship the
+// public key with the desktop apps.
+//
+//   node scripts/generateLicenseKey.js
+const crypto = require('crypto');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519', {
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+console.log(`LICENSE_SIGNING_KEY="${privateKey.trim().replace(/\n/g, '\\n')}\\n"`);
+console.log('');
+console.log('Public key for the desktop apps:');
+console.log(publicKey);
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Send a signed Stripe-style webhook to a running server, for trying the
+// subscription flow without a Stripe account.
+//
+//   node scripts/simulateStripeWebhook.js <event-type> --uid <uid> [options]
+//
+// Event types: checkout.session.completed, customer.subscription.created,
+// customer.subscription.updated, customer.subscription.deleted,
+// invoice.payment_failed
+//
+// Options:
+//   --uid <uid>               user the event is for (sent as metadata.uid)
+//   --plan <plan>             lite, professional or enterprise (default professional)
+//   --status <status>         Stripe subscription status (default active)
+//   --period-days <days>      length of the current billing period (default 30)
+//   --cancel-at-period-end    mark the subscription as canceling
+//   --customer <id>           Stripe customer id (default cus_sim_<uid>)
+//   --subscription <id>       Stripe subscription id (default sub_sim_<uid>)
+//   --url <url>               webhook URL (default http://localhost:$PORT/api/webhooks/stripe)
+//
+// The payload is signed with STRIPE_WEBHOOK_SECRET, as Stripe would.
+require('dotenv').config();
+const crypto = require('crypto');
+
+const parseArgs = (argv) => {
+  const [type, ...rest] = argv;
+  const options = { type };
+  for (let i = 0; i < rest.length; i++) {
+    const name = rest[i].replace(/^--/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (name === 'cancelAtPeriodEnd') {
+      options.cancelAtPeriodEnd = true;
+    } else {
+      options[name] = rest[++i];
+    }
+  }
+  return options;
+};
+
+const buildObject = (options) => {
+  const now = Math.floor(Date.now() / 1000);
+  const customer = options.customer || `cus_sim_${options.uid}`;
+  const subscription = options.subscription || `sub_sim_${options.uid}`;
+  const plan = options.plan || 'professional';
+  const periodEnd = now + Number(options.periodDays || 30) * 24 * 60 * 60;
+
+  switch (options.type) {
+    case 'checkout.session.completed':
+      return {
+        id: `cs_sim_${crypto.randomBytes(6).toString('hex')}`,
+        object: 'checkout.session',
+        customer,
+        subscription,
+        client_reference_id: options.uid,
+        metadata: { uid: options.uid, plan }
+      };
+
+    case 'invoice.payment_failed':
+      return {
+        id: `in_sim_${crypto.randomBytes(6).toString('hex')}`,
+        object: 'invoice',
+        customer,
+        subscription,
+        metadata: { uid: options.uid }
+      };
+
+    default:
+      return {
+        id: subscription,
+        object: 'subscription',
+        customer,
+        status: options.type === 'customer.subscription.deleted' ? 'canceled' : options.status || 'active',
+        cancel_at_period_end: Boolean(options.cancelAtPeriodEnd),
+        current_period_start: now,
+        current_period_end: periodEnd,
+        metadata: { uid: options.uid, plan },
+        items: {
+          data: [{ price: { id: `price_sim_${plan}`, lookup_key: plan }, current_period_end: periodEnd }]
+        }
+      };
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!options.type || !options.uid) {
+    console.error('Usage: node scripts/simulateStripeWebhook.js <event-type> --uid <uid> [--plan professional] [--status active]');
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error('STRIPE_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const event = {
+    id: `evt_sim_${crypto.randomBytes(8).toString('hex')}`,
+    object: 'event',
+    type: options.type,
+    created: Math.floor(Date.now() / 1000),
+    livemode: false,
+    data: { object: buildObject(options) }
+  };
+
+  const payload = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  const url = options.url || `http://localhost:${process.env.PORT || 5000}/api/webhooks/stripe`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': `t=${timestamp},v1=${signature}`
+    },
+    body: payload
+  });
+
+  console.log(`${event.type} ${event.id} -> ${response.status}`);
+  console.log(await response.text());
+  process.exit(response.ok ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('❌ Webhook simulation failed:', error.message);
+  process.exit(1);
+});
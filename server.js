@@ -1,55 +1,68 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-// Initialize Firebase
-require('./config/firebase');
+// Initialize the data store (Firestore or in-memory, see DATA_STORE)
+require('./config/database');
 
+const { rateLimiter } = require('./middleware/rateLimit');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
+const sessionRoutes = require('./routes/sessions');
+const analysisRoutes = require('./routes/analysis');
+const calibrationRoutes = require('./routes/calibrations');
+const aoiRoutes = require('./routes/aois');
+const visualizationRoutes = require('./routes/visualizations');
+const stimulusRoutes = require('./routes/stimuli');
+const exportRoutes = require('./routes/exports');
+const studyRoutes = require('./routes/studies');
+const organizationRoutes = require('./routes/organizations');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const subscriptionRoutes = require('./routes/subscriptions');
+const licenseRoutes = require('./routes/licenses');
+const releaseRoutes = require('./routes/releases');
+const emailRoutes = require('./routes/emails');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const subscriptionService = require('./services/subscriptionService');
+const emailOutboxService = require('./services/emailOutboxService');
+const notificationService = require('./services/notificationService');
+const gazeStream = require('./services/gazeStream');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const SUBSCRIPTION_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+const EMAIL_OUTBOX_INTERVAL = 30 * 1000; // 30 seconds
+const DIGEST_SWEEP_INTERVAL = 15 * 60 * 1000; // 15 minutes
 
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
+// Webhooks come from payment providers, not browsers: they are verified by
+// signature, read their raw body and are not rate limited per IP
+app.use('/api/webhooks', webhookRoutes);
+
+// Rate limiting (policies live in config/rateLimits.js)
+app.use(rateLimiter('global'));
 
 // Stricter rate limiting for auth routes
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // limit each IP to 10 auth requests per windowMs
-  message: 'Too many authentication attempts, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const authLimiter = rateLimiter('auth');
 
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Device-Name'],
+  exposedHeaders: ['Idempotent-Replayed', 'X-Session-Count', 'Content-Disposition']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Firebase is initialized in config/firebase.js
-console.log('🔥 Firebase connection established');
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({
@@ -63,6 +76,22 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/sessions', analysisRoutes);
+app.use('/api/sessions', visualizationRoutes);
+app.use('/api/sessions', exportRoutes);
+app.use('/api/calibrations', calibrationRoutes);
+app.use('/api/aois', aoiRoutes);
+app.use('/api/stimuli', stimulusRoutes);
+app.use('/api/studies', studyRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/admin/roles', roleRoutes);
+app.use('/api/admin/emails', emailRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/licenses', licenseRoutes);
+app.use('/api/releases', releaseRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -102,15 +131,34 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🔄 SIGTERM received, shutting down gracefully');
-  console.log('🔥 Firebase connections will be closed automatically');
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 W.E.T Backend API running on port ${PORT}`);
-  console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
-});
+// Start server (skipped when the app is required by tests)
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 W.E.T Backend API running on port ${PORT}`);
+    console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+  });
+
+  // Live gaze streaming shares the HTTP server
+  gazeStream.attach(server);
+
+  // Move plans whose grace period is over back to Free
+  setInterval(() => {
+    subscriptionService.expireLapsed().catch(error => console.error('Subscription expiry error:', error));
+  }, SUBSCRIPTION_SWEEP_INTERVAL).unref();
+
+  // Retry emails whose earlier attempts failed
+  setInterval(() => {
+    emailOutboxService.processDue().catch(error => console.error('Email outbox error:', error));
+  }, EMAIL_OUTBOX_INTERVAL).unref();
+
+  // Send daily and weekly notification digests that are due
+  setInterval(() => {
+    notificationService.sendDueDigests().catch(error => console.error('Notification digest error:', error));
+  }, DIGEST_SWEEP_INTERVAL).unref();
+}
 
 module.exports = app;
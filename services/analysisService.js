@@ -0,0 +1,105 @@
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+const sessionService = require('./sessionService');
+const gazeAnalysis = require('./gazeAnalysis');
+
+// Events are stored in pages so that long sessions stay under the
+// Firestore document size limit
+const EVENTS_PER_PAGE = 2000;
+
+const EVENT_TYPES = ['fixation', 'saccade', 'blink'];
+
+const pageId = (sessionId, page) => `${sessionId}_${String(page).padStart(6, '0')}`;
+
+class AnalysisService {
+  constructor() {
+    this.ALGORITHMS = gazeAnalysis.ALGORITHMS;
+    this.EVENT_TYPES = EVENT_TYPES;
+  }
+
+  // Classify a session's samples and replace any stored events
+  async analyzeSession(session, { algorithm = 'ivt', params } = {}) {
+    const samples = [];
+    for await (const sample of sessionService.iterateSamples(session)) {
+      samples.push(sample);
+    }
+
+    const result = gazeAnalysis.classify(samples, { algorithm, params, screen: session.screen });
+    const previous = await this.getAnalysis(session.id);
+
+    const pages = Math.ceil(result.events.length / EVENTS_PER_PAGE);
+    for (let page = 0; page < pages; page++) {
+      await firestoreHelpers.createDocument(COLLECTIONS.SESSION_EVENTS, pageId(session.id, page), {
+        sessionId: session.id,
+        page,
+        events: result.events.slice(page * EVENTS_PER_PAGE, (page + 1) * EVENTS_PER_PAGE)
+      });
+    }
+
+    // Drop pages left over from a previous, longer result
+    if (previous) {
+      for (let page = pages; page < previous.eventPages; page++) {
+        await firestoreHelpers.deleteDocument(COLLECTIONS.SESSION_EVENTS, pageId(session.id, page));
+      }
+    }
+
+    const analysis = {
+      sessionId: session.id,
+      uid: session.uid,
+      algorithm: result.algorithm,
+      params: result.params,
+      pixelsPerDegree: result.pixelsPerDegree,
+      summary: result.summary,
+      eventCount: result.events.length,
+      eventPages: pages,
+      analyzedAt: new Date()
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.SESSION_ANALYSES, session.id, analysis);
+    return analysis;
+  }
+
+  async getAnalysis(sessionId) {
+    return firestoreHelpers.getDocument(COLLECTIONS.SESSION_ANALYSES, sessionId);
+  }
+
+  // Iterate over stored events in start time order, one page at a time
+  async *iterateEvents(analysis) {
+    for (let page = 0; page < analysis.eventPages; page++) {
+      const doc = await firestoreHelpers.getDocument(COLLECTIONS.SESSION_EVENTS, pageId(analysis.sessionId, page));
+      if (doc) {
+        yield* doc.events;
+      }
+    }
+  }
+
+  // Stored events, optionally filtered by type and time range
+  async getEvents(analysis, { types, from, to } = {}) {
+    const events = [];
+    for await (const event of this.iterateEvents(analysis)) {
+      if (types && !types.includes(event.type)) {
+        continue;
+      }
+      if (from !== undefined && event.end < from) {
+        continue;
+      }
+      if (to !== undefined && event.start > to) {
+        continue;
+      }
+      events.push(event);
+    }
+    return events;
+  }
+
+  async deleteAnalysis(sessionId) {
+    const analysis = await this.getAnalysis(sessionId);
+    if (!analysis) {
+      return;
+    }
+    for (let page = 0; page < analysis.eventPages; page++) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.SESSION_EVENTS, pageId(sessionId, page));
+    }
+    await firestoreHelpers.deleteDocument(COLLECTIONS.SESSION_ANALYSES, sessionId);
+  }
+}
+
+module.exports = new AnalysisService();
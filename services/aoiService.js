@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+const sessionService = require('./sessionService');
+
+const AOI_SHAPES = ['rectangle', 'polygon'];
+
+const MAX_POLYGON_POINTS = 100;
+const MAX_NAME_LENGTH = 100;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (point) => point && isFiniteNumber(point.x) && isFiniteNumber(point.y);
+
+// Ray casting point-in-polygon test
+const insidePolygon = (x, y, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const contains = (aoi, x, y) => {
+  if (aoi.shape === 'rectangle') {
+    const { rect } = aoi;
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+  }
+  return insidePolygon(x, y, aoi.points);
+};
+
+class AoiService {
+  constructor() {
+    this.SHAPES = AOI_SHAPES;
+  }
+
+  // Validate an AOI definition. With partial set, only the fields present
+  // are checked (for updates). Returns an error message, or null.
+  validateAoiInput({ name, shape, rect, points, sessionId, stimulusId }, { partial = false } = {}) {
+    if (!partial || name !== undefined) {
+      if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return `name is required (max ${MAX_NAME_LENGTH} characters)`;
+      }
+    }
+
+    if (!partial || shape !== undefined) {
+      if (!AOI_SHAPES.includes(shape)) {
+        return `shape must be one of: ${AOI_SHAPES.join(', ')}`;
+      }
+
+      if (shape === 'rectangle' &&
+          (!isPoint(rect) || !isFiniteNumber(rect.width) || !isFiniteNumber(rect.height) ||
+           rect.width <= 0 || rect.height <= 0)) {
+        return 'rect must have numeric x and y and a positive width and height';
+      }
+
+      if (shape === 'polygon' &&
+          (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS ||
+           !points.every(isPoint))) {
+        return `points must be an array of 3 to ${MAX_POLYGON_POINTS} {x, y} vertices`;
+      }
+    }
+
+    for (const [field, value] of [['sessionId', sessionId], ['stimulusId', stimulusId]]) {
+      if (value !== undefined && value !== null && (typeof value !== 'string' || !value)) {
+        return `${field} must be a string`;
+      }
+    }
+
+    if (!partial && !sessionId && !stimulusId) {
+      return 'An AOI must be attached to a sessionId or a stimulusId';
+    }
+
+    return null;
+  }
+
+  // Keep only the geometry that belongs to the shape
+  geometryOf({ shape, rect, points }) {
+    return shape === 'rectangle'
+      ? { shape, rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }, points: null }
+      : { shape, rect: null, points: points.map(({ x, y }) => ({ x, y })) };
+  }
+
+  async createAoi(uid, input) {
+    const id = crypto.randomUUID();
+
+    const aoi = {
+      uid,
+      name: input.name.trim(),
+      ...this.geometryOf(input),
+      sessionId: input.sessionId || null,
+      stimulusId: input.stimulusId || null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.AOIS, id, aoi);
+    return { id, ...aoi };
+  }
+
+  async getAoi(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.AOIS, id);
+  }
+
+  async updateAoi(aoi, input) {
+    const updates = { updatedAt: new Date() };
+
+    if (input.name !== undefined) {
+      updates.name = input.name.trim();
+    }
+    if (input.shape !== undefined) {
+      Object.assign(updates, this.geometryOf(input));
+    }
+    for (const field of ['sessionId', 'stimulusId']) {
+      if (input[field] !== undefined) {
+        updates[field] = input[field] || null;
+      }
+    }
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.AOIS, aoi.id, updates);
+    return { ...aoi, ...updates };
+  }
+
+  async deleteAoi(id) {
+    await firestoreHelpers.deleteDocument(COLLECTIONS.AOIS, id);
+  }
+
+  // Remove the AOIs attached to a session (stimulus AOIs are kept)
+  async deleteSessionAois(sessionId) {
+    const aois = await firestoreHelpers.queryDocuments(COLLECTIONS.AOIS, 'sessionId', '==', sessionId);
+    for (const aoi of aois) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.AOIS, aoi.id);
+    }
+  }
+
+  // The caller's AOIs, optionally limited to one session or stimulus
+  async listAois(uid, { sessionId, stimulusId } = {}) {
+    const aois = await firestoreHelpers.queryDocuments(COLLECTIONS.AOIS, 'uid', '==', uid);
+    return aois
+      .filter(aoi => (!sessionId || aoi.sessionId === sessionId) && (!stimulusId || aoi.stimulusId === stimulusId))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // AOIs that apply to a session: those attached to the session itself and
+  // those its owner defined on the session's stimulus
+  async getAoisForSession(session) {
+    const aois = await firestoreHelpers.queryDocuments(COLLECTIONS.AOIS, 'sessionId', '==', session.id);
+
+    const stimulusId = sessionService.stimulusIdOf(session);
+    if (stimulusId) {
+      const stimulusAois = await firestoreHelpers.queryDocuments(COLLECTIONS.AOIS, 'stimulusId', '==', stimulusId);
+      stimulusAois
+        .filter(aoi => aoi.uid === session.uid && !aois.some(existing => existing.id === aoi.id))
+        .forEach(aoi => aois.push(aoi));
+    }
+
+    return aois.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Per-AOI metrics from fixations sorted by start time. Times are in ms;
+  // time to first fixation is measured from onset.
+  //   visits:      runs of consecutive fixations inside the AOI
+  //   revisits:    visits after the first
+  //   transitions: counts of moves from one AOI to the next, ignoring
+  //                fixations outside every AOI. Where AOIs overlap the
+  //                first one in the list wins.
+  computeMetrics(aois, fixations, { onset = 0 } = {}) {
+    const metrics = aois.map(aoi => ({
+      id: aoi.id,
+      name: aoi.name,
+      timeToFirstFixation: null,
+      firstFixationDuration: null,
+      dwellTime: 0,
+      fixationCount: 0,
+      visitCount: 0,
+      revisits: 0
+    }));
+
+    const matrix = aois.map(() => aois.map(() => 0));
+    const previousHit = aois.map(() => false);
+    let lastAoi = null;
+    let outsideCount = 0;
+
+    fixations.forEach(fixation => {
+      const hits = aois.map(aoi => contains(aoi, fixation.x, fixation.y));
+
+      hits.forEach((hit, i) => {
+        if (hit) {
+          const entry = metrics[i];
+          if (entry.timeToFirstFixation === null) {
+            entry.timeToFirstFixation = Math.max(0, fixation.start - onset);
+            entry.firstFixationDuration = fixation.duration;
+          }
+          entry.dwellTime += fixation.duration;
+          entry.fixationCount++;
+          if (!previousHit[i]) {
+            entry.visitCount++;
+          }
+        }
+        previousHit[i] = hit;
+      });
+
+      const current = hits.indexOf(true);
+      if (current === -1) {
+        outsideCount++;
+        return;
+      }
+      if (lastAoi !== null && lastAoi !== current) {
+        matrix[lastAoi][current]++;
+      }
+      lastAoi = current;
+    });
+
+    metrics.forEach(entry => {
+      entry.revisits = Math.max(0, entry.visitCount - 1);
+    });
+
+    return {
+      onset,
+      fixationCount: fixations.length,
+      outsideFixationCount: outsideCount,
+      aois: metrics,
+      transitions: {
+        aoiIds: aois.map(aoi => aoi.id),
+        matrix
+      }
+    };
+  }
+}
+
+module.exports = new AoiService();
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { firestoreHelpers, toDate, COLLECTIONS } = require('../config/database');
+
+// What an API key may be used for. A key acts as its user, limited to its
+// scopes; account, organization and admin endpoints never accept keys.
+const SCOPES = {
+  'sessions:read': 'Read sessions, gaze data, events, AOIs and visualizations',
+  'sessions:write': 'Create sessions, upload gaze data, analyze and delete sessions',
+  'exports:create': 'Download session and study exports',
+  'studies:read': 'Read studies, participants and their sessions',
+  'studies:write': 'Create and change studies, enroll participants and record consent',
+  'calibrations:read': 'Read calibration runs',
+  'calibrations:write': 'Upload calibration and validation runs'
+};
+
+// API routers that accept keys, by mount path, and the scope family that
+// covers them. AOIs and stimulus heatmaps belong to session data.
+const SCOPED_ROUTES = {
+  '/api/sessions': 'sessions',
+  '/api/aois': 'sessions',
+  '/api/stimuli': 'sessions',
+  '/api/studies': 'studies',
+  '/api/calibrations': 'calibrations'
+};
+
+const KEY_PREFIX = 'wet_';
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = 365;
+const MAX_KEYS_PER_USER = 25;
+const MAX_NAME_LENGTH = 100;
+
+// lastUsedAt is only written when it is older than this, so busy scripts
+// do not cause a write per request
+const LAST_USED_RESOLUTION = 60 * 1000; // 1 minute
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  constructor() {
+    this.SCOPES = SCOPES;
+  }
+
+  // Whether a bearer token looks like an API key rather than an ID token
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  // Validate a new key request. Returns an error message, or null.
+  validateKeyInput({ name, scopes, expiresInDays }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return `name is required (max ${MAX_NAME_LENGTH} characters)`;
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return 'scopes must be a non-empty array';
+    }
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+      return `Unknown scopes: ${unknown.join(', ')}`;
+    }
+
+    if (expiresInDays !== undefined &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TTL_DAYS)) {
+      return `expiresInDays must be an integer between 1 and ${MAX_TTL_DAYS}`;
+    }
+
+    return null;
+  }
+
+  // Create a key. The plain key is only returned here; only its hash is
+  // stored. Returns { apiKey, key } or { error }.
+  async createKey(uid, { name, scopes, expiresInDays = DEFAULT_TTL_DAYS }) {
+    const active = (await this.listKeys(uid)).filter(apiKey => this.isActive(apiKey));
+    if (active.length >= MAX_KEYS_PER_USER) {
+      return { error: `At most ${MAX_KEYS_PER_USER} active API keys are allowed` };
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const id = crypto.randomUUID();
+    const now = new Date();
+
+    const apiKey = {
+      uid,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.API_KEYS, id, apiKey);
+    return { apiKey: { id, ...apiKey }, key };
+  }
+
+  async getKey(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.API_KEYS, id);
+  }
+
+  async listKeys(uid) {
+    const keys = await firestoreHelpers.queryDocuments(COLLECTIONS.API_KEYS, 'uid', '==', uid);
+    return keys.sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+  }
+
+  async revokeKey(apiKey) {
+    const revokedAt = new Date();
+    await firestoreHelpers.updateDocument(COLLECTIONS.API_KEYS, apiKey.id, { revokedAt });
+    return { ...apiKey, revokedAt };
+  }
+
+  // Revoke every active key a user holds. Returns how many were revoked.
+  async revokeAll(uid) {
+    const active = (await this.listKeys(uid)).filter(apiKey => !apiKey.revokedAt);
+    for (const apiKey of active) {
+      await this.revokeKey(apiKey);
+    }
+    return active.length;
+  }
+
+  isActive(apiKey) {
+    return !apiKey.revokedAt && toDate(apiKey.expiresAt) > new Date();
+  }
+
+  // Look up a presented key. Returns the key record, or { error } if it
+  // is unknown, revoked or expired.
+  async verifyKey(key) {
+    const [apiKey] = await firestoreHelpers.queryDocuments(COLLECTIONS.API_KEYS, 'keyHash', '==', hashKey(key));
+
+    if (!apiKey) {
+      return { error: 'Invalid API key' };
+    }
+    if (apiKey.revokedAt) {
+      return { error: 'API key revoked' };
+    }
+    if (toDate(apiKey.expiresAt) <= new Date()) {
+      return { error: 'API key expired' };
+    }
+
+    const lastUsedAt = toDate(apiKey.lastUsedAt);
+    if (!lastUsedAt || Date.now() - lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+      await firestoreHelpers.updateDocument(COLLECTIONS.API_KEYS, apiKey.id, { lastUsedAt: new Date() });
+    }
+
+    return apiKey;
+  }
+
+  // The scope a request needs, from the router it reached and its method.
+  // Returns null for endpoints that do not accept API keys.
+  scopeForRequest(method, baseUrl, path) {
+    const family = SCOPED_ROUTES[baseUrl];
+    if (!family) {
+      return null;
+    }
+
+    const reading = method === 'GET' || method === 'HEAD';
+    if (reading && /\/export$/.test(path)) {
+      return 'exports:create';
+    }
+
+    return `${family}:${reading ? 'read' : 'write'}`;
+  }
+
+  hasScope(apiKey, scope) {
+    return Boolean(scope) && apiKey.scopes.includes(scope);
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { firestoreHelpers, toDate, COLLECTIONS } = require('../config/database');
+const { pixelsPerDegree } = require('./gazeAnalysis');
+
+// A validation pass is accepted when the mean accuracy is within this many
+// degrees, unless the client asks for a stricter or looser limit
+const DEFAULT_MAX_ACCURACY = 1.5;
+
+const MAX_POINTS = 50;
+const MAX_SAMPLES_PER_POINT = 200;
+
+const CALIBRATION_STATUS = {
+  PENDING: 'pending', // stored, not validated yet
+  VALID: 'valid',
+  INVALID: 'invalid'
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPoint = (point) => point && isFiniteNumber(point.x) && isFiniteNumber(point.y);
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+class CalibrationService {
+  constructor() {
+    this.STATUS = CALIBRATION_STATUS;
+  }
+
+  // Validate a list of { target: {x, y}, samples: [{x, y}] } points.
+  // Returns an error message, or null.
+  validatePoints(points, { requireSamples = true } = {}) {
+    if (!Array.isArray(points) || points.length === 0) {
+      return 'points must be a non-empty array';
+    }
+    if (points.length > MAX_POINTS) {
+      return `At most ${MAX_POINTS} points are allowed`;
+    }
+
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i] || {};
+      if (!isPoint(point.target)) {
+        return `points[${i}].target must have numeric x and y`;
+      }
+      if (point.samples === undefined && !requireSamples) {
+        continue;
+      }
+      if (!Array.isArray(point.samples) || point.samples.length === 0) {
+        return `points[${i}].samples must be a non-empty array`;
+      }
+      if (point.samples.length > MAX_SAMPLES_PER_POINT) {
+        return `points[${i}] has more than ${MAX_SAMPLES_PER_POINT} samples`;
+      }
+      if (!point.samples.every(isPoint)) {
+        return `points[${i}].samples must all have numeric x and y`;
+      }
+    }
+
+    return null;
+  }
+
+  // Validate the body of a calibration run. Returns an error message, or null.
+  validateRunInput({ deviceId, screen, points, model }) {
+    if (typeof deviceId !== 'string' || !deviceId.trim() || deviceId.length > 200) {
+      return 'deviceId is required';
+    }
+    if (!screen || !isFiniteNumber(screen.width) || !isFiniteNumber(screen.height)) {
+      return 'screen.width and screen.height are required';
+    }
+
+    const pointsError = this.validatePoints(points);
+    if (pointsError) {
+      return pointsError;
+    }
+
+    if (!model || typeof model.type !== 'string' || !model.coefficients || typeof model.coefficients !== 'object') {
+      return 'model.type and model.coefficients are required';
+    }
+
+    return null;
+  }
+
+  // Accuracy and precision for each point and overall.
+  //   accuracy:  distance between the mean gaze position and the target
+  //   precision: RMS of sample-to-sample distances (RMS-S2S) and the
+  //              standard deviation of samples around their mean
+  computeQuality(points, screen) {
+    const ppd = pixelsPerDegree(screen);
+
+    const perPoint = points.map(({ target, samples }) => {
+      const gaze = { x: mean(samples.map(s => s.x)), y: mean(samples.map(s => s.y)) };
+      const offset = Math.hypot(gaze.x - target.x, gaze.y - target.y);
+
+      const steps = samples.slice(1).map((s, i) => Math.hypot(s.x - samples[i].x, s.y - samples[i].y));
+      const rms = steps.length > 0 ? Math.sqrt(mean(steps.map(d => d * d))) : 0;
+      const sd = Math.sqrt(mean(samples.map(s => (s.x - gaze.x) ** 2 + (s.y - gaze.y) ** 2)));
+
+      return {
+        target,
+        gaze: { x: round(gaze.x, 2), y: round(gaze.y, 2) },
+        sampleCount: samples.length,
+        accuracyPx: round(offset, 2),
+        accuracyDeg: round(offset / ppd),
+        precisionRmsPx: round(rms, 2),
+        precisionRmsDeg: round(rms / ppd),
+        precisionSdPx: round(sd, 2),
+        precisionSdDeg: round(sd / ppd)
+      };
+    });
+
+    const overall = {};
+    ['accuracyPx', 'accuracyDeg', 'precisionRmsPx', 'precisionRmsDeg', 'precisionSdPx', 'precisionSdDeg'].forEach(key => {
+      overall[key] = round(mean(perPoint.map(point => point[key])), key.endsWith('Px') ? 2 : 3);
+    });
+    overall.worstAccuracyDeg = round(Math.max(...perPoint.map(point => point.accuracyDeg)));
+
+    return { pixelsPerDegree: round(ppd), overall, points: perPoint };
+  }
+
+  async createRun(uid, { deviceId, screen, points, model, sessionId }) {
+    const id = crypto.randomUUID();
+
+    const run = {
+      uid,
+      deviceId: deviceId.trim(),
+      screen,
+      sessionId: sessionId || null,
+      points: points.map(({ target, samples }) => ({ target, samples })),
+      calibrationQuality: this.computeQuality(points, screen).overall,
+      model,
+      status: CALIBRATION_STATUS.PENDING,
+      validation: null,
+      calibratedAt: new Date(),
+      validatedAt: null
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.CALIBRATIONS, id, run);
+    return { id, ...run };
+  }
+
+  // Score a validation pass and mark the run valid or invalid
+  async validateRun(run, points, { maxAccuracyDeg = DEFAULT_MAX_ACCURACY } = {}) {
+    const quality = this.computeQuality(points, run.screen);
+    const passed = quality.overall.accuracyDeg <= maxAccuracyDeg;
+
+    const updates = {
+      status: passed ? CALIBRATION_STATUS.VALID : CALIBRATION_STATUS.INVALID,
+      validation: { ...quality, maxAccuracyDeg, passed },
+      validatedAt: new Date()
+    };
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.CALIBRATIONS, run.id, updates);
+    return { ...run, ...updates };
+  }
+
+  async getRun(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.CALIBRATIONS, id);
+  }
+
+  async listRuns(uid, { deviceId } = {}) {
+    const runs = await firestoreHelpers.queryDocuments(COLLECTIONS.CALIBRATIONS, 'uid', '==', uid);
+    return runs
+      .filter(run => !deviceId || run.deviceId === deviceId)
+      .sort((a, b) => toDate(b.calibratedAt) - toDate(a.calibratedAt));
+  }
+
+  // Most recent run for the device that passed validation
+  async getLatestValid(uid, deviceId) {
+    const runs = await this.listRuns(uid, { deviceId });
+    return runs.find(run => run.status === CALIBRATION_STATUS.VALID) || null;
+  }
+
+  // Daily calibration quality across all users, for the admin dashboard
+  async getQualityTimeline({ from, to } = {}) {
+    const runs = await firestoreHelpers.queryDocuments(
+      COLLECTIONS.CALIBRATIONS, 'status', 'in', [CALIBRATION_STATUS.VALID, CALIBRATION_STATUS.INVALID]
+    );
+
+    const days = new Map();
+    runs.forEach(run => {
+      const validatedAt = toDate(run.validatedAt);
+      if ((from && validatedAt < from) || (to && validatedAt > to)) {
+        return;
+      }
+
+      const day = validatedAt.toISOString().slice(0, 10);
+      if (!days.has(day)) {
+        days.set(day, { date: day, runs: 0, valid: 0, accuracy: [], precision: [] });
+      }
+      const entry = days.get(day);
+      entry.runs++;
+      if (run.status === CALIBRATION_STATUS.VALID) {
+        entry.valid++;
+      }
+      entry.accuracy.push(run.validation.overall.accuracyDeg);
+      entry.precision.push(run.validation.overall.precisionRmsDeg);
+    });
+
+    return [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ accuracy, precision, ...entry }) => ({
+        ...entry,
+        validRatio: round(entry.valid / entry.runs),
+        meanAccuracyDeg: round(mean(accuracy)),
+        meanPrecisionRmsDeg: round(mean(precision))
+      }));
+  }
+}
+
+module.exports = new CalibrationService();
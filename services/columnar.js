@@ -0,0 +1,88 @@
+// WETC - a compact columnar binary format for gaze data.
+//
+// Layout (all integers little-endian):
+//   "WETC"            4 byte magic
+//   u8                format version (1)
+//   u32 + JSON        header length and UTF-8 JSON header:
+//                     { table, columns: [{ name, type, values? }], meta }
+//   row groups        repeated:
+//                       u32 row count (> 0)
+//                       each column in header order, row count values
+//   u32 0             end marker
+//
+// Column types:
+//   f64   float64, null stored as NaN
+//   f32   float32, null stored as NaN
+//   bool  uint8 0/1, null stored as 255
+//   enum  uint8 index into the column's values list, null stored as 255
+//
+// Row groups let a writer stream a table in batches, and a reader load one
+// column of a group without parsing the others.
+
+const MAGIC = Buffer.from('WETC');
+const VERSION = 1;
+const NULL_BYTE = 255;
+
+const BYTES_PER_VALUE = {
+  f64: 8,
+  f32: 4,
+  bool: 1,
+  enum: 1
+};
+
+const u32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+};
+
+const encodeColumn = (column, rows) => {
+  const size = BYTES_PER_VALUE[column.type];
+  const buffer = Buffer.alloc(rows.length * size);
+
+  rows.forEach((row, i) => {
+    const value = row[column.name];
+    const offset = i * size;
+
+    switch (column.type) {
+      case 'f64':
+        buffer.writeDoubleLE(value == null ? NaN : value, offset);
+        break;
+      case 'f32':
+        buffer.writeFloatLE(value == null ? NaN : value, offset);
+        break;
+      case 'bool':
+        buffer[offset] = value == null ? NULL_BYTE : (value ? 1 : 0);
+        break;
+      case 'enum': {
+        const index = column.values.indexOf(value);
+        buffer[offset] = index === -1 ? NULL_BYTE : index;
+        break;
+      }
+    }
+  });
+
+  return buffer;
+};
+
+// File header for a table with the given columns
+const encodeHeader = (table, columns, meta = {}) => {
+  const header = Buffer.from(JSON.stringify({ table, columns, meta }));
+  return Buffer.concat([MAGIC, Buffer.from([VERSION]), u32(header.length), header]);
+};
+
+// One row group. rows are plain objects keyed by column name.
+const encodeRowGroup = (columns, rows) => Buffer.concat([
+  u32(rows.length),
+  ...columns.map(column => encodeColumn(column, rows))
+]);
+
+const encodeEnd = () => u32(0);
+
+module.exports = {
+  MAGIC,
+  VERSION,
+  encodeHeader,
+  encodeRowGroup,
+  encodeEnd
+};
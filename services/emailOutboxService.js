@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { firestoreHelpers, COLLECTIONS, toDate } = require('../config/database');
+const mailTransport = require('./mailTransport');
+
+// Outgoing email is written to the outbox before it is sent, so a send that
+// fails (or a restart) doesn't lose it. Each message is tried once straight
+// away, then again with exponential back-off until MAX_ATTEMPTS, after which
+// it is dead-lettered for an admin to look at and retry.
+//
+// Message status:
+//   pending - waiting for its next attempt (nextAttemptAt)
+//   sending - an attempt is in progress
+//   sent    - accepted by the transport; the body is dropped
+//   dead    - gave up after MAX_ATTEMPTS
+
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_DELAY = 60 * 1000; // 1 minute, doubled after every failure
+const RETRY_MAX_DELAY = 6 * 60 * 60 * 1000; // 6 hours
+const STALE_SENDING_AFTER = 10 * 60 * 1000; // attempts cut short by a restart
+const SENT_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const DEFAULT_FROM = {
+  name: 'W.E.T Team',
+  address: process.env.EMAIL_FROM || 'noreply@wet-eyetracking.com'
+};
+
+// Delay before the attempt after `attempts` failed ones
+const retryDelay = (attempts) => Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+
+class EmailOutboxService {
+  constructor() {
+    this.STATUSES = STATUSES;
+    this.MAX_ATTEMPTS = MAX_ATTEMPTS;
+    this.processing = null;
+  }
+
+  // Persist a message and make its first attempt. kind names the email
+  // (its template) for the delivery log. headers are extra mail headers.
+  // Resolves with the stored message once the attempt is over; only a
+  // failure to persist rejects.
+  async enqueue({ to, subject, html, text, headers = null, kind, language }) {
+    const id = crypto.randomUUID();
+    const now = new Date();
+    const message = await firestoreHelpers.createDocument(COLLECTIONS.EMAIL_OUTBOX, id, {
+      to: to.toLowerCase(),
+      subject,
+      html,
+      text,
+      headers,
+      kind,
+      language,
+      status: 'sending',
+      attempts: 0,
+      nextAttemptAt: now,
+      claimedAt: now,
+      lastError: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null
+    });
+
+    return this.attempt(message);
+  }
+
+  // Try to send a claimed message and record how it went
+  async attempt(message) {
+    const attempts = message.attempts + 1;
+    let update;
+
+    try {
+      const { messageId } = await mailTransport.send({
+        from: DEFAULT_FROM,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        ...(message.headers && { headers: message.headers })
+      });
+
+      console.log(`📧 ${message.kind} email sent:`, messageId);
+      update = {
+        status: 'sent',
+        attempts,
+        messageId,
+        sentAt: new Date(),
+        nextAttemptAt: null,
+        lastError: null,
+        // Bodies can hold sign-in and reset links; don't keep them
+        html: null,
+        text: null,
+        headers: null
+      };
+    } catch (error) {
+      const dead = attempts >= MAX_ATTEMPTS;
+      console.error(`❌ Failed to send ${message.kind} email (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+      update = {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: dead ? null : new Date(Date.now() + retryDelay(attempts))
+      };
+    }
+
+    update.claimedAt = null;
+    update.updatedAt = new Date();
+    await firestoreHelpers.updateDocument(COLLECTIONS.EMAIL_OUTBOX, message.id, update);
+    return { ...message, ...update };
+  }
+
+  // Retry every message that is due, one at a time. Calls made while a
+  // run is in progress share it.
+  processDue() {
+    if (!this.processing) {
+      this.processing = this.runDue().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async runDue() {
+    const now = Date.now();
+    const due = await firestoreHelpers.queryDocuments(COLLECTIONS.EMAIL_OUTBOX, 'nextAttemptAt', '<=', new Date(now));
+
+    const results = { sent: 0, failed: 0, dead: 0 };
+    for (const message of due) {
+      const claimedAt = toDate(message.claimedAt);
+      const stale = message.status === 'sending' && (!claimedAt || now - claimedAt.getTime() > STALE_SENDING_AFTER);
+      if (message.status !== 'pending' && !stale) {
+        continue;
+      }
+
+      await firestoreHelpers.updateDocument(COLLECTIONS.EMAIL_OUTBOX, message.id, {
+        status: 'sending',
+        claimedAt: new Date()
+      });
+      const result = await this.attempt(message);
+      results[result.status === 'sent' ? 'sent' : result.status === 'dead' ? 'dead' : 'failed']++;
+    }
+
+    const purged = await this.purgeSent();
+    if (results.sent || results.failed || results.dead || purged) {
+      console.log(`📬 Email outbox: ${results.sent} sent, ${results.failed} to retry, ${results.dead} dead-lettered, ${purged} purged`);
+    }
+    return { ...results, purged };
+  }
+
+  // Drop the delivery records of messages sent long ago
+  async purgeSent() {
+    const cutoff = new Date(Date.now() - SENT_RETENTION);
+    const old = (await firestoreHelpers.queryDocuments(COLLECTIONS.EMAIL_OUTBOX, 'sentAt', '<', cutoff))
+      .filter(message => message.status === 'sent');
+    for (const message of old) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.EMAIL_OUTBOX, message.id);
+    }
+    return old.length;
+  }
+
+  async getMessage(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.EMAIL_OUTBOX, id);
+  }
+
+  // Messages, newest first, optionally with one status or recipient
+  async listMessages({ status, to } = {}) {
+    let messages = status
+      ? await firestoreHelpers.queryDocuments(COLLECTIONS.EMAIL_OUTBOX, 'status', '==', status)
+      : await firestoreHelpers.getAllDocuments(COLLECTIONS.EMAIL_OUTBOX, 0);
+
+    if (to) {
+      messages = messages.filter(message => message.to === to.toLowerCase());
+    }
+    return messages.sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+  }
+
+  // How many messages are in each status
+  async countByStatus() {
+    const counts = {};
+    for (const status of STATUSES) {
+      counts[status] = (await firestoreHelpers.queryDocuments(COLLECTIONS.EMAIL_OUTBOX, 'status', '==', status)).length;
+    }
+    return counts;
+  }
+
+  // Give a dead-lettered message a fresh set of attempts, starting now
+  async retry(message) {
+    const claimed = {
+      status: 'sending',
+      attempts: 0,
+      claimedAt: new Date(),
+      nextAttemptAt: new Date(),
+      updatedAt: new Date()
+    };
+    await firestoreHelpers.updateDocument(COLLECTIONS.EMAIL_OUTBOX, message.id, claimed);
+    return this.attempt({ ...message, ...claimed });
+  }
+
+  // Remove the messages addressed to someone (account deletion)
+  async deleteForRecipient(email) {
+    const messages = await firestoreHelpers.queryDocuments(COLLECTIONS.EMAIL_OUTBOX, 'to', '==', email.toLowerCase());
+    for (const message of messages) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.EMAIL_OUTBOX, message.id);
+    }
+  }
+}
+
+module.exports = new EmailOutboxService();
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+
+// A small template engine for emails. Templates live in templates/email,
+// one folder per language, and are looked up in the recipient's language
+// first, then English, then the shared folder.
+//
+//   {{ user.firstName }}      value, HTML-escaped
+//   {{ endDate | date }}      value through a filter (date, datetime)
+//   {% if graceUntil %}...{% else %}...{% endif %}   (or {% if not graceUntil %})
+//   {% for item in items %}{{ item.title }}{% endfor %}
+//   {% extends "layout" %}    render inside another template, replacing
+//   {% block content %}...{% endblock %}   its blocks with this one's
+//
+// Blocks may nest, and layouts may extend other layouts. The "subject"
+// block is the email's subject; the plain-text part is made from the HTML.
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const LANGUAGES = ['en', 'tr'];
+const DEFAULT_LANGUAGE = 'en';
+
+const LOCALES = { en: 'en-GB', tr: 'tr-TR' };
+
+const TAG_PATTERN = /({{[\s\S]*?}}|{%[\s\S]*?%})/;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const decodeHtml = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&copy;/g, '©')
+  .replace(/&amp;/g, '&');
+
+// Dates may be Date objects, Firestore Timestamps, strings or numbers
+const toDate = (value) => (typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+const FILTERS = {
+  date: (value, language) => value
+    ? toDate(value).toLocaleDateString(LOCALES[language], { dateStyle: 'long', timeZone: 'UTC' })
+    : '',
+  datetime: (value, language) => value
+    ? `${toDate(value).toLocaleString(LOCALES[language], { dateStyle: 'long', timeStyle: 'short', timeZone: 'UTC' })} UTC`
+    : ''
+};
+
+const lookup = (context, expression) =>
+  expression.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+
+// Parse a template into a tree of text, value, if, for and block nodes
+const parse = (source, name) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let extendsName = null;
+
+  for (const token of source.split(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+
+    if (token.startsWith('{{')) {
+      const [expression, ...filters] = token.slice(2, -2).split('|').map(part => part.trim());
+      filters.forEach(filter => {
+        if (!FILTERS[filter]) {
+          throw new Error(`Unknown filter "${filter}" in email template ${name}`);
+        }
+      });
+      current.children.push({ type: 'value', expression, filters });
+      continue;
+    }
+
+    if (!token.startsWith('{%')) {
+      if (token) {
+        current.children.push({ type: 'text', text: token });
+      }
+      continue;
+    }
+
+    const [keyword, ...args] = token.slice(2, -2).trim().split(/\s+/);
+    switch (keyword) {
+      case 'extends':
+        extendsName = args[0].replace(/^["']|["']$/g, '');
+        break;
+      case 'block': {
+        const node = { type: 'block', name: args[0], children: [] };
+        current.children.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'if': {
+        // children is where parsing appends: then, and otherwise after an else
+        const negate = args[0] === 'not';
+        const node = { type: 'if', expression: negate ? args[1] : args[0], negate, then: [], otherwise: [] };
+        node.children = node.then;
+        current.children.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'for': {
+        if (args.length !== 3 || args[1] !== 'in') {
+          throw new Error(`Expected {% for item in list %} in email template ${name}`);
+        }
+        const node = { type: 'for', variable: args[0], expression: args[2], children: [] };
+        current.children.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'else':
+        if (current.type !== 'if') {
+          throw new Error(`Unexpected else in email template ${name}`);
+        }
+        current.children = current.otherwise;
+        break;
+      case 'endblock':
+      case 'endif':
+      case 'endfor':
+        if (stack.length === 1 || current.type !== keyword.slice(3)) {
+          throw new Error(`Unexpected ${keyword} in email template ${name}`);
+        }
+        stack.pop();
+        break;
+      default:
+        throw new Error(`Unknown tag "${keyword}" in email template ${name}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed ${stack[stack.length - 1].type} in email template ${name}`);
+  }
+  return { extendsName, nodes: root.children };
+};
+
+// Blocks defined anywhere in a template, without replacing ones a child
+// template already defined
+const collectBlocks = (nodes, blocks) => {
+  for (const node of nodes) {
+    if (node.type === 'block' && !blocks[node.name]) {
+      blocks[node.name] = node;
+    }
+    if (node.type === 'block' || node.type === 'for') {
+      collectBlocks(node.children, blocks);
+    }
+    if (node.type === 'if') {
+      collectBlocks(node.then, blocks);
+      collectBlocks(node.otherwise, blocks);
+    }
+  }
+};
+
+const htmlToText = (html) => decodeHtml(
+  html
+    .replace(/<head[\s\S]*?<\/head>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return text && text !== href ? `${text}: ${href}` : href;
+    })
+    .replace(/<li[^>]*>/gi, '\n• ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+)
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .replace(/\n+• /g, '\n• ')
+  .trim();
+
+class EmailTemplateService {
+  constructor() {
+    this.LANGUAGES = LANGUAGES;
+    this.cache = new Map();
+  }
+
+  // The language to write to a user in: their preference, else the
+  // language they signed up with, else English
+  languageFor(user) {
+    const preferred = (user && user.preferences && user.preferences.language) || (user && user.language);
+    return LANGUAGES.includes(preferred) ? preferred : DEFAULT_LANGUAGE;
+  }
+
+  // Find and parse a template, in the language or its fallbacks
+  load(name, language) {
+    const key = `${language}/${name}`;
+    if (!this.cache.has(key)) {
+      const candidates = [...new Set([language, DEFAULT_LANGUAGE])]
+        .map(folder => path.join(TEMPLATE_DIR, folder, `${name}.html`))
+        .concat(path.join(TEMPLATE_DIR, `${name}.html`));
+      const file = candidates.find(candidate => fs.existsSync(candidate));
+      if (!file) {
+        throw new Error(`Email template not found: ${name}`);
+      }
+      this.cache.set(key, parse(fs.readFileSync(file, 'utf8'), key));
+    }
+    return this.cache.get(key);
+  }
+
+  renderNodes(nodes, context, blocks, options) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.text;
+        case 'value': {
+          let value = lookup(context, node.expression);
+          for (const filter of node.filters) {
+            value = FILTERS[filter](value, options.language);
+          }
+          if (value == null) {
+            return '';
+          }
+          return options.escape ? escapeHtml(value) : String(value);
+        }
+        case 'if': {
+          const branch = !lookup(context, node.expression) === node.negate ? node.then : node.otherwise;
+          return this.renderNodes(branch, context, blocks, options);
+        }
+        case 'for': {
+          const items = lookup(context, node.expression) || [];
+          return items.map(item =>
+            this.renderNodes(node.children, { ...context, [node.variable]: item }, blocks, options)
+          ).join('');
+        }
+        case 'block':
+          return this.renderNodes((blocks[node.name] || node).children, context, blocks, options);
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  // Render an email. Returns { subject, html, text }.
+  render(name, language, variables = {}) {
+    const lang = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+    const context = { ...variables, language: lang };
+
+    // Walk up the extends chain; the most specific definition of each
+    // block wins
+    const blocks = {};
+    let template = this.load(name, lang);
+    collectBlocks(template.nodes, blocks);
+    while (template.extendsName) {
+      template = this.load(template.extendsName, lang);
+      collectBlocks(template.nodes, blocks);
+    }
+
+    const html = this.renderNodes(template.nodes, context, blocks, { escape: true, language: lang }).trim();
+    const subject = blocks.subject
+      ? this.renderNodes(blocks.subject.children, context, blocks, { escape: false, language: lang }).replace(/\s+/g, ' ').trim()
+      : '';
+
+    return { subject, html, text: htmlToText(html) };
+  }
+}
+
+module.exports = new EmailTemplateService();
@@ -0,0 +1,534 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { toDate } = require('../config/database');
+const sessionService = require('./sessionService');
+const analysisService = require('./analysisService');
+const aoiService = require('./aoiService');
+const columnar = require('./columnar');
+
+const FORMATS = ['csv', 'ndjson', 'columnar', 'bids'];
+const TABLES = ['samples', 'events', 'aoi-metrics'];
+
+// Formats that hold a single table per file
+const SINGLE_TABLE_FORMATS = ['csv', 'columnar'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  columnar: 'application/octet-stream',
+  bids: 'application/x-tar'
+};
+
+const EXTENSIONS = {
+  csv: 'csv',
+  ndjson: 'ndjson',
+  columnar: 'wetc',
+  bids: 'tar'
+};
+
+const COLUMNS = {
+  samples: [
+    { name: 'timestamp', type: 'f64' },
+    { name: 'x', type: 'f32' },
+    { name: 'y', type: 'f32' },
+    { name: 'pupil', type: 'f32' },
+    { name: 'validity', type: 'bool' },
+    { name: 'confidence', type: 'f32' }
+  ],
+  events: [
+    { name: 'type', type: 'enum', values: analysisService.EVENT_TYPES },
+    { name: 'start', type: 'f64' },
+    { name: 'end', type: 'f64' },
+    { name: 'duration', type: 'f64' },
+    { name: 'x', type: 'f32' },
+    { name: 'y', type: 'f32' },
+    { name: 'dispersion', type: 'f32' },
+    { name: 'pupil', type: 'f32' },
+    { name: 'sampleCount', type: 'f64' },
+    { name: 'startX', type: 'f32' },
+    { name: 'startY', type: 'f32' },
+    { name: 'endX', type: 'f32' },
+    { name: 'endY', type: 'f32' },
+    { name: 'amplitude', type: 'f32' },
+    { name: 'peakVelocity', type: 'f32' }
+  ],
+  'aoi-metrics': [
+    { name: 'id' },
+    { name: 'name' },
+    { name: 'timeToFirstFixation' },
+    { name: 'firstFixationDuration' },
+    { name: 'dwellTime' },
+    { name: 'fixationCount' },
+    { name: 'visitCount' },
+    { name: 'revisits' }
+  ]
+};
+
+// Study-level CSV tables
+const STUDY_TABLES = {
+  sessions: ['sessionId', 'participantCode', 'consentVersion', 'status', 'startedAt', 'endedAt', 'sampleCount', 'validRatio', 'durationMs'],
+  participants: ['code', 'enrolledAt', 'consentVersion', 'consentedAt']
+};
+
+const STUDY_FORMATS = ['csv', 'ndjson'];
+
+// Rows per columnar row group
+const ROW_GROUP_SIZE = 5000;
+
+// Size of the text blocks written for CSV, NDJSON and TSV
+const WRITE_BLOCK_SIZE = 64 * 1024;
+
+// BIDS labels may only contain letters and digits
+const bidsLabel = (value) => String(value).replace(/[^a-zA-Z0-9]/g, '');
+
+const csvValue = (value) => {
+  if (value == null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const tsvValue = (value) => (value == null ? 'n/a' : String(value));
+
+const toIso = (value) => (value ? toDate(value).toISOString() : null);
+
+// Write to a stream, waiting for it to drain when its buffer is full.
+// Returns false once the client has gone away.
+const write = async (out, chunk) => {
+  if (out.destroyed) {
+    return false;
+  }
+  if (!out.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        out.off('drain', done);
+        out.off('close', done);
+        resolve();
+      };
+      out.on('drain', done);
+      out.on('close', done);
+    });
+  }
+  return !out.destroyed;
+};
+
+// Collects text lines and writes them in blocks, so that large exports
+// are not sent as millions of tiny writes
+const lineWriter = (out) => {
+  let buffer = '';
+  return {
+    async line(text) {
+      buffer += `${text}\n`;
+      if (buffer.length < WRITE_BLOCK_SIZE) {
+        return !out.destroyed;
+      }
+      const block = buffer;
+      buffer = '';
+      return write(out, block);
+    },
+    async flush() {
+      const block = buffer;
+      buffer = '';
+      return block ? write(out, block) : !out.destroyed;
+    }
+  };
+};
+
+// 512 byte ustar header for a regular file
+const tarHeader = (filePath, size, mtime) => {
+  const header = Buffer.alloc(512);
+  let name = filePath;
+  let prefix = '';
+  if (name.length > 100) {
+    prefix = path.posix.dirname(filePath);
+    name = path.posix.basename(filePath);
+  }
+
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  header.write(`${Math.floor(mtime / 1000).toString(8).padStart(11, '0')}\0`, 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+};
+
+class ExportService {
+  constructor() {
+    this.FORMATS = FORMATS;
+    this.TABLES = TABLES;
+    this.STUDY_FORMATS = STUDY_FORMATS;
+    this.STUDY_TABLES = Object.keys(STUDY_TABLES);
+  }
+
+  // Parse export options from a query string.
+  // Query: format=csv|ndjson|columnar|bids  table=samples,events,aoi-metrics
+  // Returns { options } or { error }.
+  parseOptions({ format = 'csv', table }) {
+    if (!FORMATS.includes(format)) {
+      return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+
+    const tables = table ? table.split(',') : null;
+    if (tables && tables.some(name => !TABLES.includes(name))) {
+      return { error: `table must be one or more of: ${TABLES.join(', ')}` };
+    }
+
+    if (SINGLE_TABLE_FORMATS.includes(format)) {
+      if (tables && tables.length > 1) {
+        return { error: `${format} exports hold one table; choose one of: ${TABLES.join(', ')}` };
+      }
+      if (format === 'columnar' && tables && tables[0] === 'aoi-metrics') {
+        return { error: 'aoi-metrics is not available in the columnar format' };
+      }
+    }
+
+    return {
+      options: {
+        format,
+        tables: tables || (SINGLE_TABLE_FORMATS.includes(format) ? ['samples'] : TABLES)
+      }
+    };
+  }
+
+  // Content type and download file name for an export
+  describe(session, { format, tables }) {
+    const suffix = SINGLE_TABLE_FORMATS.includes(format) ? `_${tables[0]}` : '';
+    return {
+      contentType: CONTENT_TYPES[format],
+      filename: `session_${session.id}${suffix}.${EXTENSIONS[format]}`
+    };
+  }
+
+  // Whether the export is only made of analysis results. Other formats
+  // simply leave them out when the session has not been analyzed.
+  needsAnalysis({ format, tables }) {
+    return SINGLE_TABLE_FORMATS.includes(format) && tables[0] !== 'samples';
+  }
+
+  // Stream the export to out
+  async write(session, options, out) {
+    switch (options.format) {
+      case 'csv':
+        return this.writeCsv(session, options.tables[0], out);
+      case 'ndjson':
+        return this.writeNdjson(session, options.tables, out);
+      case 'columnar':
+        return this.writeColumnar(session, options.tables[0], out);
+      case 'bids':
+        return this.writeBids(session, out);
+    }
+  }
+
+  // Rows of one table, one at a time
+  async *rows(session, table) {
+    if (table === 'samples') {
+      yield* sessionService.iterateSamples(session);
+      return;
+    }
+
+    const analysis = await analysisService.getAnalysis(session.id);
+    if (!analysis) {
+      return;
+    }
+
+    if (table === 'events') {
+      yield* analysisService.iterateEvents(analysis);
+      return;
+    }
+
+    yield* (await this.aoiMetrics(session, analysis)).aois;
+  }
+
+  async aoiMetrics(session, analysis) {
+    const aois = await aoiService.getAoisForSession(session);
+    const fixations = await analysisService.getEvents(analysis, { types: ['fixation'] });
+    const onset = (session.stats && session.stats.startTime) || 0;
+    return aoiService.computeMetrics(aois, fixations, { onset });
+  }
+
+  async writeCsv(session, table, out) {
+    const columns = COLUMNS[table].map(column => column.name);
+    const writer = lineWriter(out);
+    if (!await writer.line(columns.join(','))) {
+      return;
+    }
+
+    for await (const row of this.rows(session, table)) {
+      if (!await writer.line(columns.map(column => csvValue(row[column])).join(','))) {
+        return;
+      }
+    }
+    await writer.flush();
+  }
+
+  // One JSON object per line, tagged with a record type: the session,
+  // then samples, events, AOI metrics and the AOI transition matrix
+  async writeNdjson(session, tables, out) {
+    const writer = lineWriter(out);
+    const { sequences, ...details } = session;
+    if (!await writer.line(JSON.stringify({ record: 'session', ...details }))) {
+      return;
+    }
+
+    if (tables.includes('samples')) {
+      for await (const sample of sessionService.iterateSamples(session)) {
+        if (!await writer.line(JSON.stringify({ record: 'sample', ...sample }))) {
+          return;
+        }
+      }
+    }
+
+    const analysis = await analysisService.getAnalysis(session.id);
+
+    if (analysis && tables.includes('events')) {
+      for await (const event of analysisService.iterateEvents(analysis)) {
+        if (!await writer.line(JSON.stringify({ record: 'event', ...event }))) {
+          return;
+        }
+      }
+    }
+
+    if (analysis && tables.includes('aoi-metrics')) {
+      const metrics = await this.aoiMetrics(session, analysis);
+      for (const aoi of metrics.aois) {
+        await writer.line(JSON.stringify({ record: 'aoi', ...aoi }));
+      }
+      await writer.line(JSON.stringify({ record: 'transitions', ...metrics.transitions }));
+    }
+
+    await writer.flush();
+  }
+
+  async writeColumnar(session, table, out) {
+    const columns = COLUMNS[table];
+    const { sequences, ...details } = session;
+    if (!await write(out, columnar.encodeHeader(table, columns, { session: details }))) {
+      return;
+    }
+
+    let group = [];
+    for await (const row of this.rows(session, table)) {
+      group.push(row);
+      if (group.length === ROW_GROUP_SIZE) {
+        if (!await write(out, columnar.encodeRowGroup(columns, group))) {
+          return;
+        }
+        group = [];
+      }
+    }
+
+    if (group.length > 0 && !await write(out, columnar.encodeRowGroup(columns, group))) {
+      return;
+    }
+    await write(out, columnar.encodeEnd());
+  }
+
+  // Study export. csv writes one summary table (sessions or participants);
+  // ndjson writes a study record followed by every session's full export.
+  async writeStudy(study, { format, table }, { sessions, participants }, out) {
+    if (format === 'ndjson') {
+      const { consentForms, ...details } = study;
+      if (!await write(out, `${JSON.stringify({ record: 'study', ...details })}\n`)) {
+        return;
+      }
+      for (const session of sessions) {
+        await this.writeNdjson(session, TABLES, out);
+        if (out.destroyed) {
+          return;
+        }
+      }
+      return;
+    }
+
+    const columns = STUDY_TABLES[table];
+    const rows = table === 'sessions'
+      ? sessions.map(session => ({
+        sessionId: session.id,
+        participantCode: session.participantCode,
+        consentVersion: session.consentVersion,
+        status: session.status,
+        startedAt: toIso(session.startedAt),
+        endedAt: toIso(session.endedAt),
+        sampleCount: session.sampleCount,
+        validRatio: session.stats ? session.stats.validRatio : null,
+        durationMs: session.stats ? session.stats.durationMs : null
+      }))
+      : participants.map(participant => ({
+        code: participant.code,
+        enrolledAt: toIso(participant.enrolledAt),
+        consentVersion: participant.consent ? participant.consent.version : null,
+        consentedAt: participant.consent ? toIso(participant.consent.consentedAt) : null
+      }));
+
+    const writer = lineWriter(out);
+    await writer.line(columns.join(','));
+    for (const row of rows) {
+      if (!await writer.line(columns.map(column => csvValue(row[column])).join(','))) {
+        return;
+      }
+    }
+    await writer.flush();
+  }
+
+  // BIDS eye-tracking layout (BEP020), delivered as a tar archive:
+  //   sub-<subject>/ses-<session>/eyetrack/..._eyetrack.tsv.gz   samples, no header row
+  //   sub-<subject>/ses-<session>/eyetrack/..._eyetrack.json     sidecar
+  //   sub-<subject>/ses-<session>/eyetrack/..._events.tsv        detected events
+  // The subject is the participant code for study sessions, so each
+  // participant gets their own sub- and no account id leaks into the
+  // export; sessions outside a study use the uploader's uid.
+  // Tar entries need their size up front, so the data files are written
+  // to a temporary directory first and then streamed into the archive.
+  async writeBids(session, out) {
+    const subject = bidsLabel(session.studyId && session.participantCode ? session.participantCode : session.uid);
+    const sessionLabel = bidsLabel(session.id).slice(0, 12);
+    const task = bidsLabel((session.metadata && session.metadata.task) || 'eyetracking') || 'eyetracking';
+    const base = `sub-${subject}_ses-${sessionLabel}_task-${task}`;
+    const directory = `sub-${subject}/ses-${sessionLabel}/eyetrack`;
+
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wet-bids-'));
+    try {
+      const entries = [];
+
+      const samplesFile = path.join(tempDir, 'eyetrack.tsv.gz');
+      await this.writeBidsSamples(session, samplesFile);
+      entries.push({ name: `${directory}/${base}_eyetrack.tsv.gz`, file: samplesFile });
+
+      entries.push({
+        name: `${directory}/${base}_eyetrack.json`,
+        content: Buffer.from(JSON.stringify(this.bidsSidecar(session), null, 2))
+      });
+
+      const analysis = await analysisService.getAnalysis(session.id);
+      if (analysis) {
+        const eventsFile = path.join(tempDir, 'events.tsv');
+        await this.writeBidsEvents(session, analysis, eventsFile);
+        entries.push({ name: `${directory}/${base}_events.tsv`, file: eventsFile });
+      }
+
+      const mtime = Date.now();
+      for (const entry of entries) {
+        const size = entry.file ? (await fs.promises.stat(entry.file)).size : entry.content.length;
+        if (!await write(out, tarHeader(entry.name, size, mtime))) {
+          return;
+        }
+
+        if (entry.file) {
+          for await (const chunk of fs.createReadStream(entry.file)) {
+            if (!await write(out, chunk)) {
+              return;
+            }
+          }
+        } else if (!await write(out, entry.content)) {
+          return;
+        }
+
+        if (size % 512 !== 0 && !await write(out, Buffer.alloc(512 - (size % 512)))) {
+          return;
+        }
+      }
+
+      await write(out, Buffer.alloc(1024));
+
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  async writeBidsSamples(session, file) {
+    const gzip = zlib.createGzip();
+    const done = new Promise((resolve, reject) => {
+      gzip.pipe(fs.createWriteStream(file)).on('finish', resolve).on('error', reject);
+      gzip.on('error', reject);
+    });
+
+    const writer = lineWriter(gzip);
+    for await (const sample of sessionService.iterateSamples(session)) {
+      const valid = sample.validity;
+      const line = [
+        sample.timestamp,
+        valid ? sample.x : null,
+        valid ? sample.y : null,
+        sample.pupil
+      ].map(tsvValue).join('\t');
+      await writer.line(line);
+    }
+
+    await writer.flush();
+    gzip.end();
+    await done;
+  }
+
+  async writeBidsEvents(session, analysis, file) {
+    const onset = (session.stats && session.stats.startTime) || 0;
+    const stream = fs.createWriteStream(file);
+    const writer = lineWriter(stream);
+
+    await writer.line('onset\tduration\ttrial_type\tx_coordinate\ty_coordinate');
+    for await (const event of analysisService.iterateEvents(analysis)) {
+      const line = [
+        ((event.start - onset) / 1000).toFixed(3),
+        (event.duration / 1000).toFixed(3),
+        event.type,
+        event.type === 'fixation' ? event.x : null,
+        event.type === 'fixation' ? event.y : null
+      ].map(tsvValue).join('\t');
+      await writer.line(line);
+    }
+
+    await writer.flush();
+    stream.end();
+    await once(stream, 'finish');
+  }
+
+  bidsSidecar(session) {
+    const { screen, client, stats } = session;
+    const sampleRate = session.sampleRate || (stats && stats.measuredSampleRate);
+
+    const sidecar = {
+      SamplingFrequency: sampleRate ? Math.round(sampleRate * 100) / 100 : 'n/a',
+      StartTime: 0,
+      Columns: ['timestamp', 'x_coordinate', 'y_coordinate', 'pupil_size'],
+      timestamp: { Description: 'Time of the sample as reported by the client', Units: 'ms' },
+      x_coordinate: { Description: 'Horizontal gaze position, origin at the top left of the screen', Units: 'pixel' },
+      y_coordinate: { Description: 'Vertical gaze position, origin at the top left of the screen', Units: 'pixel' },
+      pupil_size: { Description: 'Pupil size as estimated by the client', Units: 'arbitrary' },
+      Manufacturer: 'W.E.T Webcam Eye Tracking',
+      ManufacturersModelName: `W.E.T ${client.app}`,
+      SoftwareVersions: client.version || 'n/a',
+      EyeTrackingMethod: 'webcam-based video oculography',
+      RecordedEye: 'cyclopean',
+      SampleCoordinateUnits: 'pixel',
+      SampleCoordinateSystem: 'gaze-on-screen',
+      EnvironmentCoordinates: 'top-left',
+      ScreenResolution: [screen.width, screen.height]
+    };
+
+    if (screen.widthMm && screen.heightMm) {
+      sidecar.ScreenSize = [screen.widthMm / 1000, screen.heightMm / 1000];
+    }
+    if (screen.distanceMm) {
+      sidecar.ScreenDistance = screen.distanceMm / 1000;
+    }
+    if (session.metadata && session.metadata.task) {
+      sidecar.TaskName = session.metadata.task;
+    }
+
+    return sidecar;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,300 @@
+// Eye movement classification.
+//
+// Two classic algorithms (Salvucci & Goldberg, 2000):
+//   I-VT - velocity threshold: samples slower than the threshold belong to a
+//          fixation, faster ones to a saccade.
+//   I-DT - dispersion threshold: a window of samples whose spread stays under
+//          the threshold for at least the minimum duration is a fixation.
+//
+// Both also report blinks: gaps of invalid samples between blinkMinDuration
+// and blinkMaxDuration. Longer gaps are treated as tracking loss.
+//
+// Thresholds are in degrees of visual angle, so screen geometry is needed to
+// convert pixels. When the client did not report it, a 24" 1920 px wide
+// monitor at 60 cm is assumed.
+
+const DEFAULT_SCREEN = {
+  width: 1920,
+  widthMm: 527,
+  distanceMm: 600
+};
+
+const DEFAULTS = {
+  ivt: {
+    velocityThreshold: 30, // deg/s
+    minFixationDuration: 60, // ms
+    maxGapDuration: 75 // ms, longer gaps of invalid data end an event
+  },
+  idt: {
+    dispersionThreshold: 1.0, // deg, (max x - min x) + (max y - min y)
+    minFixationDuration: 100, // ms
+    maxGapDuration: 75
+  },
+  blinks: {
+    blinkMinDuration: 50, // ms
+    blinkMaxDuration: 500
+  }
+};
+
+const ALGORITHMS = ['ivt', 'idt'];
+
+// Pixels per degree of visual angle at the centre of the screen
+const pixelsPerDegree = (screen = {}) => {
+  const mmPerPixel = screen.widthMm && screen.width
+    ? screen.widthMm / screen.width
+    : DEFAULT_SCREEN.widthMm / DEFAULT_SCREEN.width;
+  const distanceMm = screen.distanceMm || DEFAULT_SCREEN.distanceMm;
+
+  const mmPerDegree = 2 * distanceMm * Math.tan((Math.PI / 180) / 2);
+  return mmPerDegree / mmPerPixel;
+};
+
+// Merge user supplied parameters over the defaults, ignoring unknown keys
+// and anything that is not a positive number
+const resolveParams = (algorithm, params = {}) => {
+  const defaults = { ...DEFAULTS[algorithm], ...DEFAULTS.blinks };
+  const resolved = {};
+
+  Object.keys(defaults).forEach(key => {
+    const value = params[key];
+    resolved[key] = typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : defaults[key];
+  });
+
+  return resolved;
+};
+
+// Split samples into runs of valid data. A run ends at any gap of invalid
+// samples longer than maxGapDuration; shorter gaps are bridged.
+const splitSegments = (samples, maxGapDuration) => {
+  const segments = [];
+  let current = [];
+  let lastValid = null;
+
+  samples.forEach(sample => {
+    if (!sample.validity) {
+      return;
+    }
+    if (lastValid && sample.timestamp - lastValid.timestamp > maxGapDuration) {
+      segments.push(current);
+      current = [];
+    }
+    current.push(sample);
+    lastValid = sample;
+  });
+
+  if (current.length > 0) {
+    segments.push(current);
+  }
+  return segments;
+};
+
+const centroid = (samples) => {
+  const sum = samples.reduce((acc, s) => ({ x: acc.x + s.x, y: acc.y + s.y }), { x: 0, y: 0 });
+  return { x: sum.x / samples.length, y: sum.y / samples.length };
+};
+
+// Dispersion in pixels: (max x - min x) + (max y - min y)
+const dispersionOf = (samples) => {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  samples.forEach(s => {
+    if (s.x < minX) minX = s.x;
+    if (s.x > maxX) maxX = s.x;
+    if (s.y < minY) minY = s.y;
+    if (s.y > maxY) maxY = s.y;
+  });
+  return (maxX - minX) + (maxY - minY);
+};
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const makeFixation = (samples, ppd) => {
+  const start = samples[0].timestamp;
+  const end = samples[samples.length - 1].timestamp;
+  const center = centroid(samples);
+  const pupils = samples.filter(s => s.pupil != null);
+
+  return {
+    type: 'fixation',
+    start,
+    end,
+    duration: end - start,
+    x: round(center.x),
+    y: round(center.y),
+    dispersion: round(dispersionOf(samples) / ppd, 3),
+    pupil: pupils.length > 0 ? round(pupils.reduce((sum, s) => sum + s.pupil, 0) / pupils.length, 3) : null,
+    sampleCount: samples.length
+  };
+};
+
+const makeSaccade = (from, to, ppd, peakVelocity) => ({
+  type: 'saccade',
+  start: from.timestamp,
+  end: to.timestamp,
+  duration: to.timestamp - from.timestamp,
+  startX: round(from.x),
+  startY: round(from.y),
+  endX: round(to.x),
+  endY: round(to.y),
+  amplitude: round(distance(from, to) / ppd, 3),
+  peakVelocity: peakVelocity === undefined ? null : round(peakVelocity, 1)
+});
+
+// Blinks: runs of invalid samples with a plausible blink duration. The
+// duration is measured between the surrounding valid samples.
+const detectBlinks = (samples, { blinkMinDuration, blinkMaxDuration }) => {
+  const blinks = [];
+  let lastValid = null;
+  let inGap = false;
+
+  samples.forEach(sample => {
+    if (!sample.validity) {
+      inGap = lastValid !== null;
+      return;
+    }
+    if (inGap) {
+      const duration = sample.timestamp - lastValid.timestamp;
+      if (duration >= blinkMinDuration && duration <= blinkMaxDuration) {
+        blinks.push({ type: 'blink', start: lastValid.timestamp, end: sample.timestamp, duration });
+      }
+    }
+    inGap = false;
+    lastValid = sample;
+  });
+
+  return blinks;
+};
+
+// I-VT classification
+const classifyIVT = (samples, screen, params) => {
+  const ppd = pixelsPerDegree(screen);
+  const fixations = [];
+  const saccades = [];
+
+  splitSegments(samples, params.maxGapDuration).forEach(segment => {
+    if (segment.length < 2) {
+      return;
+    }
+
+    // Velocity of each sample relative to the previous one (first sample
+    // takes the velocity of the second)
+    const velocities = segment.map((sample, i) => {
+      const prev = segment[i === 0 ? 0 : i - 1];
+      const next = i === 0 ? segment[1] : sample;
+      const dt = (next.timestamp - prev.timestamp) / 1000;
+      return dt > 0 ? distance(prev, next) / ppd / dt : 0;
+    });
+
+    let runStart = 0;
+    for (let i = 1; i <= segment.length; i++) {
+      const isFixation = velocities[runStart] < params.velocityThreshold;
+      const ended = i === segment.length || (velocities[i] < params.velocityThreshold) !== isFixation;
+      if (!ended) {
+        continue;
+      }
+
+      const run = segment.slice(runStart, i);
+      if (isFixation) {
+        if (run[run.length - 1].timestamp - run[0].timestamp >= params.minFixationDuration) {
+          fixations.push(makeFixation(run, ppd));
+        }
+      } else {
+        // A saccade runs from the last fixation sample before it to its last sample
+        const from = segment[Math.max(runStart - 1, 0)];
+        const to = run[run.length - 1];
+        saccades.push(makeSaccade(from, to, ppd, Math.max(...velocities.slice(runStart, i))));
+      }
+      runStart = i;
+    }
+  });
+
+  return { fixations, saccades };
+};
+
+// I-DT classification
+const classifyIDT = (samples, screen, params) => {
+  const ppd = pixelsPerDegree(screen);
+  const maxDispersion = params.dispersionThreshold * ppd;
+  const fixations = [];
+  const saccades = [];
+
+  splitSegments(samples, params.maxGapDuration).forEach(segment => {
+    let previous = null;
+    let start = 0;
+
+    while (start < segment.length) {
+      // Smallest window covering the minimum duration
+      let end = start;
+      while (end < segment.length && segment[end].timestamp - segment[start].timestamp < params.minFixationDuration) {
+        end++;
+      }
+      if (end >= segment.length) {
+        break;
+      }
+
+      if (dispersionOf(segment.slice(start, end + 1)) > maxDispersion) {
+        start++;
+        continue;
+      }
+
+      // Grow the window while dispersion stays under the threshold
+      while (end + 1 < segment.length && dispersionOf(segment.slice(start, end + 2)) <= maxDispersion) {
+        end++;
+      }
+
+      const run = segment.slice(start, end + 1);
+      const fixation = makeFixation(run, ppd);
+      if (previous) {
+        saccades.push(makeSaccade(previous.lastSample, run[0], ppd));
+      }
+      fixations.push(fixation);
+      previous = { lastSample: run[run.length - 1] };
+      start = end + 1;
+    }
+  });
+
+  return { fixations, saccades };
+};
+
+// Run the chosen algorithm and return all events sorted by start time
+const classify = (samples, { algorithm = 'ivt', params, screen } = {}) => {
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown algorithm: ${algorithm}`);
+  }
+
+  const resolved = resolveParams(algorithm, params);
+  const sorted = [...samples].sort((a, b) => a.timestamp - b.timestamp);
+  const { fixations, saccades } = algorithm === 'ivt'
+    ? classifyIVT(sorted, screen, resolved)
+    : classifyIDT(sorted, screen, resolved);
+  const blinks = detectBlinks(sorted, resolved);
+
+  const events = [...fixations, ...saccades, ...blinks].sort((a, b) => a.start - b.start);
+
+  return {
+    algorithm,
+    params: resolved,
+    pixelsPerDegree: round(pixelsPerDegree(screen), 3),
+    events,
+    summary: {
+      fixationCount: fixations.length,
+      saccadeCount: saccades.length,
+      blinkCount: blinks.length,
+      meanFixationDuration: fixations.length > 0
+        ? round(fixations.reduce((sum, f) => sum + f.duration, 0) / fixations.length, 1)
+        : null,
+      meanSaccadeAmplitude: saccades.length > 0
+        ? round(saccades.reduce((sum, s) => sum + s.amplitude, 0) / saccades.length, 3)
+        : null
+    }
+  };
+};
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULTS,
+  pixelsPerDegree,
+  resolveParams,
+  classify
+};
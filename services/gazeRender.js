@@ -0,0 +1,172 @@
+// Heatmap and scanpath drawing.
+//
+// Everything is drawn as SVG in screen pixels. The heatmap itself is a
+// raster: gaze is accumulated into a coarse density grid, smoothed with a
+// Gaussian kernel, colourised and embedded in the SVG as a PNG. PNG output
+// is produced by rasterising the SVG.
+
+const sharp = require('sharp');
+
+// Density grids are kept at most this many cells wide; the browser or the
+// rasteriser scales them up smoothly
+const MAX_GRID_WIDTH = 480;
+
+// Heatmap colour ramp, from low to high density
+const COLOR_STOPS = [
+  [0, [0, 0, 255]],
+  [0.25, [0, 255, 255]],
+  [0.5, [0, 255, 0]],
+  [0.75, [255, 255, 0]],
+  [1, [255, 0, 0]]
+];
+
+// Densities below this fraction of the maximum are left transparent
+const MIN_VISIBLE_DENSITY = 0.02;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// An empty density grid covering a width x height canvas
+const createGrid = (width, height) => {
+  const cellSize = Math.max(1, Math.ceil(width / MAX_GRID_WIDTH));
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  return { cellSize, columns, rows, cells: new Float64Array(columns * rows) };
+};
+
+const addPoint = (grid, x, y, weight = 1) => {
+  const column = Math.floor(x / grid.cellSize);
+  const row = Math.floor(y / grid.cellSize);
+  if (column < 0 || row < 0 || column >= grid.columns || row >= grid.rows) {
+    return;
+  }
+  grid.cells[row * grid.columns + column] += weight;
+};
+
+// Add one grid onto another, scaled so that its total weight is 1. Used to
+// give every session the same weight in an aggregated heatmap.
+const addNormalized = (target, source) => {
+  const total = source.cells.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return;
+  }
+  for (let i = 0; i < target.cells.length; i++) {
+    target.cells[i] += source.cells[i] / total;
+  }
+};
+
+// Separable Gaussian blur. sigma is given in canvas pixels.
+const blur = (grid, sigma) => {
+  const sigmaCells = Math.max(0.5, sigma / grid.cellSize);
+  // Taps past the grid's edge never land on a cell
+  const radius = Math.min(Math.ceil(sigmaCells * 3), Math.max(grid.columns, grid.rows));
+  const kernel = [];
+  for (let i = -radius; i <= radius; i++) {
+    kernel.push(Math.exp(-(i * i) / (2 * sigmaCells * sigmaCells)));
+  }
+
+  const { columns, rows } = grid;
+  const pass = (input, horizontal) => {
+    const output = new Float64Array(input.length);
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const c = horizontal ? column + k : column;
+          const r = horizontal ? row : row + k;
+          if (c >= 0 && c < columns && r >= 0 && r < rows) {
+            sum += input[r * columns + c] * kernel[k + radius];
+          }
+        }
+        output[row * columns + column] = sum;
+      }
+    }
+    return output;
+  };
+
+  grid.cells = pass(pass(grid.cells, true), false);
+  return grid;
+};
+
+const colorAt = (value) => {
+  for (let i = 1; i < COLOR_STOPS.length; i++) {
+    const [stop, color] = COLOR_STOPS[i];
+    if (value <= stop) {
+      const [previousStop, previousColor] = COLOR_STOPS[i - 1];
+      const t = (value - previousStop) / (stop - previousStop);
+      return previousColor.map((channel, j) => Math.round(channel + (color[j] - channel) * t));
+    }
+  }
+  return COLOR_STOPS[COLOR_STOPS.length - 1][1];
+};
+
+// Colourise a grid into a PNG, scaled to its own maximum
+const gridToPng = async (grid, { opacity = 0.75 } = {}) => {
+  const max = grid.cells.reduce((result, value) => Math.max(result, value), 0);
+  const pixels = Buffer.alloc(grid.cells.length * 4);
+
+  grid.cells.forEach((cell, i) => {
+    const value = max > 0 ? cell / max : 0;
+    if (value < MIN_VISIBLE_DENSITY) {
+      return;
+    }
+    const [r, g, b] = colorAt(value);
+    pixels[i * 4] = r;
+    pixels[i * 4 + 1] = g;
+    pixels[i * 4 + 2] = b;
+    pixels[i * 4 + 3] = Math.round(Math.min(1, value * 2) * opacity * 255);
+  });
+
+  return sharp(pixels, { raw: { width: grid.columns, height: grid.rows, channels: 4 } }).png().toBuffer();
+};
+
+const svgDocument = (width, height, background, body) => [
+  `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+  background
+    ? `<image x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none" xlink:href="${escapeXml(background)}"/>`
+    : '',
+  body,
+  '</svg>'
+].join('');
+
+// Heatmap over an optional background image (URL or data URI)
+const heatmapSvg = async (grid, { width, height, background }) => {
+  const png = await gridToPng(grid);
+  const heatmap = `<image x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none" xlink:href="data:image/png;base64,${png.toString('base64')}"/>`;
+  return svgDocument(width, height, background, heatmap);
+};
+
+// Fixations as numbered circles, sized by duration and joined in order.
+// Fixation coordinates must already be in canvas pixels.
+const scanpathSvg = (fixations, { width, height, background }) => {
+  const fontSize = Math.max(10, Math.round(width / 100));
+  const radiusOf = (duration) => Math.min(fontSize * 4, Math.max(fontSize, Math.sqrt(duration) * fontSize / 10));
+
+  const path = fixations.length > 1
+    ? `<polyline points="${fixations.map(f => `${round(f.x)},${round(f.y)}`).join(' ')}" fill="none" stroke="#38bdf8" stroke-width="${Math.max(1, fontSize / 6)}" stroke-opacity="0.8"/>`
+    : '';
+
+  const circles = fixations.map((fixation, i) => [
+    `<circle cx="${round(fixation.x)}" cy="${round(fixation.y)}" r="${round(radiusOf(fixation.duration))}" fill="#38bdf8" fill-opacity="0.45" stroke="#0369a1" stroke-width="2"/>`,
+    `<text x="${round(fixation.x)}" y="${round(fixation.y)}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" fill="#0f172a" text-anchor="middle" dominant-baseline="central">${i + 1}</text>`
+  ].join('')).join('');
+
+  return svgDocument(width, height, background, path + circles);
+};
+
+const svgToPng = (svg) => sharp(Buffer.from(svg)).png().toBuffer();
+
+module.exports = {
+  createGrid,
+  addPoint,
+  addNormalized,
+  blur,
+  heatmapSvg,
+  scanpathSvg,
+  svgToPng
+};
@@ -0,0 +1,431 @@
+const { WebSocketServer } = require('ws');
+const sessionService = require('./sessionService');
+const permissionService = require('./permissionService');
+const organizationService = require('./organizationService');
+const apiKeyService = require('./apiKeyService');
+const { getBearerToken, verifyCredential, needsTwoFactorEnrollment } = require('../middleware/auth');
+
+// Live gaze streaming over WebSocket.
+//
+// Desktop clients publish samples for one of their recording sessions; users
+// with the streams:watch permission subscribe to a session they may view
+// (as with the session routes) and receive the samples plus a once-a-second
+// status (sample rate, tracking loss). Samples are only relayed here -
+// persistence still goes through the chunk upload API.
+//
+// Messages are JSON objects with a `type`:
+//   client -> server: auth, publish, subscribe, unsubscribe, list
+//   server -> client: ready, samples, status, sessions, error
+//
+// Credentials are checked again every minute and when they expire, so a
+// socket loses access after logout or device revocation like HTTP requests
+// do. Clients keep a socket open past their ID token's expiry by sending a
+// fresh token in another auth message.
+
+const STREAM_PATH = '/api/stream';
+const AUTH_TIMEOUT = 10 * 1000; // close sockets that don't authenticate in time
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const STATUS_INTERVAL = 1000;
+const RATE_WINDOW = 1000; // sample rate is measured over the last second
+const TRACKING_LOSS_AFTER = 500; // ms without a valid sample
+const REVALIDATE_INTERVAL = 60 * 1000;
+const MAX_PAYLOAD = 256 * 1024;
+
+// Per-socket budget, counted over one-second windows
+const BUDGET_WINDOW = 1000;
+const MAX_MESSAGES_PER_WINDOW = 50;
+const MAX_SAMPLES_PER_WINDOW = 2000;
+
+class GazeStreamHub {
+  constructor() {
+    this.wss = null;
+    this.live = new Map(); // sessionId -> { session, publishers, subscribers, window, lastValidAt }
+    this.timers = [];
+  }
+
+  // Attach the WebSocket endpoint to an HTTP server
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: STREAM_PATH, maxPayload: MAX_PAYLOAD });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.timers.push(setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL));
+    this.timers.push(setInterval(() => this.broadcastStatus(), STATUS_INTERVAL));
+    this.timers.push(setInterval(() => {
+      this.revalidate().catch(error => console.error('Gaze stream revalidation error:', error));
+    }, REVALIDATE_INTERVAL));
+    this.timers.forEach(timer => timer.unref());
+
+    console.log(`📡 Gaze stream listening on ${STREAM_PATH}`);
+    return this.wss;
+  }
+
+  close() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+    this.live.clear();
+  }
+
+  async handleConnection(socket, req) {
+    socket.isAlive = true;
+    socket.client = null;
+    socket.subscriptions = new Set();
+    socket.publishing = new Set();
+    socket.budget = { startedAt: 0, messages: 0, samples: 0, warned: false };
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('close', () => this.handleClose(socket));
+    socket.on('message', (data) => {
+      this.handleMessage(socket, data).catch(error => {
+        console.error('Gaze stream error:', error);
+        this.send(socket, { type: 'error', message: 'Internal error' });
+      });
+    });
+
+    // Desktop clients can authenticate during the upgrade; browsers cannot set
+    // headers on a WebSocket, so they send an auth message first instead
+    const headerToken = getBearerToken(req.headers.authorization);
+    if (headerToken) {
+      await this.authenticate(socket, headerToken);
+    } else {
+      socket.authTimer = setTimeout(() => {
+        if (!socket.client) {
+          socket.close(4401, 'Authentication timeout');
+        }
+      }, AUTH_TIMEOUT);
+    }
+  }
+
+  // Verify a credential with the same checks as authenticateToken.
+  // Closes the socket and returns null when it doesn't pass.
+  async verify(socket, token) {
+    try {
+      const authenticated = await verifyCredential(token);
+      if (!authenticated) {
+        socket.close(4401, 'User not found');
+        return null;
+      }
+      if (await needsTwoFactorEnrollment(authenticated.user)) {
+        socket.close(4403, 'Two-factor authentication must be enabled');
+        return null;
+      }
+      return authenticated;
+    } catch (error) {
+      if (error.code === 'auth/invalid-api-key') {
+        socket.close(4401, error.message);
+        return null;
+      }
+      const reasons = {
+        'auth/id-token-expired': 'Token expired',
+        'auth/id-token-revoked': 'Token revoked',
+        'auth/user-disabled': 'Token revoked',
+        'auth/two-factor-required': 'Two-factor authentication required'
+      };
+      socket.close(4401, reasons[error.code] || 'Invalid token');
+      return null;
+    }
+  }
+
+  // Authenticate a socket, or swap in a fresh token for the same user
+  async authenticate(socket, token) {
+    const authenticated = await this.verify(socket, token);
+    if (!authenticated) {
+      return;
+    }
+    if (socket.client && socket.client.uid !== authenticated.uid) {
+      return this.send(socket, { type: 'error', message: 'Token belongs to a different user' });
+    }
+
+    clearTimeout(socket.authTimer);
+    socket.client = authenticated;
+    socket.token = token;
+    this.send(socket, { type: 'ready', uid: authenticated.uid, role: authenticated.user.role });
+  }
+
+  // Check every authenticated socket's credential again
+  async revalidate() {
+    if (!this.wss) {
+      return;
+    }
+    for (const socket of this.wss.clients) {
+      if (socket.client) {
+        const authenticated = await this.verify(socket, socket.token);
+        if (authenticated) {
+          socket.client = authenticated;
+        }
+      }
+    }
+  }
+
+  // Count against the socket's budget for the current window. Returns
+  // false once it is spent.
+  spend(socket, { messages = 0, samples = 0 }) {
+    const now = Date.now();
+    const { budget } = socket;
+    if (now - budget.startedAt >= BUDGET_WINDOW) {
+      Object.assign(budget, { startedAt: now, messages: 0, samples: 0, warned: false });
+    }
+
+    budget.messages += messages;
+    budget.samples += samples;
+    return budget.messages <= MAX_MESSAGES_PER_WINDOW && budget.samples <= MAX_SAMPLES_PER_WINDOW;
+  }
+
+  // Tell a client it is over budget, once per window
+  throttled(socket) {
+    if (!socket.budget.warned) {
+      socket.budget.warned = true;
+      this.send(socket, { type: 'error', message: 'Rate limit exceeded; messages are being dropped' });
+    }
+  }
+
+  async handleMessage(socket, data) {
+    if (!this.spend(socket, { messages: 1 })) {
+      return this.throttled(socket);
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(socket, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    if (message.type === 'auth') {
+      return this.authenticate(socket, message.token);
+    }
+
+    if (!socket.client) {
+      return this.send(socket, { type: 'error', message: 'Authentication required' });
+    }
+
+    if (socket.client.expiresAt && socket.client.expiresAt <= new Date()) {
+      return socket.close(4401, 'Token expired');
+    }
+
+    // API keys need sessions:write to publish and sessions:read for the rest
+    const { apiKey } = socket.client;
+    const scope = message.type === 'publish' ? 'sessions:write' : 'sessions:read';
+    if (apiKey && !apiKeyService.hasScope(apiKey, scope)) {
+      return this.send(socket, { type: 'error', message: `API key is missing the ${scope} scope` });
+    }
+
+    switch (message.type) {
+      case 'publish':
+        return this.handlePublish(socket, message);
+      case 'subscribe':
+        return this.handleSubscribe(socket, message);
+      case 'unsubscribe':
+        return this.handleUnsubscribe(socket, message);
+      case 'list':
+        return this.handleList(socket);
+      default:
+        return this.send(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  can(socket, permission) {
+    return permissionService.hasPermission(socket.client.user, permission);
+  }
+
+  // Whether the socket's user may view a session, with the same check as
+  // the session routes: the owner, or by role or organization membership
+  canView(socket, session) {
+    return organizationService.canAccess(socket.client.user, {
+      ownerUid: session.uid,
+      organizationId: session.organizationId
+    }, 'view');
+  }
+
+  async handlePublish(socket, { sessionId, samples }) {
+    if (!this.spend(socket, { samples: Array.isArray(samples) ? samples.length : 0 })) {
+      return this.throttled(socket);
+    }
+
+    let entry = this.live.get(sessionId);
+
+    // Check ownership once per socket and session
+    if (!socket.publishing.has(sessionId)) {
+      const session = entry ? entry.session : await sessionService.getSession(sessionId);
+      if (!session || (session.uid !== socket.client.uid && !await this.can(socket, 'sessions:manage'))) {
+        return this.send(socket, { type: 'error', sessionId, message: 'Session not found' });
+      }
+      if (session.status !== sessionService.STATUS.RECORDING) {
+        return this.send(socket, { type: 'error', sessionId, message: 'Session is not recording' });
+      }
+
+      entry = this.getEntry(sessionId, session);
+      entry.publishers.add(socket);
+      socket.publishing.add(sessionId);
+    }
+
+    const normalized = sessionService.normalizeSamples(samples);
+    if (normalized.error) {
+      return this.send(socket, { type: 'error', sessionId, message: normalized.error });
+    }
+
+    const now = Date.now();
+    normalized.samples.forEach(sample => {
+      entry.window.push({ receivedAt: now, validity: sample.validity });
+      if (sample.validity) {
+        entry.lastValidAt = now;
+      }
+    });
+    entry.lastSampleAt = now;
+    entry.window = entry.window.filter(sample => now - sample.receivedAt <= RATE_WINDOW);
+
+    const payload = JSON.stringify({ type: 'samples', sessionId, samples: normalized.samples });
+    entry.subscribers.forEach(subscriber => this.sendRaw(subscriber, payload));
+  }
+
+  async handleSubscribe(socket, { sessionId }) {
+    if (!await this.can(socket, 'streams:watch')) {
+      return this.send(socket, { type: 'error', sessionId, message: 'Insufficient permissions' });
+    }
+
+    let entry = this.live.get(sessionId);
+    const session = entry ? entry.session : await sessionService.getSession(sessionId);
+    if (!session) {
+      return this.send(socket, { type: 'error', sessionId, message: 'Session not found' });
+    }
+    if (!await this.canView(socket, session)) {
+      return this.send(socket, { type: 'error', sessionId, message: 'Insufficient permissions' });
+    }
+
+    entry = entry || this.getEntry(sessionId, session);
+    entry.subscribers.add(socket);
+    socket.subscriptions.add(sessionId);
+    this.send(socket, { type: 'status', ...this.getStatus(sessionId, entry) });
+  }
+
+  handleUnsubscribe(socket, { sessionId }) {
+    const entry = this.live.get(sessionId);
+    if (entry) {
+      entry.subscribers.delete(socket);
+      this.cleanup(sessionId);
+    }
+    socket.subscriptions.delete(sessionId);
+  }
+
+  // Sessions that currently have a publisher connected and the user may view
+  async handleList(socket) {
+    if (!await this.can(socket, 'streams:watch')) {
+      return this.send(socket, { type: 'error', message: 'Insufficient permissions' });
+    }
+
+    const live = [...this.live.entries()].filter(([, entry]) => entry.publishers.size > 0);
+    const visible = [];
+    for (const [sessionId, entry] of live) {
+      if (await this.canView(socket, entry.session)) {
+        visible.push([sessionId, entry]);
+      }
+    }
+
+    const sessions = visible.map(([sessionId, entry]) => ({
+      sessionId,
+      uid: entry.session.uid,
+      ...this.getStatus(sessionId, entry)
+    }));
+
+    this.send(socket, { type: 'sessions', sessions });
+  }
+
+  handleClose(socket) {
+    clearTimeout(socket.authTimer);
+
+    socket.publishing.forEach(sessionId => {
+      const entry = this.live.get(sessionId);
+      if (entry) {
+        entry.publishers.delete(socket);
+        this.cleanup(sessionId);
+      }
+    });
+
+    socket.subscriptions.forEach(sessionId => {
+      const entry = this.live.get(sessionId);
+      if (entry) {
+        entry.subscribers.delete(socket);
+        this.cleanup(sessionId);
+      }
+    });
+  }
+
+  getEntry(sessionId, session) {
+    if (!this.live.has(sessionId)) {
+      this.live.set(sessionId, {
+        session,
+        publishers: new Set(),
+        subscribers: new Set(),
+        window: [],
+        lastSampleAt: null,
+        lastValidAt: null
+      });
+    }
+    return this.live.get(sessionId);
+  }
+
+  // Forget sessions nobody is publishing to or watching
+  cleanup(sessionId) {
+    const entry = this.live.get(sessionId);
+    if (entry && entry.publishers.size === 0 && entry.subscribers.size === 0) {
+      this.live.delete(sessionId);
+    }
+  }
+
+  getStatus(sessionId, entry) {
+    const now = Date.now();
+    entry.window = entry.window.filter(sample => now - sample.receivedAt <= RATE_WINDOW);
+
+    const valid = entry.window.filter(sample => sample.validity).length;
+    return {
+      sessionId,
+      screen: entry.session.screen,
+      live: entry.publishers.size > 0,
+      sampleRate: entry.window.length * (1000 / RATE_WINDOW),
+      validRatio: entry.window.length > 0 ? valid / entry.window.length : 0,
+      trackingLost: entry.publishers.size > 0 &&
+        (entry.lastValidAt === null || now - entry.lastValidAt > TRACKING_LOSS_AFTER),
+      lastSampleAt: entry.lastSampleAt
+    };
+  }
+
+  broadcastStatus() {
+    this.live.forEach((entry, sessionId) => {
+      if (entry.subscribers.size === 0) {
+        return;
+      }
+      const payload = JSON.stringify({ type: 'status', ...this.getStatus(sessionId, entry) });
+      entry.subscribers.forEach(subscriber => this.sendRaw(subscriber, payload));
+    });
+  }
+
+  // Drop connections that stopped answering pings
+  heartbeat() {
+    if (!this.wss) {
+      return;
+    }
+    this.wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }
+
+  send(socket, message) {
+    this.sendRaw(socket, JSON.stringify(message));
+  }
+
+  sendRaw(socket, payload) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(payload);
+    }
+  }
+}
+
+module.exports = new GazeStreamHub();
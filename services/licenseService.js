@@ -0,0 +1,535 @@
+const crypto = require('crypto');
+const { firestoreHelpers, userHelpers, toDate, COLLECTIONS } = require('../config/database');
+const subscriptionService = require('./subscriptionService');
+
+// License keys for the desktop apps. Keys and activation certificates are
+// Ed25519-signed (LICENSE_SIGNING_KEY) so the apps can check them offline
+// with the public key; seat counts are enforced here, at activation.
+//
+// An offline certificate can't be taken back, so deactivating an offline
+// machine only frees its seat straight away with a deactivation receipt the
+// machine signed after deleting its certificate. Without one the seat stays
+// counted until the certificate runs out.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Desktop editions and the license each is sold under
+const EDITIONS = {
+  lite: { id: 'lite', name: 'W.E.T Lite', licenseType: 'educational' },
+  professional: { id: 'professional', name: 'W.E.T Professional', licenseType: 'commercial' }
+};
+
+// What a plan's subscriber can issue for themselves. Enterprise licenses
+// also allow offline activation.
+const PLAN_SEATS = { lite: 1, professional: 2, enterprise: 5 };
+
+const KEY_PREFIX = 'WET1';
+
+// What a signed string is for, carried as its typ. Every verifier names the
+// purpose it expects, so a license key can't pass as a certificate or an
+// update manifest, or the other way round.
+const PURPOSES = {
+  LICENSE: 'license',
+  CERTIFICATE: 'certificate',
+  UPDATE: 'update'
+};
+
+const MAX_SEATS = 10000;
+const MAX_DURATION_DAYS = 5 * 365;
+const MAX_MACHINE_NAME_LENGTH = 100;
+
+// How long an activation certificate lets the app run before it must check
+// in again. Offline machines can't check in, so theirs last longer.
+const CERTIFICATE_TTL = { online: 30 * DAY, offline: 365 * DAY };
+
+// Offline activation request files older than this are refused
+const OFFLINE_REQUEST_TTL = 7 * DAY;
+
+const OFFLINE_REQUEST_FORMAT = 'wet-activation-request';
+const OFFLINE_RESPONSE_FORMAT = 'wet-activation-response';
+const DEACTIVATION_RECEIPT_FORMAT = 'wet-deactivation-receipt';
+const MAX_MACHINE_KEY_LENGTH = 1000;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (text) => JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+
+// Machine fingerprints are only stored hashed
+const hashMachine = (machineId) => crypto.createHash('sha256').update(machineId).digest('hex');
+
+const activationId = (licenseId, machineHash) => `${licenseId}_${machineHash.slice(0, 32)}`;
+
+// The machine's Ed25519 public key from an offline request, as PEM, or null
+// if it isn't one
+const parseMachineKey = (text) => {
+  if (typeof text !== 'string' || text.length > MAX_MACHINE_KEY_LENGTH) {
+    return null;
+  }
+  try {
+    const key = crypto.createPublicKey(text);
+    return key.asymmetricKeyType === 'ed25519' ? key.export({ type: 'spki', format: 'pem' }) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// What the machine signs in a deactivation receipt
+const receiptMessage = ({ licenseId, machineId, nonce, deactivatedAt }) =>
+  [DEACTIVATION_RECEIPT_FORMAT, licenseId, machineId, nonce, deactivatedAt].join('\n');
+
+const loadSigningKey = () => {
+  if (process.env.LICENSE_SIGNING_KEY) {
+    return crypto.createPrivateKey(process.env.LICENSE_SIGNING_KEY.replace(/\\n/g, '\n'));
+  }
+  if (process.env.NODE_ENV === 'production') {
+    return null;
+  }
+
+  console.warn('⚠️  LICENSE_SIGNING_KEY is not set; using a temporary key. Keys issued now stop verifying after a restart.');
+  return crypto.generateKeyPairSync('ed25519').privateKey;
+};
+
+class LicenseService {
+  constructor() {
+    this.EDITIONS = EDITIONS;
+    this.PURPOSES = PURPOSES;
+    this.signingKey = undefined;
+  }
+
+  getSigningKey() {
+    if (this.signingKey === undefined) {
+      this.signingKey = loadSigningKey();
+    }
+    return this.signingKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.getSigningKey());
+  }
+
+  // The PEM public key the apps verify keys and certificates with
+  getPublicKey() {
+    return crypto.createPublicKey(this.getSigningKey()).export({ type: 'spki', format: 'pem' });
+  }
+
+  // "WET1.<payload>.<signature>", the signature covering the encoded payload.
+  // purpose is one of PURPOSES and goes into the payload as typ.
+  sign(payload, purpose) {
+    if (!Object.values(PURPOSES).includes(purpose)) {
+      throw new Error(`Unknown signing purpose: ${purpose}`);
+    }
+
+    const body = encode({ ...payload, typ: purpose });
+    const signature = crypto.sign(null, Buffer.from(body), this.getSigningKey()).toString('base64url');
+    return `${KEY_PREFIX}.${body}.${signature}`;
+  }
+
+  // Check a signed string made for purpose. Returns the payload, or null if
+  // it is malformed, the signature doesn't match or it is for something else.
+  verify(signed, purpose) {
+    if (typeof signed !== 'string') {
+      return null;
+    }
+
+    const [prefix, body, signature] = signed.trim().split('.');
+    if (prefix !== KEY_PREFIX || !body || !signature) {
+      return null;
+    }
+
+    try {
+      const valid = crypto.verify(null, Buffer.from(body), crypto.createPublicKey(this.getSigningKey()), Buffer.from(signature, 'base64url'));
+      const payload = valid ? decode(body) : null;
+      return payload && payload.typ === purpose ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The edition and seats a user's plan lets them issue, or null
+  entitlementFor(user, editionId) {
+    const { plan } = subscriptionService.getEffectivePlan(user.subscription);
+    if (!plan.features.includes(`download:${editionId}`)) {
+      return null;
+    }
+    return {
+      seats: PLAN_SEATS[plan.id],
+      offlineActivation: plan.features.includes('offline-activation')
+    };
+  }
+
+  // Validate an admin-issued license. Returns an error message, or null.
+  validateIssueInput({ edition, ownerUid, organizationId, seats, durationDays, offlineActivation }) {
+    if (!EDITIONS[edition]) {
+      return `edition must be one of: ${Object.keys(EDITIONS).join(', ')}`;
+    }
+    if (Boolean(ownerUid) === Boolean(organizationId)) {
+      return 'Provide either ownerUid or organizationId';
+    }
+    if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS) {
+      return `seats must be an integer between 1 and ${MAX_SEATS}`;
+    }
+    if (durationDays !== undefined && durationDays !== null &&
+        (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > MAX_DURATION_DAYS)) {
+      return `durationDays must be an integer between 1 and ${MAX_DURATION_DAYS}`;
+    }
+    if (offlineActivation !== undefined && typeof offlineActivation !== 'boolean') {
+      return 'offlineActivation must be a boolean';
+    }
+    return null;
+  }
+
+  // Validate a machine taking part in an activation. Returns an error
+  // message, or null.
+  validateMachine({ machineId, machineName }) {
+    if (typeof machineId !== 'string' || machineId.length < 16 || machineId.length > 256) {
+      return 'machineId must be a machine fingerprint of 16 to 256 characters';
+    }
+    if (machineName !== undefined && (typeof machineName !== 'string' || machineName.length > MAX_MACHINE_NAME_LENGTH)) {
+      return `machineName must be at most ${MAX_MACHINE_NAME_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // Issue a license to a user or an organization.
+  // Options: { edition, ownerUid | organizationId, seats, durationDays?,
+  // offlineActivation?, source, issuedBy }
+  async issueLicense({ edition, ownerUid, organizationId, seats, durationDays, offlineActivation = false, source, issuedBy }) {
+    const id = crypto.randomUUID();
+    const now = new Date();
+    const expiresAt = durationDays ? new Date(now.getTime() + durationDays * DAY) : null;
+
+    const license = {
+      edition,
+      licenseType: EDITIONS[edition].licenseType,
+      ownerUid: ownerUid || null,
+      organizationId: organizationId || null,
+      seats,
+      offlineActivation,
+      source,
+      issuedBy,
+      issuedAt: now,
+      expiresAt,
+      revokedAt: null
+    };
+
+    // The key carries the terms so the apps can show them offline
+    license.key = this.sign({
+      lid: id,
+      ed: edition,
+      lt: license.licenseType,
+      sub: ownerUid ? `user:${ownerUid}` : `org:${organizationId}`,
+      seats,
+      iat: Math.floor(now.getTime() / 1000),
+      exp: expiresAt ? Math.floor(expiresAt.getTime() / 1000) : null
+    }, PURPOSES.LICENSE);
+
+    await firestoreHelpers.createDocument(COLLECTIONS.LICENSES, id, license);
+    return { id, ...license };
+  }
+
+  // Issue the caller a license from their plan, one per edition.
+  // Returns { license } or { error, status }.
+  async issueForPlan(user, editionId) {
+    const entitlement = this.entitlementFor(user, editionId);
+    if (!entitlement) {
+      return { error: `Your plan does not include ${EDITIONS[editionId].name}`, status: 403 };
+    }
+
+    const existing = (await this.listForOwner(user.uid))
+      .find(license => license.source === 'plan' && license.edition === editionId && !license.revokedAt);
+    if (existing) {
+      return { error: `You already have a ${EDITIONS[editionId].name} license`, status: 409 };
+    }
+
+    const license = await this.issueLicense({
+      edition: editionId,
+      ownerUid: user.uid,
+      seats: entitlement.seats,
+      offlineActivation: entitlement.offlineActivation,
+      source: 'plan',
+      issuedBy: user.uid
+    });
+    return { license };
+  }
+
+  async getLicense(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.LICENSES, id);
+  }
+
+  async listForOwner(uid) {
+    return firestoreHelpers.queryDocuments(COLLECTIONS.LICENSES, 'ownerUid', '==', uid);
+  }
+
+  async listForOrganization(organizationId) {
+    return firestoreHelpers.queryDocuments(COLLECTIONS.LICENSES, 'organizationId', '==', organizationId);
+  }
+
+  async listAll() {
+    return firestoreHelpers.getAllDocuments(COLLECTIONS.LICENSES, 0);
+  }
+
+  async listActivations(licenseId) {
+    const activations = await firestoreHelpers.queryDocuments(COLLECTIONS.LICENSE_ACTIVATIONS, 'licenseId', '==', licenseId);
+    return activations.sort((a, b) => toDate(a.activatedAt) - toDate(b.activatedAt));
+  }
+
+  // Whether an activation still takes up a seat: until it is deactivated,
+  // and for offline machines until their certificate runs out
+  holdsSeat(activation) {
+    if (!activation.releasedAt) {
+      return true;
+    }
+    const offlineUntil = toDate(activation.offlineUntil);
+    return Boolean(offlineUntil) && offlineUntil > new Date();
+  }
+
+  // The activations taking up a license's seats. Released ones whose
+  // certificate has run out are dropped on the way.
+  async listSeatHolders(licenseId) {
+    const holders = [];
+    for (const activation of await this.listActivations(licenseId)) {
+      if (this.holdsSeat(activation)) {
+        holders.push(activation);
+      } else {
+        await firestoreHelpers.deleteDocument(COLLECTIONS.LICENSE_ACTIVATIONS, activation.id);
+      }
+    }
+    return holders;
+  }
+
+  async getActivation(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.LICENSE_ACTIVATIONS, id);
+  }
+
+  async revokeLicense(license) {
+    const revokedAt = new Date();
+    await firestoreHelpers.updateDocument(COLLECTIONS.LICENSES, license.id, { revokedAt });
+    return { ...license, revokedAt };
+  }
+
+  // Revoke and release the seats of every license a user owns
+  async deleteForOwner(uid) {
+    const licenses = await this.listForOwner(uid);
+    for (const license of licenses) {
+      const activations = await this.listActivations(license.id);
+      for (const activation of activations) {
+        await firestoreHelpers.deleteDocument(COLLECTIONS.LICENSE_ACTIVATIONS, activation.id);
+      }
+      await firestoreHelpers.deleteDocument(COLLECTIONS.LICENSES, license.id);
+    }
+  }
+
+  // Why a license can't be used right now, or null if it can. Plan
+  // licenses last as long as their owner's plan includes the edition.
+  async unusableReason(license) {
+    if (license.revokedAt) {
+      return 'License has been revoked';
+    }
+    if (license.expiresAt && toDate(license.expiresAt) <= new Date()) {
+      return 'License has expired';
+    }
+    if (license.source === 'plan') {
+      const owner = await userHelpers.getUserById(license.ownerUid);
+      if (!owner || !this.entitlementFor(owner, license.edition)) {
+        return 'The plan this license came with has ended';
+      }
+    }
+    return null;
+  }
+
+  // Look up the license a presented key belongs to.
+  // Returns { license } or { error, status }.
+  async resolveKey(key) {
+    const payload = this.verify(key, PURPOSES.LICENSE);
+    const license = payload && await this.getLicense(payload.lid);
+    if (!license || license.key !== key.trim()) {
+      return { error: 'Invalid license key', status: 404 };
+    }
+
+    const reason = await this.unusableReason(license);
+    if (reason) {
+      return { error: reason, status: 403 };
+    }
+    return { license };
+  }
+
+  // When a certificate issued now would run out
+  certificateExpiry(license, mode) {
+    const expiresAt = toDate(license.expiresAt);
+    return new Date(Math.min(Date.now() + CERTIFICATE_TTL[mode], expiresAt ? expiresAt.getTime() : Infinity));
+  }
+
+  // A signed certificate telling the app it may run on this machine until
+  // validUntil
+  certificateFor(license, activation, nonce, validUntil) {
+    const now = Date.now();
+
+    return this.sign({
+      lid: license.id,
+      mid: activation.machineHash,
+      ed: license.edition,
+      lt: license.licenseType,
+      mode: activation.mode,
+      ...(nonce && { nonce }),
+      iat: Math.floor(now / 1000),
+      exp: Math.floor(validUntil.getTime() / 1000)
+    }, PURPOSES.CERTIFICATE);
+  }
+
+  // Take a seat for a machine, or refresh its seat if it already has one.
+  // Offline activations also record the certificate's expiry and nonce and
+  // the machine's key, for deactivation receipts.
+  // Returns { activation, certificate } or { error, status, code? }.
+  async activate(license, { machineId, machineName, mode = 'online', nonce, machinePublicKey }) {
+    const machineHash = hashMachine(machineId);
+    const id = activationId(license.id, machineHash);
+    const now = new Date();
+    const validUntil = this.certificateExpiry(license, mode);
+    const offline = mode === 'offline'
+      ? { offlineUntil: validUntil, offlineNonce: nonce, machinePublicKey: machinePublicKey || null }
+      : {};
+
+    // A released machine whose seat has lapsed starts over
+    const previous = await this.getActivation(id);
+    if (previous && !this.holdsSeat(previous)) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.LICENSE_ACTIVATIONS, id);
+    }
+
+    const activation = {
+      licenseId: license.id,
+      machineHash,
+      machineName: machineName || null,
+      mode,
+      activatedAt: now,
+      lastSeenAt: now,
+      releasedAt: null,
+      offlineUntil: null,
+      ...offline
+    };
+
+    const created = await firestoreHelpers.createDocumentIfAbsent(COLLECTIONS.LICENSE_ACTIVATIONS, id, activation);
+    if (!created) {
+      const updates = { lastSeenAt: now, mode, releasedAt: null, ...offline, ...(machineName && { machineName }) };
+      await firestoreHelpers.updateDocument(COLLECTIONS.LICENSE_ACTIVATIONS, id, updates);
+      const existing = { ...(await this.getActivation(id)), ...updates };
+      return { activation: existing, certificate: this.certificateFor(license, existing, nonce, validUntil) };
+    }
+
+    // Counted after claiming the seat so concurrent activations can't both
+    // take the last one
+    const holders = await this.listSeatHolders(license.id);
+    if (holders.length > license.seats) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.LICENSE_ACTIVATIONS, id);
+      return {
+        error: `All ${license.seats} seat(s) of this license are in use. Deactivate another machine first.`,
+        status: 409,
+        code: 'SEAT_LIMIT_REACHED'
+      };
+    }
+
+    return { activation: { id, ...activation }, certificate: this.certificateFor(license, activation, nonce, validUntil) };
+  }
+
+  // Check a deactivation receipt, written by the app on an offline machine
+  // once it has deleted its certificate. It must be signed with the machine
+  // key from the activation request and name that certificate's nonce.
+  verifyReceipt(activation, receipt) {
+    if (!receipt || typeof receipt !== 'object' || receipt.format !== DEACTIVATION_RECEIPT_FORMAT ||
+        !activation.machinePublicKey || typeof receipt.machineId !== 'string' ||
+        receipt.licenseId !== activation.licenseId || receipt.nonce !== activation.offlineNonce ||
+        hashMachine(receipt.machineId) !== activation.machineHash) {
+      return false;
+    }
+
+    try {
+      return crypto.verify(
+        null,
+        Buffer.from(receiptMessage(receipt)),
+        crypto.createPublicKey(activation.machinePublicKey),
+        Buffer.from(String(receipt.signature), 'base64url')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Release an activation's seat. Returns { released: true } when the seat
+  // is free, or { heldUntil } when an offline certificate keeps it taken.
+  async release(activation, receipt) {
+    if (!this.holdsSeat({ ...activation, releasedAt: new Date() }) || this.verifyReceipt(activation, receipt)) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.LICENSE_ACTIVATIONS, activation.id);
+      return { released: true };
+    }
+
+    if (!activation.releasedAt) {
+      await firestoreHelpers.updateDocument(COLLECTIONS.LICENSE_ACTIVATIONS, activation.id, { releasedAt: new Date() });
+    }
+    return { heldUntil: toDate(activation.offlineUntil) };
+  }
+
+  // Release a machine's seat (see release). Returns null if it had none.
+  async deactivate(license, machineId, receipt) {
+    const activation = await this.getActivation(activationId(license.id, hashMachine(machineId)));
+    if (!activation || !this.holdsSeat(activation)) {
+      return null;
+    }
+    return this.release(activation, receipt);
+  }
+
+  // Read an offline activation request file, as written by the app on the
+  // offline machine. Returns { request } or { error }.
+  parseOfflineRequest(file) {
+    if (!file || typeof file !== 'object' || file.format !== OFFLINE_REQUEST_FORMAT) {
+      return { error: `Not a ${OFFLINE_REQUEST_FORMAT} file` };
+    }
+
+    const { licenseKey, machineId, machineName, nonce, createdAt } = file;
+    if (typeof licenseKey !== 'string' || !licenseKey) {
+      return { error: 'Request file has no license key' };
+    }
+    const machineError = this.validateMachine({ machineId, machineName });
+    if (machineError) {
+      return { error: machineError };
+    }
+    if (typeof nonce !== 'string' || nonce.length < 16 || nonce.length > 128) {
+      return { error: 'Request file has no valid nonce' };
+    }
+
+    // Apps that send a key can free their seat early with a signed receipt
+    const machinePublicKey = file.machinePublicKey === undefined ? null : parseMachineKey(file.machinePublicKey);
+    if (file.machinePublicKey !== undefined && !machinePublicKey) {
+      return { error: 'Request file has an invalid machine key (Ed25519 public key, PEM)' };
+    }
+
+    const created = new Date(createdAt);
+    if (isNaN(created) || Date.now() - created.getTime() > OFFLINE_REQUEST_TTL || created.getTime() - Date.now() > DAY) {
+      return { error: 'Request file has expired. Create a new one on the offline machine.' };
+    }
+
+    return { request: { licenseKey, machineId, machineName, nonce, machinePublicKey } };
+  }
+
+  // The response file to carry back to the offline machine. The app checks
+  // the signature and that the nonce is the one it wrote.
+  offlineResponse(license, activation, certificate) {
+    return {
+      format: OFFLINE_RESPONSE_FORMAT,
+      licenseId: license.id,
+      machineName: activation.machineName,
+      certificate,
+      issuedAt: new Date().toISOString()
+    };
+  }
+
+  // Seat usage for a set of licenses
+  async withUsage(licenses) {
+    const result = [];
+    for (const license of licenses) {
+      const holders = await this.listSeatHolders(license.id);
+      result.push({ ...license, seatsUsed: holders.length });
+    }
+    return result;
+  }
+}
+
+module.exports = new LicenseService();
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { firestoreHelpers, toDate, COLLECTIONS } = require('../config/database');
+
+// Failed sign-in tracking, kept in the data store so it holds across
+// restarts and server instances. Failures are counted per account (by
+// email, whether or not the account exists) and per IP address. Reaching
+// the limit locks the key; each further lock lasts longer, up to MAX_LOCK.
+const LIMITS = {
+  account: { maxFailures: 5 },
+  ip: { maxFailures: 20 }
+};
+
+const BASE_LOCK = 5 * 60 * 1000; // 5 minutes
+const MAX_LOCK = 2 * 60 * 60 * 1000; // 2 hours
+
+// Failures and lock history older than this are forgotten
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const recordId = (kind, value) => `${kind}_${hashKey(kind === 'account' ? value.toLowerCase() : value)}`;
+
+class LockoutService {
+  // Controlled by ENABLE_ACCOUNT_LOCKOUT (on unless set to false)
+  isEnabled() {
+    return process.env.ENABLE_ACCOUNT_LOCKOUT !== 'false';
+  }
+
+  lockDuration(lockCount) {
+    return Math.min(BASE_LOCK * 2 ** lockCount, MAX_LOCK);
+  }
+
+  async getRecord(kind, value) {
+    const record = await firestoreHelpers.getDocument(COLLECTIONS.LOGIN_ATTEMPTS, recordId(kind, value));
+    if (!record) {
+      return null;
+    }
+
+    const lastFailureAt = toDate(record.lastFailureAt);
+    if (!lastFailureAt || Date.now() - lastFailureAt.getTime() > FAILURE_WINDOW) {
+      return null;
+    }
+    return record;
+  }
+
+  // The lock that stops a sign-in for this email from this IP, if any.
+  // Returns { kind, lockUntil } or null.
+  async checkLock(email, ip) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const keys = [['account', email], ['ip', ip]].filter(([, value]) => value);
+    for (const [kind, value] of keys) {
+      const record = await this.getRecord(kind, value);
+      const lockUntil = record && toDate(record.lockUntil);
+      if (lockUntil && lockUntil > new Date()) {
+        return { kind, lockUntil };
+      }
+    }
+    return null;
+  }
+
+  // Count a failed sign-in against the account and the IP.
+  // Returns { accountLockUntil, ipLockUntil }, set for keys this failure locked.
+  async recordFailure(email, ip) {
+    const result = { accountLockUntil: null, ipLockUntil: null };
+    if (!this.isEnabled()) {
+      return result;
+    }
+
+    const keys = [['account', email], ['ip', ip]].filter(([, value]) => value);
+    for (const [kind, value] of keys) {
+      const record = await this.getRecord(kind, value);
+      const now = new Date();
+
+      // A lock that has run out starts a fresh count but is remembered, so
+      // the next lock lasts longer
+      const lockUntil = record && toDate(record.lockUntil);
+      const expired = lockUntil && lockUntil <= now;
+      const failures = (record && !expired ? record.failures : 0) + 1;
+      const lockCount = record ? record.lockCount || 0 : 0;
+
+      const updates = {
+        kind,
+        failures,
+        lockCount,
+        lockUntil: expired ? null : (lockUntil || null),
+        lastFailureAt: now
+      };
+
+      if (failures >= LIMITS[kind].maxFailures) {
+        updates.lockUntil = new Date(now.getTime() + this.lockDuration(lockCount));
+        updates.lockCount = lockCount + 1;
+        updates.failures = 0;
+        result[`${kind}LockUntil`] = updates.lockUntil;
+        console.warn(`🔒 Sign-in locked for ${kind} ${recordId(kind, value).slice(0, 16)} until ${updates.lockUntil.toISOString()}`);
+      }
+
+      await firestoreHelpers.createDocument(COLLECTIONS.LOGIN_ATTEMPTS, recordId(kind, value), updates);
+    }
+
+    return result;
+  }
+
+  // Forget an account's failures and lock, after a successful sign-in, an
+  // unlock link or a password reset
+  async clearAccount(email) {
+    await firestoreHelpers.deleteDocument(COLLECTIONS.LOGIN_ATTEMPTS, recordId('account', email));
+  }
+}
+
+module.exports = new LockoutService();
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Where outgoing mail goes, chosen by EMAIL_TRANSPORT:
+//   smtp   - the configured SMTP server (default)
+//   file   - one .eml file per message in EMAIL_SINK_DIR (default in development without EMAIL_USER)
+//   memory - kept in this process, for tests (default under NODE_ENV=test)
+// Only smtp needs the network; the others accept every message.
+
+const TRANSPORTS = ['smtp', 'file', 'memory'];
+const MEMORY_LIMIT = 100; // messages kept by the memory transport
+
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'test') {
+    return 'memory';
+  }
+  if (process.env.NODE_ENV === 'development' && !process.env.EMAIL_USER) {
+    return 'file';
+  }
+  return 'smtp';
+};
+
+class MailTransport {
+  constructor() {
+    this.name = process.env.EMAIL_TRANSPORT || defaultTransport();
+    if (!TRANSPORTS.includes(this.name)) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${this.name}". Use one of: ${TRANSPORTS.join(', ')}`);
+    }
+
+    this.sinkDir = process.env.EMAIL_SINK_DIR || path.join(os.tmpdir(), 'wet-emails');
+    this.sent = [];
+    this.transporter = this.createTransporter();
+  }
+
+  createTransporter() {
+    if (this.name === 'file') {
+      fs.mkdirSync(this.sinkDir, { recursive: true });
+      console.log(`📧 Email transport: writing messages to ${this.sinkDir}`);
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    if (this.name === 'memory') {
+      console.log('📧 Email transport: keeping messages in memory');
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+      port: process.env.EMAIL_PORT || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+      tls: {
+        ciphers: 'SSLv3'
+      }
+    });
+
+    console.log('📧 Email transport: configured SMTP');
+
+    // A failed check is only reported; the outbox keeps retrying sends
+    transporter.verify()
+      .then(() => console.log('✅ Email service connection verified'))
+      .catch(error => console.error('❌ Email service connection failed:', error.message));
+
+    return transporter;
+  }
+
+  // Send one message. Resolves with its message id; rejects when the
+  // transport does not accept it.
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    if (this.name === 'file') {
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-z0-9.@-]/gi, '')}.eml`;
+      await fs.promises.writeFile(path.join(this.sinkDir, fileName), info.message);
+    }
+
+    if (this.name === 'memory') {
+      this.sent.push({ messageId: info.messageId, sentAt: new Date(), ...JSON.parse(info.message) });
+      this.sent.splice(0, this.sent.length - MEMORY_LIMIT);
+    }
+
+    return { messageId: info.messageId };
+  }
+
+  // Messages accepted by the memory transport, oldest first
+  sentMessages() {
+    return this.sent;
+  }
+
+  clearSentMessages() {
+    this.sent = [];
+  }
+}
+
+module.exports = new MailTransport();
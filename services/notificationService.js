@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const { firestoreHelpers, userHelpers, COLLECTIONS, toDate } = require('../config/database');
+const emailService = require('./emailService');
+const emailTemplateService = require('./emailTemplateService');
+const mailTransport = require('./mailTransport');
+
+// Notifications users can tune, by category. Each category has an email
+// mode - sent right away, collected into a daily or weekly digest, or off -
+// and can be shown in the in-app feed. Required categories are always
+// emailed right away (security alerts carry links that expire).
+//
+// Settings live in preferences.notifications.categories; categories a user
+// hasn't set fall back to the defaults below, and to the older
+// preferences.notifications.email/updates switches where those are off.
+
+const CATEGORIES = {
+  security: {
+    name: 'Security alerts',
+    localName: { tr: 'Güvenlik uyarıları' },
+    description: 'Account locks and other activity that needs your attention',
+    required: true,
+    defaults: { email: 'immediate', inApp: true }
+  },
+  sessions: {
+    name: 'Session processing',
+    localName: { tr: 'Kayıt işleme' },
+    description: 'A recording has been processed and its analysis is ready',
+    defaults: { email: 'off', inApp: true }
+  },
+  invitations: {
+    name: 'Study invitations',
+    localName: { tr: 'Çalışma davetleri' },
+    description: 'Invitations to join organizations and work on their studies',
+    defaults: { email: 'immediate', inApp: true }
+  },
+  updates: {
+    name: 'Product updates',
+    localName: { tr: 'Ürün güncellemeleri' },
+    description: 'New versions of the W.E.T apps',
+    defaults: { email: 'weekly', inApp: true }
+  },
+  billing: {
+    name: 'Billing',
+    localName: { tr: 'Faturalandırma' },
+    description: 'Plan changes, renewals and failed payments',
+    defaults: { email: 'immediate', inApp: true }
+  }
+};
+
+const EMAIL_MODES = ['immediate', 'daily', 'weekly', 'off'];
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+const FEED_LIMIT = 50;
+const NOTIFY_BATCH_SIZE = 100; // users loaded at a time when notifying everyone
+const UNSUBSCRIBE_ALL = 'all';
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+const apiUrl = (path) => `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}${path}`;
+
+// Unsubscribe links don't expire, so mail that leaves this machine has to
+// be signed with a fixed secret. Mail kept in memory or written to files
+// for development can use a temporary one.
+const loadSecret = () => {
+  if (process.env.UNSUBSCRIBE_SECRET) {
+    return process.env.UNSUBSCRIBE_SECRET;
+  }
+  if (mailTransport.name === 'smtp') {
+    throw new Error('UNSUBSCRIBE_SECRET is not configured');
+  }
+
+  console.warn('⚠️  UNSUBSCRIBE_SECRET is not set; using a temporary secret. Unsubscribe links stop working after a restart.');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+class NotificationService {
+  constructor() {
+    this.CATEGORIES = CATEGORIES;
+    this.EMAIL_MODES = EMAIL_MODES;
+    this.notifyBatchSize = NOTIFY_BATCH_SIZE;
+    this.secret = undefined;
+  }
+
+  // Secret unsubscribe links are signed with. Throws when mail is sent over
+  // SMTP and UNSUBSCRIBE_SECRET is not set.
+  getSecret() {
+    if (this.secret === undefined) {
+      this.secret = loadSecret();
+    }
+    return this.secret;
+  }
+
+  // A category's name in a language
+  categoryName(id, language) {
+    return CATEGORIES[id].localName[language] || CATEGORIES[id].name;
+  }
+
+  // A user's settings for every category
+  settingsFor(user) {
+    const stored = (user.preferences && user.preferences.notifications) || {};
+    const categories = stored.categories || {};
+
+    return Object.fromEntries(Object.entries(CATEGORIES).map(([id, category]) => {
+      const defaults = { ...category.defaults };
+      if (!category.required && (stored.email === false || (id === 'updates' && stored.updates === false))) {
+        defaults.email = 'off';
+      }
+
+      const settings = { ...defaults, ...categories[id] };
+      if (category.required) {
+        settings.email = 'immediate';
+      }
+      return [id, settings];
+    }));
+  }
+
+  // Validate a settings change: { <category>: { email?, inApp? } }.
+  // Returns an error message, or null.
+  validateSettings(categories) {
+    if (typeof categories !== 'object' || categories === null || Array.isArray(categories)) {
+      return 'categories must be an object';
+    }
+
+    for (const [id, settings] of Object.entries(categories)) {
+      const category = CATEGORIES[id];
+      if (!category) {
+        return `Unknown category "${id}". Use: ${Object.keys(CATEGORIES).join(', ')}`;
+      }
+      if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+        return `${id} must be an object`;
+      }
+      const unknown = Object.keys(settings).find(key => !['email', 'inApp'].includes(key));
+      if (unknown) {
+        return `Unknown setting "${unknown}" for ${id}`;
+      }
+      if (settings.email !== undefined && !EMAIL_MODES.includes(settings.email)) {
+        return `${id}.email must be one of: ${EMAIL_MODES.join(', ')}`;
+      }
+      if (category.required && settings.email !== undefined && settings.email !== 'immediate') {
+        return `${category.name} are always emailed`;
+      }
+      if (settings.inApp !== undefined && typeof settings.inApp !== 'boolean') {
+        return `${id}.inApp must be true or false`;
+      }
+    }
+    return null;
+  }
+
+  // Store a settings change. Returns the user's settings for every category.
+  async updateSettings(user, categories) {
+    const current = (user.preferences && user.preferences.notifications) || {};
+    const merged = { ...current.categories };
+    for (const [id, settings] of Object.entries(categories)) {
+      merged[id] = { ...merged[id], ...settings };
+    }
+
+    const notifications = { ...current, categories: merged };
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, user.uid, {
+      'preferences.notifications': notifications
+    });
+    return this.settingsFor({ preferences: { notifications } });
+  }
+
+  // Tell a user about something. template is the email template, which
+  // also gives the notification its title (the email's subject); path is
+  // the page on the website it links to. Links carrying a secret token go
+  // in emailPath instead: only the email gets those, never the feed or a
+  // digest. transactional notifications are emailed right away whatever
+  // the user's settings. Other options are template variables.
+  async notify(user, category, { template, path, emailPath, transactional = false, showLink = false, ...variables }) {
+    const settings = this.settingsFor(user)[category];
+    const language = emailTemplateService.languageFor(user);
+    const url = path && frontendUrl(path);
+    const email = transactional ? 'immediate' : settings.email;
+    const digest = DIGEST_PERIODS[email] ? email : null;
+
+    if (settings.inApp || digest) {
+      const { subject } = emailTemplateService.render(template, language, { user, ...variables });
+      const id = crypto.randomUUID();
+      await firestoreHelpers.createDocument(COLLECTIONS.NOTIFICATIONS, id, {
+        uid: user.uid,
+        category,
+        title: subject,
+        url: url || null,
+        inApp: settings.inApp,
+        digest,
+        digestSentAt: null,
+        readAt: null,
+        createdAt: new Date()
+      });
+    }
+
+    if (email === 'immediate') {
+      await emailService.sendTemplate(user.email, template, {
+        user,
+        actionUrl: emailPath ? frontendUrl(emailPath) : url,
+        showLink,
+        unsubscribeUrl: CATEGORIES[category].required || transactional ? undefined : this.unsubscribeUrl(user.uid, category),
+        ...variables
+      });
+    }
+  }
+
+  // Tell every user about something, e.g. a new release. Users are loaded
+  // and notified a batch at a time. Failures are logged per user so one bad
+  // address doesn't stop the rest.
+  async notifyEveryone(category, options) {
+    let notified = 0;
+    for (let offset = 0; ; offset += this.notifyBatchSize) {
+      const profiles = await firestoreHelpers.getAllDocuments(COLLECTIONS.USER_PROFILES, this.notifyBatchSize, offset);
+
+      const results = await Promise.all(profiles.map(async (profile) => {
+        try {
+          const user = await userHelpers.getUserById(profile.id);
+          await this.notify(user, category, options);
+          return true;
+        } catch (error) {
+          console.error(`Failed to notify ${profile.id}:`, error);
+          return false;
+        }
+      }));
+      notified += results.filter(Boolean).length;
+
+      if (profiles.length < this.notifyBatchSize) {
+        return notified;
+      }
+    }
+  }
+
+  // The in-app feed, newest first
+  async listForUser(uid, { unread } = {}) {
+    const notifications = (await firestoreHelpers.queryDocuments(COLLECTIONS.NOTIFICATIONS, 'uid', '==', uid))
+      .filter(notification => notification.inApp && (!unread || !notification.readAt))
+      .sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+
+    return {
+      notifications: notifications.slice(0, FEED_LIMIT),
+      unreadCount: notifications.filter(notification => !notification.readAt).length
+    };
+  }
+
+  async getNotification(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.NOTIFICATIONS, id);
+  }
+
+  // Mark the given notifications read (all of the user's when ids is null)
+  async markRead(uid, ids = null) {
+    const notifications = ids
+      ? (await Promise.all(ids.map(id => this.getNotification(id)))).filter(notification => notification && notification.uid === uid)
+      : await firestoreHelpers.queryDocuments(COLLECTIONS.NOTIFICATIONS, 'uid', '==', uid);
+
+    const now = new Date();
+    let marked = 0;
+    for (const notification of notifications) {
+      if (!notification.readAt) {
+        await firestoreHelpers.updateDocument(COLLECTIONS.NOTIFICATIONS, notification.id, { readAt: now });
+        marked++;
+      }
+    }
+    return marked;
+  }
+
+  // Send digests that are due: a user's daily (weekly) digest goes out once
+  // its oldest waiting notification is a day (week) old
+  async sendDueDigests() {
+    const now = Date.now();
+    let sent = 0;
+
+    for (const [mode, period] of Object.entries(DIGEST_PERIODS)) {
+      const waiting = (await firestoreHelpers.queryDocuments(COLLECTIONS.NOTIFICATIONS, 'digest', '==', mode))
+        .filter(notification => !notification.digestSentAt);
+
+      const byUser = new Map();
+      for (const notification of waiting) {
+        byUser.set(notification.uid, [...(byUser.get(notification.uid) || []), notification]);
+      }
+
+      for (const [uid, notifications] of byUser) {
+        const oldest = Math.min(...notifications.map(notification => toDate(notification.createdAt).getTime()));
+        if (now - oldest < period) {
+          continue;
+        }
+
+        try {
+          if (await this.sendDigest(uid, mode, notifications)) {
+            sent++;
+          }
+        } catch (error) {
+          console.error(`Failed to send ${mode} digest to ${uid}:`, error);
+        }
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`📰 Sent ${sent} notification digest(s)`);
+    }
+    return sent;
+  }
+
+  // Email one digest and mark its notifications sent. Notifications from
+  // categories the user has since switched to another mode are dropped.
+  async sendDigest(uid, mode, notifications) {
+    const user = await userHelpers.getUserById(uid);
+    const settings = user && this.settingsFor(user);
+    const items = settings
+      ? notifications
+        .filter(notification => settings[notification.category].email === mode)
+        .sort((a, b) => toDate(a.createdAt) - toDate(b.createdAt))
+      : [];
+
+    if (items.length > 0) {
+      // Only categories that are all in this digest get an unsubscribe link
+      const categories = [...new Set(items.map(item => item.category))];
+      await emailService.sendTemplate(user.email, 'digest', {
+        user,
+        weekly: mode === 'weekly',
+        items: items.map(item => ({ title: item.title, url: item.url, createdAt: toDate(item.createdAt) })),
+        actionUrl: frontendUrl('/account/notifications'),
+        unsubscribeUrl: this.unsubscribeUrl(uid, categories.length === 1 ? categories[0] : UNSUBSCRIBE_ALL)
+      });
+    }
+
+    const now = new Date();
+    for (const notification of notifications) {
+      await firestoreHelpers.updateDocument(COLLECTIONS.NOTIFICATIONS, notification.id, { digestSentAt: now });
+    }
+    return items.length > 0;
+  }
+
+  // Signed, non-expiring token naming a user and a category (or "all")
+  unsubscribeToken(uid, category) {
+    const payload = Buffer.from(`${uid}:${category}`).toString('base64url');
+    const signature = crypto.createHmac('sha256', this.getSecret()).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+  }
+
+  unsubscribeUrl(uid, category) {
+    return apiUrl(`/api/notifications/unsubscribe?token=${this.unsubscribeToken(uid, category)}`);
+  }
+
+  // The { uid, category } a token names, or null if it isn't genuine
+  verifyUnsubscribeToken(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = crypto.createHmac('sha256', this.getSecret()).update(payload).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    const [uid, category] = Buffer.from(payload, 'base64url').toString().split(':');
+    if (!uid || (category !== UNSUBSCRIBE_ALL && !CATEGORIES[category])) {
+      return null;
+    }
+    return { uid, category };
+  }
+
+  // Stop emailing a user about a category, or about every optional one.
+  // Returns the categories that were turned off.
+  async unsubscribe(user, category) {
+    const categories = (category === UNSUBSCRIBE_ALL ? Object.keys(CATEGORIES) : [category])
+      .filter(id => !CATEGORIES[id].required);
+
+    await this.updateSettings(user, Object.fromEntries(categories.map(id => [id, { email: 'off' }])));
+    return categories;
+  }
+
+  // Remove a user's notifications (account deletion)
+  async deleteForUser(uid) {
+    const notifications = await firestoreHelpers.queryDocuments(COLLECTIONS.NOTIFICATIONS, 'uid', '==', uid);
+    for (const notification of notifications) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.NOTIFICATIONS, notification.id);
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const { firestoreHelpers, userHelpers, fieldValues, toDate, COLLECTIONS } = require('../config/database');
+
+// Social sign-in providers. Endpoints can be overridden (e.g. to point at a
+// local mock OAuth provider during development); a provider is only offered
+// when its client id and secret are configured.
+const PROVIDERS = {
+  google: {
+    name: 'Google',
+    clientIdEnv: 'GOOGLE_CLIENT_ID',
+    clientSecretEnv: 'GOOGLE_CLIENT_SECRET',
+    authorizeUrl: () => process.env.GOOGLE_AUTHORIZE_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: () => process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    scope: 'openid email profile',
+
+    async fetchProfile(accessToken) {
+      const url = process.env.GOOGLE_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo';
+      const info = await providerRequest(url, accessToken);
+
+      return {
+        providerUserId: String(info.sub),
+        email: info.email || null,
+        emailVerified: info.email_verified === true || info.email_verified === 'true',
+        firstName: info.given_name || null,
+        lastName: info.family_name || null
+      };
+    }
+  },
+
+  github: {
+    name: 'GitHub',
+    clientIdEnv: 'GITHUB_CLIENT_ID',
+    clientSecretEnv: 'GITHUB_CLIENT_SECRET',
+    authorizeUrl: () => process.env.GITHUB_AUTHORIZE_URL || 'https://github.com/login/oauth/authorize',
+    tokenUrl: () => process.env.GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+    scope: 'read:user user:email',
+
+    // The profile email may be hidden, so the verified primary address
+    // comes from the emails endpoint
+    async fetchProfile(accessToken) {
+      const apiUrl = process.env.GITHUB_API_URL || 'https://api.github.com';
+      const [info, emails] = await Promise.all([
+        providerRequest(`${apiUrl}/user`, accessToken),
+        providerRequest(`${apiUrl}/user/emails`, accessToken)
+      ]);
+
+      const primary = emails.find(email => email.primary) || emails.find(email => email.verified);
+      const [firstName, ...rest] = (info.name || info.login || '').trim().split(/\s+/);
+
+      return {
+        providerUserId: String(info.id),
+        email: primary ? primary.email : null,
+        emailVerified: Boolean(primary && primary.verified),
+        firstName: firstName || null,
+        lastName: rest.join(' ') || null
+      };
+    }
+  }
+};
+
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+const TWO_FACTOR_TICKET_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_TWO_FACTOR_ATTEMPTS = 5; // wrong codes before a ticket is used up
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// GET a provider API endpoint with an access token
+async function providerRequest(url, accessToken) {
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json',
+      'User-Agent': 'wet-backend'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`OAuth provider request failed: ${response.status} ${url}`);
+  }
+  return response.json();
+}
+
+class OAuthService {
+  // A configured provider by id, or null
+  getProvider(providerId) {
+    const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, providerId) && PROVIDERS[providerId];
+    if (!provider || !process.env[provider.clientIdEnv] || !process.env[provider.clientSecretEnv]) {
+      return null;
+    }
+    return { id: providerId, ...provider };
+  }
+
+  listProviders() {
+    return Object.keys(PROVIDERS)
+      .map(providerId => this.getProvider(providerId))
+      .filter(Boolean)
+      .map(({ id, name }) => ({ id, name }));
+  }
+
+  // Where the provider sends the browser back to. The frontend passes the
+  // code and state on to the callback endpoint.
+  redirectUri(provider) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/oauth/${provider.id}/callback`;
+  }
+
+  // Start an authorization code flow (with PKCE). purpose is 'signin', or
+  // 'link' with the uid of the account the provider will be linked to.
+  // Returns { authorizationUrl, state }.
+  async startAuthorization(provider, { purpose = 'signin', uid = null } = {}) {
+    const state = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    await firestoreHelpers.createDocument(COLLECTIONS.OAUTH_STATES, hashValue(state), {
+      provider: provider.id,
+      purpose,
+      uid,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + STATE_TTL)
+    });
+
+    const params = new URLSearchParams({
+      client_id: process.env[provider.clientIdEnv],
+      redirect_uri: this.redirectUri(provider),
+      response_type: 'code',
+      scope: provider.scope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return { authorizationUrl: `${provider.authorizeUrl()}?${params}`, state };
+  }
+
+  // Look up a state and delete it so it cannot be used twice. Returns the
+  // state record, or null if it is unknown, expired or for another flow.
+  async consumeState(provider, state, purpose) {
+    if (typeof state !== 'string' || !state) {
+      return null;
+    }
+
+    const id = hashValue(state);
+    const record = await firestoreHelpers.getDocument(COLLECTIONS.OAUTH_STATES, id);
+    if (!record) {
+      return null;
+    }
+
+    await firestoreHelpers.deleteDocument(COLLECTIONS.OAUTH_STATES, id);
+
+    if (record.provider !== provider.id || record.purpose !== purpose || toDate(record.expiresAt) <= new Date()) {
+      return null;
+    }
+    return record;
+  }
+
+  // Exchange an authorization code and fetch the provider's profile.
+  // Returns { profile } or { error } when the provider rejects the code.
+  async completeAuthorization(provider, code, stateRecord) {
+    if (typeof code !== 'string' || !code) {
+      return { error: 'Authorization code is required' };
+    }
+
+    const response = await fetch(provider.tokenUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: new URLSearchParams({
+        client_id: process.env[provider.clientIdEnv],
+        client_secret: process.env[provider.clientSecretEnv],
+        code,
+        grant_type: 'authorization_code',
+        redirect_uri: this.redirectUri(provider),
+        code_verifier: stateRecord.codeVerifier
+      })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      console.warn(`⚠️  ${provider.name} token exchange failed:`, data.error || response.status);
+      return { error: `${provider.name} authorization failed` };
+    }
+
+    const profile = await provider.fetchProfile(data.access_token);
+    return { profile: { provider: provider.id, ...profile } };
+  }
+
+  async getLink(providerId, providerUserId) {
+    return firestoreHelpers.getDocument(COLLECTIONS.OAUTH_LINKS, `${providerId}_${providerUserId}`);
+  }
+
+  async listLinks(uid) {
+    return firestoreHelpers.queryDocuments(COLLECTIONS.OAUTH_LINKS, 'uid', '==', uid);
+  }
+
+  // Link a provider account to a user. A provider account belongs to at
+  // most one user, and a user has at most one account per provider.
+  // Returns { link } or { error }.
+  async linkAccount(uid, profile) {
+    const existing = await this.getLink(profile.provider, profile.providerUserId);
+    if (existing) {
+      return existing.uid === uid
+        ? { link: existing }
+        : { error: 'This account is already linked to another user' };
+    }
+
+    const links = await this.listLinks(uid);
+    if (links.some(link => link.provider === profile.provider)) {
+      return { error: `Another ${PROVIDERS[profile.provider].name} account is already linked` };
+    }
+
+    const id = `${profile.provider}_${profile.providerUserId}`;
+    const link = {
+      uid,
+      provider: profile.provider,
+      providerUserId: profile.providerUserId,
+      email: profile.email,
+      linkedAt: new Date()
+    };
+
+    const created = await firestoreHelpers.createDocumentIfAbsent(COLLECTIONS.OAUTH_LINKS, id, link);
+    if (!created) {
+      return { error: 'This account is already linked to another user' };
+    }
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, uid, {
+      oauthProviders: fieldValues.arrayUnion(profile.provider)
+    });
+
+    return { link: { id, ...link } };
+  }
+
+  // Remove a user's link to a provider. Accounts without a password keep
+  // at least one provider so they can still sign in.
+  // Returns { status, message } on failure, or {}.
+  async unlinkAccount(user, providerId) {
+    const links = await this.listLinks(user.uid);
+    const link = links.find(candidate => candidate.provider === providerId);
+    if (!link) {
+      return { status: 404, message: 'Provider is not linked' };
+    }
+    if (user.hasPassword === false && links.length === 1) {
+      return { status: 409, message: 'Set a password before unlinking your only sign-in method' };
+    }
+
+    await firestoreHelpers.deleteDocument(COLLECTIONS.OAUTH_LINKS, link.id);
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, user.uid, {
+      oauthProviders: fieldValues.arrayRemove(providerId)
+    });
+    return {};
+  }
+
+  async deleteLinks(uid) {
+    const links = await this.listLinks(uid);
+    for (const link of links) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.OAUTH_LINKS, link.id);
+    }
+  }
+
+  // Find or create the user a provider profile signs in as:
+  //   - a linked provider account signs in as its user
+  //   - an existing user with the same email is linked, but only when both
+  //     the provider and the existing account have verified the address, so
+  //     nobody can take over an account by registering its email first
+  //   - otherwise a new user without a password is created
+  // Returns { uid, created } or { status, message, code }.
+  async resolveUser(profile) {
+    const link = await this.getLink(profile.provider, profile.providerUserId);
+    if (link) {
+      return { uid: link.uid, created: false };
+    }
+
+    if (!profile.email) {
+      return { status: 400, message: 'The provider did not share an email address' };
+    }
+
+    const email = profile.email.toLowerCase();
+    const existingUser = await userHelpers.getUserByEmail(email);
+
+    if (existingUser) {
+      if (!profile.emailVerified || !existingUser.emailVerified) {
+        return {
+          status: 409,
+          message: 'An account with this email already exists. Sign in with your password and link the provider from your profile.',
+          code: 'ACCOUNT_EXISTS'
+        };
+      }
+
+      const result = await this.linkAccount(existingUser.uid, profile);
+      if (result.error) {
+        return { status: 409, message: result.error };
+      }
+      return { uid: existingUser.uid, created: false };
+    }
+
+    const user = await userHelpers.createUser(email, undefined, {
+      firstName: profile.firstName || email.split('@')[0],
+      lastName: profile.lastName || ''
+    });
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, user.uid, { hasPassword: false });
+    if (profile.emailVerified) {
+      await userHelpers.markEmailVerified(user.uid);
+    }
+
+    const result = await this.linkAccount(user.uid, profile);
+    if (result.error) {
+      return { status: 409, message: result.error };
+    }
+    return { uid: user.uid, created: true };
+  }
+
+  // Users with two-factor authentication finish an OAuth sign-in with a
+  // code. The ticket stands in for the already-verified provider login.
+  async issueTwoFactorTicket(uid, providerId) {
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    await firestoreHelpers.createDocument(COLLECTIONS.OAUTH_STATES, hashValue(ticket), {
+      provider: providerId,
+      purpose: 'two-factor',
+      uid,
+      failures: 0,
+      expiresAt: new Date(Date.now() + TWO_FACTOR_TICKET_TTL)
+    });
+    return ticket;
+  }
+
+  // Look up a two-factor ticket without using it up, so a mistyped code
+  // can be retried. Returns the ticket record or null.
+  async getTwoFactorTicket(ticket) {
+    if (typeof ticket !== 'string' || !ticket) {
+      return null;
+    }
+
+    const record = await firestoreHelpers.getDocument(COLLECTIONS.OAUTH_STATES, hashValue(ticket));
+    if (!record || record.purpose !== 'two-factor' || toDate(record.expiresAt) <= new Date()) {
+      return null;
+    }
+    return record;
+  }
+
+  async deleteTwoFactorTicket(record) {
+    await firestoreHelpers.deleteDocument(COLLECTIONS.OAUTH_STATES, record.id);
+  }
+
+  // Count a wrong code against a ticket. After MAX_TWO_FACTOR_ATTEMPTS the
+  // ticket is used up. Returns whether it can still be used.
+  async recordTwoFactorFailure(record) {
+    const failures = (record.failures || 0) + 1;
+    if (failures >= MAX_TWO_FACTOR_ATTEMPTS) {
+      await this.deleteTwoFactorTicket(record);
+      return false;
+    }
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.OAUTH_STATES, record.id, {
+      failures: fieldValues.increment(1)
+    });
+    return true;
+  }
+}
+
+module.exports = new OAuthService();
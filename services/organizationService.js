@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { firestoreHelpers, toDate, COLLECTIONS } = require('../config/database');
+const permissionService = require('./permissionService');
+
+// Organization roles, lowest to highest. Each role can do everything the
+// roles before it can.
+const ORG_ROLES = ['viewer', 'analyst', 'researcher', 'owner'];
+
+// Minimum organization role for each kind of access to shared resources
+// (studies, sessions and their data)
+const ACCESS_LEVELS = {
+  view: 'viewer', // read studies, sessions, events and visualizations
+  export: 'analyst', // download exports
+  analyze: 'analyst', // re-run event detection
+  edit: 'researcher', // create and change studies, record sessions
+  manage: 'owner' // delete studies, manage the organization
+};
+
+// Access levels that only read; outside ownership and membership the
+// rest need the resource's :manage permission
+const READ_LEVELS = ['view', 'export'];
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_NAME_LENGTH = 200;
+
+const membershipId = (organizationId, uid) => `${organizationId}_${uid}`;
+
+const roleRank = (role) => ORG_ROLES.indexOf(role);
+
+class OrganizationService {
+  constructor() {
+    this.ROLES = ORG_ROLES;
+    this.ACCESS_LEVELS = ACCESS_LEVELS;
+  }
+
+  hasRole(membership, minRole) {
+    return Boolean(membership) && roleRank(membership.role) >= roleRank(minRole);
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return `name is required (max ${MAX_NAME_LENGTH} characters)`;
+    }
+    return null;
+  }
+
+  validateRole(role) {
+    if (!ORG_ROLES.includes(role)) {
+      return `role must be one of: ${ORG_ROLES.join(', ')}`;
+    }
+    return null;
+  }
+
+  // Create an organization with its creator as owner
+  async createOrganization(user, name) {
+    const id = crypto.randomUUID();
+    const organization = {
+      name: name.trim(),
+      createdBy: user.uid,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.ORGANIZATIONS, id, organization);
+    await this.addMember(id, user, 'owner');
+    return { id, ...organization };
+  }
+
+  async getOrganization(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.ORGANIZATIONS, id);
+  }
+
+  async updateOrganization(organization, { name }) {
+    const updates = { name: name.trim(), updatedAt: new Date() };
+    await firestoreHelpers.updateDocument(COLLECTIONS.ORGANIZATIONS, organization.id, updates);
+    return { ...organization, ...updates };
+  }
+
+  async deleteOrganization(organization) {
+    const members = await this.listMembers(organization.id);
+    for (const member of members) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.ORGANIZATION_MEMBERS, member.id);
+    }
+
+    const invitations = await this.listInvitations(organization.id);
+    for (const invitation of invitations) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.ORGANIZATION_INVITATIONS, invitation.id);
+    }
+
+    await firestoreHelpers.deleteDocument(COLLECTIONS.ORGANIZATIONS, organization.id);
+  }
+
+  // Organizations the user belongs to, with the user's role in each
+  async listForUser(uid) {
+    const memberships = await this.listMemberships(uid);
+    const organizations = [];
+    for (const membership of memberships) {
+      const organization = await this.getOrganization(membership.organizationId);
+      if (organization) {
+        organizations.push({ ...organization, role: membership.role });
+      }
+    }
+    return organizations.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async getMembership(organizationId, uid) {
+    return firestoreHelpers.getDocument(COLLECTIONS.ORGANIZATION_MEMBERS, membershipId(organizationId, uid));
+  }
+
+  async listMemberships(uid) {
+    return firestoreHelpers.queryDocuments(COLLECTIONS.ORGANIZATION_MEMBERS, 'uid', '==', uid);
+  }
+
+  async listMembers(organizationId) {
+    const members = await firestoreHelpers.queryDocuments(COLLECTIONS.ORGANIZATION_MEMBERS, 'organizationId', '==', organizationId);
+    return members.sort((a, b) => roleRank(b.role) - roleRank(a.role) || toDate(a.joinedAt) - toDate(b.joinedAt));
+  }
+
+  async addMember(organizationId, user, role) {
+    const member = {
+      organizationId,
+      uid: user.uid,
+      email: user.email,
+      role,
+      joinedAt: new Date()
+    };
+    await firestoreHelpers.createDocument(COLLECTIONS.ORGANIZATION_MEMBERS, membershipId(organizationId, user.uid), member);
+    return { id: membershipId(organizationId, user.uid), ...member };
+  }
+
+  // Change a member's role. The last owner cannot be demoted.
+  // Returns { member } or { error }.
+  async updateMemberRole(member, role) {
+    if (member.role === 'owner' && role !== 'owner' && await this.isLastOwner(member)) {
+      return { error: 'An organization needs at least one owner' };
+    }
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.ORGANIZATION_MEMBERS, member.id, { role });
+    return { member: { ...member, role } };
+  }
+
+  // Remove a member. The last owner cannot leave.
+  // Returns {} or { error }.
+  async removeMember(member) {
+    if (member.role === 'owner' && await this.isLastOwner(member)) {
+      return { error: 'An organization needs at least one owner' };
+    }
+
+    await firestoreHelpers.deleteDocument(COLLECTIONS.ORGANIZATION_MEMBERS, member.id);
+    return {};
+  }
+
+  async isLastOwner(member) {
+    const members = await this.listMembers(member.organizationId);
+    return members.filter(other => other.role === 'owner').length <= 1;
+  }
+
+  // Invite someone by email. The token is only returned here, to be sent
+  // in the invitation email.
+  async createInvitation(organizationId, inviter, email, role) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const id = crypto.randomUUID();
+
+    const invitation = {
+      organizationId,
+      email: email.toLowerCase(),
+      role,
+      tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      invitedBy: inviter.uid,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + INVITATION_TTL)
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.ORGANIZATION_INVITATIONS, id, invitation);
+    return { invitation: { id, ...invitation }, token };
+  }
+
+  async getInvitation(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.ORGANIZATION_INVITATIONS, id);
+  }
+
+  async listInvitations(organizationId) {
+    return firestoreHelpers.queryDocuments(COLLECTIONS.ORGANIZATION_INVITATIONS, 'organizationId', '==', organizationId);
+  }
+
+  async deleteInvitation(id) {
+    await firestoreHelpers.deleteDocument(COLLECTIONS.ORGANIZATION_INVITATIONS, id);
+  }
+
+  // Accept an invitation for the signed in user, whose email must match.
+  // Returns { member, organization } or { status, message }.
+  async acceptInvitation(user, token) {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const [invitation] = await firestoreHelpers.queryDocuments(COLLECTIONS.ORGANIZATION_INVITATIONS, 'tokenHash', '==', tokenHash);
+
+    if (!invitation || toDate(invitation.expiresAt) <= new Date()) {
+      return { status: 400, message: 'Invalid or expired invitation' };
+    }
+    if (invitation.email !== String(user.email).toLowerCase()) {
+      return { status: 403, message: 'This invitation was sent to a different email address' };
+    }
+
+    const organization = await this.getOrganization(invitation.organizationId);
+    if (!organization) {
+      await this.deleteInvitation(invitation.id);
+      return { status: 400, message: 'Invalid or expired invitation' };
+    }
+
+    await this.deleteInvitation(invitation.id);
+
+    const existing = await this.getMembership(invitation.organizationId, user.uid);
+    if (existing) {
+      return { member: existing, organization };
+    }
+
+    const member = await this.addMember(invitation.organizationId, user, invitation.role);
+    return { member, organization };
+  }
+
+  // Whether a user may act on a resource with an owner and, optionally, an
+  // organization. Owners always may, as may users whose role grants
+  // <scope>:manage, or <scope>:read for read-only levels; organization
+  // members need the organization role required for the access level.
+  async canAccess(user, { ownerUid, organizationId }, level = 'view', scope = 'sessions') {
+    if (user.uid === ownerUid) {
+      return true;
+    }
+
+    const granted = await permissionService.getPermissions(user.role);
+    if (granted.has(`${scope}:manage`) || (READ_LEVELS.includes(level) && granted.has(`${scope}:read`))) {
+      return true;
+    }
+
+    if (!organizationId) {
+      return false;
+    }
+
+    const membership = await this.getMembership(organizationId, user.uid);
+    return this.hasRole(membership, ACCESS_LEVELS[level]);
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,232 @@
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+
+// Every permission a role can grant. Owners can always work with their
+// own data; the *:read and *:manage permissions extend that to everyone's.
+const PERMISSIONS = {
+  'sessions:create': 'Record tracking sessions',
+  'sessions:read': "Read any user's sessions, gaze data and visualizations",
+  'sessions:manage': "Analyze, change or delete any user's sessions",
+  'exports:create': 'Download session and study exports',
+  'studies:create': 'Create studies',
+  'studies:read': 'Read any study with its participants',
+  'studies:manage': 'Change or delete any study',
+  'organizations:manage': 'Manage any organization and its members',
+  'calibrations:read': 'Read any calibration run and the quality dashboard',
+  'streams:watch': 'Watch live gaze streams',
+  'users:read': 'View users, roles and user statistics',
+  'users:manage': "Change users' roles",
+  'roles:manage': 'Create, edit and delete roles',
+  'subscriptions:manage': "Grant, renew and end users' plans",
+  'licenses:manage': 'Issue and revoke license keys and view seat usage',
+  'releases:manage': 'Publish and withdraw releases and view download counts',
+  'releases:nightly': 'Download nightly builds',
+  'emails:manage': 'View outgoing email delivery and retry failed emails'
+};
+
+// Grants every permission, including ones added later. Reserved for the
+// built-in admin role.
+const ALL_PERMISSIONS = '*';
+
+const BASE_PERMISSIONS = ['sessions:create', 'exports:create', 'studies:create'];
+
+// Roles created on first use. Their permissions can be edited (except
+// admin's) but they cannot be deleted.
+const BUILT_IN_ROLES = {
+  user: {
+    name: 'User',
+    description: 'Works with their own data',
+    permissions: BASE_PERMISSIONS
+  },
+  premium: {
+    name: 'Premium',
+    description: 'Works with their own data',
+    permissions: BASE_PERMISSIONS
+  },
+  support: {
+    name: 'Support',
+    description: "Helps users; can view accounts and data but not change roles",
+    permissions: [...BASE_PERMISSIONS, 'users:read', 'sessions:read', 'studies:read', 'calibrations:read']
+  },
+  admin: {
+    name: 'Administrator',
+    description: 'Full access',
+    permissions: [ALL_PERMISSIONS]
+  }
+};
+
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Resolved role permissions are cached briefly so authorization does not
+// read the role on every request
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+class PermissionService {
+  constructor() {
+    this.PERMISSIONS = PERMISSIONS;
+    this.cache = new Map();
+    this.seeded = null;
+  }
+
+  // Create any missing built-in roles, once per process
+  async ensureBuiltInRoles() {
+    if (!this.seeded) {
+      this.seeded = (async () => {
+        for (const [id, role] of Object.entries(BUILT_IN_ROLES)) {
+          await firestoreHelpers.createDocumentIfAbsent(COLLECTIONS.ROLES, id, {
+            ...role,
+            builtIn: true,
+            createdAt: new Date(),
+            updatedAt: new Date()
+          });
+        }
+      })().catch(error => {
+        this.seeded = null;
+        throw error;
+      });
+    }
+    return this.seeded;
+  }
+
+  async getRole(id) {
+    await this.ensureBuiltInRoles();
+    return firestoreHelpers.getDocument(COLLECTIONS.ROLES, id);
+  }
+
+  async listRoles() {
+    await this.ensureBuiltInRoles();
+    const roles = await firestoreHelpers.getAllDocuments(COLLECTIONS.ROLES, 0);
+    return roles.sort((a, b) => Number(b.builtIn) - Number(a.builtIn) || a.id.localeCompare(b.id));
+  }
+
+  // Validate role fields. With partial set, only the fields present are
+  // checked (for updates). Returns an error message, or null.
+  validateRoleInput({ id, name, description, permissions, requireTwoFactor }, { partial = false } = {}) {
+    if (!partial && (typeof id !== 'string' || !ROLE_ID_PATTERN.test(id))) {
+      return 'id must be 2-32 lowercase letters, digits or dashes, starting with a letter';
+    }
+
+    if (!partial || name !== undefined) {
+      if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        return `name is required (max ${MAX_NAME_LENGTH} characters)`;
+      }
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return `description must be a string (max ${MAX_DESCRIPTION_LENGTH} characters)`;
+    }
+
+    if (!partial || permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return 'permissions must be an array';
+      }
+      const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+      if (unknown.length > 0) {
+        return `Unknown permissions: ${unknown.join(', ')}`;
+      }
+    }
+
+    if (requireTwoFactor !== undefined && typeof requireTwoFactor !== 'boolean') {
+      return 'requireTwoFactor must be a boolean';
+    }
+
+    return null;
+  }
+
+  // Create a custom role. Returns the role, or null if the id is taken.
+  async createRole({ id, name, description, permissions, requireTwoFactor = false }) {
+    await this.ensureBuiltInRoles();
+
+    const role = {
+      name: name.trim(),
+      description: description || '',
+      permissions: [...new Set(permissions)],
+      requireTwoFactor,
+      builtIn: false,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const created = await firestoreHelpers.createDocumentIfAbsent(COLLECTIONS.ROLES, id, role);
+    return created ? { id, ...role } : null;
+  }
+
+  async updateRole(role, { name, description, permissions, requireTwoFactor }) {
+    const updates = { updatedAt: new Date() };
+    if (name !== undefined) {
+      updates.name = name.trim();
+    }
+    if (description !== undefined) {
+      updates.description = description;
+    }
+    if (permissions !== undefined) {
+      updates.permissions = [...new Set(permissions)];
+    }
+    if (requireTwoFactor !== undefined) {
+      updates.requireTwoFactor = requireTwoFactor;
+    }
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.ROLES, role.id, updates);
+    this.cache.delete(role.id);
+    return { ...role, ...updates };
+  }
+
+  async deleteRole(role) {
+    await firestoreHelpers.deleteDocument(COLLECTIONS.ROLES, role.id);
+    this.cache.delete(role.id);
+  }
+
+  // Whether a role's permissions can be changed
+  isEditable(role) {
+    return !role.permissions.includes(ALL_PERMISSIONS);
+  }
+
+  async countUsersWithRole(id) {
+    const users = await firestoreHelpers.queryDocuments(COLLECTIONS.USER_PROFILES, 'role', '==', id);
+    return users.length;
+  }
+
+  // A role's resolved permissions and settings, cached
+  async resolveRole(roleId) {
+    const cached = this.cache.get(roleId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    const role = await this.getRole(roleId);
+    if (!role) {
+      console.warn(`⚠️ Unknown role: ${roleId}`);
+    }
+
+    const granted = role ? role.permissions : [];
+    const resolved = {
+      permissions: new Set(granted.includes(ALL_PERMISSIONS) ? Object.keys(PERMISSIONS) : granted),
+      requireTwoFactor: Boolean(role && role.requireTwoFactor),
+      expiresAt: Date.now() + CACHE_TTL
+    };
+
+    this.cache.set(roleId, resolved);
+    return resolved;
+  }
+
+  // Permissions granted by a role. Unknown roles grant nothing.
+  async getPermissions(roleId = 'user') {
+    return (await this.resolveRole(roleId)).permissions;
+  }
+
+  // Whether users with this role must enroll in two-factor authentication
+  async requiresTwoFactor(roleId = 'user') {
+    return (await this.resolveRole(roleId)).requireTwoFactor;
+  }
+
+  async hasPermission(user, permission) {
+    if (!user) {
+      return false;
+    }
+    const permissions = await this.getPermissions(user.role);
+    return permissions.has(permission);
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,514 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { firestoreHelpers, fieldValues, toDate, COLLECTIONS } = require('../config/database');
+const subscriptionService = require('./subscriptionService');
+const permissionService = require('./permissionService');
+const licenseService = require('./licenseService');
+
+// Desktop app releases. Metadata is public; the installers themselves are
+// served from RELEASE_FILES_DIR through short-lived signed URLs handed out
+// to users whose plan includes the edition.
+
+// Release channels, from most to least stable. Nightly builds are for
+// internal testers (releases:nightly).
+const CHANNELS = ['stable', 'beta', 'nightly'];
+
+// Installers, and the edition each belongs to (see the download:<edition>
+// plan features)
+const ARTIFACTS = {
+  windows: { id: 'windows', name: 'Windows', edition: 'professional' },
+  macos: { id: 'macos', name: 'macOS', edition: 'professional' },
+  lite: { id: 'lite', name: 'Lite', edition: 'lite' }
+};
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+const MAX_NOTES_LENGTH = 10000;
+
+const DOWNLOAD_URL_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Validate a rollout percentage. Returns an error message, or null.
+const validatePercentage = (percentage) => {
+  if (!Number.isInteger(percentage) || percentage < 0 || percentage > 100) {
+    return 'rolloutPercentage must be an integer between 0 and 100';
+  }
+  return null;
+};
+
+const FILES_DIR = path.resolve(process.env.RELEASE_FILES_DIR || path.join(__dirname, '..', 'releases'));
+
+const releaseId = (channel, version) => `${channel}_${version}`;
+
+// Where an install falls in a release's staged rollout, 0-99. Stable per
+// install and release, so raising the percentage only adds installs.
+const rolloutBucket = (releaseId, installId) =>
+  crypto.createHash('sha256').update(`${releaseId}:${installId}`).digest().readUInt32BE(0) % 100;
+
+// Split a version at its first hyphen: 2.2.0-rc-1 is core 2.2.0 with the
+// pre-release rc-1
+const splitVersion = (version) => {
+  const index = version.indexOf('-');
+  return index < 0 ? [version, null] : [version.slice(0, index), version.slice(index + 1)];
+};
+
+// Compare pre-release identifiers the way semver does: dot-separated parts
+// in turn, numeric parts as numbers and below any non-numeric part, others
+// as ASCII strings. A shorter list that matches so far sorts first.
+const comparePreReleases = (a, b) => {
+  const partsA = a.split('.');
+  const partsB = b.split('.');
+
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    const numericA = /^\d+$/.test(partsA[i]);
+    const numericB = /^\d+$/.test(partsB[i]);
+    if (numericA && numericB) {
+      if (Number(partsA[i]) !== Number(partsB[i])) {
+        return Number(partsA[i]) - Number(partsB[i]);
+      }
+    } else if (numericA || numericB) {
+      return numericA ? -1 : 1;
+    } else if (partsA[i] !== partsB[i]) {
+      return partsA[i] < partsB[i] ? -1 : 1;
+    }
+  }
+  return partsA.length - partsB.length;
+};
+
+// Compare versions like 2.1.0 and 2.2.0-beta.1. Pre-releases sort before
+// the release they lead up to.
+const compareVersions = (a, b) => {
+  const [coreA, preA] = splitVersion(a);
+  const [coreB, preB] = splitVersion(b);
+  const partsA = coreA.split('.').map(Number);
+  const partsB = coreB.split('.').map(Number);
+
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) {
+      return partsA[i] - partsB[i];
+    }
+  }
+  if (preA === preB) {
+    return 0;
+  }
+  if (!preA || !preB) {
+    return preA ? -1 : 1;
+  }
+  return comparePreReleases(preA, preB);
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const isLocalEnvironment = () => ['development', 'test'].includes(process.env.NODE_ENV);
+
+// Without RELEASE_DOWNLOAD_SECRET development and tests use a per-process
+// secret, so URLs only work on the instance that made them
+const loadUrlSecret = () => {
+  if (process.env.RELEASE_DOWNLOAD_SECRET) {
+    return process.env.RELEASE_DOWNLOAD_SECRET;
+  }
+  if (!isLocalEnvironment()) {
+    return null;
+  }
+
+  console.warn('⚠️  RELEASE_DOWNLOAD_SECRET is not set; using a temporary secret. Download links stop working after a restart.');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+class ReleaseService {
+  constructor() {
+    this.CHANNELS = CHANNELS;
+    this.ARTIFACTS = ARTIFACTS;
+    this.urlSecret = undefined;
+    this.compareVersions = compareVersions;
+  }
+
+  // Secret download URLs are signed with, or null if downloads are not
+  // configured
+  getUrlSecret() {
+    if (this.urlSecret === undefined) {
+      this.urlSecret = loadUrlSecret();
+    }
+    return this.urlSecret;
+  }
+
+  // Address of this API that download URLs point at, or null if downloads
+  // are not configured. The Host header is up to the client, so it is only
+  // used in development and tests.
+  downloadBaseUrl(req) {
+    if (!this.getUrlSecret()) {
+      return null;
+    }
+    if (process.env.API_URL) {
+      return process.env.API_URL.replace(/\/+$/, '');
+    }
+    return isLocalEnvironment() ? `${req.protocol}://${req.get('host')}` : null;
+  }
+
+  // Validate a release to publish. Returns an error message, or null.
+  validateReleaseInput({ version, channel, notes, artifacts, rolloutPercentage }) {
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+      return 'version must look like 2.1.0 or 2.2.0-beta.1';
+    }
+    if (!CHANNELS.includes(channel)) {
+      return `channel must be one of: ${CHANNELS.join(', ')}`;
+    }
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+      return `notes must be at most ${MAX_NOTES_LENGTH} characters`;
+    }
+    const percentageError = rolloutPercentage !== undefined && validatePercentage(rolloutPercentage);
+    if (percentageError) {
+      return percentageError;
+    }
+    if (!Array.isArray(artifacts) || artifacts.length === 0) {
+      return 'artifacts must be a non-empty array';
+    }
+
+    const seen = new Set();
+    for (const artifact of artifacts) {
+      if (!artifact || !ARTIFACTS[artifact.id]) {
+        return `Each artifact id must be one of: ${Object.keys(ARTIFACTS).join(', ')}`;
+      }
+      if (seen.has(artifact.id)) {
+        return `Duplicate artifact: ${artifact.id}`;
+      }
+      seen.add(artifact.id);
+
+      if (typeof artifact.fileName !== 'string' || !artifact.fileName ||
+          path.basename(artifact.fileName) !== artifact.fileName) {
+        return `${artifact.id}: fileName must be a plain file name in the releases directory`;
+      }
+      if (artifact.size !== undefined && (!Number.isInteger(artifact.size) || artifact.size <= 0)) {
+        return `${artifact.id}: size must be a positive integer (bytes)`;
+      }
+      if (artifact.sha256 !== undefined && !/^[a-f0-9]{64}$/.test(artifact.sha256)) {
+        return `${artifact.id}: sha256 must be a hex SHA-256 digest`;
+      }
+    }
+    return null;
+  }
+
+  filePath(fileName) {
+    return path.join(FILES_DIR, fileName);
+  }
+
+  // Fill in an artifact's size and checksum from its file where they were
+  // not given. Returns { artifact } or { error }.
+  async describeArtifact({ id, fileName, size, sha256, minOs }) {
+    const filePath = this.filePath(fileName);
+    const exists = fs.existsSync(filePath);
+
+    if (!exists && (size === undefined || sha256 === undefined)) {
+      return { error: `${id}: ${fileName} is not in the releases directory; give its size and sha256` };
+    }
+
+    return {
+      artifact: {
+        id,
+        name: ARTIFACTS[id].name,
+        edition: ARTIFACTS[id].edition,
+        fileName,
+        size: size !== undefined ? size : fs.statSync(filePath).size,
+        sha256: sha256 !== undefined ? sha256 : await hashFile(filePath),
+        ...(minOs && { minOs: String(minOs) })
+      }
+    };
+  }
+
+  // Publish a release. Returns { release } or { error, status }.
+  async publish(user, { version, channel, notes, artifacts, rolloutPercentage = 100 }) {
+    const id = releaseId(channel, version);
+    const described = [];
+    for (const input of artifacts) {
+      const result = await this.describeArtifact(input);
+      if (result.error) {
+        return { error: result.error, status: 400 };
+      }
+      described.push(result.artifact);
+    }
+
+    const release = {
+      version,
+      channel,
+      notes: notes || '',
+      artifacts: described,
+      downloads: described.reduce((counts, artifact) => ({ ...counts, [artifact.id]: 0 }), {}),
+      rollout: { percentage: rolloutPercentage, pausedAt: null },
+      publishedBy: user.uid,
+      publishedAt: new Date(),
+      announcedAt: null,
+      yankedAt: null
+    };
+
+    const created = await firestoreHelpers.createDocumentIfAbsent(COLLECTIONS.RELEASES, id, release);
+    if (!created) {
+      return { error: `${version} is already published on ${channel}`, status: 409 };
+    }
+    return { release: { id, ...release } };
+  }
+
+  async getRelease(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.RELEASES, id);
+  }
+
+  // Releases on a channel, newest first. Yanked releases are left out
+  // unless asked for.
+  async listReleases(channel, { includeYanked = false } = {}) {
+    const releases = await firestoreHelpers.queryDocuments(COLLECTIONS.RELEASES, 'channel', '==', channel);
+    return releases
+      .filter(release => includeYanked || !release.yankedAt)
+      .sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  // The newest release on a channel that has the artifact, or null
+  async getLatest(channel, artifactId) {
+    const releases = await this.listReleases(channel);
+    return releases.find(release => !artifactId || release.artifacts.some(artifact => artifact.id === artifactId)) || null;
+  }
+
+  // Withdraw a release: it disappears from listings, can't be downloaded,
+  // and installs running it are told to update
+  async yank(release) {
+    const yankedAt = new Date();
+    await firestoreHelpers.updateDocument(COLLECTIONS.RELEASES, release.id, { yankedAt });
+    return { ...release, yankedAt };
+  }
+
+  validatePercentage(percentage) {
+    return validatePercentage(percentage);
+  }
+
+  // Offer a release to this share of installs. The rollout stays paused if
+  // it was.
+  async setRolloutPercentage(release, percentage) {
+    const rollout = { ...this.rolloutOf(release), percentage };
+    await firestoreHelpers.updateDocument(COLLECTIONS.RELEASES, release.id, { rollout });
+    return { ...release, rollout };
+  }
+
+  // Stop (or resume) offering a release as an update. Installs that already
+  // have it are unaffected.
+  async setRolloutPaused(release, user, paused) {
+    const rollout = {
+      ...this.rolloutOf(release),
+      pausedAt: paused ? new Date() : null,
+      pausedBy: paused ? user.uid : null
+    };
+    await firestoreHelpers.updateDocument(COLLECTIONS.RELEASES, release.id, { rollout });
+    return { ...release, rollout };
+  }
+
+  // Stable releases are announced to everyone once, when they are first
+  // offered to every install
+  isReadyToAnnounce(release) {
+    const { percentage, pausedAt } = this.rolloutOf(release);
+    return release.channel === 'stable' && !release.announcedAt && !release.yankedAt && percentage >= 100 && !pausedAt;
+  }
+
+  async markAnnounced(release) {
+    const announcedAt = new Date();
+    await firestoreHelpers.updateDocument(COLLECTIONS.RELEASES, release.id, { announcedAt });
+    return { ...release, announcedAt };
+  }
+
+  // Releases published before staged rollouts went to everyone
+  rolloutOf(release) {
+    return release.rollout || { percentage: 100, pausedAt: null };
+  }
+
+  // Per-channel settings: { minimumVersion } - installs older than the
+  // minimum must update before they can be used
+  async getChannelSettings(channel) {
+    const settings = await firestoreHelpers.getDocument(COLLECTIONS.RELEASE_CHANNELS, channel);
+    return { minimumVersion: (settings && settings.minimumVersion) || null };
+  }
+
+  // Validate a minimum supported version (null clears it). Returns an
+  // error message, or null.
+  validateMinimumVersion(minimumVersion) {
+    if (minimumVersion !== null && (typeof minimumVersion !== 'string' || !VERSION_PATTERN.test(minimumVersion))) {
+      return 'minimumVersion must look like 2.1.0, or be null';
+    }
+    return null;
+  }
+
+  async setMinimumVersion(channel, minimumVersion, user) {
+    const settings = { minimumVersion, updatedBy: user.uid, updatedAt: new Date() };
+    const existing = await firestoreHelpers.getDocument(COLLECTIONS.RELEASE_CHANNELS, channel);
+    if (existing) {
+      await firestoreHelpers.updateDocument(COLLECTIONS.RELEASE_CHANNELS, channel, settings);
+    } else {
+      await firestoreHelpers.createDocument(COLLECTIONS.RELEASE_CHANNELS, channel, settings);
+    }
+    return { minimumVersion };
+  }
+
+  // Validate an update check. Returns an error message, or null.
+  validateUpdateCheck({ version, platform, channel, installId }) {
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+      return 'version must look like 2.1.0';
+    }
+    if (!ARTIFACTS[platform]) {
+      return `platform must be one of: ${Object.keys(ARTIFACTS).join(', ')}`;
+    }
+    if (!CHANNELS.includes(channel)) {
+      return `channel must be one of: ${CHANNELS.join(', ')}`;
+    }
+    if (installId !== undefined && (typeof installId !== 'string' || installId.length < 8 || installId.length > 128)) {
+      return 'installId must be 8 to 128 characters';
+    }
+    return null;
+  }
+
+  // The update an install should take, if any.
+  //
+  // Updates are mandatory for installs older than the channel's minimum
+  // version or running a withdrawn release; those get the newest release at
+  // or above the minimum that isn't paused, whatever its rollout. Other
+  // installs get the newest release whose rollout includes them, so a paused
+  // or partly rolled out release falls back to the one before it.
+  //
+  // Returns { mandatory, release, artifact }, release being null when there
+  // is nothing to update to.
+  async findUpdate({ version, platform, channel, installId }) {
+    const { minimumVersion } = await this.getChannelSettings(channel);
+    const all = await this.listReleases(channel, { includeYanked: true });
+    const running = all.find(release => release.version === version);
+
+    const mandatory = Boolean(minimumVersion && compareVersions(version, minimumVersion) < 0) ||
+      Boolean(running && running.yankedAt);
+
+    const candidates = all.filter(release =>
+      !release.yankedAt &&
+      compareVersions(release.version, version) > 0 &&
+      !this.rolloutOf(release).pausedAt &&
+      release.artifacts.some(artifact => artifact.id === platform)
+    );
+
+    const release = candidates.find(candidate => {
+      if (mandatory) {
+        return !minimumVersion || compareVersions(candidate.version, minimumVersion) >= 0;
+      }
+      const { percentage } = this.rolloutOf(candidate);
+      return percentage >= 100 || (Boolean(installId) && rolloutBucket(candidate.id, installId) < percentage);
+    });
+
+    return {
+      mandatory,
+      release: release || null,
+      artifact: release ? release.artifacts.find(artifact => artifact.id === platform) : null
+    };
+  }
+
+  // Manifests are signed with the licensing key (LICENSE_SIGNING_KEY)
+  canSignManifests() {
+    return licenseService.isConfigured();
+  }
+
+  // The update manifest the app checks against the licensing public key
+  // before installing
+  signManifest({ release, artifact, mandatory }) {
+    return licenseService.sign({
+      version: release.version,
+      channel: release.channel,
+      platform: artifact.id,
+      fileName: artifact.fileName,
+      size: artifact.size,
+      sha256: artifact.sha256,
+      mandatory,
+      iat: Math.floor(Date.now() / 1000)
+    }, licenseService.PURPOSES.UPDATE);
+  }
+
+  // Channels the user may download from
+  async channelsFor(user) {
+    const nightly = await permissionService.hasPermission(user, 'releases:nightly');
+    return nightly ? CHANNELS : CHANNELS.filter(channel => channel !== 'nightly');
+  }
+
+  // Why the user can't download an artifact, or null if they can.
+  // channels are the ones channelsFor(user) allows.
+  downloadDeniedReason(user, channels, release, artifact) {
+    if (!channels.includes(release.channel)) {
+      return `The ${release.channel} channel is not available to you`;
+    }
+    if (!subscriptionService.hasFeature(user, `download:${artifact.edition}`)) {
+      return `Your plan does not include W.E.T ${artifact.edition === 'lite' ? 'Lite' : 'Professional'}`;
+    }
+    return null;
+  }
+
+  signature(releaseId, artifactId, uid, expires) {
+    return crypto.createHmac('sha256', this.getUrlSecret())
+      .update(`${releaseId}:${artifactId}:${uid}:${expires}`)
+      .digest('hex');
+  }
+
+  // A short-lived URL for one user to fetch one artifact
+  createDownloadUrl(baseUrl, release, artifact, uid) {
+    const expires = Date.now() + DOWNLOAD_URL_TTL;
+    const params = new URLSearchParams({
+      uid,
+      expires: String(expires),
+      signature: this.signature(release.id, artifact.id, uid, expires)
+    });
+
+    return {
+      url: `${baseUrl}/api/releases/files/${encodeURIComponent(release.id)}/${artifact.id}?${params}`,
+      expiresAt: new Date(expires)
+    };
+  }
+
+  // Check a download URL's signature. Returns true if it is valid and
+  // has not expired.
+  verifyDownloadUrl(releaseId, artifactId, { uid, expires, signature }) {
+    if (!this.getUrlSecret()) {
+      return false;
+    }
+    if (typeof uid !== 'string' || typeof signature !== 'string' || !/^\d+$/.test(expires || '')) {
+      return false;
+    }
+    if (Number(expires) < Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signature(releaseId, artifactId, uid, expires));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async recordDownload(release, artifact) {
+    await firestoreHelpers.updateDocument(COLLECTIONS.RELEASES, release.id, {
+      [`downloads.${artifact.id}`]: fieldValues.increment(1),
+      lastDownloadAt: new Date()
+    });
+  }
+
+  // Download counts and rollouts per channel, for the admin dashboard
+  async getDownloadStats() {
+    const stats = {};
+    for (const channel of CHANNELS) {
+      const releases = await this.listReleases(channel, { includeYanked: true });
+      stats[channel] = {
+        ...(await this.getChannelSettings(channel)),
+        releases: releases.map(release => ({
+          id: release.id,
+          version: release.version,
+          publishedAt: toDate(release.publishedAt),
+          yanked: Boolean(release.yankedAt),
+          rollout: this.rolloutOf(release),
+          downloads: release.downloads || {},
+          total: Object.values(release.downloads || {}).reduce((sum, count) => sum + count, 0)
+        }))
+      };
+    }
+    return stats;
+  }
+}
+
+module.exports = new ReleaseService();
@@ -0,0 +1,225 @@
+const sessionService = require('./sessionService');
+const analysisService = require('./analysisService');
+const gazeRender = require('./gazeRender');
+const { pixelsPerDegree } = require('./gazeAnalysis');
+
+const FORMATS = ['svg', 'png'];
+const SOURCES = ['samples', 'fixations'];
+
+const CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+};
+
+const MIN_WIDTH = 100;
+const MAX_WIDTH = 4096;
+const MAX_HEIGHT = 4096;
+const MAX_SIGMA = 200; // px; wider kernels cost a lot and show nothing new
+
+// Stimulus images are fetched server side and inlined
+const STIMULUS_TIMEOUT = 10 * 1000;
+const MAX_STIMULUS_BYTES = 10 * 1024 * 1024;
+
+// Only hosts listed in STIMULUS_ALLOWED_HOSTS are fetched from; with none
+// listed, stimulus backgrounds are off
+const allowedStimulusHosts = () => (process.env.STIMULUS_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+class RenderService {
+  constructor() {
+    this.FORMATS = FORMATS;
+    this.SOURCES = SOURCES;
+  }
+
+  // Parse rendering options from a query string.
+  // Returns { options } or { error }.
+  parseOptions({ format = 'svg', width, sigma, source = 'samples', background = 'stimulus' }) {
+    if (!FORMATS.includes(format)) {
+      return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+    if (!SOURCES.includes(source)) {
+      return { error: `source must be one of: ${SOURCES.join(', ')}` };
+    }
+    if (!['stimulus', 'none'].includes(background)) {
+      return { error: 'background must be stimulus or none' };
+    }
+
+    const options = { format, source, background };
+
+    if (width !== undefined) {
+      options.width = Number(width);
+      if (!Number.isInteger(options.width) || options.width < MIN_WIDTH || options.width > MAX_WIDTH) {
+        return { error: `width must be an integer between ${MIN_WIDTH} and ${MAX_WIDTH}` };
+      }
+    }
+
+    if (sigma !== undefined) {
+      options.sigma = Number(sigma);
+      if (!Number.isFinite(options.sigma) || options.sigma <= 0 || options.sigma > MAX_SIGMA) {
+        return { error: `sigma must be a positive number of pixels, at most ${MAX_SIGMA}` };
+      }
+    }
+
+    return { options };
+  }
+
+  // Output canvas for a screen, optionally scaled to a requested width.
+  // Tall screens are scaled down further to keep within MAX_HEIGHT.
+  canvasFor(screen, width) {
+    const scale = Math.min(
+      Math.min(width || screen.width, MAX_WIDTH) / screen.width,
+      MAX_HEIGHT / screen.height
+    );
+    return {
+      width: Math.max(1, Math.round(screen.width * scale)),
+      height: Math.max(1, Math.round(screen.height * scale)),
+      scale
+    };
+  }
+
+  // Accumulate one session's gaze into a fresh grid. Samples count once
+  // each; fixations are weighted by duration. Returns null if the session
+  // has nothing to draw.
+  async sessionGrid(session, canvas, source) {
+    const grid = gazeRender.createGrid(canvas.width, canvas.height);
+    const scaleX = canvas.width / session.screen.width;
+    const scaleY = canvas.height / session.screen.height;
+    let points = 0;
+
+    if (source === 'fixations') {
+      const analysis = await analysisService.getAnalysis(session.id);
+      if (!analysis) {
+        return null;
+      }
+      for await (const event of analysisService.iterateEvents(analysis)) {
+        if (event.type === 'fixation') {
+          gazeRender.addPoint(grid, event.x * scaleX, event.y * scaleY, event.duration);
+          points++;
+        }
+      }
+    } else {
+      for await (const sample of sessionService.iterateSamples(session)) {
+        if (sample.validity) {
+          gazeRender.addPoint(grid, sample.x * scaleX, sample.y * scaleY);
+          points++;
+        }
+      }
+    }
+
+    return points > 0 ? grid : null;
+  }
+
+  stimulusUrlOf(session) {
+    const { stimulus } = session;
+    return stimulus && typeof stimulus.url === 'string' ? stimulus.url : null;
+  }
+
+  // Fetch a stimulus image and return it as a data URI.
+  // Returns { dataUri } or { error }.
+  async fetchStimulus(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { error: 'Stimulus URL is invalid' };
+    }
+
+    if (parsed.protocol !== 'https:' || !allowedStimulusHosts().includes(parsed.hostname.toLowerCase())) {
+      return { error: 'Stimulus URL is not allowed; use background=none' };
+    }
+
+    try {
+      const response = await fetch(parsed, { redirect: 'error', signal: AbortSignal.timeout(STIMULUS_TIMEOUT) });
+      const contentType = (response.headers.get('content-type') || '').split(';')[0];
+      if (!response.ok || !contentType.startsWith('image/')) {
+        return { error: 'Stimulus image could not be loaded' };
+      }
+      if (Number(response.headers.get('content-length')) > MAX_STIMULUS_BYTES) {
+        return { error: 'Stimulus image is too large' };
+      }
+
+      const body = Buffer.from(await response.arrayBuffer());
+      if (body.length > MAX_STIMULUS_BYTES) {
+        return { error: 'Stimulus image is too large' };
+      }
+      return { dataUri: `data:${contentType};base64,${body.toString('base64')}` };
+
+    } catch (error) {
+      console.error('Fetch stimulus error:', error.message);
+      return { error: 'Stimulus image could not be loaded' };
+    }
+  }
+
+  // Background image for the output, inlined as a data URI so that the
+  // result is self-contained (an SVG shown through <img> cannot load
+  // external images, and the rasteriser cannot fetch them).
+  // Returns { background } or { error }.
+  async backgroundFor(session, { background }) {
+    const url = background === 'stimulus' ? this.stimulusUrlOf(session) : null;
+    if (!url) {
+      return { background: null };
+    }
+
+    const { dataUri, error } = await this.fetchStimulus(url);
+    return error ? { error } : { background: dataUri };
+  }
+
+  async output(svg, format) {
+    return {
+      contentType: CONTENT_TYPES[format],
+      body: format === 'png' ? await gazeRender.svgToPng(svg) : svg
+    };
+  }
+
+  // Heatmap of one or more sessions of the same stimulus. Every session
+  // carries the same weight and is stretched onto the first session's
+  // canvas. Returns { contentType, body, sessionCount } or { error }.
+  async renderHeatmap(sessions, options) {
+    const [first] = sessions;
+    const canvas = this.canvasFor(first.screen, options.width);
+    const sigma = Math.min(options.sigma || pixelsPerDegree(first.screen) * canvas.scale, MAX_SIGMA);
+
+    const grid = gazeRender.createGrid(canvas.width, canvas.height);
+    let sessionCount = 0;
+    for (const session of sessions) {
+      const sessionGrid = await this.sessionGrid(session, canvas, options.source);
+      if (sessionGrid) {
+        gazeRender.addNormalized(grid, sessionGrid);
+        sessionCount++;
+      }
+    }
+
+    const { background, error } = await this.backgroundFor(first, options);
+    if (error) {
+      return { error };
+    }
+
+    gazeRender.blur(grid, sigma);
+    const svg = await gazeRender.heatmapSvg(grid, { ...canvas, background });
+    return { ...await this.output(svg, options.format), sessionCount };
+  }
+
+  // Numbered fixation scanpath for a session.
+  // Returns { contentType, body } or { error }.
+  async renderScanpath(session, fixations, options) {
+    const canvas = this.canvasFor(session.screen, options.width);
+
+    const { background, error } = await this.backgroundFor(session, options);
+    if (error) {
+      return { error };
+    }
+
+    const scaled = fixations.map(fixation => ({
+      x: fixation.x * canvas.scale,
+      y: fixation.y * canvas.scale,
+      duration: fixation.duration
+    }));
+
+    const svg = gazeRender.scanpathSvg(scaled, { ...canvas, background });
+    return this.output(svg, options.format);
+  }
+}
+
+module.exports = new RenderService();
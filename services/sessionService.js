@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const { firestoreHelpers, fieldValues, toDate, COLLECTIONS } = require('../config/database');
+
+// Limits for a single upload. A chunk is stored as one document, so it has
+// to stay well below Firestore's 1 MiB document limit.
+const MAX_SAMPLES_PER_CHUNK = 5000;
+
+// The session document lists every uploaded sequence number, so sessions
+// are capped at this many chunks (sequences 0 to MAX_CHUNKS_PER_SESSION - 1)
+const MAX_CHUNKS_PER_SESSION = 10000;
+
+// Largest screen accepted, per side in pixels (8K is 7680 x 4320)
+const MAX_SCREEN_PIXELS = 16384;
+
+// Free-form fields stored on the session document
+const MAX_STIMULUS_BYTES = 4 * 1024;
+const MAX_METADATA_BYTES = 16 * 1024;
+const MAX_STIMULUS_ID_LENGTH = 200;
+const MAX_STIMULUS_URL_LENGTH = 2048;
+
+const CLIENT_APPS = ['professional', 'lite'];
+
+const SESSION_STATUS = {
+  RECORDING: 'recording',
+  COMPLETED: 'completed'
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const jsonSize = (value) => Buffer.byteLength(JSON.stringify(value));
+
+// Chunk documents are keyed by session and zero-padded sequence number so
+// that they sort in upload order
+const chunkId = (sessionId, sequence) => `${sessionId}_${String(sequence).padStart(8, '0')}`;
+
+class SessionService {
+  constructor() {
+    this.STATUS = SESSION_STATUS;
+    this.maxSamplesPerChunk = MAX_SAMPLES_PER_CHUNK;
+    this.maxChunksPerSession = MAX_CHUNKS_PER_SESSION;
+  }
+
+  // Validate the body of a session creation request.
+  // Returns an error message, or null if the input is valid.
+  validateSessionInput({ client, device, screen, sampleRate, stimulus, metadata }) {
+    if (!client || !CLIENT_APPS.includes(client.app)) {
+      return `client.app must be one of: ${CLIENT_APPS.join(', ')}`;
+    }
+
+    if (!screen || !isFiniteNumber(screen.width) || !isFiniteNumber(screen.height) ||
+        screen.width <= 0 || screen.height <= 0) {
+      return 'screen.width and screen.height are required and must be positive numbers';
+    }
+
+    if (screen.width > MAX_SCREEN_PIXELS || screen.height > MAX_SCREEN_PIXELS) {
+      return `screen.width and screen.height must be at most ${MAX_SCREEN_PIXELS} pixels`;
+    }
+
+    for (const field of ['pixelRatio', 'widthMm', 'heightMm', 'distanceMm']) {
+      if (screen[field] !== undefined && (!isFiniteNumber(screen[field]) || screen[field] <= 0)) {
+        return `screen.${field} must be a positive number`;
+      }
+    }
+
+    if (device !== undefined && (typeof device !== 'object' || Array.isArray(device) || device === null)) {
+      return 'device must be an object';
+    }
+
+    if (sampleRate !== undefined && (!isFiniteNumber(sampleRate) || sampleRate <= 0)) {
+      return 'sampleRate must be a positive number';
+    }
+
+    const stimulusError = this.validateStimulus(stimulus);
+    if (stimulusError) {
+      return stimulusError;
+    }
+
+    if (metadata !== undefined && metadata !== null) {
+      if (!isPlainObject(metadata)) {
+        return 'metadata must be an object';
+      }
+      if (jsonSize(metadata) > MAX_METADATA_BYTES) {
+        return `metadata must be at most ${MAX_METADATA_BYTES / 1024} KB`;
+      }
+    }
+
+    return null;
+  }
+
+  // A stimulus is a plain id, or { id?, url?, ... } describing it
+  validateStimulus(stimulus) {
+    if (stimulus === undefined || stimulus === null) {
+      return null;
+    }
+
+    if (typeof stimulus === 'string') {
+      return stimulus && stimulus.length <= MAX_STIMULUS_ID_LENGTH
+        ? null
+        : `stimulus must be 1-${MAX_STIMULUS_ID_LENGTH} characters`;
+    }
+
+    if (!isPlainObject(stimulus)) {
+      return 'stimulus must be an id or an object';
+    }
+    if (stimulus.id !== undefined && (typeof stimulus.id !== 'string' || !stimulus.id || stimulus.id.length > MAX_STIMULUS_ID_LENGTH)) {
+      return `stimulus.id must be 1-${MAX_STIMULUS_ID_LENGTH} characters`;
+    }
+    if (stimulus.url !== undefined && (typeof stimulus.url !== 'string' || stimulus.url.length > MAX_STIMULUS_URL_LENGTH)) {
+      return `stimulus.url must be a string of at most ${MAX_STIMULUS_URL_LENGTH} characters`;
+    }
+    if (jsonSize(stimulus) > MAX_STIMULUS_BYTES) {
+      return `stimulus must be at most ${MAX_STIMULUS_BYTES / 1024} KB`;
+    }
+    return null;
+  }
+
+  // Validate and normalise a batch of gaze samples.
+  // Returns { samples } or { error }.
+  normalizeSamples(samples) {
+    if (!Array.isArray(samples) || samples.length === 0) {
+      return { error: 'samples must be a non-empty array' };
+    }
+
+    if (samples.length > MAX_SAMPLES_PER_CHUNK) {
+      return { error: `A chunk may contain at most ${MAX_SAMPLES_PER_CHUNK} samples` };
+    }
+
+    const normalized = [];
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i] || {};
+
+      if (!isFiniteNumber(sample.timestamp)) {
+        return { error: `samples[${i}].timestamp must be a number (milliseconds)` };
+      }
+
+      const validity = sample.validity === true || sample.validity === 1;
+      for (const field of ['x', 'y', 'pupil']) {
+        if (sample[field] != null && !isFiniteNumber(sample[field])) {
+          return { error: `samples[${i}].${field} must be a number or null` };
+        }
+      }
+
+      if (validity && (sample.x == null || sample.y == null)) {
+        return { error: `samples[${i}] is marked valid but has no x/y` };
+      }
+
+      const confidence = sample.confidence == null ? null : sample.confidence;
+      if (confidence !== null && (!isFiniteNumber(confidence) || confidence < 0 || confidence > 1)) {
+        return { error: `samples[${i}].confidence must be between 0 and 1` };
+      }
+
+      normalized.push({
+        timestamp: sample.timestamp,
+        x: sample.x == null ? null : sample.x,
+        y: sample.y == null ? null : sample.y,
+        pupil: sample.pupil == null ? null : sample.pupil,
+        validity,
+        confidence
+      });
+    }
+
+    normalized.sort((a, b) => a.timestamp - b.timestamp);
+    return { samples: normalized };
+  }
+
+  // Create a new recording session. link ties it to an organization and/or
+  // a study participant ({ organizationId, studyId, participantCode,
+  // consentVersion }).
+  async createSession(uid, { client, device, screen, sampleRate, stimulus, metadata }, link = null) {
+    const id = crypto.randomUUID();
+
+    const session = {
+      uid,
+      status: SESSION_STATUS.RECORDING,
+      client: { app: client.app, version: client.version || null },
+      device: device || {},
+      screen,
+      sampleRate: sampleRate || null,
+      stimulus: stimulus || null,
+      metadata: metadata || {},
+      organizationId: (link && link.organizationId) || null,
+      studyId: (link && link.studyId) || null,
+      participantCode: (link && link.participantCode) || null,
+      consentVersion: (link && link.consentVersion) || null,
+      chunkCount: 0,
+      sampleCount: 0,
+      sequences: [],
+      startedAt: new Date(),
+      finalizedAt: null,
+      stats: null
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.TRACKING_SESSIONS, id, session);
+    return { id, ...session };
+  }
+
+  async getSession(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.TRACKING_SESSIONS, id);
+  }
+
+  async listSessions(uid) {
+    const sessions = await firestoreHelpers.queryDocuments(COLLECTIONS.TRACKING_SESSIONS, 'uid', '==', uid);
+    return sessions.sort((a, b) => toDate(b.startedAt) - toDate(a.startedAt));
+  }
+
+  async listOrganizationSessions(organizationId) {
+    const sessions = await firestoreHelpers.queryDocuments(COLLECTIONS.TRACKING_SESSIONS, 'organizationId', '==', organizationId);
+    return sessions.sort((a, b) => toDate(b.startedAt) - toDate(a.startedAt));
+  }
+
+  // A session's stimulus may be stored as a plain id or as { id, ... }
+  stimulusIdOf(session) {
+    const { stimulus } = session;
+    if (typeof stimulus === 'string') {
+      return stimulus;
+    }
+    return stimulus && typeof stimulus.id === 'string' ? stimulus.id : null;
+  }
+
+  // The user's sessions recorded on a stimulus
+  async listStimulusSessions(uid, stimulusId) {
+    const sessions = await this.listSessions(uid);
+    return sessions.filter(session => this.stimulusIdOf(session) === stimulusId);
+  }
+
+  // Store a chunk of samples. Uploads are idempotent: replaying the same
+  // idempotency key for the same sequence returns the stored chunk instead
+  // of writing it twice.
+  // Returns { chunk, created } or { conflict } when the sequence is taken.
+  async appendChunk(session, { sequence, samples, idempotencyKey }) {
+    const payloadHash = crypto.createHash('sha256').update(JSON.stringify(samples)).digest('hex');
+    const id = chunkId(session.id, sequence);
+
+    const chunk = {
+      sessionId: session.id,
+      sequence,
+      idempotencyKey,
+      payloadHash,
+      sampleCount: samples.length,
+      startTime: samples[0].timestamp,
+      endTime: samples[samples.length - 1].timestamp,
+      samples
+    };
+
+    // The chunk and its entry on the session are written together, so a
+    // crash can't leave a stored chunk the session doesn't know about
+    const created = await firestoreHelpers.commitBatch([
+      { type: 'create', collection: COLLECTIONS.GAZE_CHUNKS, id, data: chunk },
+      {
+        type: 'update',
+        collection: COLLECTIONS.TRACKING_SESSIONS,
+        id: session.id,
+        data: {
+          sequences: fieldValues.arrayUnion(sequence),
+          chunkCount: fieldValues.increment(1),
+          sampleCount: fieldValues.increment(samples.length)
+        }
+      }
+    ]);
+
+    if (!created) {
+      const existing = await firestoreHelpers.getDocument(COLLECTIONS.GAZE_CHUNKS, id);
+      if (existing.idempotencyKey !== idempotencyKey) {
+        return { conflict: 'A different chunk was already uploaded with this sequence number' };
+      }
+      if (existing.payloadHash !== payloadHash) {
+        return { conflict: 'Idempotency key was already used with a different payload' };
+      }
+      return { chunk: this.summarizeChunk(existing), created: false };
+    }
+
+    return { chunk: this.summarizeChunk(chunk), created: true };
+  }
+
+  summarizeChunk({ sequence, sampleCount, startTime, endTime }) {
+    return { sequence, sampleCount, startTime, endTime };
+  }
+
+  // Sequence numbers in [0, count) that have not been uploaded
+  findMissingChunks(session, count) {
+    const uploaded = new Set(session.sequences || []);
+    const missing = [];
+    for (let sequence = 0; sequence < count; sequence++) {
+      if (!uploaded.has(sequence)) {
+        missing.push(sequence);
+      }
+    }
+    return missing;
+  }
+
+  // Iterate over a session's chunks in sequence order, one document at a
+  // time, so large sessions never have to be held in memory at once
+  async *iterateChunks(session) {
+    const sequences = [...(session.sequences || [])].sort((a, b) => a - b);
+    for (const sequence of sequences) {
+      const chunk = await firestoreHelpers.getDocument(COLLECTIONS.GAZE_CHUNKS, chunkId(session.id, sequence));
+      if (chunk) {
+        yield chunk;
+      }
+    }
+  }
+
+  // Iterate over every sample of a session in timestamp order
+  async *iterateSamples(session) {
+    for await (const chunk of this.iterateChunks(session)) {
+      yield* chunk.samples;
+    }
+  }
+
+  // Compute summary statistics and mark the session completed
+  async finalizeSession(session, { endedAt } = {}) {
+    let sampleCount = 0;
+    let validSamples = 0;
+    let startTime = null;
+    let endTime = null;
+
+    for await (const sample of this.iterateSamples(session)) {
+      sampleCount++;
+      if (sample.validity) {
+        validSamples++;
+      }
+      if (startTime === null || sample.timestamp < startTime) {
+        startTime = sample.timestamp;
+      }
+      if (endTime === null || sample.timestamp > endTime) {
+        endTime = sample.timestamp;
+      }
+    }
+
+    const durationMs = sampleCount > 1 ? endTime - startTime : 0;
+    const stats = {
+      sampleCount,
+      validSamples,
+      validRatio: sampleCount > 0 ? validSamples / sampleCount : 0,
+      startTime,
+      endTime,
+      durationMs,
+      measuredSampleRate: durationMs > 0 ? (sampleCount - 1) / (durationMs / 1000) : null
+    };
+
+    const updates = {
+      status: SESSION_STATUS.COMPLETED,
+      finalizedAt: new Date(),
+      endedAt: endedAt ? new Date(endedAt) : new Date(),
+      stats
+    };
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.TRACKING_SESSIONS, session.id, updates);
+    return { ...session, ...updates };
+  }
+
+  // Delete a session and all of its chunks
+  async deleteSession(session) {
+    for (const sequence of session.sequences || []) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.GAZE_CHUNKS, chunkId(session.id, sequence));
+    }
+    await firestoreHelpers.deleteDocument(COLLECTIONS.TRACKING_SESSIONS, session.id);
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { firestoreHelpers, userHelpers, toDate, COLLECTIONS } = require('../config/database');
+
+// Sign-ins are the devices a user is logged in on. Each one remembers the
+// hash of its latest ID and refresh token, so requests can be matched to
+// a device and a single device can be cut off without signing out the rest.
+// ID tokens the Firebase SDK refreshes on its own are matched by auth_time,
+// which Firebase keeps from the sign-in the token was refreshed from.
+
+const MAX_DEVICE_NAME_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// lastSeenAt is only written when it is older than this
+const LAST_SEEN_RESOLUTION = 60 * 1000; // 1 minute
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SignInService {
+  // Describe the device a request comes from. Clients may name themselves
+  // with deviceName (body) or an X-Device-Name header.
+  describeDevice(req) {
+    const name = (req.body && req.body.deviceName) || req.get('X-Device-Name');
+    return {
+      name: typeof name === 'string' ? name.slice(0, MAX_DEVICE_NAME_LENGTH) : null,
+      userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null
+    };
+  }
+
+  // Record a new sign-in for tokens just issued to a device. secondFactorAt
+  // is set when the sign-in was completed with a two-factor code.
+  async createSignIn(uid, { idToken, refreshToken }, req, { secondFactorAt = null } = {}) {
+    const id = crypto.randomUUID();
+    const now = new Date();
+    const { auth_time: authTime = null } = await userHelpers.verifyToken(idToken);
+
+    const signIn = {
+      uid,
+      device: this.describeDevice(req),
+      ip: req.ip || null,
+      idTokenHash: hashToken(idToken),
+      refreshTokenHash: hashToken(refreshToken),
+      authTime,
+      createdAt: now,
+      lastSeenAt: now,
+      secondFactorAt,
+      revokedAt: null
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.SIGN_INS, id, signIn);
+    return { id, ...signIn };
+  }
+
+  async getSignIn(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.SIGN_INS, id);
+  }
+
+  async findByIdToken(idToken) {
+    const [signIn] = await firestoreHelpers.queryDocuments(COLLECTIONS.SIGN_INS, 'idTokenHash', '==', hashToken(idToken));
+    return signIn || null;
+  }
+
+  // Find the sign-in an ID token the Firebase SDK refreshed came from, and
+  // remember the token for the next request. A revoked sign-in is preferred
+  // when two started in the same second, so a signed out device stays out.
+  async findByRefreshedIdToken({ uid, auth_time: authTime }, idToken) {
+    if (!authTime) {
+      return null;
+    }
+
+    const signIns = (await firestoreHelpers.queryDocuments(COLLECTIONS.SIGN_INS, 'uid', '==', uid))
+      .filter(signIn => signIn.authTime === authTime);
+    const signIn = signIns.find(candidate => candidate.revokedAt) || signIns[0];
+    if (!signIn || signIn.revokedAt) {
+      return signIn || null;
+    }
+
+    const idTokenHash = hashToken(idToken);
+    await firestoreHelpers.updateDocument(COLLECTIONS.SIGN_INS, signIn.id, { idTokenHash });
+    return { ...signIn, idTokenHash };
+  }
+
+  async findByRefreshToken(refreshToken) {
+    const [signIn] = await firestoreHelpers.queryDocuments(COLLECTIONS.SIGN_INS, 'refreshTokenHash', '==', hashToken(refreshToken));
+    return signIn || null;
+  }
+
+  // Remember the tokens a refresh issued to the device
+  async rotateTokens(signIn, { idToken, refreshToken }, req) {
+    const updates = {
+      idTokenHash: hashToken(idToken),
+      refreshTokenHash: hashToken(refreshToken),
+      ip: req.ip || signIn.ip,
+      lastSeenAt: new Date()
+    };
+    await firestoreHelpers.updateDocument(COLLECTIONS.SIGN_INS, signIn.id, updates);
+    return { ...signIn, ...updates };
+  }
+
+  // Record a successful two-factor check on this device
+  async markSecondFactor(signIn) {
+    const secondFactorAt = new Date();
+    await firestoreHelpers.updateDocument(COLLECTIONS.SIGN_INS, signIn.id, { secondFactorAt });
+    return { ...signIn, secondFactorAt };
+  }
+
+  // Note that the device was just used
+  async touch(signIn, ip) {
+    const lastSeenAt = toDate(signIn.lastSeenAt);
+    if (lastSeenAt && Date.now() - lastSeenAt.getTime() <= LAST_SEEN_RESOLUTION && ip === signIn.ip) {
+      return;
+    }
+    await firestoreHelpers.updateDocument(COLLECTIONS.SIGN_INS, signIn.id, {
+      lastSeenAt: new Date(),
+      ip: ip || signIn.ip
+    });
+  }
+
+  // Devices the user is still signed in on, most recently used first
+  async listActive(uid) {
+    const signIns = await firestoreHelpers.queryDocuments(COLLECTIONS.SIGN_INS, 'uid', '==', uid);
+    return signIns
+      .filter(signIn => !signIn.revokedAt)
+      .sort((a, b) => toDate(b.lastSeenAt) - toDate(a.lastSeenAt));
+  }
+
+  // Sign out one device. Its ID token stops working immediately and its
+  // refresh token is refused here. Firebase would still refresh it, but
+  // the resulting ID token keeps this sign-in's auth_time and is rejected.
+  async revoke(signIn) {
+    const revokedAt = new Date();
+    await firestoreHelpers.updateDocument(COLLECTIONS.SIGN_INS, signIn.id, { revokedAt });
+    return { ...signIn, revokedAt };
+  }
+
+  // Sign out every device, including tokens issued outside a recorded
+  // sign-in, by revoking the user's Firebase refresh tokens
+  async revokeAll(uid) {
+    await userHelpers.revokeRefreshTokens(uid);
+
+    const signIns = await this.listActive(uid);
+    for (const signIn of signIns) {
+      await this.revoke(signIn);
+    }
+    return signIns.length;
+  }
+}
+
+module.exports = new SignInService();
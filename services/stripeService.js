@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { firestoreHelpers, userHelpers, toDate, COLLECTIONS } = require('../config/database');
+const subscriptionService = require('./subscriptionService');
+
+// Stripe webhooks. Payloads are verified with the endpoint's signing secret
+// (STRIPE_WEBHOOK_SECRET) the way Stripe's libraries do it, and subscription
+// events are applied through the subscription service.
+
+// Signatures older than this are rejected, so captured payloads can't be replayed
+const SIGNATURE_TOLERANCE = 5 * 60; // seconds
+
+// Stripe subscription statuses that keep a plan working
+const ACTIVE_STATUSES = ['active', 'trialing'];
+const PAST_DUE_STATUSES = ['past_due', 'unpaid'];
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+// The Stripe-Signature header value for a payload
+const signatureHeader = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+class StripeService {
+  isConfigured() {
+    return Boolean(process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  signatureHeader(payload, secret = process.env.STRIPE_WEBHOOK_SECRET, timestamp) {
+    return signatureHeader(payload, secret, timestamp);
+  }
+
+  // Check a webhook's Stripe-Signature header against its raw body.
+  // Returns { event } or { error }.
+  verifyWebhook(rawBody, header) {
+    if (typeof header !== 'string' || !header) {
+      return { error: 'Missing Stripe-Signature header' };
+    }
+
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+      return { error: 'Malformed Stripe-Signature header' };
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE) {
+      return { error: 'Webhook timestamp is outside the tolerance' };
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', process.env.STRIPE_WEBHOOK_SECRET)
+        .update(`${timestamp}.${rawBody}`)
+        .digest('hex')
+    );
+    const valid = signatures.some(signature =>
+      signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), expected)
+    );
+    if (!valid) {
+      return { error: 'Invalid webhook signature' };
+    }
+
+    try {
+      return { event: JSON.parse(rawBody) };
+    } catch (error) {
+      return { error: 'Invalid webhook payload' };
+    }
+  }
+
+  // The plan a Stripe subscription is for: the subscription's metadata.plan,
+  // else its price (STRIPE_PRICE_<PLAN> or a lookup_key naming the plan)
+  planForSubscription(stripeSubscription) {
+    const metadataPlan = stripeSubscription.metadata && stripeSubscription.metadata.plan;
+    if (subscriptionService.isPlan(metadataPlan)) {
+      return metadataPlan;
+    }
+
+    const item = stripeSubscription.items && stripeSubscription.items.data && stripeSubscription.items.data[0];
+    const price = item && item.price;
+    if (!price) {
+      return null;
+    }
+
+    const configured = Object.keys(subscriptionService.PLANS)
+      .find(planId => process.env[`STRIPE_PRICE_${planId.toUpperCase()}`] === price.id);
+    if (configured) {
+      return configured;
+    }
+    return subscriptionService.isPlan(price.lookup_key) ? price.lookup_key : null;
+  }
+
+  // End of the current billing period. Newer API versions keep it on the item.
+  periodEnd(stripeSubscription) {
+    const item = stripeSubscription.items && stripeSubscription.items.data && stripeSubscription.items.data[0];
+    const seconds = stripeSubscription.current_period_end || (item && item.current_period_end);
+    return seconds ? new Date(seconds * 1000) : undefined;
+  }
+
+  // The user a Stripe object belongs to: metadata.uid (set at checkout),
+  // else the user already linked to the Stripe customer
+  async findUser(stripeObject) {
+    const uid = (stripeObject.metadata && stripeObject.metadata.uid) || stripeObject.client_reference_id;
+    if (uid) {
+      const profile = await firestoreHelpers.getDocument(COLLECTIONS.USER_PROFILES, uid);
+      return profile ? userHelpers.getUserById(uid) : null;
+    }
+
+    if (!stripeObject.customer) {
+      return null;
+    }
+    const [profile] = await firestoreHelpers.queryDocuments(COLLECTIONS.USER_PROFILES, 'stripeCustomerId', '==', stripeObject.customer);
+    return profile ? userHelpers.getUserById(profile.id) : null;
+  }
+
+  async linkCustomer(user, customerId) {
+    if (customerId && user.stripeCustomerId !== customerId) {
+      await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, user.uid, { stripeCustomerId: customerId });
+    }
+  }
+
+  // Apply a verified event once. Stripe retries deliveries and may send
+  // events out of order, so repeats are skipped and events older than the
+  // last one applied to a subscription are ignored.
+  // Returns { status: 'processed' | 'ignored' | 'duplicate', reason? }.
+  async handleEvent(event) {
+    const firstDelivery = await firestoreHelpers.createDocumentIfAbsent(COLLECTIONS.STRIPE_EVENTS, event.id, {
+      type: event.type,
+      receivedAt: new Date()
+    });
+    if (!firstDelivery) {
+      return { status: 'duplicate' };
+    }
+
+    try {
+      return await this.applyEvent(event);
+    } catch (error) {
+      // Let Stripe's retry be processed
+      await firestoreHelpers.deleteDocument(COLLECTIONS.STRIPE_EVENTS, event.id);
+      throw error;
+    }
+  }
+
+  async applyEvent(event) {
+    const object = event.data && event.data.object;
+    if (!object) {
+      return { status: 'ignored', reason: 'No event object' };
+    }
+
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        const user = await this.findUser(object);
+        if (!user) {
+          return { status: 'ignored', reason: 'Unknown user' };
+        }
+        await this.linkCustomer(user, object.customer);
+        return { status: 'processed' };
+      }
+
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted':
+        return this.syncSubscription(object, event);
+
+      case 'invoice.payment_failed': {
+        // Newer API versions moved the subscription under parent
+        const subscriptionId = object.subscription ||
+          (object.parent && object.parent.subscription_details && object.parent.subscription_details.subscription);
+        const user = await this.findUser(object);
+        if (!user || !this.managesSubscription(user, subscriptionId)) {
+          return { status: 'ignored', reason: 'No matching subscription' };
+        }
+        if (this.isStale(user, event)) {
+          return { status: 'ignored', reason: 'Out of date' };
+        }
+        await subscriptionService.markPastDue(user, { eventAt: event.created });
+        return { status: 'processed' };
+      }
+
+      default:
+        return { status: 'ignored', reason: `Unhandled event type ${event.type}` };
+    }
+  }
+
+  // Whether the user's plan is billed through this Stripe subscription
+  managesSubscription(user, stripeSubscriptionId) {
+    const billing = user.subscription && user.subscription.billing;
+    return Boolean(billing && billing.subscriptionId === stripeSubscriptionId);
+  }
+
+  isStale(user, event) {
+    const eventAt = user.subscription && user.subscription.eventAt;
+    return Boolean(eventAt && event.created < eventAt);
+  }
+
+  // Bring the user's plan in line with a Stripe subscription
+  async syncSubscription(stripeSubscription, event) {
+    const user = await this.findUser(stripeSubscription);
+    if (!user) {
+      return { status: 'ignored', reason: 'Unknown user' };
+    }
+    await this.linkCustomer(user, stripeSubscription.customer);
+
+    if (this.isStale(user, event)) {
+      return { status: 'ignored', reason: 'Out of date' };
+    }
+
+    const managed = this.managesSubscription(user, stripeSubscription.id);
+    const options = {
+      eventAt: event.created,
+      billing: { customerId: stripeSubscription.customer, subscriptionId: stripeSubscription.id }
+    };
+
+    if (event.type === 'customer.subscription.deleted' || ENDED_STATUSES.includes(stripeSubscription.status)) {
+      if (!managed) {
+        return { status: 'ignored', reason: 'No matching subscription' };
+      }
+      await subscriptionService.expire(user, options);
+      return { status: 'processed' };
+    }
+
+    if (PAST_DUE_STATUSES.includes(stripeSubscription.status)) {
+      if (!managed) {
+        return { status: 'ignored', reason: 'No matching subscription' };
+      }
+      if (user.subscription.status !== 'past_due') {
+        await subscriptionService.markPastDue(user, options);
+      }
+      return { status: 'processed' };
+    }
+
+    if (!ACTIVE_STATUSES.includes(stripeSubscription.status)) {
+      return { status: 'ignored', reason: `Subscription is ${stripeSubscription.status}` };
+    }
+
+    const planId = this.planForSubscription(stripeSubscription);
+    if (!planId) {
+      console.warn(`⚠️  Stripe subscription ${stripeSubscription.id} has no recognizable plan`);
+      return { status: 'ignored', reason: 'Unknown plan' };
+    }
+
+    const endDate = this.periodEnd(stripeSubscription);
+    const current = user.subscription;
+    const currentPlan = subscriptionService.getEffectivePlan(current).plan.id;
+    let subscription;
+
+    if (!managed || currentPlan === 'free') {
+      subscription = await subscriptionService.grant(user, planId, { ...options, endDate, source: 'stripe' });
+    } else if (current.type !== planId) {
+      subscription = await subscriptionService.changePlan(user, planId, { ...options, endDate });
+    } else if ((endDate && endDate.getTime() !== toDate(current.endDate).getTime()) || current.status !== 'active') {
+      subscription = await subscriptionService.renew(user, { ...options, endDate });
+    } else {
+      subscription = current;
+    }
+
+    if (stripeSubscription.cancel_at_period_end && !subscription.cancelAtPeriodEnd) {
+      await subscriptionService.cancel({ ...user, subscription }, options);
+    } else if (!stripeSubscription.cancel_at_period_end && subscription.cancelAtPeriodEnd) {
+      await subscriptionService.save(user.uid, { ...subscription, cancelAtPeriodEnd: false });
+    }
+
+    return { status: 'processed' };
+  }
+}
+
+module.exports = new StripeService();
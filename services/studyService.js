@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const { firestoreHelpers, toDate, COLLECTIONS } = require('../config/database');
+const organizationService = require('./organizationService');
+
+const STUDY_STATUS = {
+  DRAFT: 'draft', // set up, not recording yet
+  ACTIVE: 'active',
+  CLOSED: 'closed' // no new participants or sessions
+};
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_CONSENT_LENGTH = 50000;
+const MAX_ENROLL_COUNT = 500;
+
+// Participant codes avoid characters that are easy to misread
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = /^[A-Za-z0-9-]{3,32}$/;
+
+const participantId = (studyId, code) => `${studyId}_${code}`;
+
+const generateCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return 'P' + [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+class StudyService {
+  constructor() {
+    this.STATUS = STUDY_STATUS;
+  }
+
+  // Validate study fields. With partial set, only the fields present are
+  // checked (for updates). Returns an error message, or null.
+  validateStudyInput({ title, description, status, consentText }, { partial = false } = {}) {
+    if (!partial || title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+        return `title is required (max ${MAX_TITLE_LENGTH} characters)`;
+      }
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return `description must be a string (max ${MAX_DESCRIPTION_LENGTH} characters)`;
+    }
+
+    if (status !== undefined && !Object.values(STUDY_STATUS).includes(status)) {
+      return `status must be one of: ${Object.values(STUDY_STATUS).join(', ')}`;
+    }
+
+    if (!partial) {
+      return this.validateConsentText(consentText);
+    }
+
+    return null;
+  }
+
+  validateConsentText(text) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_CONSENT_LENGTH) {
+      return `consentText is required (max ${MAX_CONSENT_LENGTH} characters)`;
+    }
+    return null;
+  }
+
+  // Create a study with version 1 of its consent form. Studies created in
+  // an organization are shared with its members.
+  async createStudy(ownerUid, { title, description, consentText, organizationId }) {
+    const id = crypto.randomUUID();
+    const now = new Date();
+
+    const study = {
+      ownerUid,
+      organizationId: organizationId || null,
+      title: title.trim(),
+      description: description || '',
+      status: STUDY_STATUS.DRAFT,
+      consentVersion: 1,
+      consentForms: [{ version: 1, text: consentText, createdAt: now }],
+      participantCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await firestoreHelpers.createDocument(COLLECTIONS.STUDIES, id, study);
+    return { id, ...study };
+  }
+
+  async getStudy(id) {
+    return firestoreHelpers.getDocument(COLLECTIONS.STUDIES, id);
+  }
+
+  // Every study, for admins
+  async listAllStudies() {
+    const studies = await firestoreHelpers.getAllDocuments(COLLECTIONS.STUDIES, 0);
+    return studies.sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+  }
+
+  // Studies the user owns plus those of the organizations they belong to
+  async listStudies(uid) {
+    const studies = await firestoreHelpers.queryDocuments(COLLECTIONS.STUDIES, 'ownerUid', '==', uid);
+
+    const memberships = await organizationService.listMemberships(uid);
+    for (const membership of memberships) {
+      const shared = await this.listOrganizationStudies(membership.organizationId);
+      shared
+        .filter(study => !studies.some(existing => existing.id === study.id))
+        .forEach(study => studies.push(study));
+    }
+
+    return studies.sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+  }
+
+  async listOrganizationStudies(organizationId) {
+    const studies = await firestoreHelpers.queryDocuments(COLLECTIONS.STUDIES, 'organizationId', '==', organizationId);
+    return studies.sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+  }
+
+  // Whether the user may access the study at the given level
+  async canAccess(user, study, level) {
+    return organizationService.canAccess(user, { ownerUid: study.ownerUid, organizationId: study.organizationId }, level, 'studies');
+  }
+
+  async updateStudy(study, { title, description, status }) {
+    const updates = { updatedAt: new Date() };
+    if (title !== undefined) {
+      updates.title = title.trim();
+    }
+    if (description !== undefined) {
+      updates.description = description;
+    }
+    if (status !== undefined) {
+      updates.status = status;
+    }
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.STUDIES, study.id, updates);
+    return { ...study, ...updates };
+  }
+
+  // Publish a new consent form version. Participants must consent again
+  // before new sessions can be recorded for them.
+  async addConsentForm(study, text) {
+    const version = study.consentVersion + 1;
+    const consentForms = [...study.consentForms, { version, text, createdAt: new Date() }];
+    const updates = { consentVersion: version, consentForms, updatedAt: new Date() };
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.STUDIES, study.id, updates);
+    return { ...study, ...updates };
+  }
+
+  async deleteStudy(study) {
+    const participants = await this.listParticipants(study.id);
+    for (const participant of participants) {
+      await firestoreHelpers.deleteDocument(COLLECTIONS.STUDY_PARTICIPANTS, participant.id);
+    }
+    await firestoreHelpers.deleteDocument(COLLECTIONS.STUDIES, study.id);
+  }
+
+  // Validate an enrollment request: either one custom code or a count of
+  // codes to generate. Returns an error message, or null.
+  validateEnrollInput({ code, count }) {
+    if (code !== undefined && (typeof code !== 'string' || !CODE_PATTERN.test(code))) {
+      return 'code must be 3-32 letters, digits or dashes';
+    }
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_ENROLL_COUNT)) {
+      return `count must be an integer between 1 and ${MAX_ENROLL_COUNT}`;
+    }
+    if (code !== undefined && count !== undefined) {
+      return 'Provide either code or count, not both';
+    }
+    return null;
+  }
+
+  // Enroll participants under pseudonymous codes. A custom code that is
+  // already taken is reported in conflicts instead of being enrolled.
+  async enrollParticipants(study, { code, count = 1 }) {
+    const participants = [];
+    const conflicts = [];
+
+    const enroll = async (participantCode) => {
+      const participant = {
+        studyId: study.id,
+        code: participantCode,
+        consent: null,
+        consentHistory: [],
+        enrolledAt: new Date()
+      };
+      const created = await firestoreHelpers.createDocumentIfAbsent(
+        COLLECTIONS.STUDY_PARTICIPANTS, participantId(study.id, participantCode), participant
+      );
+      if (created) {
+        participants.push({ id: participantId(study.id, participantCode), ...participant });
+      }
+      return created;
+    };
+
+    if (code) {
+      if (!await enroll(code)) {
+        conflicts.push(code);
+      }
+    } else {
+      for (let i = 0; i < count; i++) {
+        // Generated codes are random; retry the rare collision
+        let created = false;
+        while (!created) {
+          created = await enroll(generateCode());
+        }
+      }
+    }
+
+    if (participants.length > 0) {
+      await this.updateParticipantCount(study.id);
+    }
+
+    return { participants, conflicts };
+  }
+
+  async updateParticipantCount(studyId) {
+    const participants = await this.listParticipants(studyId);
+    await firestoreHelpers.updateDocument(COLLECTIONS.STUDIES, studyId, {
+      participantCount: participants.length,
+      updatedAt: new Date()
+    });
+  }
+
+  async getParticipant(studyId, code) {
+    return firestoreHelpers.getDocument(COLLECTIONS.STUDY_PARTICIPANTS, participantId(studyId, code));
+  }
+
+  async listParticipants(studyId) {
+    const participants = await firestoreHelpers.queryDocuments(COLLECTIONS.STUDY_PARTICIPANTS, 'studyId', '==', studyId);
+    return participants.sort((a, b) => toDate(a.enrolledAt) - toDate(b.enrolledAt));
+  }
+
+  // Record consent to the study's current consent form
+  async recordConsent(participant, version) {
+    const entry = { version, action: 'granted', at: new Date() };
+    const updates = {
+      consent: { version, consentedAt: entry.at },
+      consentHistory: [...(participant.consentHistory || []), entry]
+    };
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.STUDY_PARTICIPANTS, participant.id, updates);
+    return { ...participant, ...updates };
+  }
+
+  async withdrawConsent(participant) {
+    const entry = { version: participant.consent ? participant.consent.version : null, action: 'withdrawn', at: new Date() };
+    const updates = {
+      consent: null,
+      consentHistory: [...(participant.consentHistory || []), entry]
+    };
+
+    await firestoreHelpers.updateDocument(COLLECTIONS.STUDY_PARTICIPANTS, participant.id, updates);
+    return { ...participant, ...updates };
+  }
+
+  hasCurrentConsent(study, participant) {
+    return Boolean(participant.consent) && participant.consent.version === study.consentVersion;
+  }
+
+  // Check that a session may be recorded for a study participant.
+  // Returns { study, participant } or { status, message }.
+  async checkSessionLink(user, { studyId, participantCode }) {
+    if (typeof studyId !== 'string' || typeof participantCode !== 'string') {
+      return { status: 400, message: 'studyId and participantCode must be given together' };
+    }
+
+    const study = await this.getStudy(studyId);
+    if (!study || !await this.canAccess(user, study, 'edit')) {
+      return { status: 404, message: 'Study not found' };
+    }
+    if (study.status !== STUDY_STATUS.ACTIVE) {
+      return { status: 409, message: 'Sessions can only be recorded for an active study' };
+    }
+
+    const participant = await this.getParticipant(studyId, participantCode);
+    if (!participant) {
+      return { status: 404, message: 'Participant not found' };
+    }
+    if (!this.hasCurrentConsent(study, participant)) {
+      return { status: 409, message: 'Participant has not consented to the current consent form' };
+    }
+
+    return { study, participant };
+  }
+
+  async listStudySessions(studyId) {
+    const sessions = await firestoreHelpers.queryDocuments(COLLECTIONS.TRACKING_SESSIONS, 'studyId', '==', studyId);
+    return sessions.sort((a, b) => toDate(a.startedAt) - toDate(b.startedAt));
+  }
+}
+
+module.exports = new StudyService();
@@ -0,0 +1,313 @@
+const { firestoreHelpers, userHelpers, toDate, COLLECTIONS } = require('../config/database');
+const notificationService = require('./notificationService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Plans, from least to most capable. Each plan's features include those of
+// the plans below it.
+const PLAN_ORDER = ['free', 'lite', 'professional', 'enterprise'];
+
+const PLAN_FEATURES = {
+  free: ['sessions', 'calibration'],
+  lite: ['exports', 'download:lite'],
+  professional: ['advanced-analysis', 'visualizations', 'studies', 'download:professional', 'commercial-license'],
+  enterprise: ['organizations', 'api-access', 'offline-activation', 'priority-support']
+};
+
+const PLANS = PLAN_ORDER.reduce((plans, id, index) => {
+  plans[id] = {
+    id,
+    name: id.charAt(0).toUpperCase() + id.slice(1),
+    rank: index,
+    features: PLAN_ORDER.slice(0, index + 1).flatMap(planId => PLAN_FEATURES[planId])
+  };
+  return plans;
+}, {});
+
+// Subscriptions created before the tiers were named
+const LEGACY_PLANS = { premium: 'professional' };
+
+const DEFAULT_DURATION_DAYS = 30;
+const MAX_DURATION_DAYS = 3 * 365;
+
+// Paid plans keep working this long after they end or a payment fails,
+// so a late renewal doesn't lock anyone out
+const GRACE_PERIOD = 7 * DAY;
+
+const planIdOf = (type) => LEGACY_PLANS[type] || (PLANS[type] ? type : 'free');
+
+class SubscriptionService {
+  constructor() {
+    this.PLANS = PLANS;
+  }
+
+  isPlan(planId) {
+    return Object.prototype.hasOwnProperty.call(PLANS, planId);
+  }
+
+  // The plan a subscription currently entitles its user to. Lapsed plans
+  // stay in effect until their grace period is over.
+  // Returns { plan, inGracePeriod }.
+  getEffectivePlan(subscription, now = new Date()) {
+    const planId = subscription ? planIdOf(subscription.type) : 'free';
+    if (planId === 'free' || subscription.status === 'expired') {
+      return { plan: PLANS.free, inGracePeriod: false };
+    }
+
+    const endDate = toDate(subscription.endDate);
+    if (!endDate) {
+      // No end date: runs until changed (e.g. an enterprise contract)
+      return { plan: PLANS[planId], inGracePeriod: subscription.status === 'past_due' };
+    }
+
+    const graceUntil = toDate(subscription.graceUntil) || new Date(endDate.getTime() + GRACE_PERIOD);
+    if (now > graceUntil) {
+      return { plan: PLANS.free, inGracePeriod: false };
+    }
+
+    return {
+      plan: PLANS[planId],
+      inGracePeriod: now > endDate || subscription.status === 'past_due'
+    };
+  }
+
+  // Whether the user's effective plan is at least planId
+  hasPlan(user, planId) {
+    return this.getEffectivePlan(user.subscription).plan.rank >= PLANS[planId].rank;
+  }
+
+  hasFeature(user, feature) {
+    return this.getEffectivePlan(user.subscription).plan.features.includes(feature);
+  }
+
+  // Shape a user's subscription for API responses
+  describe(user) {
+    const subscription = user.subscription || {};
+    const subscribedPlan = planIdOf(subscription.type);
+    const { plan, inGracePeriod } = this.getEffectivePlan(user.subscription);
+
+    return {
+      plan: plan.id,
+      planName: plan.name,
+      subscribedPlan,
+      // A lapsed plan reads as expired before the periodic sweep records it
+      status: subscribedPlan !== 'free' && plan.id === 'free' ? 'expired' : subscription.status || 'active',
+      source: subscription.source || null,
+      startDate: subscription.startDate || null,
+      endDate: subscription.endDate || null,
+      graceUntil: subscription.graceUntil || null,
+      inGracePeriod,
+      cancelAtPeriodEnd: Boolean(subscription.cancelAtPeriodEnd),
+      features: plan.features
+    };
+  }
+
+  // Validate a plan grant. Returns an error message, or null.
+  validateGrantInput({ plan, durationDays, endDate }) {
+    if (!this.isPlan(plan)) {
+      return `plan must be one of: ${PLAN_ORDER.join(', ')}`;
+    }
+    if (durationDays !== undefined &&
+        (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > MAX_DURATION_DAYS)) {
+      return `durationDays must be an integer between 1 and ${MAX_DURATION_DAYS}`;
+    }
+    if (endDate !== undefined && endDate !== null && (isNaN(new Date(endDate)) || new Date(endDate) <= new Date())) {
+      return 'endDate must be a future date';
+    }
+    return null;
+  }
+
+  endDateFrom({ endDate, durationDays }, from = new Date()) {
+    if (endDate !== undefined) {
+      return endDate === null ? null : new Date(endDate);
+    }
+    return new Date(from.getTime() + (durationDays || DEFAULT_DURATION_DAYS) * DAY);
+  }
+
+  async save(uid, subscription) {
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, uid, { subscription });
+    return subscription;
+  }
+
+  async notify(user, event, subscription) {
+    try {
+      await notificationService.notify(user, 'billing', {
+        template: `subscription-${event}`,
+        path: '/account/subscription',
+        plan: PLANS[planIdOf(subscription.type)],
+        endDate: toDate(subscription.endDate),
+        graceUntil: toDate(subscription.graceUntil)
+      });
+    } catch (error) {
+      console.error(`Failed to send subscription ${event} notification:`, error);
+    }
+  }
+
+  // Start a plan. billing carries the Stripe ids for Stripe-managed plans.
+  // Options: { endDate | durationDays, source, billing, eventAt }
+  async grant(user, planId, options = {}) {
+    const now = new Date();
+    const previous = this.getEffectivePlan(user.subscription).plan;
+
+    const subscription = {
+      type: planId,
+      status: 'active',
+      source: options.source || 'manual',
+      startDate: now,
+      endDate: planId === 'free' ? null : this.endDateFrom(options, now),
+      graceUntil: null,
+      cancelAtPeriodEnd: false,
+      features: PLANS[planId].features,
+      ...(options.billing && { billing: options.billing }),
+      ...(options.eventAt && { eventAt: options.eventAt }),
+      updatedAt: now
+    };
+    await this.save(user.uid, subscription);
+
+    const event = previous.id === 'free' ? 'activated'
+      : PLANS[planId].rank > previous.rank ? 'upgraded'
+        : PLANS[planId].rank < previous.rank ? 'downgraded' : 'renewed';
+    await this.notify(user, event, subscription);
+
+    return subscription;
+  }
+
+  // Extend the current plan. Renewals run on from the current end date,
+  // or from now if it has passed.
+  async renew(user, options = {}) {
+    const current = user.subscription;
+    const now = new Date();
+    const currentEnd = toDate(current.endDate);
+    const from = currentEnd && currentEnd > now ? currentEnd : now;
+
+    const subscription = {
+      ...current,
+      status: 'active',
+      endDate: this.endDateFrom(options, from),
+      graceUntil: null,
+      cancelAtPeriodEnd: false,
+      ...(options.billing && { billing: options.billing }),
+      ...(options.eventAt && { eventAt: options.eventAt }),
+      updatedAt: now
+    };
+    await this.save(user.uid, subscription);
+    await this.notify(user, 'renewed', subscription);
+
+    return subscription;
+  }
+
+  // Switch to another plan for the rest of the current period
+  async changePlan(user, planId, options = {}) {
+    if (planId === 'free') {
+      return this.expire(user, options);
+    }
+
+    const current = user.subscription;
+    const previous = this.getEffectivePlan(current).plan;
+
+    const subscription = {
+      ...current,
+      type: planId,
+      features: PLANS[planId].features,
+      ...(options.endDate !== undefined && { endDate: options.endDate }),
+      ...(options.billing && { billing: options.billing }),
+      ...(options.eventAt && { eventAt: options.eventAt }),
+      updatedAt: new Date()
+    };
+    await this.save(user.uid, subscription);
+
+    if (PLANS[planId].rank !== previous.rank) {
+      await this.notify(user, PLANS[planId].rank > previous.rank ? 'upgraded' : 'downgraded', subscription);
+    }
+    return subscription;
+  }
+
+  // Stop the plan from renewing; it runs until its end date
+  async cancel(user, options = {}) {
+    const subscription = {
+      ...user.subscription,
+      cancelAtPeriodEnd: true,
+      ...(options.eventAt && { eventAt: options.eventAt }),
+      updatedAt: new Date()
+    };
+    await this.save(user.uid, subscription);
+    await this.notify(user, 'canceled', subscription);
+
+    return subscription;
+  }
+
+  // A payment failed: the plan keeps working through the grace period
+  async markPastDue(user, options = {}) {
+    const now = new Date();
+    const endDate = toDate(user.subscription.endDate);
+    const graceFrom = endDate && endDate > now ? endDate : now;
+
+    const subscription = {
+      ...user.subscription,
+      status: 'past_due',
+      graceUntil: new Date(graceFrom.getTime() + GRACE_PERIOD),
+      ...(options.eventAt && { eventAt: options.eventAt }),
+      updatedAt: now
+    };
+    await this.save(user.uid, subscription);
+    await this.notify(user, 'payment_failed', subscription);
+
+    return subscription;
+  }
+
+  // End the plan now and fall back to Free
+  async expire(user, options = {}) {
+    const now = new Date();
+    const previousPlan = planIdOf(user.subscription && user.subscription.type);
+
+    const subscription = {
+      type: 'free',
+      status: 'expired',
+      source: (user.subscription && user.subscription.source) || 'manual',
+      startDate: now,
+      endDate: null,
+      graceUntil: null,
+      cancelAtPeriodEnd: false,
+      features: PLANS.free.features,
+      previousPlan,
+      ...(user.subscription && user.subscription.billing && { billing: user.subscription.billing }),
+      ...(options.eventAt && { eventAt: options.eventAt }),
+      updatedAt: now
+    };
+    await this.save(user.uid, subscription);
+
+    if (previousPlan !== 'free') {
+      await this.notify(user, 'expired', { ...subscription, type: previousPlan });
+    }
+    return subscription;
+  }
+
+  // Move paid plans whose grace period is over to Free. Run periodically.
+  // Returns the number of subscriptions expired.
+  async expireLapsed() {
+    const now = new Date();
+    const profiles = await firestoreHelpers.queryDocuments(COLLECTIONS.USER_PROFILES, 'subscription.endDate', '<', now);
+
+    let expired = 0;
+    for (const profile of profiles) {
+      const { subscription } = profile;
+      if (subscription.status === 'expired' || planIdOf(subscription.type) === 'free') {
+        continue;
+      }
+      if (this.getEffectivePlan(subscription, now).plan.id !== 'free') {
+        continue;
+      }
+
+      const user = await userHelpers.getUserById(profile.id);
+      await this.expire(user);
+      expired++;
+    }
+
+    if (expired > 0) {
+      console.log(`📉 Expired ${expired} lapsed subscription(s)`);
+    }
+    return expired;
+  }
+}
+
+module.exports = new SubscriptionService();
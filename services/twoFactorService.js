@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+
+// TOTP (RFC 6238) with the parameters authenticator apps expect by default
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept one step either side for clock drift
+const SECRET_BYTES = 20;
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'W.E.T';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) code for one counter value
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes look like abcd-efgh-ijkl; dashes and case are ignored
+const normalizeRecoveryCode = (code) => code.replace(/-/g, '').toLowerCase();
+
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(9).toString('base64url').replace(/[-_]/g, 'x').toLowerCase().slice(0, 12);
+  return raw.match(/.{4}/g).join('-');
+};
+
+class TwoFactorService {
+  async getRecord(uid) {
+    return firestoreHelpers.getDocument(COLLECTIONS.TWO_FACTOR, uid);
+  }
+
+  async getStatus(uid) {
+    const record = await this.getRecord(uid);
+    return {
+      enabled: Boolean(record && record.enabled),
+      enabledAt: record && record.enabled ? record.enabledAt : null,
+      recoveryCodesRemaining: record && record.enabled ? record.recoveryCodes.length : 0
+    };
+  }
+
+  // Start enrollment with a new secret. Nothing changes for the account
+  // until the secret is confirmed with a code from the app.
+  // Returns { secret, otpauthUrl, qrCode } or { error }.
+  async beginEnrollment(user) {
+    const record = await this.getRecord(user.uid);
+    if (record && record.enabled) {
+      return { error: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+      `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+    await firestoreHelpers.createDocument(COLLECTIONS.TWO_FACTOR, user.uid, {
+      enabled: false,
+      pendingSecret: secret,
+      createdAt: new Date()
+    });
+
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  // Finish enrollment with a code for the pending secret.
+  // Returns { recoveryCodes } (shown once) or { error }.
+  async confirmEnrollment(uid, code) {
+    const record = await this.getRecord(uid);
+    if (!record || !record.pendingSecret) {
+      return { error: 'Start two-factor setup first' };
+    }
+
+    const step = this.matchTotp(record.pendingSecret, code);
+    if (step === null) {
+      return { error: 'Invalid two-factor code' };
+    }
+
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    const enabledAt = new Date();
+
+    await firestoreHelpers.createDocument(COLLECTIONS.TWO_FACTOR, uid, {
+      enabled: true,
+      secret: record.pendingSecret,
+      lastStep: step,
+      recoveryCodes: recoveryCodes.map(recoveryCode => hashCode(normalizeRecoveryCode(recoveryCode))),
+      enabledAt
+    });
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, uid, { twoFactorEnabled: true });
+
+    return { recoveryCodes };
+  }
+
+  // The time step a TOTP code matches, or null
+  matchTotp(secret, code) {
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) {
+      return null;
+    }
+
+    const step = currentStep();
+    for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+      const expected = hotp(secret, step + drift);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step + drift;
+      }
+    }
+    return null;
+  }
+
+  // Check a TOTP code or a recovery code for an enrolled user. TOTP codes
+  // cannot be replayed and recovery codes are used up.
+  // Returns { method: 'totp' | 'recovery' } or { error }.
+  async verify(uid, code) {
+    const record = await this.getRecord(uid);
+    if (!record || !record.enabled) {
+      return { error: 'Two-factor authentication is not enabled' };
+    }
+    if (typeof code !== 'string' || !code) {
+      return { error: 'Two-factor code is required' };
+    }
+
+    const step = this.matchTotp(record.secret, code);
+    if (step !== null) {
+      if (step <= record.lastStep) {
+        return { error: 'Two-factor code has already been used' };
+      }
+      await firestoreHelpers.updateDocument(COLLECTIONS.TWO_FACTOR, uid, { lastStep: step });
+      return { method: 'totp' };
+    }
+
+    const hash = hashCode(normalizeRecoveryCode(code));
+    if (record.recoveryCodes.includes(hash)) {
+      await firestoreHelpers.updateDocument(COLLECTIONS.TWO_FACTOR, uid, {
+        recoveryCodes: record.recoveryCodes.filter(existing => existing !== hash)
+      });
+      return { method: 'recovery' };
+    }
+
+    return { error: 'Invalid two-factor code' };
+  }
+
+  // Replace the recovery codes. Returns the new codes (shown once).
+  async regenerateRecoveryCodes(uid) {
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    await firestoreHelpers.updateDocument(COLLECTIONS.TWO_FACTOR, uid, {
+      recoveryCodes: recoveryCodes.map(recoveryCode => hashCode(normalizeRecoveryCode(recoveryCode)))
+    });
+    return recoveryCodes;
+  }
+
+  async disable(uid) {
+    await firestoreHelpers.deleteDocument(COLLECTIONS.TWO_FACTOR, uid);
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, uid, { twoFactorEnabled: false });
+  }
+}
+
+module.exports = new TwoFactorService();
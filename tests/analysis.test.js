@@ -0,0 +1,68 @@
+const { useApp, api, createSignedInUser, SESSION_INPUT, recordSession } = require('./helpers');
+
+describe('analysis', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  it('detects fixations, saccades and blinks when a session is finalized', async () => {
+    const session = await recordSession(user.token);
+
+    const response = await api.get(`/api/sessions/${session.id}/events`, { token: user.token });
+    expect(response.status).toBe(200);
+    expect(response.body.data.analysis).toMatchObject({
+      algorithm: 'ivt',
+      summary: { fixationCount: 3, saccadeCount: 1, blinkCount: 1 }
+    });
+    expect(response.body.data.events.map(event => event.type))
+      .toEqual(['fixation', 'saccade', 'fixation', 'blink', 'fixation']);
+  });
+
+  it('filters events by type and time', async () => {
+    const session = await recordSession(user.token);
+
+    const fixations = await api.get(`/api/sessions/${session.id}/events?type=fixation`, { token: user.token });
+    expect(fixations.body.data.events).toHaveLength(3);
+
+    const early = await api.get(`/api/sessions/${session.id}/events?to=1400`, { token: user.token });
+    expect(early.body.data.events.every(event => event.start <= 1400)).toBe(true);
+
+    const invalid = await api.get(`/api/sessions/${session.id}/events?type=wink`, { token: user.token });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('re-runs with another algorithm', async () => {
+    const session = await recordSession(user.token);
+
+    const response = await api.post(`/api/sessions/${session.id}/analyze`, {
+      token: user.token,
+      body: { algorithm: 'idt', params: { dispersionThreshold: 1.5 } }
+    });
+    expect(response.status).toBe(200);
+    expect(response.body.data.analysis.algorithm).toBe('idt');
+    expect(response.body.data.analysis.params.dispersionThreshold).toBe(1.5);
+    expect(response.body.data.analysis.summary.fixationCount).toBe(3);
+
+    const unknown = await api.post(`/api/sessions/${session.id}/analyze`, { token: user.token, body: { algorithm: 'magic' } });
+    expect(unknown.status).toBe(400);
+  });
+
+  it('only analyzes finalized sessions', async () => {
+    const created = await api.post('/api/sessions', { token: user.token, body: SESSION_INPUT });
+    const { id } = created.body.data.session;
+
+    expect((await api.post(`/api/sessions/${id}/analyze`, { token: user.token, body: {} })).status).toBe(409);
+    expect((await api.get(`/api/sessions/${id}/events`, { token: user.token })).status).toBe(404);
+  });
+
+  it('keeps results to those who can see the session', async () => {
+    const session = await recordSession(user.token);
+    const other = await createSignedInUser();
+
+    expect((await api.get(`/api/sessions/${session.id}/events`, { token: other.token })).status).toBe(403);
+    expect((await api.post(`/api/sessions/${session.id}/analyze`, { token: other.token, body: {} })).status).toBe(403);
+  });
+});
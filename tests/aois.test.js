@@ -0,0 +1,119 @@
+const { useApp, api, createSignedInUser, recordSession } = require('./helpers');
+
+const LOGO = { name: 'Logo', shape: 'rectangle', rect: { x: 300, y: 200, width: 200, height: 200 } };
+const BUTTON = {
+  name: 'Button',
+  shape: 'polygon',
+  points: [{ x: 1300, y: 600 }, { x: 1500, y: 600 }, { x: 1500, y: 800 }, { x: 1300, y: 800 }]
+};
+
+describe('AOIs', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  const createAoi = async (input) => {
+    const response = await api.post('/api/aois', { token: user.token, body: input });
+    expect(response.status).toBe(201);
+    return response.body.data.aoi;
+  };
+
+  describe('definitions', () => {
+    it.each([
+      ['a missing name', { ...LOGO, name: ' ', stimulusId: 'landing-page' }],
+      ['an unknown shape', { ...LOGO, shape: 'circle', stimulusId: 'landing-page' }],
+      ['an empty rectangle', { ...LOGO, rect: { x: 0, y: 0, width: 0, height: 10 }, stimulusId: 'landing-page' }],
+      ['a polygon with two vertices', { ...BUTTON, points: BUTTON.points.slice(0, 2), stimulusId: 'landing-page' }],
+      ['no session or stimulus', LOGO]
+    ])('rejects %s', async (description, input) => {
+      const response = await api.post('/api/aois', { token: user.token, body: input });
+      expect(response.status).toBe(400);
+    });
+
+    it('keeps only the geometry of the shape', async () => {
+      const aoi = await createAoi({ ...LOGO, points: BUTTON.points, stimulusId: 'landing-page' });
+      expect(aoi).toMatchObject({ shape: 'rectangle', rect: LOGO.rect, points: null, sessionId: null });
+    });
+
+    it('updates geometry without changing the shape', async () => {
+      const aoi = await createAoi({ ...LOGO, stimulusId: 'landing-page' });
+
+      const moved = await api.put(`/api/aois/${aoi.id}`, {
+        token: user.token,
+        body: { rect: { x: 0, y: 0, width: 50, height: 50 } }
+      });
+      expect(moved.status).toBe(200);
+      expect(moved.body.data.aoi).toMatchObject({ shape: 'rectangle', rect: { x: 0, y: 0, width: 50, height: 50 } });
+
+      const detached = await api.put(`/api/aois/${aoi.id}`, { token: user.token, body: { stimulusId: null } });
+      expect(detached.status).toBe(400);
+    });
+
+    it("can't attach AOIs to other users' sessions", async () => {
+      const other = await createSignedInUser();
+      const session = await recordSession(other.token);
+
+      const response = await api.post('/api/aois', { token: user.token, body: { ...LOGO, sessionId: session.id } });
+      expect(response.status).toBe(404);
+    });
+
+    it('keeps AOIs to their owner', async () => {
+      const aoi = await createAoi({ ...LOGO, stimulusId: 'landing-page' });
+      const other = await createSignedInUser();
+
+      expect((await api.get(`/api/aois/${aoi.id}`, { token: other.token })).status).toBe(404);
+      expect((await api.get('/api/aois', { token: other.token })).body.data.aois).toEqual([]);
+      expect((await api.delete(`/api/aois/${aoi.id}`, { token: other.token })).status).toBe(404);
+
+      expect((await api.delete(`/api/aois/${aoi.id}`, { token: user.token })).status).toBe(200);
+      expect((await api.get(`/api/aois/${aoi.id}`, { token: user.token })).status).toBe(404);
+    });
+
+    it('deletes session AOIs with the session', async () => {
+      const session = await recordSession(user.token);
+      const aoi = await createAoi({ ...LOGO, sessionId: session.id });
+
+      await api.delete(`/api/sessions/${session.id}`, { token: user.token });
+      expect((await api.get(`/api/aois/${aoi.id}`, { token: user.token })).status).toBe(404);
+    });
+  });
+
+  describe('metrics', () => {
+    it('computes AOI metrics from the fixations', async () => {
+      const session = await recordSession(user.token);
+      await createAoi({ ...LOGO, sessionId: session.id });
+
+      const response = await api.get(`/api/sessions/${session.id}/aoi-metrics`, { token: user.token });
+      expect(response.status).toBe(200);
+      expect(response.body.data.metrics).toMatchObject({
+        fixationCount: 3,
+        outsideFixationCount: 2,
+        aois: [{ name: 'Logo', fixationCount: 1, timeToFirstFixation: 0, visitCount: 1 }]
+      });
+    });
+
+    it('includes stimulus AOIs and counts transitions', async () => {
+      const session = await recordSession(user.token);
+      const logo = await createAoi({ ...LOGO, sessionId: session.id });
+      const button = await createAoi({ ...BUTTON, stimulusId: 'landing-page' });
+
+      const response = await api.get(`/api/sessions/${session.id}/aoi-metrics`, { token: user.token });
+      const { metrics } = response.body.data;
+      expect(metrics.outsideFixationCount).toBe(0);
+      expect(metrics.aois.map(aoi => aoi.name)).toEqual(['Button', 'Logo']);
+      expect(metrics.aois[0]).toMatchObject({ fixationCount: 2, visitCount: 1, revisits: 0 });
+      expect(metrics.aois[0].timeToFirstFixation).toBeGreaterThan(0);
+      expect(metrics.transitions).toEqual({ aoiIds: [button.id, logo.id], matrix: [[0, 0], [1, 0]] });
+    });
+
+    it('rejects an invalid onset', async () => {
+      const session = await recordSession(user.token);
+
+      const response = await api.get(`/api/sessions/${session.id}/aoi-metrics?onset=later`, { token: user.token });
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { useApp, api, createSignedInUser, SESSION_INPUT, recordSession } = require('./helpers');
+const { userHelpers, firestoreHelpers, COLLECTIONS } = require('../config/database');
+const apiKeyService = require('../services/apiKeyService');
+
+describe('API keys', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  const createKey = async (scopes, extra = {}) => {
+    const response = await api.post('/api/api-keys', { token: user.token, body: { name: 'Lab script', scopes, ...extra } });
+    expect(response.status).toBe(201);
+    return response.body.data;
+  };
+
+  describe('management', () => {
+    it('shows the key once and stores only its hash', async () => {
+      const { apiKey, key } = await createKey(['sessions:read']);
+      expect(key).toMatch(/^wet_/);
+      expect(apiKey).toMatchObject({ name: 'Lab script', scopes: ['sessions:read'], prefix: key.slice(0, 10), active: true });
+      expect(apiKey).not.toHaveProperty('keyHash');
+
+      const list = await api.get('/api/api-keys', { token: user.token });
+      expect(list.body.data.apiKeys).toEqual([expect.not.objectContaining({ keyHash: expect.anything() })]);
+      expect(JSON.stringify(list.body)).not.toContain(key);
+    });
+
+    it.each([
+      ['a missing name', { name: '', scopes: ['sessions:read'] }],
+      ['no scopes', { name: 'Script', scopes: [] }],
+      ['an unknown scope', { name: 'Script', scopes: ['users:manage'] }],
+      ['a lifetime over a year', { name: 'Script', scopes: ['sessions:read'], expiresInDays: 400 }]
+    ])('rejects %s', async (description, body) => {
+      expect((await api.post('/api/api-keys', { token: user.token, body })).status).toBe(400);
+    });
+
+    it('revokes keys', async () => {
+      const { apiKey, key } = await createKey(['sessions:read']);
+      const other = await createSignedInUser();
+      expect((await api.delete(`/api/api-keys/${apiKey.id}`, { token: other.token })).status).toBe(404);
+
+      const revoked = await api.delete(`/api/api-keys/${apiKey.id}`, { token: user.token });
+      expect(revoked.body.data.apiKey.active).toBe(false);
+
+      const response = await api.get('/api/sessions', { token: key });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('API key revoked');
+    });
+
+    it('rejects expired and unknown keys', async () => {
+      const { apiKey, key } = await createKey(['sessions:read']);
+      await firestoreHelpers.updateDocument(COLLECTIONS.API_KEYS, apiKey.id, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect((await api.get('/api/sessions', { token: key })).body.message).toBe('API key expired');
+      expect((await api.get('/api/sessions', { token: 'wet_unknown' })).body.message).toBe('Invalid API key');
+    });
+
+    it('stops working when the account is gone', async () => {
+      const { key } = await createKey(['sessions:read']);
+      await userHelpers.deleteUser(user.uid);
+
+      const response = await api.get('/api/sessions', { token: key });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('User not found');
+    });
+
+    it('is revoked with the account', async () => {
+      const { apiKey } = await createKey(['sessions:read']);
+      const deleted = await api.delete('/api/user/account', { token: user.token, body: { password: user.password, confirmation: 'DELETE' } });
+      expect(deleted.status).toBe(200);
+
+      expect((await apiKeyService.getKey(apiKey.id)).revokedAt).toBeTruthy();
+    });
+  });
+
+  describe('scopes', () => {
+    it('acts as the user within its scopes', async () => {
+      const session = await recordSession(user.token);
+      const { key } = await createKey(['sessions:read']);
+
+      const listed = await api.get('/api/sessions', { token: key });
+      expect(listed.status).toBe(200);
+      expect(listed.body.data.sessions.map(({ id }) => id)).toEqual([session.id]);
+      expect((await api.get(`/api/sessions/${session.id}/events`, { token: key })).status).toBe(200);
+
+      const write = await api.post('/api/sessions', { token: key, body: SESSION_INPUT });
+      expect(write.status).toBe(403);
+      expect(write.body.message).toBe('API key is missing the sessions:write scope');
+      expect((await api.get(`/api/sessions/${session.id}/export`, { token: key })).status).toBe(403);
+    });
+
+    it('records sessions with sessions:write', async () => {
+      const { key } = await createKey(['sessions:write']);
+      expect(await recordSession(key)).toMatchObject({ uid: user.uid, status: 'completed' });
+    });
+
+    it('downloads exports with exports:create', async () => {
+      const session = await recordSession(user.token);
+      const { key } = await createKey(['exports:create']);
+
+      expect((await api.get(`/api/sessions/${session.id}/export`, { token: key })).status).toBe(200);
+      expect((await api.get(`/api/sessions/${session.id}`, { token: key })).status).toBe(403);
+    });
+
+    it('never opens account, key or admin endpoints', async () => {
+      const admin = await createSignedInUser({ role: 'admin' });
+      const created = await api.post('/api/api-keys', {
+        token: admin.token,
+        body: { name: 'Everything', scopes: Object.keys(apiKeyService.SCOPES) }
+      });
+      const { key } = created.body.data;
+
+      for (const path of ['/api/user/profile', '/api/api-keys', '/api/user/admin/users', '/api/organizations', '/api/admin/roles']) {
+        const response = await api.get(path, { token: key });
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('API keys cannot be used for this endpoint');
+      }
+    });
+  });
+});
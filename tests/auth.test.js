@@ -0,0 +1,171 @@
+const { useApp, api, createUser, createSignedInUser, signIn, emailsTo, tokenFromEmail } = require('./helpers');
+
+describe('auth', () => {
+  useApp();
+
+  const register = (fields = {}) => api.post('/api/auth/register', {
+    body: { email: 'New@Example.com', password: 'correct-horse-battery', firstName: 'Ada', lastName: 'Lovelace', ...fields }
+  });
+
+  describe('registration', () => {
+    it('registers a user and verifies their email with a single-use token', async () => {
+      const registered = await register();
+      expect(registered.status).toBe(201);
+      expect(registered.body.data.user).toMatchObject({ email: 'new@example.com', isEmailVerified: false });
+
+      const token = tokenFromEmail('new@example.com', '/verify-email');
+      expect(token).toBeTruthy();
+
+      const verified = await api.post('/api/auth/verify-email', { body: { token } });
+      expect(verified.status).toBe(200);
+      expect(verified.body.data.user.isEmailVerified).toBe(true);
+
+      const reused = await api.post('/api/auth/verify-email', { body: { token } });
+      expect(reused.status).toBe(400);
+    });
+
+    it('replaces the verification token when it is sent again', async () => {
+      await register();
+      const first = tokenFromEmail('new@example.com', '/verify-email');
+
+      expect((await api.post('/api/auth/resend-verification', { body: { email: 'new@example.com' } })).status).toBe(200);
+      const second = tokenFromEmail('new@example.com', '/verify-email');
+      expect(second).not.toBe(first);
+
+      expect((await api.post('/api/auth/verify-email', { body: { token: first } })).status).toBe(400);
+      expect((await api.post('/api/auth/verify-email', { body: { token: second } })).status).toBe(200);
+    });
+
+    it('lets only one of two racing requests use a token', async () => {
+      await register();
+      const token = tokenFromEmail('new@example.com', '/verify-email');
+
+      const responses = await Promise.all([1, 2].map(() => api.post('/api/auth/verify-email', { body: { token } })));
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+    });
+
+    it('requires every field', async () => {
+      expect((await register({ lastName: undefined })).status).toBe(400);
+    });
+
+    it('refuses languages there are no emails for', async () => {
+      expect((await register({ language: 'xx' })).body.message).toBe('language must be one of: en, tr');
+    });
+
+    it('refuses a second account with the same email', async () => {
+      await createUser({ email: 'taken@example.com' });
+      expect((await register({ email: 'Taken@example.com' })).status).toBe(409);
+    });
+  });
+
+  describe('sign-in', () => {
+    it('signs in and returns the user', async () => {
+      const user = await createSignedInUser();
+
+      const me = await api.get('/api/auth/me', { token: user.token });
+      expect(me.status).toBe(200);
+      expect(me.body.data.user).toMatchObject({ uid: user.uid, email: user.email, isEmailVerified: true });
+    });
+
+    it('rejects a wrong password and unknown tokens', async () => {
+      const user = await createUser();
+
+      const response = await api.post('/api/auth/login', { body: { email: user.email, password: 'wrong-password' } });
+      expect(response.status).toBe(401);
+      expect((await api.get('/api/auth/me')).status).toBe(401);
+      expect((await api.get('/api/auth/me', { token: 'not-a-token' })).status).toBe(401);
+    });
+
+    it('swaps a refresh token for a new ID token once', async () => {
+      const user = await createUser();
+      const { refreshToken } = await signIn(user);
+
+      const refreshed = await api.post('/api/auth/refresh-token', { body: { refreshToken } });
+      expect(refreshed.status).toBe(200);
+      expect((await api.get('/api/auth/me', { token: refreshed.body.data.token })).status).toBe(200);
+
+      expect((await api.post('/api/auth/refresh-token', { body: { refreshToken } })).status).toBe(401);
+    });
+  });
+
+  describe('password reset', () => {
+    it('resets the password with the emailed token', async () => {
+      const user = await createUser();
+
+      expect((await api.post('/api/auth/forgot-password', { body: { email: user.email } })).status).toBe(200);
+      const token = tokenFromEmail(user.email, '/reset-password');
+      expect(token).toBeTruthy();
+
+      const reset = await api.post('/api/auth/reset-password', { body: { token, password: 'a-brand-new-password' } });
+      expect(reset.status).toBe(200);
+      await expect(signIn({ email: user.email, password: 'a-brand-new-password' })).resolves.toHaveProperty('token');
+      await expect(signIn(user)).rejects.toThrow('401');
+
+      const reused = await api.post('/api/auth/reset-password', { body: { token, password: 'yet-another-password' } });
+      expect(reused.status).toBe(400);
+    });
+
+    it("doesn't reveal whether an account exists", async () => {
+      const response = await api.post('/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+      expect(response.status).toBe(200);
+      expect(emailsTo('nobody@example.com')).toEqual([]);
+    });
+
+    it('requires a long enough password', async () => {
+      const user = await createUser();
+      await api.post('/api/auth/forgot-password', { body: { email: user.email } });
+      const token = tokenFromEmail(user.email, '/reset-password');
+
+      expect((await api.post('/api/auth/reset-password', { body: { token, password: 'short' } })).status).toBe(400);
+    });
+  });
+
+  describe('profile', () => {
+    it('updates names and known preferences', async () => {
+      const user = await createSignedInUser();
+
+      const response = await api.put('/api/user/profile', {
+        token: user.token,
+        body: { firstName: ' Grace ', preferences: { theme: 'light', unknown: true } }
+      });
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.firstName).toBe('Grace');
+      expect(response.body.data.user.preferences).toEqual(expect.objectContaining({ theme: 'light' }));
+      expect(response.body.data.user.preferences).not.toHaveProperty('unknown');
+
+      expect((await api.put('/api/user/profile', { token: user.token, body: { lastName: ' ' } })).status).toBe(400);
+      expect((await api.put('/api/user/profile', { token: user.token, body: { preferences: { language: 'xx' } } })).status).toBe(400);
+    });
+
+    it('changes the password after checking the current one', async () => {
+      const user = await createSignedInUser();
+
+      const wrong = await api.put('/api/user/change-password', {
+        token: user.token,
+        body: { currentPassword: 'wrong-password', newPassword: 'a-brand-new-password' }
+      });
+      expect(wrong.status).toBe(401);
+
+      const changed = await api.put('/api/user/change-password', {
+        token: user.token,
+        body: { currentPassword: user.password, newPassword: 'a-brand-new-password' }
+      });
+      expect(changed.status).toBe(200);
+      await expect(signIn({ email: user.email, password: 'a-brand-new-password' })).resolves.toHaveProperty('token');
+    });
+
+    it('deletes the account after confirmation', async () => {
+      const user = await createSignedInUser();
+
+      const unconfirmed = await api.delete('/api/user/account', { token: user.token, body: { password: user.password } });
+      expect(unconfirmed.status).toBe(400);
+
+      const deleted = await api.delete('/api/user/account', {
+        token: user.token,
+        body: { password: user.password, confirmation: 'DELETE' }
+      });
+      expect(deleted.status).toBe(200);
+      await expect(signIn(user)).rejects.toThrow('401');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { useApp, api, createSignedInUser } = require('./helpers');
+
+// Five gaze samples around each target of a 3x3 grid, offset by (dx, dy)
+const calibrationPoints = (dx = 0, dy = 0) => {
+  const points = [];
+  [200, 960, 1720].forEach(x => [150, 540, 930].forEach(y => {
+    points.push({
+      target: { x, y },
+      samples: [0, 1, 2, 3, 4].map(i => ({ x: x + dx + (i % 2), y: y + dy - (i % 2) }))
+    });
+  }));
+  return points;
+};
+
+const RUN_INPUT = {
+  deviceId: 'webcam-1',
+  screen: { width: 1920, height: 1080 },
+  points: calibrationPoints(5, 5),
+  model: { type: 'polynomial', coefficients: { x: [1, 0, 0], y: [0, 1, 0] } }
+};
+
+describe('calibrations', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  const createRun = async (input = {}) => {
+    const response = await api.post('/api/calibrations', { token: user.token, body: { ...RUN_INPUT, ...input } });
+    expect(response.status).toBe(201);
+    return response.body.data.calibration;
+  };
+
+  const validate = (run, points, extra = {}) =>
+    api.post(`/api/calibrations/${run.id}/validation`, { token: user.token, body: { points, ...extra } });
+
+  it.each([
+    ['a missing device', { deviceId: '' }],
+    ['a missing screen size', { screen: { width: 1920 } }],
+    ['no points', { points: [] }],
+    ['a point without samples', { points: [{ target: { x: 1, y: 1 }, samples: [] }] }],
+    ['a missing model', { model: undefined }]
+  ])('rejects %s', async (description, input) => {
+    const response = await api.post('/api/calibrations', { token: user.token, body: { ...RUN_INPUT, ...input } });
+    expect(response.status).toBe(400);
+  });
+
+  it('stores a run with its calibration quality', async () => {
+    const run = await createRun();
+    expect(run).toMatchObject({ status: 'pending', deviceId: 'webcam-1', validation: null });
+    expect(run.calibrationQuality.accuracyPx).toBeCloseTo(Math.hypot(5.5, 4.5), 1);
+    expect(run.calibrationQuality.accuracyDeg).toBeLessThan(0.5);
+    expect(run.calibrationQuality.precisionRmsPx).toBeGreaterThan(0);
+  });
+
+  it('marks a run valid or invalid from a validation pass', async () => {
+    const run = await createRun();
+
+    const passed = await validate(run, calibrationPoints(10, 0));
+    expect(passed.status).toBe(200);
+    expect(passed.body.data.calibration).toMatchObject({ status: 'valid', validation: { passed: true, maxAccuracyDeg: 1.5 } });
+    expect(passed.body.data.calibration.validation.points).toHaveLength(9);
+
+    const strict = await validate(run, calibrationPoints(10, 0), { maxAccuracyDeg: 0.1 });
+    expect(strict.body.data.calibration).toMatchObject({ status: 'invalid', validation: { passed: false } });
+
+    expect((await validate(run, calibrationPoints(), { maxAccuracyDeg: -1 })).status).toBe(400);
+  });
+
+  it('finds the latest valid run for a device', async () => {
+    const first = await createRun();
+    await validate(first, calibrationPoints());
+    const second = await createRun();
+    await validate(second, calibrationPoints(300, 300));
+
+    const latest = await api.get('/api/calibrations/latest?deviceId=webcam-1', { token: user.token });
+    expect(latest.status).toBe(200);
+    expect(latest.body.data.calibration.id).toBe(first.id);
+
+    expect((await api.get('/api/calibrations/latest?deviceId=other', { token: user.token })).status).toBe(404);
+    expect((await api.get('/api/calibrations/latest', { token: user.token })).status).toBe(400);
+
+    const list = await api.get('/api/calibrations?deviceId=webcam-1', { token: user.token });
+    expect(list.body.data.calibrations).toHaveLength(2);
+    expect(list.body.data.calibrations[0]).not.toHaveProperty('points');
+  });
+
+  it('keeps runs to their owner', async () => {
+    const run = await createRun();
+    const other = await createSignedInUser();
+
+    expect((await api.get(`/api/calibrations/${run.id}`, { token: other.token })).status).toBe(404);
+    expect((await api.post(`/api/calibrations/${run.id}/validation`, {
+      token: other.token,
+      body: { points: calibrationPoints() }
+    })).status).toBe(404);
+  });
+
+  it('reports daily quality to admins', async () => {
+    const run = await createRun();
+    await validate(run, calibrationPoints(10, 0));
+    const admin = await createSignedInUser({ role: 'admin' });
+
+    const response = await api.get('/api/calibrations/admin/quality', { token: admin.token });
+    expect(response.status).toBe(200);
+    expect(response.body.data.timeline).toEqual([
+      expect.objectContaining({ date: new Date().toISOString().slice(0, 10), runs: 1, valid: 1, validRatio: 1 })
+    ]);
+
+    expect((await api.get('/api/calibrations/admin/quality?from=yesterday', { token: admin.token })).status).toBe(400);
+    expect((await api.get('/api/calibrations/admin/quality', { token: user.token })).status).toBe(403);
+  });
+});
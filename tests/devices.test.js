@@ -0,0 +1,102 @@
+const { useApp, api, createUser, signIn } = require('./helpers');
+const { userHelpers } = require('../config/database');
+const signInService = require('../services/signInService');
+
+describe('devices', () => {
+  useApp();
+
+  let user;
+  let laptop;
+  let phone;
+  beforeEach(async () => {
+    user = await createUser();
+    laptop = await signIn(user, { deviceName: 'Laptop' });
+    phone = await signIn(user, { deviceName: 'Phone' });
+  });
+
+  const devices = async (token) => (await api.get('/api/auth/devices', { token })).body.data.devices;
+
+  it('records a sign-in per device', async () => {
+    const list = await devices(laptop.token);
+    expect(list.map(entry => entry.device.name).sort()).toEqual(['Laptop', 'Phone']);
+    expect(list.find(entry => entry.current).device.name).toBe('Laptop');
+    expect(list[0]).toMatchObject({ device: { userAgent: expect.any(String) }, ip: expect.any(String) });
+  });
+
+  it('keeps the device when its token is refreshed', async () => {
+    const refreshed = await api.post('/api/auth/refresh-token', { body: { refreshToken: phone.refreshToken } });
+    expect(refreshed.status).toBe(200);
+
+    const list = await devices(refreshed.body.data.token);
+    expect(list).toHaveLength(2);
+    expect(list.find(entry => entry.current).device.name).toBe('Phone');
+  });
+
+  it('signs out the current device on logout', async () => {
+    expect((await api.post('/api/auth/logout', { token: phone.token })).status).toBe(200);
+
+    const rejected = await api.get('/api/auth/me', { token: phone.token });
+    expect(rejected.status).toBe(401);
+    expect(rejected.body.message).toBe('Token revoked');
+    expect((await api.post('/api/auth/refresh-token', { body: { refreshToken: phone.refreshToken } })).status).toBe(401);
+
+    expect((await api.get('/api/auth/me', { token: laptop.token })).status).toBe(200);
+    expect((await devices(laptop.token)).map(entry => entry.device.name)).toEqual(['Laptop']);
+  });
+
+  it('accepts tokens the Firebase SDK refreshes', async () => {
+    const { idToken } = await userHelpers.refreshIdToken(laptop.refreshToken);
+    expect((await api.get('/api/auth/me', { token: idToken })).status).toBe(200);
+
+    const list = await devices(idToken);
+    expect(list).toHaveLength(2);
+    expect(list.filter(entry => entry.current)).toHaveLength(1);
+  });
+
+  it('accepts tokens from signing in straight with Firebase', async () => {
+    const { idToken } = await userHelpers.signInWithPassword(user.email, user.password);
+    expect((await api.get('/api/auth/me', { token: idToken })).status).toBe(200);
+  });
+
+  it('rejects tokens a signed out device refreshes with Firebase', async () => {
+    await api.post('/api/auth/logout', { token: phone.token });
+
+    const { idToken } = await userHelpers.refreshIdToken(phone.refreshToken);
+    expect((await api.get('/api/auth/me', { token: idToken })).status).toBe(401);
+  });
+
+  it('signs out another device', async () => {
+    const phoneEntry = (await devices(laptop.token)).find(entry => entry.device.name === 'Phone');
+
+    expect((await api.delete(`/api/auth/devices/${phoneEntry.id}`, { token: laptop.token })).status).toBe(200);
+    expect((await api.get('/api/auth/me', { token: phone.token })).status).toBe(401);
+    expect((await api.get('/api/auth/me', { token: laptop.token })).status).toBe(200);
+    expect((await api.delete(`/api/auth/devices/${phoneEntry.id}`, { token: laptop.token })).status).toBe(404);
+  });
+
+  it("can't sign out other users' devices", async () => {
+    const other = await signIn(await createUser());
+    const phoneEntry = (await devices(laptop.token)).find(entry => entry.device.name === 'Phone');
+
+    expect((await api.delete(`/api/auth/devices/${phoneEntry.id}`, { token: other.token })).status).toBe(404);
+    expect((await api.get('/api/auth/me', { token: phone.token })).status).toBe(200);
+  });
+
+  it('signs out every device', async () => {
+    const response = await api.post('/api/auth/devices/revoke-all', { token: laptop.token });
+    expect(response.body.message).toBe('Signed out of 2 device(s)');
+
+    for (const device of [laptop, phone]) {
+      expect((await api.get('/api/auth/me', { token: device.token })).status).toBe(401);
+      expect((await api.post('/api/auth/refresh-token', { body: { refreshToken: device.refreshToken } })).status).toBe(401);
+    }
+  });
+
+  it('signs out every device when the account is deleted', async () => {
+    const body = { password: user.password, confirmation: 'DELETE' };
+    expect((await api.delete('/api/user/account', { token: laptop.token, body })).status).toBe(200);
+
+    expect((await signInService.listActive(user.uid))).toEqual([]);
+    expect((await api.get('/api/auth/me', { token: phone.token })).status).toBe(401);
+  });
+});
@@ -0,0 +1,133 @@
+const { useApp, api, createSignedInUser, sentMessages, emailsTo } = require('./helpers');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+const emailOutboxService = require('../services/emailOutboxService');
+const mailTransport = require('../services/mailTransport');
+
+describe('email outbox', () => {
+  useApp();
+
+  let send = null;
+  afterEach(() => {
+    send?.mockRestore();
+    send = null;
+  });
+
+  const MESSAGE = { to: 'Ada@Example.com', subject: 'Hello', html: '<p>Hello</p>', text: 'Hello', kind: 'test', language: 'en' };
+
+  // Make the mail server refuse every message
+  const refuseMail = () => {
+    send = jest.spyOn(mailTransport, 'send').mockRejectedValue(new Error('Connection refused'));
+  };
+
+  // Make a pending message due now
+  const makeDue = (id, update = {}) =>
+    firestoreHelpers.updateDocument(COLLECTIONS.EMAIL_OUTBOX, id, { nextAttemptAt: new Date(Date.now() - 1000), ...update });
+
+  describe('sending', () => {
+    it('sends straight away and drops the body', async () => {
+      const message = await emailOutboxService.enqueue(MESSAGE);
+      expect(message).toMatchObject({ to: 'ada@example.com', status: 'sent', attempts: 1, html: null, text: null });
+      expect(message.messageId).toEqual(expect.any(String));
+
+      expect(emailsTo('ada@example.com')).toEqual([{ subject: 'Hello', text: 'Hello', html: '<p>Hello</p>' }]);
+      expect((await emailOutboxService.getMessage(message.id)).html).toBeNull();
+    });
+
+    it('retries failed sends with back-off', async () => {
+      refuseMail();
+      const message = await emailOutboxService.enqueue(MESSAGE);
+      expect(message).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Connection refused' });
+      expect(message.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 55 * 1000);
+
+      expect(await emailOutboxService.processDue()).toMatchObject({ sent: 0, failed: 0 });
+
+      await makeDue(message.id);
+      expect(await emailOutboxService.processDue()).toMatchObject({ failed: 1 });
+      expect((await emailOutboxService.getMessage(message.id)).attempts).toBe(2);
+
+      send.mockRestore();
+      await makeDue(message.id);
+      expect(await emailOutboxService.processDue()).toMatchObject({ sent: 1 });
+      expect(await emailOutboxService.getMessage(message.id)).toMatchObject({ status: 'sent', attempts: 3, html: null });
+      expect(sentMessages()).toHaveLength(1);
+    });
+
+    it('gives up after the last attempt', async () => {
+      refuseMail();
+      const message = await emailOutboxService.enqueue(MESSAGE);
+
+      await makeDue(message.id, { attempts: emailOutboxService.MAX_ATTEMPTS - 1 });
+      expect(await emailOutboxService.processDue()).toMatchObject({ dead: 1 });
+      expect(await emailOutboxService.getMessage(message.id)).toMatchObject({ status: 'dead', nextAttemptAt: null });
+    });
+
+    it('picks up attempts cut short by a restart', async () => {
+      const message = await emailOutboxService.enqueue(MESSAGE);
+      await makeDue(message.id, { status: 'sending', claimedAt: new Date(Date.now() - 60 * 60 * 1000), sentAt: null });
+
+      expect(await emailOutboxService.processDue()).toMatchObject({ sent: 1 });
+    });
+
+    it('purges old delivery records', async () => {
+      const message = await emailOutboxService.enqueue(MESSAGE);
+      await firestoreHelpers.updateDocument(COLLECTIONS.EMAIL_OUTBOX, message.id, { sentAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) });
+
+      expect(await emailOutboxService.purgeSent()).toBe(1);
+      expect(await emailOutboxService.getMessage(message.id)).toBeNull();
+    });
+  });
+
+  describe('admin API', () => {
+    let admin;
+    beforeEach(async () => {
+      admin = await createSignedInUser({ role: 'admin' });
+    });
+
+    it('lists delivery status without bodies', async () => {
+      await emailOutboxService.enqueue(MESSAGE);
+      refuseMail();
+      await emailOutboxService.enqueue({ ...MESSAGE, to: 'grace@example.com' });
+
+      const response = await api.get('/api/admin/emails?status=pending', { token: admin.token });
+      expect(response.status).toBe(200);
+      expect(response.body.data.counts).toMatchObject({ pending: 1, sent: 1, dead: 0 });
+      expect(response.body.data.messages).toHaveLength(1);
+      expect(response.body.data.messages[0]).toMatchObject({ to: 'grace@example.com', attempts: 1, lastError: 'Connection refused' });
+      expect(response.body.data.messages[0]).not.toHaveProperty('html');
+
+      const byRecipient = await api.get('/api/admin/emails?to=ADA@example.com', { token: admin.token });
+      expect(byRecipient.body.data.messages.map(message => message.status)).toEqual(['sent']);
+
+      expect((await api.get('/api/admin/emails?status=lost', { token: admin.token })).status).toBe(400);
+      expect((await api.get('/api/admin/emails/missing', { token: admin.token })).status).toBe(404);
+    });
+
+    it('retries dead-lettered emails', async () => {
+      refuseMail();
+      const message = await emailOutboxService.enqueue(MESSAGE);
+      const retry = () => api.post(`/api/admin/emails/${message.id}/retry`, { token: admin.token });
+
+      expect((await retry()).status).toBe(409);
+
+      await firestoreHelpers.updateDocument(COLLECTIONS.EMAIL_OUTBOX, message.id, { status: 'dead', nextAttemptAt: null });
+      send.mockRestore();
+      const retried = await retry();
+      expect(retried.status).toBe(200);
+      expect(retried.body.message).toBe('Email sent');
+      expect(retried.body.data.message).toMatchObject({ status: 'sent', attempts: 1 });
+    });
+
+    it('needs emails:manage', async () => {
+      const user = await createSignedInUser();
+      expect((await api.get('/api/admin/emails', { token: user.token })).status).toBe(403);
+    });
+  });
+
+  it('forgets the email of a deleted account', async () => {
+    const user = await createSignedInUser();
+    await emailOutboxService.enqueue({ ...MESSAGE, to: user.email });
+
+    await api.delete('/api/user/account', { token: user.token, body: { password: user.password, confirmation: 'DELETE' } });
+    expect(await emailOutboxService.listMessages({ to: user.email })).toEqual([]);
+  });
+});
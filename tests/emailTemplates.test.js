@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { useApp, api, createUser, emailsTo } = require('./helpers');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+const emailTemplateService = require('../services/emailTemplateService');
+
+// Templates that are sent on their own, not only extended
+const EMAILS = fs.readdirSync(path.join(__dirname, '..', 'templates', 'email', 'en'))
+  .map(file => file.replace(/\.html$/, ''))
+  .filter(name => !['layout', 'subscription'].includes(name));
+
+const VARIABLES = {
+  user: { firstName: 'Ada' },
+  actionUrl: 'http://localhost:3000/verify-email?token=abc',
+  showLink: true,
+  organization: { name: 'Vision Lab' },
+  inviter: { firstName: 'Grace' },
+  role: 'analyst',
+  plan: { name: 'Professional' },
+  endDate: new Date('2026-03-01T00:00:00Z'),
+  graceUntil: new Date('2026-03-08T00:00:00Z'),
+  lockUntil: new Date('2026-03-01T12:30:00Z')
+};
+
+describe('email templates', () => {
+  describe('rendering', () => {
+    it.each(EMAILS.flatMap(name => emailTemplateService.LANGUAGES.map(language => [name, language])))(
+      'renders %s in %s', (name, language) => {
+        const { subject, html, text } = emailTemplateService.render(name, language, VARIABLES);
+        expect(subject).not.toBe('');
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).not.toMatch(/{{|{%/);
+        expect(text).not.toMatch(/<[a-z]/i);
+      }
+    );
+
+    it('escapes values in the HTML but not in the subject', () => {
+      const { subject, html } = emailTemplateService.render('organization-invitation', 'en', {
+        ...VARIABLES,
+        organization: { name: 'Lab <A&B>' }
+      });
+      expect(subject).toBe("You're invited to join Lab <A&B> on W.E.T");
+      expect(html).toContain('Lab &lt;A&amp;B&gt;');
+      expect(html).not.toContain('<A&B>');
+    });
+
+    it('writes a plain-text part with the links spelled out', () => {
+      const { text } = emailTemplateService.render('verification', 'en', VARIABLES);
+      expect(text).toContain('Hello Ada,');
+      expect(text).toContain(VARIABLES.actionUrl);
+      expect(text).not.toMatch(/\n{3,}/);
+    });
+
+    it('formats dates for the language', () => {
+      const en = emailTemplateService.render('subscription-payment_failed', 'en', VARIABLES);
+      expect(en.text).toContain('before 8 March 2026');
+
+      const tr = emailTemplateService.render('subscription-payment_failed', 'tr', VARIABLES);
+      expect(tr.subject).toBe('W.E.T Professional planınızın ödemesi alınamadı');
+      expect(tr.text).toContain('8 Mart 2026');
+    });
+
+    it('falls back to English for other languages', () => {
+      expect(emailTemplateService.render('password-reset', 'de', VARIABLES).subject).toBe('Reset Your W.E.T Account Password');
+      expect(emailTemplateService.languageFor({ preferences: { language: 'tr' } })).toBe('tr');
+      expect(emailTemplateService.languageFor({ language: 'fr' })).toBe('en');
+    });
+
+    it('refuses unknown templates', () => {
+      expect(() => emailTemplateService.render('newsletter', 'en')).toThrow('Email template not found: newsletter');
+    });
+  });
+
+  describe('sending', () => {
+    useApp();
+
+    it('writes to users in the language they signed up with', async () => {
+      const response = await api.post('/api/auth/register', {
+        body: { email: 'ayse@example.com', password: 'correct-horse-battery', firstName: 'Ayşe', lastName: 'Yılmaz', language: 'tr' }
+      });
+      expect(response.status).toBe(201);
+
+      const [verification] = emailsTo('ayse@example.com');
+      expect(verification.subject).toBe('W.E.T Hesabınızın E-posta Adresini Doğrulayın');
+      expect(verification.text).toContain('/verify-email?token=');
+    });
+
+    it('follows a changed language preference', async () => {
+      const user = await createUser();
+      await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, user.uid, { preferences: { language: 'tr' } });
+
+      await api.post('/api/auth/forgot-password', { body: { email: user.email } });
+      expect(emailsTo(user.email).pop().subject).toBe('W.E.T Hesap Şifrenizi Sıfırlayın');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { useApp, api, createSignedInUser, gazeSamples, SESSION_INPUT, recordSession } = require('./helpers');
+
+// Entry names of a tar archive
+const tarEntries = (archive) => {
+  const names = [];
+  let offset = 0;
+  while (offset + 512 <= archive.length && archive[offset] !== 0) {
+    const name = archive.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+    const prefix = archive.toString('utf8', offset + 345, offset + 500).replace(/\0.*$/s, '');
+    const size = parseInt(archive.toString('utf8', offset + 124, offset + 136), 8);
+    names.push(prefix ? `${prefix}/${name}` : name);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return names;
+};
+
+describe('exports', () => {
+  useApp();
+
+  let user;
+  let session;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+    session = await recordSession(user.token);
+  });
+
+  const exportSession = (query) => api.get(`/api/sessions/${session.id}/export?${query}`, { token: user.token });
+
+  it('exports samples as CSV by default', async () => {
+    const response = await exportSession('');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/csv/);
+    expect(response.headers.get('content-disposition')).toContain(`session_${session.id}_samples.csv`);
+
+    const lines = response.body.trim().split('\n');
+    expect(lines[0]).toBe('timestamp,x,y,pupil,validity,confidence');
+    expect(lines).toHaveLength(gazeSamples().length + 1);
+  });
+
+  it('exports detected events as CSV', async () => {
+    const response = await exportSession('format=csv&table=events');
+    const lines = response.body.trim().split('\n');
+    expect(lines[0].startsWith('type,start,end,duration')).toBe(true);
+    expect(lines.slice(1).map(line => line.split(',')[0]))
+      .toEqual(['fixation', 'saccade', 'fixation', 'blink', 'fixation']);
+  });
+
+  it('exports everything as NDJSON', async () => {
+    const response = await exportSession('format=ndjson');
+    const records = response.body.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(records[0]).toMatchObject({ record: 'session', id: session.id });
+    expect(records[0]).not.toHaveProperty('sequences');
+    expect(records.filter(record => record.record === 'sample')).toHaveLength(gazeSamples().length);
+    expect(records.filter(record => record.record === 'event')).toHaveLength(5);
+  });
+
+  it('exports the columnar format', async () => {
+    const response = await exportSession('format=columnar');
+    expect(response.headers.get('content-type')).toBe('application/octet-stream');
+    expect(response.body.subarray(0, 4).toString()).toBe('WETC');
+  });
+
+  it('packages a BIDS dataset', async () => {
+    const response = await exportSession('format=bids');
+    expect(response.headers.get('content-type')).toBe('application/x-tar');
+
+    const subject = user.uid.replace(/[^a-zA-Z0-9]/g, '');
+    expect(tarEntries(response.body)).toEqual(expect.arrayContaining([
+      expect.stringMatching(new RegExp(`^sub-${subject}/ses-\\w+/eyetrack/.*_eyetrack\\.tsv\\.gz$`)),
+      expect.stringMatching(/_eyetrack\.json$/),
+      expect.stringMatching(/_events\.tsv$/)
+    ]));
+  });
+
+  it('rejects unknown formats and tables', async () => {
+    expect((await exportSession('format=xlsx')).status).toBe(400);
+    expect((await exportSession('table=gaze')).status).toBe(400);
+    expect((await exportSession('format=csv&table=samples,events')).status).toBe(400);
+    expect((await exportSession('format=columnar&table=aoi-metrics')).status).toBe(400);
+  });
+
+  it('needs an analysis for event tables', async () => {
+    const created = await api.post('/api/sessions', { token: user.token, body: SESSION_INPUT });
+    const { id } = created.body.data.session;
+
+    const response = await api.get(`/api/sessions/${id}/export?table=events`, { token: user.token });
+    expect(response.status).toBe(404);
+  });
+
+  it('keeps exports to those who can see the session', async () => {
+    const other = await createSignedInUser();
+    const response = await api.get(`/api/sessions/${session.id}/export`, { token: other.token });
+    expect(response.status).toBe(403);
+  });
+});
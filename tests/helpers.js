@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const http = require('http');
+const app = require('../server');
+const gazeStream = require('../services/gazeStream');
+const permissionService = require('../services/permissionService');
+const mailTransport = require('../services/mailTransport');
+const { store, userHelpers, firestoreHelpers, COLLECTIONS } = require('../config/database');
+
+// Shared by the API tests: the app on a random local port, users signed in
+// through the API, and recorded gaze sessions.
+
+const PASSWORD = 'correct-horse-battery';
+
+let server = null;
+let baseUrl = null;
+let userCount = 0;
+
+// Serve the app for a test file, with the gaze WebSocket if stream is set,
+// and empty the data store and the mail transport before each test
+const useApp = ({ stream = false } = {}) => {
+  beforeAll(() => new Promise(resolve => {
+    server = http.createServer(app).listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+    if (stream) {
+      gazeStream.attach(server);
+    }
+  }));
+
+  afterAll(() => new Promise(resolve => {
+    if (stream) {
+      gazeStream.close();
+    }
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  beforeEach(() => {
+    store.reset();
+    mailTransport.clearSentMessages();
+
+    // Built-in roles are seeded once per process and role permissions are
+    // cached: start over with the emptied store
+    permissionService.seeded = null;
+    permissionService.cache.clear();
+  });
+};
+
+// Call the API. body is sent as JSON unless raw is given.
+// Returns { status, headers, body }: body is parsed JSON, a string for text
+// and NDJSON responses, or a Buffer.
+const request = async (method, path, { token, body, raw, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...((body !== undefined || raw !== undefined) && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: raw !== undefined ? raw : body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+  const data = Buffer.from(await response.arrayBuffer());
+  const parsed = contentType.includes('application/json') ? JSON.parse(data.toString())
+    : /^text\/|ndjson/.test(contentType) ? data.toString()
+      : data;
+  return { status: response.status, headers: response.headers, body: parsed };
+};
+
+// The API's address, e.g. for WebSocket clients
+const apiUrl = (path, protocol = 'http') => `${baseUrl.replace(/^http/, protocol)}${path}`;
+
+const api = {
+  get: (path, options) => request('GET', path, options),
+  post: (path, options) => request('POST', path, options),
+  put: (path, options) => request('PUT', path, options),
+  delete: (path, options) => request('DELETE', path, options)
+};
+
+// Create a user with a verified email. Other fields go on the profile
+// (e.g. role).
+const createUser = async ({ email, password = PASSWORD, ...profile } = {}) => {
+  userCount++;
+  const address = email || `user${userCount}@example.com`;
+  const { uid } = await userHelpers.createUser(address, password, { firstName: 'Test', lastName: `User${userCount}` });
+  await userHelpers.markEmailVerified(uid);
+  if (Object.keys(profile).length > 0) {
+    await firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, uid, profile);
+  }
+  return { uid, email: address, password };
+};
+
+// Sign in through the API. Returns the login response's data.
+const signIn = async ({ email, password }, extra = {}) => {
+  const response = await api.post('/api/auth/login', { body: { email, password, ...extra } });
+  if (response.status !== 200) {
+    throw new Error(`Sign-in failed (${response.status}): ${response.body.message}`);
+  }
+  return response.body.data;
+};
+
+// A user signed in through the API: { uid, email, password, token }
+const createSignedInUser = async (options) => {
+  const user = await createUser(options);
+  const { token } = await signIn(user);
+  return { ...user, token };
+};
+
+// A paid plan with no end date
+const activePlan = (type) => ({ type, status: 'active', startDate: new Date(), endDate: null });
+
+const base32Decode = (text) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text) {
+    value = (value << 5) | alphabet.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// The TOTP code for a base32 secret, steps 30-second steps from now
+const totp = (secret, steps = 0) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + steps));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+// Gaze samples at 60 Hz: fixations at (400, 300) and (1400, 700) with a
+// saccade between them, then a 150 ms blink and a last fixation
+const gazeSamples = (start = 1000) => {
+  const interval = 1000 / 60;
+  const samples = [];
+  const add = (count, point) => {
+    for (let i = 0; i < count; i++) {
+      const timestamp = start + samples.length * interval;
+      samples.push(point
+        ? { timestamp, x: point.x + (i % 2), y: point.y, pupil: 3.5, validity: true, confidence: 0.9 }
+        : { timestamp, x: null, y: null, pupil: null, validity: false, confidence: 0 });
+    }
+  };
+
+  add(30, { x: 400, y: 300 });
+  add(1, { x: 900, y: 500 });
+  add(30, { x: 1400, y: 700 });
+  add(9, null);
+  add(20, { x: 1400, y: 700 });
+  return samples;
+};
+
+const SESSION_INPUT = {
+  client: { app: 'professional', version: '2.0.0' },
+  screen: { width: 1920, height: 1080 },
+  sampleRate: 60,
+  stimulus: 'landing-page'
+};
+
+// Create a session, upload samples in chunks and finalize it.
+// Returns the finalized session.
+const recordSession = async (token, { samples = gazeSamples(), chunkSize = 40, ...input } = {}) => {
+  const created = await api.post('/api/sessions', { token, body: { ...SESSION_INPUT, ...input } });
+  if (created.status !== 201) {
+    throw new Error(`Session creation failed (${created.status}): ${created.body.message}`);
+  }
+  const { id } = created.body.data.session;
+
+  const chunkCount = Math.ceil(samples.length / chunkSize);
+  for (let sequence = 0; sequence < chunkCount; sequence++) {
+    await api.post(`/api/sessions/${id}/chunks`, {
+      token,
+      headers: { 'Idempotency-Key': `${id}-${sequence}` },
+      body: { sequence, samples: samples.slice(sequence * chunkSize, (sequence + 1) * chunkSize) }
+    });
+  }
+
+  const finalized = await api.post(`/api/sessions/${id}/finalize`, { token, body: { chunkCount } });
+  if (finalized.status !== 200) {
+    throw new Error(`Finalize failed (${finalized.status}): ${finalized.body.message}`);
+  }
+  return finalized.body.data.session;
+};
+
+// Check a signed key or certificate with the public key the apps get.
+// Returns its payload, or null.
+const verifySigned = (signed, publicKey) => {
+  const [, body, signature] = signed.split('.');
+  const valid = crypto.verify(null, Buffer.from(body), publicKey, Buffer.from(signature, 'base64url'));
+  return valid ? JSON.parse(Buffer.from(body, 'base64url').toString()) : null;
+};
+
+// Messages the memory mail transport accepted, oldest first
+const sentMessages = () => mailTransport.sentMessages();
+
+// Emails sent to an address, oldest first: { subject, text, html }
+const emailsTo = (address) => sentMessages()
+  .filter(message => message.to.some(recipient => recipient.address === address.toLowerCase()))
+  .map(({ subject, text, html }) => ({ subject, text, html }));
+
+// The token in the link of the last email sent to an address
+const tokenFromEmail = (address, path) => {
+  const message = emailsTo(address).pop();
+  const match = message && message.text.match(new RegExp(`${path}\\?token=([0-9a-f]+)`));
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  PASSWORD,
+  useApp,
+  api,
+  apiUrl,
+  createUser,
+  signIn,
+  createSignedInUser,
+  activePlan,
+  totp,
+  gazeSamples,
+  SESSION_INPUT,
+  recordSession,
+  verifySigned,
+  sentMessages,
+  emailsTo,
+  tokenFromEmail
+};
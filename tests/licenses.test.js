@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { useApp, api, createSignedInUser, activePlan, verifySigned } = require('./helpers');
+const licenseService = require('../services/licenseService');
+
+// Machine fingerprints are 16-256 characters
+const fingerprint = (name) => crypto.createHash('sha256').update(name).digest('hex');
+
+describe('licenses', () => {
+  useApp();
+
+  const issueLicense = async (token, edition = 'professional') => {
+    const response = await api.post('/api/licenses', { token, body: { edition } });
+    expect(response.status).toBe(201);
+    return response.body.data.license;
+  };
+
+  const activate = (key, machine) => api.post('/api/licenses/activate', { body: { key, machineId: fingerprint(machine), machineName: machine } });
+
+  it('issues a license from the plan, once per edition', async () => {
+    const user = await createSignedInUser({ subscription: activePlan('professional') });
+
+    const license = await issueLicense(user.token);
+    expect(license).toMatchObject({ edition: 'professional', seats: 2, seatsUsed: 0 });
+    expect(license.key).toMatch(/^WET1\./);
+
+    expect((await api.post('/api/licenses', { token: user.token, body: { edition: 'professional' } })).status).toBe(409);
+  });
+
+  it('refuses editions the plan does not include', async () => {
+    const user = await createSignedInUser();
+    expect((await api.post('/api/licenses', { token: user.token, body: { edition: 'professional' } })).status).toBe(403);
+  });
+
+  it('signs keys and certificates for their purpose', async () => {
+    const user = await createSignedInUser({ subscription: activePlan('professional') });
+    const { key } = await issueLicense(user.token);
+    const { publicKey } = (await api.get('/api/licenses/public-key')).body.data;
+
+    const activated = await activate(key, 'machine-a');
+    expect(activated.status).toBe(200);
+    const { certificate } = activated.body.data;
+
+    const payload = verifySigned(key, publicKey);
+    expect(payload).toMatchObject({ typ: 'license', ed: 'professional', seats: 2 });
+    expect(verifySigned(certificate, publicKey)).toMatchObject({ typ: 'certificate', mode: 'online' });
+
+    // More seats than were paid for
+    const [prefix, , signature] = key.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...payload, seats: 99 })).toString('base64url');
+    expect(verifySigned([prefix, forged, signature].join('.'), publicKey)).toBeNull();
+
+    // A certificate is not a license key, whatever typ the payload asks for
+    expect((await activate(certificate, 'machine-b')).status).toBe(404);
+    expect(licenseService.verify(licenseService.sign({ typ: 'certificate' }, 'license'), 'certificate')).toBeNull();
+  });
+
+  it('enforces the seat count', async () => {
+    const user = await createSignedInUser({ subscription: activePlan('professional') });
+    const { key } = await issueLicense(user.token);
+
+    expect((await activate(key, 'machine-a')).status).toBe(200);
+    expect((await activate(key, 'machine-b')).status).toBe(200);
+
+    // Activating again refreshes the seat instead of taking another
+    expect((await activate(key, 'machine-a')).status).toBe(200);
+
+    const full = await activate(key, 'machine-c');
+    expect(full.status).toBe(409);
+    expect(full.body.code).toBe('SEAT_LIMIT_REACHED');
+
+    const deactivated = await api.post('/api/licenses/deactivate', { body: { key, machineId: fingerprint('machine-a') } });
+    expect(deactivated.status).toBe(200);
+    expect((await activate(key, 'machine-c')).status).toBe(200);
+  });
+
+  it('rejects unknown keys', async () => {
+    expect((await activate('WET1.e30.c2ln', 'machine-a')).status).toBe(404);
+    expect((await activate('not a key', 'machine-a')).status).toBe(404);
+  });
+
+  it('keeps licenses to their owner', async () => {
+    const user = await createSignedInUser({ subscription: activePlan('professional') });
+    const license = await issueLicense(user.token);
+    const other = await createSignedInUser();
+
+    expect((await api.get(`/api/licenses/${license.id}`, { token: other.token })).status).toBe(404);
+    expect((await api.get('/api/licenses', { token: other.token })).body.data.licenses).toEqual([]);
+  });
+
+  describe('offline activation', () => {
+    let user;
+    let license;
+    let machineKeys;
+
+    beforeEach(async () => {
+      user = await createSignedInUser({ subscription: activePlan('enterprise') });
+      license = await issueLicense(user.token);
+      machineKeys = crypto.generateKeyPairSync('ed25519');
+    });
+
+    const requestFile = (overrides = {}) => ({
+      format: 'wet-activation-request',
+      licenseKey: license.key,
+      machineId: fingerprint('offline-machine'),
+      machineName: 'Lab PC',
+      nonce: 'nonce-0123456789abcdef',
+      createdAt: new Date().toISOString(),
+      machinePublicKey: machineKeys.publicKey.export({ type: 'spki', format: 'pem' }),
+      ...overrides
+    });
+
+    // A deactivation receipt signed by the offline machine
+    const receipt = (overrides = {}) => {
+      const fields = {
+        format: 'wet-deactivation-receipt',
+        licenseId: license.id,
+        machineId: fingerprint('offline-machine'),
+        nonce: 'nonce-0123456789abcdef',
+        deactivatedAt: new Date().toISOString(),
+        ...overrides
+      };
+      const message = [fields.format, fields.licenseId, fields.machineId, fields.nonce, fields.deactivatedAt].join('\n');
+      return { ...fields, signature: crypto.sign(null, Buffer.from(message), machineKeys.privateKey).toString('base64url') };
+    };
+
+    const seatsUsed = async () => (await api.get(`/api/licenses/${license.id}`, { token: user.token })).body.data.license.seatsUsed;
+
+    it('answers a request file with a signed response', async () => {
+      const response = await api.post('/api/licenses/offline/activate', { token: user.token, body: requestFile() });
+      expect(response.status).toBe(200);
+
+      const { response: file } = response.body.data;
+      expect(file).toMatchObject({ format: 'wet-activation-response', licenseId: license.id });
+
+      const { publicKey } = (await api.get('/api/licenses/public-key')).body.data;
+      expect(verifySigned(file.certificate, publicKey)).toMatchObject({ typ: 'certificate', mode: 'offline', nonce: 'nonce-0123456789abcdef' });
+    });
+
+    it('rejects stale request files', async () => {
+      const stale = requestFile({ createdAt: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString() });
+      expect((await api.post('/api/licenses/offline/activate', { token: user.token, body: stale })).status).toBe(400);
+    });
+
+    it('holds the seat until the machine signs a receipt', async () => {
+      await api.post('/api/licenses/offline/activate', { token: user.token, body: requestFile() });
+      expect(await seatsUsed()).toBe(1);
+
+      const held = await api.post('/api/licenses/deactivate', { body: { key: license.key, machineId: fingerprint('offline-machine') } });
+      expect(held.status).toBe(202);
+      expect(held.body.code).toBe('SEAT_HELD_UNTIL_EXPIRY');
+      expect(await seatsUsed()).toBe(1);
+
+      const forged = await api.post('/api/licenses/deactivate', {
+        body: { key: license.key, machineId: fingerprint('offline-machine'), receipt: receipt({ nonce: 'another-nonce-0123456789' }) }
+      });
+      expect(forged.status).toBe(202);
+
+      const released = await api.post('/api/licenses/deactivate', {
+        body: { key: license.key, machineId: fingerprint('offline-machine'), receipt: receipt() }
+      });
+      expect(released.status).toBe(200);
+      expect(await seatsUsed()).toBe(0);
+    });
+
+    it('is only available on licenses that allow it', async () => {
+      const professional = await createSignedInUser({ subscription: activePlan('professional') });
+      license = await issueLicense(professional.token);
+
+      const response = await api.post('/api/licenses/offline/activate', { token: professional.token, body: requestFile() });
+      expect(response.status).toBe(403);
+    });
+  });
+});
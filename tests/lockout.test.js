@@ -0,0 +1,110 @@
+// Lockout counts the failures that get past rate limiting; raise the
+// sign-in limits so they don't answer first
+process.env.AUTH_RATE_LIMIT_MAX = '100';
+process.env.RATE_LIMIT_LOGIN_MAX = '100';
+
+const { useApp, api, createUser, emailsTo, tokenFromEmail } = require('./helpers');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+
+describe('sign-in lockout', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  const login = (email, password) => api.post('/api/auth/login', { body: { email, password } });
+
+  // Fail to sign in count times; returns the last response
+  const fail = async (email, count) => {
+    let response;
+    for (let i = 0; i < count; i++) {
+      response = await login(email, 'wrong-password');
+    }
+    return response;
+  };
+
+  // Let every lock run out
+  const expireLocks = async () => {
+    for (const kind of ['account', 'ip']) {
+      for (const record of await firestoreHelpers.queryDocuments(COLLECTIONS.LOGIN_ATTEMPTS, 'kind', '==', kind)) {
+        await firestoreHelpers.updateDocument(COLLECTIONS.LOGIN_ATTEMPTS, record.id, { lockUntil: new Date(Date.now() - 1000) });
+      }
+    }
+  };
+
+  describe('accounts', () => {
+    it('locks an account after five failures and emails an unlock link', async () => {
+      expect((await fail(user.email, 4)).status).toBe(401);
+
+      const locked = await fail(user.email, 1);
+      expect(locked.status).toBe(423);
+      expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+      expect(locked.body.retryAfter).toBe(300);
+      expect(locked.headers.get('retry-after')).toBe('300');
+
+      expect((await login(user.email, user.password)).status).toBe(423);
+      expect(emailsTo(user.email).pop().subject).toBe('Your W.E.T Account Has Been Locked');
+
+      const token = tokenFromEmail(user.email, '/unlock-account');
+      expect((await api.post('/api/auth/unlock-account', { body: { token } })).status).toBe(200);
+      expect((await api.post('/api/auth/unlock-account', { body: { token } })).status).toBe(400);
+      expect((await login(user.email.toUpperCase(), user.password)).status).toBe(200);
+    });
+
+    it('locks unknown emails the same way without sending mail', async () => {
+      expect((await fail('nobody@example.com', 5)).status).toBe(423);
+      expect(emailsTo('nobody@example.com')).toEqual([]);
+    });
+
+    it('forgets failures after a successful sign-in', async () => {
+      await fail(user.email, 4);
+      expect((await login(user.email, user.password)).status).toBe(200);
+      expect((await fail(user.email, 4)).status).toBe(401);
+    });
+
+    it('locks for longer each time', async () => {
+      await fail(user.email, 5);
+      await expireLocks();
+
+      expect((await fail(user.email, 4)).status).toBe(401);
+      expect((await fail(user.email, 1)).body.retryAfter).toBe(600);
+    });
+
+    it('lifts the lock when the password is reset', async () => {
+      await fail(user.email, 5);
+
+      await api.post('/api/auth/forgot-password', { body: { email: user.email } });
+      const token = tokenFromEmail(user.email, '/reset-password');
+      expect((await api.post('/api/auth/reset-password', { body: { token, password: 'new-horse-battery' } })).status).toBe(200);
+      expect((await login(user.email, 'new-horse-battery')).status).toBe(200);
+    });
+
+    it('can be turned off', async () => {
+      process.env.ENABLE_ACCOUNT_LOCKOUT = 'false';
+      try {
+        expect((await fail(user.email, 6)).status).toBe(401);
+        expect((await login(user.email, user.password)).status).toBe(200);
+      } finally {
+        delete process.env.ENABLE_ACCOUNT_LOCKOUT;
+      }
+    });
+  });
+
+  describe('IP addresses', () => {
+    it('locks an address after twenty failures across accounts', async () => {
+      for (let i = 0; i < 4; i++) {
+        expect((await fail(`guess${i}@example.com`, 4)).status).toBe(401);
+      }
+
+      const locked = await fail('guess4@example.com', 4);
+      expect(locked.status).toBe(423);
+      expect(locked.body.message).toBe('Too many failed sign-in attempts from this network. Please try again later.');
+      expect((await login(user.email, user.password)).status).toBe(423);
+
+      await expireLocks();
+      expect((await login(user.email, user.password)).status).toBe(200);
+    });
+  });
+});
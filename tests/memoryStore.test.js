@@ -0,0 +1,121 @@
+const { createMemoryStore } = require('../config/stores/memoryStore');
+
+describe('memory store', () => {
+  let store;
+  beforeEach(() => {
+    store = createMemoryStore();
+  });
+
+  describe('documents', () => {
+    it('stamps documents and returns copies', async () => {
+      await store.documents.createDocument('items', 'a', { tags: ['x'] });
+
+      const doc = await store.documents.getDocument('items', 'a');
+      expect(doc).toMatchObject({ id: 'a', tags: ['x'] });
+      expect(Object.prototype.toString.call(doc.createdAt)).toBe('[object Date]');
+
+      doc.tags.push('y');
+      expect((await store.documents.getDocument('items', 'a')).tags).toEqual(['x']);
+    });
+
+    it('updates dotted paths and resolves field values', async () => {
+      await store.documents.createDocument('items', 'a', { stats: { views: 1 }, tags: ['x'], note: 'n' });
+      await store.documents.updateDocument('items', 'a', {
+        'stats.views': store.fieldValues.increment(2),
+        tags: store.fieldValues.arrayUnion('x', 'y'),
+        note: store.fieldValues.delete()
+      });
+
+      const doc = await store.documents.getDocument('items', 'a');
+      expect(doc.stats.views).toBe(3);
+      expect(doc.tags).toEqual(['x', 'y']);
+      expect(doc).not.toHaveProperty('note');
+    });
+
+    it('refuses to update a missing document', async () => {
+      await expect(store.documents.updateDocument('items', 'missing', { a: 1 })).rejects.toMatchObject({ code: 'not-found' });
+    });
+
+    it('deletes a document only while a field still matches', async () => {
+      await store.documents.createDocument('items', 'a', { token: 'x' });
+
+      expect(await store.documents.deleteDocumentIf('items', 'a', 'token', 'y')).toBeNull();
+      expect(await store.documents.deleteDocumentIf('items', 'a', 'token', 'x')).toMatchObject({ id: 'a', token: 'x' });
+      expect(await store.documents.getDocument('items', 'a')).toBeNull();
+      expect(await store.documents.deleteDocumentIf('items', 'a', 'token', 'x')).toBeNull();
+    });
+
+    it('applies a batch only when every write can happen', async () => {
+      await store.documents.createDocument('items', 'a', { n: 1 });
+      const batch = (id) => store.documents.commitBatch([
+        { type: 'create', collection: 'items', id, data: {} },
+        { type: 'update', collection: 'items', id: 'a', data: { n: store.fieldValues.increment(1) } }
+      ]);
+
+      expect(await batch('b')).toBe(true);
+      expect(await batch('b')).toBe(false);
+      expect((await store.documents.getDocument('items', 'a')).n).toBe(2);
+
+      await expect(store.documents.commitBatch([
+        { type: 'create', collection: 'items', id: 'c', data: {} },
+        { type: 'update', collection: 'items', id: 'missing', data: {} }
+      ])).rejects.toMatchObject({ code: 'not-found' });
+      expect(await store.documents.getDocument('items', 'c')).toBeNull();
+    });
+
+    it('queries with Firestore operators', async () => {
+      await store.documents.createDocument('items', 'a', { n: 1, tags: ['x'], at: new Date(1000) });
+      await store.documents.createDocument('items', 'b', { n: 2, tags: ['y'], at: new Date(2000) });
+
+      const ids = async (...query) => (await store.documents.queryDocuments('items', ...query)).map(doc => doc.id);
+      expect(await ids('n', '>=', 2)).toEqual(['b']);
+      expect(await ids('n', 'in', [1, 2])).toEqual(['a', 'b']);
+      expect(await ids('tags', 'array-contains', 'x')).toEqual(['a']);
+      expect(await ids('at', '>', new Date(1500))).toEqual(['b']);
+      await expect(ids('n', 'like', 1)).rejects.toThrow('Unsupported query operator');
+    });
+
+    it('pages through a collection in id order', async () => {
+      for (const id of ['c', 'a', 'b']) {
+        await store.documents.createDocument('items', id, {});
+      }
+      expect((await store.documents.getAllDocuments('items', 2, 1)).map(doc => doc.id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('identity', () => {
+    it('signs in with a password and verifies the ID token', async () => {
+      const { uid } = await store.identity.createUser({ email: 'a@example.com', password: 'secret-password' });
+
+      await expect(store.identity.signInWithPassword('a@example.com', 'wrong')).rejects.toMatchObject({ code: 'auth/invalid-credential' });
+      const session = await store.identity.signInWithPassword('a@example.com', 'secret-password');
+      await expect(store.identity.verifyIdToken(session.idToken)).resolves.toMatchObject({ uid });
+    });
+
+    it('rejects revoked tokens when asked to check', async () => {
+      const { uid } = await store.identity.createUser({ email: 'a@example.com', password: 'secret-password' });
+      const session = await store.identity.signInWithPassword('a@example.com', 'secret-password');
+
+      // Revocation has one-second resolution
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await store.identity.revokeRefreshTokens(uid);
+
+      await expect(store.identity.verifyIdToken(session.idToken, true)).rejects.toMatchObject({ code: 'auth/id-token-revoked' });
+      await expect(store.identity.refreshIdToken(session.refreshToken)).rejects.toMatchObject({ code: 'auth/invalid-refresh-token' });
+    });
+
+    it('keeps emails unique', async () => {
+      await store.identity.createUser({ email: 'a@example.com' });
+      await expect(store.identity.createUser({ email: 'a@example.com' })).rejects.toMatchObject({ code: 'auth/email-already-exists' });
+    });
+  });
+
+  it('drops everything on reset', async () => {
+    await store.documents.createDocument('items', 'a', {});
+    await store.identity.createUser({ uid: 'u1', email: 'a@example.com' });
+    store.reset();
+
+    expect(await store.documents.getDocument('items', 'a')).toBeNull();
+    await expect(store.identity.getUser('u1')).rejects.toMatchObject({ code: 'auth/user-not-found' });
+  });
+});
@@ -0,0 +1,224 @@
+const { useApp, api, createSignedInUser, recordSession, sentMessages } = require('./helpers');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+const notificationService = require('../services/notificationService');
+const mailTransport = require('../services/mailTransport');
+
+// Emails sent to an address, oldest first
+const sentTo = (email) => sentMessages().filter(message => message.to.some(to => to.address === email));
+
+describe('notifications', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  const setCategories = (categories, token = user.token) =>
+    api.put('/api/notifications/preferences', { token, body: { categories } });
+
+  describe('preferences', () => {
+    it('starts from the defaults and keeps categories left out of a change', async () => {
+      const initial = await api.get('/api/notifications/preferences', { token: user.token });
+      expect(initial.body.data.categories).toEqual(expect.arrayContaining([
+        expect.objectContaining({ id: 'security', required: true, email: 'immediate' }),
+        expect.objectContaining({ id: 'updates', email: 'weekly', inApp: true })
+      ]));
+
+      const updated = await setCategories({ updates: { email: 'off' } });
+      expect(updated.status).toBe(200);
+      const byId = Object.fromEntries(updated.body.data.categories.map(category => [category.id, category]));
+      expect(byId.updates).toMatchObject({ email: 'off', inApp: true });
+      expect(byId.billing.email).toBe('immediate');
+    });
+
+    it.each([
+      ['an unknown category', { marketing: { email: 'off' } }],
+      ['an unknown email mode', { updates: { email: 'hourly' } }],
+      ['an unknown setting', { updates: { push: true } }],
+      ['a non-boolean inApp', { updates: { inApp: 'yes' } }],
+      ['turning off security emails', { security: { email: 'off' } }]
+    ])('rejects %s', async (description, categories) => {
+      expect((await setCategories(categories)).status).toBe(400);
+    });
+  });
+
+  describe('feed', () => {
+    it('lists notifications and marks them read', async () => {
+      await recordSession(user.token);
+      await recordSession(user.token);
+
+      const feed = await api.get('/api/notifications', { token: user.token });
+      expect(feed.body.data.unreadCount).toBe(2);
+      const [first] = feed.body.data.notifications;
+
+      await api.post('/api/notifications/read', { token: user.token, body: { ids: [first.id] } });
+      const unread = await api.get('/api/notifications?unread=true', { token: user.token });
+      expect(unread.body.data.notifications.map(notification => notification.id)).not.toContain(first.id);
+      expect(unread.body.data.unreadCount).toBe(1);
+
+      await api.post('/api/notifications/read', { token: user.token, body: {} });
+      expect((await api.get('/api/notifications', { token: user.token })).body.data.unreadCount).toBe(0);
+    });
+
+    it("doesn't mark other users' notifications", async () => {
+      await recordSession(user.token);
+      const [notification] = (await api.get('/api/notifications', { token: user.token })).body.data.notifications;
+
+      const other = await createSignedInUser();
+      await api.post('/api/notifications/read', { token: other.token, body: { ids: [notification.id] } });
+      expect((await api.get('/api/notifications', { token: user.token })).body.data.unreadCount).toBe(1);
+    });
+
+    it('leaves categories turned off in the app out of the feed', async () => {
+      await setCategories({ sessions: { inApp: false } });
+      await recordSession(user.token);
+
+      expect((await api.get('/api/notifications', { token: user.token })).body.data.notifications).toEqual([]);
+    });
+  });
+
+  describe('unsubscribe links', () => {
+    const unsubscribePath = (category) => `/api/notifications/unsubscribe?token=${notificationService.unsubscribeToken(user.uid, category)}`;
+
+    const emailSetting = async (category) => {
+      const { categories } = (await api.get('/api/notifications/preferences', { token: user.token })).body.data;
+      return categories.find(item => item.id === category).email;
+    };
+
+    it('only unsubscribes once the page is confirmed', async () => {
+      const page = await api.get(unsubscribePath('updates'));
+      expect(page.status).toBe(200);
+      expect(page.headers.get('content-type')).toMatch(/^text\/html/);
+      expect(await emailSetting('updates')).toBe('weekly');
+
+      const confirmed = await api.post(unsubscribePath('updates'), { raw: 'List-Unsubscribe=One-Click', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+      expect(confirmed.status).toBe(200);
+      expect(await emailSetting('updates')).toBe('off');
+    });
+
+    it('leaves required categories on when unsubscribing from everything', async () => {
+      await api.post(unsubscribePath('all'));
+      expect(await emailSetting('billing')).toBe('off');
+      expect(await emailSetting('security')).toBe('immediate');
+    });
+
+    it('rejects tampered tokens', async () => {
+      const other = await createSignedInUser();
+      const [payload] = notificationService.unsubscribeToken(user.uid, 'updates').split('.');
+      const [, signature] = notificationService.unsubscribeToken(other.uid, 'updates').split('.');
+
+      expect((await api.post(`/api/notifications/unsubscribe?token=${payload}.${signature}`)).status).toBe(404);
+      expect((await api.get('/api/notifications/unsubscribe?token=nonsense')).status).toBe(404);
+    });
+
+    it('need UNSUBSCRIBE_SECRET when mail goes out over SMTP', () => {
+      const { secret } = notificationService;
+      const configured = process.env.UNSUBSCRIBE_SECRET;
+      const transport = jest.replaceProperty(mailTransport, 'name', 'smtp');
+      delete process.env.UNSUBSCRIBE_SECRET;
+      notificationService.secret = undefined;
+      try {
+        expect(() => notificationService.unsubscribeToken(user.uid, 'updates')).toThrow('UNSUBSCRIBE_SECRET is not configured');
+      } finally {
+        transport.restore();
+        process.env.UNSUBSCRIBE_SECRET = configured;
+        notificationService.secret = secret;
+      }
+    });
+  });
+
+  describe('announcements', () => {
+    it('reaches every user, a batch at a time', async () => {
+      const others = [await createSignedInUser(), await createSignedInUser()];
+      const pages = jest.spyOn(firestoreHelpers, 'getAllDocuments');
+      const { notifyBatchSize } = notificationService;
+      notificationService.notifyBatchSize = 2;
+      try {
+        const notified = await notificationService.notifyEveryone('updates', {
+          template: 'product-update',
+          path: '/#download',
+          release: { version: '2.2.0', notes: '' }
+        });
+        expect(notified).toBe(3);
+        expect(pages.mock.calls).toEqual([[COLLECTIONS.USER_PROFILES, 2, 0], [COLLECTIONS.USER_PROFILES, 2, 2]]);
+      } finally {
+        pages.mockRestore();
+        notificationService.notifyBatchSize = notifyBatchSize;
+      }
+
+      for (const { token } of [user, ...others]) {
+        const feed = (await api.get('/api/notifications', { token })).body.data.notifications;
+        expect(feed.map(notification => notification.title)).toEqual(['W.E.T 2.2.0 is available']);
+      }
+    });
+  });
+
+  describe('organization invitations', () => {
+    it('emails the link even when invitation emails are off, and keeps it out of the feed', async () => {
+      const invitee = await createSignedInUser();
+      await setCategories({ invitations: { email: 'off' } }, invitee.token);
+
+      const organization = (await api.post('/api/organizations', { token: user.token, body: { name: 'Lab' } })).body.data.organization;
+      const invited = await api.post(`/api/organizations/${organization.id}/invitations`, {
+        token: user.token,
+        body: { email: invitee.email, role: 'analyst' }
+      });
+      expect(invited.status).toBe(201);
+
+      const [email] = sentTo(invitee.email);
+      const match = email.text.match(/\/accept-invitation\?token=([0-9a-f]+)/);
+      expect(match).toBeTruthy();
+      expect(email.headers).not.toHaveProperty('List-Unsubscribe');
+
+      const feed = (await api.get('/api/notifications', { token: invitee.token })).body.data.notifications;
+      expect(feed).toHaveLength(1);
+      expect(feed[0].category).toBe('invitations');
+      expect(feed[0].url).toBeNull();
+      expect(JSON.stringify(feed)).not.toContain(match[1]);
+
+      const accepted = await api.post('/api/organizations/invitations/accept', { token: invitee.token, body: { token: match[1] } });
+      expect(accepted.status).toBe(200);
+    });
+  });
+
+  describe('digests', () => {
+    // Make a user's waiting notifications look older
+    const age = async (uid, milliseconds) => {
+      const notifications = await firestoreHelpers.queryDocuments(COLLECTIONS.NOTIFICATIONS, 'uid', '==', uid);
+      for (const notification of notifications) {
+        await firestoreHelpers.updateDocument(COLLECTIONS.NOTIFICATIONS, notification.id, {
+          createdAt: new Date(Date.now() - milliseconds)
+        });
+      }
+    };
+
+    it('collects notifications into a daily digest', async () => {
+      await setCategories({ sessions: { email: 'daily' } });
+      await recordSession(user.token);
+      await recordSession(user.token);
+      expect(sentTo(user.email)).toEqual([]);
+
+      expect(await notificationService.sendDueDigests()).toBe(0);
+
+      await age(user.uid, 25 * 60 * 60 * 1000);
+      expect(await notificationService.sendDueDigests()).toBe(1);
+
+      const [digest] = sentTo(user.email);
+      expect(digest.headers['List-Unsubscribe']).toContain(notificationService.unsubscribeToken(user.uid, 'sessions'));
+
+      // Each notification is in one digest
+      expect(await notificationService.sendDueDigests()).toBe(0);
+    });
+
+    it('drops notifications from categories switched to another mode', async () => {
+      await setCategories({ sessions: { email: 'daily' } });
+      await recordSession(user.token);
+      await setCategories({ sessions: { email: 'off' } });
+
+      await age(user.uid, 25 * 60 * 60 * 1000);
+      expect(await notificationService.sendDueDigests()).toBe(0);
+      expect(sentTo(user.email)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const http = require('http');
+const { useApp, api, createUser, signIn, createSignedInUser, totp, emailsTo } = require('./helpers');
+const { userHelpers } = require('../config/database');
+const oauthService = require('../services/oauthService');
+
+// A mock Google and GitHub: the tests play the browser, "authorize" a
+// profile for the state the API handed out, and the mock's token endpoint
+// checks the PKCE verifier before giving out the profile.
+const grants = new Map();
+let provider = null;
+
+const readForm = (req) => new Promise(resolve => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+});
+
+const send = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const handleProvider = async (req, res) => {
+  const path = req.url.split('?')[0];
+
+  if (req.method === 'POST' && /^\/(google|github)\/token$/.test(path)) {
+    const form = await readForm(req);
+    const grant = grants.get(form.get('code'));
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (!grant || challenge !== grant.codeChallenge || form.get('client_secret') !== 'test-secret') {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+    return send(res, 200, { access_token: form.get('code'), token_type: 'bearer' });
+  }
+
+  const grant = grants.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!grant) {
+    return send(res, 401, { error: 'invalid_token' });
+  }
+
+  const { profile } = grant;
+  if (path === '/google/userinfo') {
+    return send(res, 200, {
+      sub: profile.id,
+      email: profile.email,
+      email_verified: profile.verified,
+      given_name: profile.firstName,
+      family_name: profile.lastName
+    });
+  }
+  if (path === '/github/api/user') {
+    return send(res, 200, { id: Number(profile.id), login: 'octocat', name: `${profile.firstName} ${profile.lastName}` });
+  }
+  if (path === '/github/api/user/emails') {
+    return send(res, 200, [
+      { email: 'noreply@users.github.example', primary: false, verified: true },
+      { email: profile.email, primary: true, verified: profile.verified }
+    ]);
+  }
+  send(res, 404, { error: 'not_found' });
+};
+
+describe('OAuth sign-in', () => {
+  useApp();
+
+  const env = {};
+  beforeAll(() => new Promise(resolve => {
+    provider = http.createServer(handleProvider).listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${provider.address().port}`;
+      Object.assign(env, {
+        GOOGLE_CLIENT_ID: 'google-client',
+        GOOGLE_CLIENT_SECRET: 'test-secret',
+        GOOGLE_AUTHORIZE_URL: `${url}/google/authorize`,
+        GOOGLE_TOKEN_URL: `${url}/google/token`,
+        GOOGLE_USERINFO_URL: `${url}/google/userinfo`,
+        GITHUB_CLIENT_ID: 'github-client',
+        GITHUB_CLIENT_SECRET: 'test-secret',
+        GITHUB_TOKEN_URL: `${url}/github/token`,
+        GITHUB_API_URL: `${url}/github/api`
+      });
+      Object.assign(process.env, env);
+      resolve();
+    });
+  }));
+
+  afterAll(() => new Promise(resolve => {
+    for (const name of Object.keys(env)) {
+      delete process.env[name];
+    }
+    provider.close(resolve);
+  }));
+
+  beforeEach(() => {
+    grants.clear();
+  });
+
+  // What the browser does between start and callback: the user approves
+  // and the provider redirects back with a code for the state
+  const authorize = (authorizationUrl, profile) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    grants.set(code, { codeChallenge: params.get('code_challenge'), profile });
+    return { code, state: params.get('state') };
+  };
+
+  const GOOGLE_PROFILE = { id: '1001', email: 'ada@example.com', verified: true, firstName: 'Ada', lastName: 'Lovelace' };
+
+  const signInWith = async (providerId, profile) => {
+    const started = await api.post(`/api/auth/oauth/${providerId}/start`);
+    expect(started.status).toBe(200);
+    return api.post(`/api/auth/oauth/${providerId}/callback`, { body: authorize(started.body.data.authorizationUrl, profile) });
+  };
+
+  describe('sign-in', () => {
+    it('lists configured providers and starts a PKCE flow', async () => {
+      const providers = await api.get('/api/auth/oauth/providers');
+      expect(providers.body.data.providers).toEqual([{ id: 'google', name: 'Google' }, { id: 'github', name: 'GitHub' }]);
+
+      const started = await api.post('/api/auth/oauth/google/start');
+      const url = new URL(started.body.data.authorizationUrl);
+      expect(url.searchParams.get('client_id')).toBe('google-client');
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('state')).toBe(started.body.data.state);
+
+      expect((await api.post('/api/auth/oauth/facebook/start')).status).toBe(404);
+    });
+
+    it('creates an account without a password on first sign-in', async () => {
+      const response = await signInWith('google', GOOGLE_PROFILE);
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        created: true,
+        user: { email: 'ada@example.com', firstName: 'Ada', isEmailVerified: true, linkedProviders: ['google'] }
+      });
+      expect(emailsTo('ada@example.com')).toHaveLength(1);
+
+      const links = await api.get('/api/auth/oauth/links', { token: response.body.data.token });
+      expect(links.body.data).toMatchObject({ hasPassword: false, links: [{ provider: 'google', email: 'ada@example.com' }] });
+
+      const again = await signInWith('google', GOOGLE_PROFILE);
+      expect(again.status).toBe(200);
+      expect(again.body.data.user.uid).toBe(response.body.data.user.uid);
+    });
+
+    it('uses the primary GitHub email', async () => {
+      const response = await signInWith('github', { ...GOOGLE_PROFILE, id: '42' });
+      expect(response.body.data.user).toMatchObject({ email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' });
+    });
+
+    it('accepts each state once and checks the code', async () => {
+      const started = await api.post('/api/auth/oauth/google/start');
+      const { code, state } = authorize(started.body.data.authorizationUrl, GOOGLE_PROFILE);
+
+      const rejected = await api.post('/api/auth/oauth/google/callback', { body: { code: 'forged', state } });
+      expect(rejected.body.message).toBe('Google authorization failed');
+
+      const reused = await api.post('/api/auth/oauth/google/callback', { body: { code, state } });
+      expect(reused.status).toBe(400);
+      expect(reused.body.message).toBe('Invalid or expired sign-in state');
+
+      const other = await api.post('/api/auth/oauth/github/start');
+      const github = authorize(other.body.data.authorizationUrl, GOOGLE_PROFILE);
+      expect((await api.post('/api/auth/oauth/google/callback', { body: github })).status).toBe(400);
+    });
+
+    it('links existing accounts only through verified emails', async () => {
+      const user = await createUser({ email: 'ada@example.com' });
+
+      const unverified = await signInWith('google', { ...GOOGLE_PROFILE, verified: false });
+      expect(unverified.status).toBe(409);
+      expect(unverified.body.code).toBe('ACCOUNT_EXISTS');
+
+      const verified = await signInWith('google', GOOGLE_PROFILE);
+      expect(verified.status).toBe(200);
+      expect(verified.body.data).toMatchObject({ created: false, user: { uid: user.uid, linkedProviders: ['google'] } });
+    });
+  });
+
+  describe('linking', () => {
+    let user;
+    beforeEach(async () => {
+      user = await createSignedInUser();
+    });
+
+    const link = async (providerId, profile, token = user.token) => {
+      const started = await api.post(`/api/auth/oauth/${providerId}/link`, { token });
+      expect(started.status).toBe(200);
+      return api.post(`/api/auth/oauth/${providerId}/link/callback`, { token, body: authorize(started.body.data.authorizationUrl, profile) });
+    };
+
+    it('links and unlinks a provider', async () => {
+      const linked = await link('google', { ...GOOGLE_PROFILE, email: 'ada@gmail.example' });
+      expect(linked.status).toBe(200);
+      expect(linked.body.data.link).toMatchObject({ provider: 'google', email: 'ada@gmail.example' });
+
+      const signedIn = await signInWith('google', { ...GOOGLE_PROFILE, email: 'ada@gmail.example' });
+      expect(signedIn.body.data.user.uid).toBe(user.uid);
+
+      expect((await api.delete('/api/auth/oauth/google/link', { token: user.token })).status).toBe(200);
+      expect((await api.delete('/api/auth/oauth/google/link', { token: user.token })).status).toBe(404);
+      expect((await api.get('/api/auth/me', { token: user.token })).body.data.user.linkedProviders).toEqual([]);
+    });
+
+    it('links a provider account to one user only', async () => {
+      expect((await link('google', GOOGLE_PROFILE)).status).toBe(200);
+
+      const other = await createSignedInUser();
+      const taken = await link('google', GOOGLE_PROFILE, other.token);
+      expect(taken.status).toBe(409);
+      expect(taken.body.message).toBe('This account is already linked to another user');
+
+      const second = await link('google', { ...GOOGLE_PROFILE, id: '1002' });
+      expect(second.body.message).toBe('Another Google account is already linked');
+    });
+
+    it("doesn't finish another user's link", async () => {
+      const started = await api.post('/api/auth/oauth/google/link', { token: user.token });
+      const other = await createSignedInUser();
+
+      const response = await api.post('/api/auth/oauth/google/link/callback', {
+        token: other.token,
+        body: authorize(started.body.data.authorizationUrl, GOOGLE_PROFILE)
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('keeps the only sign-in method of accounts without a password', async () => {
+      const created = await signInWith('google', GOOGLE_PROFILE);
+
+      const response = await api.delete('/api/auth/oauth/google/link', { token: created.body.data.token });
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('Set a password before unlinking your only sign-in method');
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    let user;
+    let secret;
+    beforeEach(async () => {
+      user = await createUser({ email: 'ada@example.com' });
+      const { token } = await signIn(user);
+
+      const setup = await api.post('/api/auth/2fa/setup', { token });
+      secret = setup.body.data.secret;
+      await api.post('/api/auth/2fa/enable', { token, body: { code: totp(secret, -1) } });
+    });
+
+    it('finishes the sign-in with a code and a ticket', async () => {
+      const response = await signInWith('google', GOOGLE_PROFILE);
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(response.body.data).not.toHaveProperty('token');
+      const { ticket } = response.body.data;
+
+      const wrong = await api.post('/api/auth/oauth/two-factor', { body: { ticket, code: '000000' } });
+      expect(wrong.status).toBe(401);
+
+      const completed = await api.post('/api/auth/oauth/two-factor', { body: { ticket, code: totp(secret) } });
+      expect(completed.status).toBe(200);
+      expect((await api.get('/api/auth/me', { token: completed.body.data.token })).status).toBe(200);
+
+      expect((await api.post('/api/auth/oauth/two-factor', { body: { ticket, code: totp(secret, 1) } })).status).toBe(400);
+    });
+
+    it('counts wrong codes toward the account lockout', async () => {
+      const { ticket } = (await signInWith('google', GOOGLE_PROFILE)).body.data;
+      const guess = () => api.post('/api/auth/oauth/two-factor', { body: { ticket, code: '000000' } });
+
+      for (let i = 0; i < 4; i++) {
+        expect((await guess()).body.code).toBe('TWO_FACTOR_INVALID');
+      }
+      const locked = await guess();
+      expect(locked.status).toBe(423);
+      expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+
+      expect(await oauthService.getTwoFactorTicket(ticket)).toBeNull();
+    });
+
+    it("doesn't accept tickets of deleted accounts", async () => {
+      const { ticket } = (await signInWith('google', GOOGLE_PROFILE)).body.data;
+      await userHelpers.deleteUser(user.uid);
+
+      const response = await api.post('/api/auth/oauth/two-factor', { body: { ticket, code: totp(secret) } });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid or expired sign-in ticket');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { useApp, api, createSignedInUser, SESSION_INPUT, recordSession, emailsTo, tokenFromEmail } = require('./helpers');
+
+describe('organizations', () => {
+  useApp();
+
+  let owner;
+  let organization;
+  beforeEach(async () => {
+    owner = await createSignedInUser();
+    const response = await api.post('/api/organizations', { token: owner.token, body: { name: 'Vision Lab' } });
+    expect(response.status).toBe(201);
+    organization = response.body.data.organization;
+  });
+
+  // Invite a new user and accept the invitation as them
+  const addMember = async (role) => {
+    const member = await createSignedInUser();
+    await api.post(`/api/organizations/${organization.id}/invitations`, { token: owner.token, body: { email: member.email, role } });
+    const accepted = await api.post('/api/organizations/invitations/accept', {
+      token: member.token,
+      body: { token: tokenFromEmail(member.email, '/accept-invitation') }
+    });
+    expect(accepted.status).toBe(200);
+    return member;
+  };
+
+  describe('membership', () => {
+    it('makes the creator the owner', async () => {
+      const list = await api.get('/api/organizations', { token: owner.token });
+      expect(list.body.data.organizations).toEqual([expect.objectContaining({ id: organization.id, name: 'Vision Lab', role: 'owner' })]);
+
+      expect((await api.post('/api/organizations', { token: owner.token, body: { name: ' ' } })).status).toBe(400);
+    });
+
+    it('adds members through emailed invitations', async () => {
+      const invitee = await createSignedInUser();
+
+      const invited = await api.post(`/api/organizations/${organization.id}/invitations`, {
+        token: owner.token,
+        body: { email: invitee.email.toUpperCase(), role: 'analyst' }
+      });
+      expect(invited.status).toBe(201);
+      expect(invited.body.data.invitation).not.toHaveProperty('tokenHash');
+      expect(emailsTo(invitee.email)[0].subject).toBe("You're invited to join Vision Lab on W.E.T");
+
+      const token = tokenFromEmail(invitee.email, '/accept-invitation');
+      const stranger = await createSignedInUser();
+      expect((await api.post('/api/organizations/invitations/accept', { token: stranger.token, body: { token } })).status).toBe(403);
+
+      const accepted = await api.post('/api/organizations/invitations/accept', { token: invitee.token, body: { token } });
+      expect(accepted.body.data.organization).toMatchObject({ id: organization.id, role: 'analyst' });
+      expect((await api.post('/api/organizations/invitations/accept', { token: invitee.token, body: { token } })).status).toBe(400);
+
+      const members = await api.get(`/api/organizations/${organization.id}/members`, { token: invitee.token });
+      expect(members.body.data.members.map(member => [member.uid, member.role]))
+        .toEqual([[owner.uid, 'owner'], [invitee.uid, 'analyst']]);
+    });
+
+    it('validates invitations', async () => {
+      const invite = (body) => api.post(`/api/organizations/${organization.id}/invitations`, { token: owner.token, body });
+
+      expect((await invite({ email: 'nobody', role: 'viewer' })).status).toBe(400);
+      expect((await invite({ email: 'someone@example.com', role: 'admin' })).status).toBe(400);
+    });
+
+    it('lets only owners manage members', async () => {
+      const researcher = await addMember('researcher');
+      const viewer = await addMember('viewer');
+
+      expect((await api.put(`/api/organizations/${organization.id}/members/${viewer.uid}`, {
+        token: researcher.token,
+        body: { role: 'owner' }
+      })).status).toBe(403);
+      expect((await api.delete(`/api/organizations/${organization.id}/members/${viewer.uid}`, { token: researcher.token })).status).toBe(403);
+
+      const promoted = await api.put(`/api/organizations/${organization.id}/members/${viewer.uid}`, {
+        token: owner.token,
+        body: { role: 'analyst' }
+      });
+      expect(promoted.body.data.member.role).toBe('analyst');
+
+      expect((await api.delete(`/api/organizations/${organization.id}/members/${viewer.uid}`, { token: viewer.token })).body.message).toBe('Left organization');
+      expect((await api.get(`/api/organizations/${organization.id}`, { token: viewer.token })).status).toBe(404);
+    });
+
+    it('keeps at least one owner', async () => {
+      const demoted = await api.put(`/api/organizations/${organization.id}/members/${owner.uid}`, {
+        token: owner.token,
+        body: { role: 'viewer' }
+      });
+      expect(demoted.status).toBe(409);
+      expect((await api.delete(`/api/organizations/${organization.id}/members/${owner.uid}`, { token: owner.token })).status).toBe(409);
+    });
+
+    it('hides organizations from non-members', async () => {
+      const stranger = await createSignedInUser();
+      const admin = await createSignedInUser({ role: 'admin' });
+
+      expect((await api.get(`/api/organizations/${organization.id}`, { token: stranger.token })).status).toBe(404);
+      expect((await api.get(`/api/organizations/${organization.id}`, { token: admin.token })).status).toBe(200);
+    });
+  });
+
+  describe('shared resources', () => {
+    const createStudy = (user) => api.post('/api/studies', {
+      token: user.token,
+      body: { title: 'Shared study', consentText: 'I agree.', organizationId: organization.id }
+    });
+
+    it('gives members access by role', async () => {
+      const viewer = await addMember('viewer');
+      const analyst = await addMember('analyst');
+      const session = await recordSession(owner.token, { organizationId: organization.id });
+
+      expect((await api.get(`/api/sessions/${session.id}`, { token: viewer.token })).status).toBe(200);
+      expect((await api.get(`/api/sessions/${session.id}/export`, { token: viewer.token })).status).toBe(403);
+      expect((await api.get(`/api/sessions/${session.id}/export`, { token: analyst.token })).status).toBe(200);
+      expect((await api.delete(`/api/sessions/${session.id}`, { token: analyst.token })).status).toBe(403);
+
+      const listed = await api.get(`/api/sessions?organizationId=${organization.id}`, { token: viewer.token });
+      expect(listed.body.data.sessions.map(({ id }) => id)).toEqual([session.id]);
+
+      const stranger = await createSignedInUser();
+      expect((await api.get(`/api/sessions/${session.id}`, { token: stranger.token })).status).toBe(403);
+      expect((await api.get(`/api/sessions?organizationId=${organization.id}`, { token: stranger.token })).status).toBe(403);
+    });
+
+    it('needs the researcher role to create studies and sessions', async () => {
+      const analyst = await addMember('analyst');
+      const researcher = await addMember('researcher');
+      const colleague = await addMember('researcher');
+
+      expect((await createStudy(analyst)).status).toBe(403);
+      expect((await api.post('/api/sessions', { token: analyst.token, body: { ...SESSION_INPUT, organizationId: organization.id } })).status).toBe(403);
+
+      const study = (await createStudy(researcher)).body.data.study;
+      expect(study.organizationId).toBe(organization.id);
+      const studies = await api.get('/api/studies', { token: analyst.token });
+      expect(studies.body.data.studies.map(({ id }) => id)).toEqual([study.id]);
+      expect((await api.put(`/api/studies/${study.id}`, { token: analyst.token, body: { title: 'Renamed' } })).status).toBe(403);
+      expect((await api.put(`/api/studies/${study.id}`, { token: colleague.token, body: { title: 'Renamed' } })).status).toBe(200);
+      expect((await api.delete(`/api/studies/${study.id}`, { token: colleague.token })).status).toBe(403);
+    });
+
+    it("can't delete an organization that still holds studies", async () => {
+      const study = (await createStudy(owner)).body.data.study;
+
+      expect((await api.delete(`/api/organizations/${organization.id}`, { token: owner.token })).status).toBe(409);
+
+      await api.delete(`/api/studies/${study.id}`, { token: owner.token });
+      expect((await api.delete(`/api/organizations/${organization.id}`, { token: owner.token })).status).toBe(200);
+      expect((await api.get('/api/organizations', { token: owner.token })).body.data.organizations).toEqual([]);
+    });
+  });
+});
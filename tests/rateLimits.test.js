@@ -0,0 +1,106 @@
+const { useApp, api, createUser, createSignedInUser } = require('./helpers');
+const { getPolicy } = require('../config/rateLimits');
+const { DataStoreRateLimitStore, rateLimiter, consumeRateLimit } = require('../middleware/rateLimit');
+const { firestoreHelpers } = require('../config/database');
+const health = require('../netlify/functions/health');
+
+describe('rate limits', () => {
+  useApp();
+
+  describe('policies', () => {
+    it('applies env overrides', () => {
+      process.env.RATE_LIMIT_DELETE_ACCOUNT_MAX = '7';
+      try {
+        expect(getPolicy('deleteAccount')).toMatchObject({ max: 7, windowMs: 60 * 60 * 1000, perUser: true });
+      } finally {
+        delete process.env.RATE_LIMIT_DELETE_ACCOUNT_MAX;
+      }
+      expect(getPolicy('deleteAccount').max).toBe(2);
+    });
+
+    it('rejects unknown policies', () => {
+      expect(getPolicy('toString')).toBeNull();
+      expect(() => rateLimiter('everything')).toThrow('Unknown rate limit policy "everything"');
+    });
+  });
+
+  describe('API', () => {
+    it('limits sign-in attempts', async () => {
+      const user = await createUser();
+      for (let i = 0; i < 5; i++) {
+        const body = { email: `guess${i}@example.com`, password: 'wrong-password' };
+        expect((await api.post('/api/auth/login', { body })).status).toBe(401);
+      }
+
+      const limited = await api.post('/api/auth/login', { body: { email: user.email, password: user.password } });
+      expect(limited.status).toBe(429);
+      expect(limited.body).toEqual({ success: false, message: 'Too many attempts, please try again later' });
+      expect(limited.headers.get('ratelimit-limit')).toBe('5');
+    });
+
+    it('counts per-user policies separately for each user', async () => {
+      const alice = await createSignedInUser();
+      const bob = await createSignedInUser();
+      const changePassword = (user) => api.put('/api/user/change-password', {
+        token: user.token,
+        body: { currentPassword: 'wrong-password', newPassword: 'another-horse-battery' }
+      });
+
+      for (let i = 0; i < 3; i++) {
+        expect((await changePassword(alice)).status).toBe(401);
+      }
+      expect((await changePassword(alice)).status).toBe(429);
+      expect((await changePassword(bob)).status).toBe(401);
+    });
+  });
+
+  describe('data store counters', () => {
+    it('counts hits per key in fixed windows', async () => {
+      const store = new DataStoreRateLimitStore('test');
+      store.init({ windowMs: 60 * 1000 });
+
+      expect((await store.increment('a')).totalHits).toBe(1);
+      const { totalHits, resetTime } = await store.increment('a');
+      expect(totalHits).toBe(2);
+      expect(resetTime.getTime() % (60 * 1000)).toBe(0);
+      expect((await store.increment('b')).totalHits).toBe(1);
+
+      await store.decrement('a');
+      expect((await store.increment('a')).totalHits).toBe(2);
+      await store.resetKey('a');
+      expect((await store.increment('a')).totalHits).toBe(1);
+    });
+
+    it('limits callers outside Express', async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await consumeRateLimit('login', '203.0.113.9')).limited).toBe(false);
+      }
+      expect(await consumeRateLimit('login', '203.0.113.9')).toMatchObject({ limited: true, totalHits: 6 });
+      expect((await consumeRateLimit('login', '203.0.113.10')).limited).toBe(false);
+    });
+
+    it('refuses sign-in requests when the data store is down, and only those', async () => {
+      const failing = jest.spyOn(firestoreHelpers, 'createDocumentIfAbsent').mockRejectedValue(new Error('unavailable'));
+      try {
+        expect((await consumeRateLimit('login', '203.0.113.9')).limited).toBe(true);
+        expect((await consumeRateLimit('global', '203.0.113.9')).limited).toBe(false);
+      } finally {
+        failing.mockRestore();
+      }
+    });
+  });
+
+  describe('Netlify functions', () => {
+    it('share the global limit with the server', async () => {
+      const event = { httpMethod: 'GET', headers: { 'x-nf-client-connection-ip': '203.0.113.9' } };
+      for (let i = 0; i < 100; i++) {
+        await consumeRateLimit('global', '203.0.113.9');
+      }
+
+      const limited = await health.handler(event, {});
+      expect(limited.statusCode).toBe(429);
+      expect(Number(limited.headers['Retry-After'])).toBeGreaterThan(0);
+      expect((await health.handler({ ...event, headers: { 'x-nf-client-connection-ip': '203.0.113.10' } }, {})).statusCode).toBe(200);
+    });
+  });
+});
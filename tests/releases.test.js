@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The releases directory is read when the service loads
+const filesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wet-releases-'));
+process.env.RELEASE_FILES_DIR = filesDir;
+
+const { useApp, api, createSignedInUser, activePlan, verifySigned } = require('./helpers');
+const releaseService = require('../services/releaseService');
+const notificationService = require('../services/notificationService');
+
+const INSTALLER = Buffer.from('W.E.T Professional installer');
+const INSTALL_ID = 'install-0123456789';
+
+describe('releases', () => {
+  useApp();
+
+  beforeAll(() => {
+    fs.writeFileSync(path.join(filesDir, 'wet-2.1.0.exe'), INSTALLER);
+  });
+
+  afterAll(() => {
+    fs.rmSync(filesDir, { recursive: true, force: true });
+  });
+
+  let admin;
+  beforeEach(async () => {
+    admin = await createSignedInUser({ role: 'admin' });
+  });
+
+  // Publish a release. Artifacts without a file in the releases directory
+  // get a made-up size and checksum.
+  const publish = async (version, { channel = 'stable', artifacts = ['windows'], ...input } = {}) => {
+    const response = await api.post('/api/releases', {
+      token: admin.token,
+      body: {
+        version,
+        channel,
+        artifacts: artifacts.map(id => id === 'windows' && version === '2.1.0'
+          ? { id, fileName: 'wet-2.1.0.exe' }
+          : { id, fileName: `wet-${id}-${version}.bin`, size: 1024, sha256: crypto.createHash('sha256').update(`${id}${version}`).digest('hex') }),
+        ...input
+      }
+    });
+    expect(response.status).toBe(201);
+    return response.body.data.release;
+  };
+
+  const checkForUpdate = (version, { token, platform = 'windows', channel = 'stable', installId = INSTALL_ID } = {}) =>
+    api.get(`/api/releases/updates?${new URLSearchParams({ version, platform, channel, installId })}`, { token });
+
+  describe('versions', () => {
+    it.each([
+      ['2.1.0', '2.2.0'],
+      ['2.2.0-beta.1', '2.2.0'],
+      ['2.2.0-beta.2', '2.2.0-beta.10'],
+      ['2.2.0-rc-1', '2.2.0-rc-2'],
+      ['2.2.0-alpha', '2.2.0-alpha.1'],
+      ['2.2.0-1', '2.2.0-beta'],
+      ['2.2.0-Beta', '2.2.0-beta']
+    ])('sorts %s before %s', (lower, higher) => {
+      expect(releaseService.compareVersions(lower, higher)).toBeLessThan(0);
+      expect(releaseService.compareVersions(higher, lower)).toBeGreaterThan(0);
+      expect(releaseService.compareVersions(lower, lower)).toBe(0);
+    });
+  });
+
+  describe('publishing', () => {
+    it('reads sizes and checksums from the releases directory', async () => {
+      const release = await publish('2.1.0');
+      expect(release.artifacts[0]).toMatchObject({
+        id: 'windows',
+        edition: 'professional',
+        size: INSTALLER.length,
+        sha256: crypto.createHash('sha256').update(INSTALLER).digest('hex')
+      });
+    });
+
+    it('needs the size and checksum of files it does not have', async () => {
+      const response = await api.post('/api/releases', {
+        token: admin.token,
+        body: { version: '2.2.0', channel: 'stable', artifacts: [{ id: 'macos', fileName: 'missing.dmg' }] }
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('publishes a version once per channel', async () => {
+      await publish('2.1.0');
+      const again = await api.post('/api/releases', {
+        token: admin.token,
+        body: { version: '2.1.0', channel: 'stable', artifacts: [{ id: 'windows', fileName: 'wet-2.1.0.exe' }] }
+      });
+      expect(again.status).toBe(409);
+    });
+
+    it('is limited to release managers', async () => {
+      const user = await createSignedInUser();
+      const response = await api.post('/api/releases', {
+        token: user.token,
+        body: { version: '2.1.0', channel: 'stable', artifacts: [{ id: 'windows', fileName: 'wet-2.1.0.exe' }] }
+      });
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('listing', () => {
+    it('lists releases newest first and the latest one', async () => {
+      await publish('2.0.0');
+      await publish('2.1.0');
+      await publish('2.2.0-beta.1', { channel: 'beta' });
+
+      const listed = await api.get('/api/releases');
+      expect(listed.body.data.releases.map(release => release.version)).toEqual(['2.1.0', '2.0.0']);
+      expect((await api.get('/api/releases/latest?channel=beta')).body.data.release.version).toBe('2.2.0-beta.1');
+      expect((await api.get('/api/releases/latest?artifact=macos')).status).toBe(404);
+    });
+
+    it('tells signed-in users which artifacts they can download', async () => {
+      await publish('2.1.0');
+      const lite = await createSignedInUser({ subscription: activePlan('lite') });
+
+      const listed = await api.get('/api/releases', { token: lite.token });
+      expect(listed.body.data.releases[0].artifacts[0]).toMatchObject({ id: 'windows', available: false });
+    });
+
+    it('keeps the nightly channel to testers', async () => {
+      expect((await api.get('/api/releases?channel=nightly')).status).toBe(404);
+      expect((await api.get('/api/releases?channel=nightly', { token: admin.token })).status).toBe(200);
+      expect((await api.get('/api/releases?channel=weekly')).status).toBe(400);
+    });
+
+    it('hides withdrawn releases', async () => {
+      await publish('2.0.0');
+      const withdrawn = await publish('2.1.0');
+      expect((await api.delete(`/api/releases/${withdrawn.id}`, { token: admin.token })).status).toBe(200);
+
+      const listed = await api.get('/api/releases');
+      expect(listed.body.data.releases.map(release => release.version)).toEqual(['2.0.0']);
+    });
+  });
+
+  describe('update checks', () => {
+    it('offers a newer release with a signed manifest', async () => {
+      const release = await publish('2.1.0');
+
+      const response = await checkForUpdate('2.0.0');
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ updateAvailable: true, mandatory: false });
+      expect(response.body.data).not.toHaveProperty('download');
+
+      const { publicKey } = (await api.get('/api/licenses/public-key')).body.data;
+      expect(verifySigned(response.body.data.manifest, publicKey)).toMatchObject({
+        typ: 'update',
+        version: '2.1.0',
+        platform: 'windows',
+        sha256: release.artifacts[0].sha256
+      });
+
+      const current = await checkForUpdate('2.1.0');
+      expect(current.body.data).toEqual({ updateAvailable: false, supported: true });
+    });
+
+    it('rejects malformed checks', async () => {
+      expect((await checkForUpdate('latest')).status).toBe(400);
+      expect((await checkForUpdate('2.0.0', { platform: 'linux' })).status).toBe(400);
+      expect((await checkForUpdate('2.0.0', { installId: 'short' })).status).toBe(400);
+    });
+
+    it('offers a staged release to part of the installs', async () => {
+      await publish('2.1.0');
+      const staged = await publish('2.2.0', { rolloutPercentage: 0 });
+
+      // Installs outside the rollout get the release before it
+      expect((await checkForUpdate('2.0.0')).body.data.release.version).toBe('2.1.0');
+
+      await api.put(`/api/releases/${staged.id}/rollout`, { token: admin.token, body: { percentage: 100 } });
+      expect((await checkForUpdate('2.0.0')).body.data.release.version).toBe('2.2.0');
+
+      await api.post(`/api/releases/${staged.id}/rollout/pause`, { token: admin.token });
+      expect((await checkForUpdate('2.0.0')).body.data.release.version).toBe('2.1.0');
+    });
+
+    it('makes the update mandatory below the minimum version', async () => {
+      await publish('2.1.0');
+      const response = await api.put('/api/releases/channels/stable', { token: admin.token, body: { minimumVersion: '2.1.0' } });
+      expect(response.status).toBe(200);
+
+      const check = await checkForUpdate('2.0.0');
+      expect(check.body.data).toMatchObject({ updateAvailable: true, mandatory: true, supported: false });
+    });
+
+    it('moves installs off a withdrawn release', async () => {
+      await publish('2.0.0');
+      const withdrawn = await publish('2.1.0');
+      expect((await api.delete(`/api/releases/${withdrawn.id}`, { token: admin.token })).status).toBe(200);
+
+      const check = await checkForUpdate('2.1.0');
+      expect(check.body.data).toEqual({ updateAvailable: false, supported: false });
+    });
+  });
+
+  describe('announcements', () => {
+    let notifyEveryone;
+    beforeEach(() => {
+      notifyEveryone = jest.spyOn(notificationService, 'notifyEveryone').mockResolvedValue(0);
+    });
+    afterEach(() => {
+      notifyEveryone.mockRestore();
+    });
+
+    const announced = () => notifyEveryone.mock.calls.map(([, { release }]) => release.version);
+
+    it('announces stable releases that reach everyone', async () => {
+      await publish('2.1.0');
+      await publish('2.2.0-beta.1', { channel: 'beta' });
+      expect(announced()).toEqual(['2.1.0']);
+      expect(notifyEveryone).toHaveBeenCalledWith('updates', expect.objectContaining({ template: 'product-update' }));
+    });
+
+    it('announces staged rollouts once they reach 100%', async () => {
+      const staged = await publish('2.2.0', { rolloutPercentage: 10 });
+      const setRollout = (percentage) => api.put(`/api/releases/${staged.id}/rollout`, { token: admin.token, body: { percentage } });
+
+      await setRollout(50);
+      await api.post(`/api/releases/${staged.id}/rollout/pause`, { token: admin.token });
+      await setRollout(100);
+      expect(announced()).toEqual([]);
+
+      await api.post(`/api/releases/${staged.id}/rollout/resume`, { token: admin.token });
+      await setRollout(50);
+      await setRollout(100);
+      expect(announced()).toEqual(['2.2.0']);
+    });
+
+    it('announces other releases on request, once', async () => {
+      const beta = await publish('2.2.0-beta.1', { channel: 'beta' });
+      const announce = () => api.post(`/api/releases/${beta.id}/announce`, { token: admin.token });
+
+      const response = await announce();
+      expect(response.status).toBe(200);
+      expect(response.body.data.release.announcedAt).toEqual(expect.any(String));
+      expect((await announce()).status).toBe(409);
+      expect(announced()).toEqual(['2.2.0-beta.1']);
+    });
+  });
+
+  describe('downloads', () => {
+    it('hands out a signed link to users whose plan includes the edition', async () => {
+      const release = await publish('2.1.0');
+      const user = await createSignedInUser({ subscription: activePlan('professional') });
+
+      const link = await api.post(`/api/releases/${release.id}/artifacts/windows/download`, { token: user.token });
+      expect(link.status).toBe(200);
+
+      const file = await fetch(link.body.data.url);
+      expect(file.status).toBe(200);
+      expect(file.headers.get('x-checksum-sha256')).toBe(release.artifacts[0].sha256);
+      expect(Buffer.from(await file.arrayBuffer())).toEqual(INSTALLER);
+
+      const stats = await api.get('/api/releases/stats', { token: admin.token });
+      expect(stats.body.data.stats.stable.releases[0]).toMatchObject({ version: '2.1.0', downloads: { windows: 1 }, total: 1 });
+    });
+
+    it('includes the link in update checks', async () => {
+      await publish('2.1.0');
+      const user = await createSignedInUser({ subscription: activePlan('professional') });
+
+      const check = await checkForUpdate('2.0.0', { token: user.token });
+      expect(check.body.data.download.url).toContain('/api/releases/files/stable_2.1.0/windows?');
+    });
+
+    it('only builds links on a configured address outside development', async () => {
+      const release = await publish('2.1.0');
+      const user = await createSignedInUser({ subscription: activePlan('professional') });
+      const link = () => api.post(`/api/releases/${release.id}/artifacts/windows/download`, { token: user.token });
+
+      process.env.NODE_ENV = 'production';
+      try {
+        expect((await link()).status).toBe(503);
+        expect((await checkForUpdate('2.0.0', { token: user.token })).body.data).not.toHaveProperty('download');
+
+        process.env.API_URL = 'https://api.example.com/';
+        expect((await link()).body.data.url).toMatch(/^https:\/\/api\.example\.com\/api\/releases\/files\//);
+      } finally {
+        process.env.NODE_ENV = 'test';
+        delete process.env.API_URL;
+      }
+    });
+
+    it('refuses editions the plan does not include', async () => {
+      const release = await publish('2.1.0');
+      const user = await createSignedInUser({ subscription: activePlan('lite') });
+
+      const response = await api.post(`/api/releases/${release.id}/artifacts/windows/download`, { token: user.token });
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('DOWNLOAD_NOT_AVAILABLE');
+    });
+
+    it('rejects tampered links', async () => {
+      const release = await publish('2.1.0');
+      const user = await createSignedInUser({ subscription: activePlan('professional') });
+      const { url } = (await api.post(`/api/releases/${release.id}/artifacts/windows/download`, { token: user.token })).body.data;
+
+      const tampered = new URL(url);
+      tampered.searchParams.set('uid', admin.uid);
+      expect((await fetch(tampered)).status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { useApp, api, createSignedInUser, recordSession } = require('./helpers');
+
+describe('roles', () => {
+  useApp();
+
+  let admin;
+  beforeEach(async () => {
+    admin = await createSignedInUser({ role: 'admin' });
+  });
+
+  const createRole = (user, body) => api.post('/api/admin/roles', { token: user.token, body });
+
+  const setRole = (user, target, role) =>
+    api.put(`/api/user/admin/users/${target.uid}/role`, { token: user.token, body: { role } });
+
+  describe('registry', () => {
+    it('lists permissions and the built-in roles', async () => {
+      const permissions = await api.get('/api/admin/roles/permissions', { token: admin.token });
+      expect(permissions.body.data.permissions).toContainEqual({ id: 'streams:watch', description: 'Watch live gaze streams' });
+
+      const roles = await api.get('/api/admin/roles', { token: admin.token });
+      expect(roles.body.data.roles.map(role => role.id)).toEqual(['admin', 'premium', 'support', 'user']);
+      expect(roles.body.data.roles.every(role => role.builtIn)).toBe(true);
+    });
+
+    it('needs users:read', async () => {
+      const user = await createSignedInUser();
+      expect((await api.get('/api/admin/roles', { token: user.token })).status).toBe(403);
+
+      const support = await createSignedInUser({ role: 'support' });
+      expect((await api.get('/api/admin/roles', { token: support.token })).status).toBe(200);
+      expect((await createRole(support, { id: 'viewer', name: 'Viewer', permissions: [] })).status).toBe(403);
+    });
+  });
+
+  describe('custom roles', () => {
+    it('creates, updates and deletes a role', async () => {
+      const created = await createRole(admin, { id: 'reviewer', name: 'Reviewer', permissions: ['sessions:read', 'sessions:read'] });
+      expect(created.status).toBe(201);
+      expect(created.body.data.role).toMatchObject({ id: 'reviewer', permissions: ['sessions:read'], builtIn: false });
+      expect((await createRole(admin, { id: 'reviewer', name: 'Again', permissions: [] })).status).toBe(409);
+
+      const updated = await api.put('/api/admin/roles/reviewer', { token: admin.token, body: { permissions: ['studies:read'] } });
+      expect(updated.body.data.role.permissions).toEqual(['studies:read']);
+
+      expect((await api.delete('/api/admin/roles/reviewer', { token: admin.token })).status).toBe(200);
+      expect((await api.get('/api/admin/roles/reviewer', { token: admin.token })).status).toBe(404);
+    });
+
+    it.each([
+      ['an invalid id', { id: 'Reviewer', name: 'Reviewer', permissions: [] }],
+      ['a missing name', { id: 'reviewer', permissions: [] }],
+      ['an unknown permission', { id: 'reviewer', name: 'Reviewer', permissions: ['sessions:fly'] }],
+      ['the wildcard', { id: 'reviewer', name: 'Reviewer', permissions: ['*'] }]
+    ])('rejects %s', async (description, body) => {
+      expect((await createRole(admin, body)).status).toBe(400);
+    });
+
+    it('only grants permissions the caller holds', async () => {
+      await createRole(admin, { id: 'role-manager', name: 'Role manager', permissions: ['roles:manage', 'users:read'] });
+      const manager = await createSignedInUser({ role: 'role-manager' });
+
+      const escalated = await createRole(manager, { id: 'reviewer', name: 'Reviewer', permissions: ['sessions:manage'] });
+      expect(escalated.status).toBe(403);
+      expect(escalated.body.message).toBe('Cannot grant permissions you do not have: sessions:manage');
+      expect((await createRole(manager, { id: 'reader', name: 'Reader', permissions: ['users:read'] })).status).toBe(201);
+    });
+
+    it('protects the admin role and roles in use', async () => {
+      expect((await api.put('/api/admin/roles/admin', { token: admin.token, body: { permissions: [] } })).status).toBe(409);
+      expect((await api.put('/api/admin/roles/admin', { token: admin.token, body: { name: 'Root' } })).status).toBe(200);
+      expect((await api.delete('/api/admin/roles/support', { token: admin.token })).status).toBe(409);
+
+      await createRole(admin, { id: 'reviewer', name: 'Reviewer', permissions: ['sessions:read'] });
+      await createSignedInUser({ role: 'reviewer' });
+      const inUse = await api.delete('/api/admin/roles/reviewer', { token: admin.token });
+      expect(inUse.status).toBe(409);
+      expect(inUse.body.message).toBe('Role is assigned to 1 user(s)');
+    });
+  });
+
+  describe('assignment', () => {
+    it("changes a user's role", async () => {
+      const user = await createSignedInUser();
+
+      const response = await setRole(admin, user, 'support');
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.role).toBe('support');
+      expect((await api.get('/api/admin/roles', { token: user.token })).status).toBe(200);
+
+      expect((await setRole(admin, user, 'wizard')).status).toBe(400);
+      expect((await setRole(admin, { uid: 'missing' }, 'user')).status).toBe(404);
+      expect((await setRole(user, admin, 'user')).status).toBe(403);
+    });
+
+    it("only assigns roles within the caller's permissions", async () => {
+      await createRole(admin, { id: 'user-manager', name: 'User manager', permissions: ['users:manage', 'users:read'] });
+      const manager = await createSignedInUser({ role: 'user-manager' });
+      const user = await createSignedInUser();
+
+      expect((await setRole(manager, user, 'admin')).status).toBe(403);
+      expect((await setRole(manager, user, 'support')).status).toBe(403);
+    });
+
+    it("only changes the roles of users within the caller's permissions", async () => {
+      await createRole(admin, { id: 'user-manager', name: 'User manager', permissions: ['users:manage', 'users:read'] });
+      await createRole(admin, { id: 'viewer', name: 'Viewer', permissions: ['users:read'] });
+      const manager = await createSignedInUser({ role: 'user-manager' });
+
+      const demoted = await setRole(manager, admin, 'viewer');
+      expect(demoted.status).toBe(403);
+      expect(demoted.body.message).toBe('Cannot change the role of a user with permissions you do not have');
+      expect((await api.get('/api/admin/roles', { token: admin.token })).status).toBe(200);
+
+      const peer = await createSignedInUser({ role: 'user-manager' });
+      expect((await setRole(manager, peer, 'viewer')).status).toBe(200);
+    });
+  });
+
+  describe('permissions', () => {
+    it("lets support read but not change other users' data", async () => {
+      const owner = await createSignedInUser();
+      const session = await recordSession(owner.token);
+      const support = await createSignedInUser({ role: 'support' });
+
+      expect((await api.get(`/api/sessions/${session.id}`, { token: support.token })).status).toBe(200);
+      expect((await api.get(`/api/sessions/${session.id}/heatmap`, { token: support.token })).status).toBe(200);
+      expect((await api.post(`/api/sessions/${session.id}/analyze`, { token: support.token, body: {} })).status).toBe(403);
+      expect((await api.delete(`/api/sessions/${session.id}`, { token: support.token })).status).toBe(403);
+      expect((await api.get('/api/user/admin/users', { token: support.token })).status).toBe(200);
+    });
+
+    it('applies permission changes to existing users', async () => {
+      await createRole(admin, { id: 'analyst', name: 'Analyst', permissions: [] });
+      const analyst = await createSignedInUser({ role: 'analyst' });
+      expect((await api.get('/api/calibrations/admin/quality', { token: analyst.token })).status).toBe(403);
+
+      await api.put('/api/admin/roles/analyst', { token: admin.token, body: { permissions: ['calibrations:read'] } });
+      expect((await api.get('/api/calibrations/admin/quality', { token: analyst.token })).status).toBe(200);
+    });
+  });
+});
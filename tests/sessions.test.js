@@ -0,0 +1,171 @@
+const { useApp, api, createSignedInUser, gazeSamples, SESSION_INPUT, recordSession } = require('./helpers');
+
+describe('sessions', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  const createSession = async (input = {}) => {
+    const response = await api.post('/api/sessions', { token: user.token, body: { ...SESSION_INPUT, ...input } });
+    expect(response.status).toBe(201);
+    return response.body.data.session;
+  };
+
+  const uploadChunk = (session, sequence, samples, key = `key-${sequence}`) =>
+    api.post(`/api/sessions/${session.id}/chunks`, {
+      token: user.token,
+      headers: { 'Idempotency-Key': key },
+      body: { sequence, samples }
+    });
+
+  describe('creation', () => {
+    it.each([
+      ['an unknown client app', { client: { app: 'mobile' } }],
+      ['a missing screen size', { screen: { width: 1920 } }],
+      ['a negative screen size', { screen: { width: -1, height: 1080 } }],
+      ['a screen that is too large', { screen: { width: 1920, height: 100000 } }],
+      ['a device that is not an object', { device: 'webcam' }],
+      ['a zero sample rate', { sampleRate: 0 }],
+      ['an empty stimulus id', { stimulus: '' }],
+      ['a stimulus that is a list', { stimulus: ['a'] }],
+      ['a stimulus url that is not a string', { stimulus: { url: 42 } }],
+      ['an oversized stimulus', { stimulus: { id: 'page', notes: 'x'.repeat(5000) } }],
+      ['metadata that is not an object', { metadata: 'notes' }],
+      ['oversized metadata', { metadata: { notes: 'x'.repeat(17 * 1024) } }]
+    ])('rejects %s', async (description, input) => {
+      const response = await api.post('/api/sessions', { token: user.token, body: { ...SESSION_INPUT, ...input } });
+      expect(response.status).toBe(400);
+    });
+
+    it('starts recording and hides chunk bookkeeping', async () => {
+      const session = await createSession();
+      expect(session).toMatchObject({ status: 'recording', uid: user.uid, chunkCount: 0, sampleCount: 0 });
+      expect(session).not.toHaveProperty('sequences');
+    });
+
+    it('requires authentication', async () => {
+      expect((await api.post('/api/sessions', { body: SESSION_INPUT })).status).toBe(401);
+    });
+  });
+
+  describe('chunk uploads', () => {
+    const samples = gazeSamples().slice(0, 10);
+
+    it('requires an Idempotency-Key header', async () => {
+      const session = await createSession();
+      const response = await api.post(`/api/sessions/${session.id}/chunks`, {
+        token: user.token,
+        body: { sequence: 0, samples }
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('stores a retried chunk once', async () => {
+      const session = await createSession();
+
+      const first = await uploadChunk(session, 0, samples);
+      expect(first.status).toBe(201);
+
+      const retry = await uploadChunk(session, 0, samples);
+      expect(retry.status).toBe(200);
+      expect(retry.headers.get('idempotent-replayed')).toBe('true');
+      expect(retry.body.data.chunk).toEqual(first.body.data.chunk);
+
+      const stored = await api.get(`/api/sessions/${session.id}`, { token: user.token });
+      expect(stored.body.data.session.chunkCount).toBe(1);
+      expect(stored.body.data.session.sampleCount).toBe(samples.length);
+    });
+
+    it('rejects a different chunk with a used sequence number', async () => {
+      const session = await createSession();
+      await uploadChunk(session, 0, samples);
+
+      const response = await uploadChunk(session, 0, samples, 'another-key');
+      expect(response.status).toBe(409);
+    });
+
+    it('rejects a reused key with a different payload', async () => {
+      const session = await createSession();
+      await uploadChunk(session, 0, samples);
+
+      const response = await uploadChunk(session, 0, samples.slice(1));
+      expect(response.status).toBe(409);
+    });
+
+    it('validates samples', async () => {
+      const session = await createSession();
+
+      expect((await uploadChunk(session, 0, [])).status).toBe(400);
+      expect((await uploadChunk(session, 0, [{ timestamp: 'soon' }])).status).toBe(400);
+      expect((await uploadChunk(session, 0, [{ timestamp: 1, validity: true }])).status).toBe(400);
+      expect((await uploadChunk(session, 0, [{ timestamp: 1, x: 1, y: 1, confidence: 2 }])).status).toBe(400);
+      expect((await uploadChunk(session, -1, samples)).status).toBe(400);
+    });
+  });
+
+  describe('finalizing', () => {
+    it('reports chunks that are missing', async () => {
+      const session = await createSession();
+      await uploadChunk(session, 0, gazeSamples().slice(0, 10));
+      await uploadChunk(session, 2, gazeSamples().slice(20, 30));
+
+      const response = await api.post(`/api/sessions/${session.id}/finalize`, { token: user.token, body: { chunkCount: 3 } });
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('CHUNKS_MISSING');
+      expect(response.body.missing).toEqual([1]);
+    });
+
+    it('rejects chunk counts past the session limit', async () => {
+      const session = await createSession();
+
+      const response = await api.post(`/api/sessions/${session.id}/finalize`, { token: user.token, body: { chunkCount: 1e9 } });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('chunkCount must be an integer from 0 to 10000');
+      expect((await uploadChunk(session, 10000, gazeSamples().slice(0, 10))).status).toBe(400);
+    });
+
+    it('computes statistics and stops accepting samples', async () => {
+      const samples = gazeSamples();
+      const session = await recordSession(user.token, { samples });
+
+      expect(session.status).toBe('completed');
+      expect(session.stats.sampleCount).toBe(samples.length);
+      expect(session.stats.validSamples).toBe(samples.filter(sample => sample.validity).length);
+
+      const late = await uploadChunk(session, 99, samples.slice(0, 5));
+      expect(late.status).toBe(409);
+
+      const again = await api.post(`/api/sessions/${session.id}/finalize`, { token: user.token, body: {} });
+      expect(again.status).toBe(200);
+      expect(again.body.message).toBe('Session already finalized');
+    });
+  });
+
+  describe('access', () => {
+    it('keeps sessions to their owner', async () => {
+      const session = await createSession();
+      const other = await createSignedInUser();
+
+      expect((await api.get(`/api/sessions/${session.id}`, { token: other.token })).status).toBe(403);
+      expect((await api.get('/api/sessions', { token: other.token })).body.data.sessions).toEqual([]);
+      expect((await api.get('/api/sessions', { token: user.token })).body.data.sessions).toHaveLength(1);
+    });
+
+    it('lets admins see any session', async () => {
+      const session = await createSession();
+      const admin = await createSignedInUser({ role: 'admin' });
+
+      expect((await api.get(`/api/sessions/${session.id}`, { token: admin.token })).status).toBe(200);
+    });
+
+    it('deletes a session with its samples', async () => {
+      const session = await recordSession(user.token);
+
+      expect((await api.delete(`/api/sessions/${session.id}`, { token: user.token })).status).toBe(200);
+      expect((await api.get(`/api/sessions/${session.id}`, { token: user.token })).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Run the API offline: in-memory data store and mail kept in memory
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.EMAIL_TRANSPORT = 'memory';
+
+// Keep rate limit counters in the data store, which is emptied before each
+// test
+process.env.RATE_LIMIT_STORE = 'firestore';
+
+// Sign license keys, download and unsubscribe links with keys made for this
+// run
+process.env.LICENSE_SIGNING_KEY = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+process.env.RELEASE_DOWNLOAD_SECRET = crypto.randomBytes(32).toString('hex');
+process.env.UNSUBSCRIBE_SECRET = crypto.randomBytes(32).toString('hex');
+
+// Keep startup banners and the errors routes log out of the test output
+['log', 'info', 'warn', 'error'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
@@ -0,0 +1,231 @@
+const WebSocket = require('ws');
+const { useApp, api, apiUrl, createSignedInUser, SESSION_INPUT, gazeSamples, recordSession } = require('./helpers');
+const gazeStream = require('../services/gazeStream');
+
+// A stream client that queues what the server sends
+const connect = (token) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(apiUrl('/api/stream', 'ws'), token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+  const queue = [];
+  const waiting = [];
+
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    const index = waiting.findIndex(waiter => waiter.type === message.type);
+    if (index >= 0) {
+      waiting.splice(index, 1)[0].resolve(message);
+    } else {
+      queue.push(message);
+    }
+  });
+  socket.on('error', reject);
+  socket.on('open', () => resolve({
+    send: (message) => socket.send(JSON.stringify(message)),
+
+    // The next message of a type
+    next: (type) => {
+      const index = queue.findIndex(message => message.type === type);
+      if (index >= 0) {
+        return Promise.resolve(queue.splice(index, 1)[0]);
+      }
+      return new Promise(resolveMessage => waiting.push({ type, resolve: resolveMessage }));
+    },
+
+    closed: () => new Promise(resolveClose => {
+      if (socket.readyState === WebSocket.CLOSED) {
+        resolveClose({ code: null });
+      }
+      socket.on('close', (code, reason) => resolveClose({ code, reason: reason.toString() }));
+    }),
+
+    close: () => socket.close()
+  }));
+});
+
+describe('gaze stream', () => {
+  useApp({ stream: true });
+
+  const sockets = [];
+  const open = async (token) => {
+    const socket = await connect(token);
+    sockets.push(socket);
+    return socket;
+  };
+
+  afterEach(() => {
+    sockets.splice(0).forEach(socket => socket.close());
+  });
+
+  let user;
+  let admin;
+  let session;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+    admin = await createSignedInUser({ role: 'admin' });
+    session = (await api.post('/api/sessions', { token: user.token, body: SESSION_INPUT })).body.data.session;
+  });
+
+  describe('authentication', () => {
+    it('accepts a token in the upgrade request', async () => {
+      const socket = await open(user.token);
+      expect(await socket.next('ready')).toMatchObject({ uid: user.uid });
+    });
+
+    it('accepts a token in an auth message', async () => {
+      const socket = await open();
+      socket.send({ type: 'subscribe', sessionId: session.id });
+      expect((await socket.next('error')).message).toBe('Authentication required');
+
+      socket.send({ type: 'auth', token: admin.token });
+      expect(await socket.next('ready')).toMatchObject({ uid: admin.uid, role: 'admin' });
+    });
+
+    it('accepts API keys within their scopes', async () => {
+      const created = await api.post('/api/api-keys', { token: user.token, body: { name: 'Tracker', scopes: ['sessions:read'] } });
+      const socket = await open(created.body.data.key);
+      expect(await socket.next('ready')).toMatchObject({ uid: user.uid });
+
+      socket.send({ type: 'publish', sessionId: session.id, samples: gazeSamples().slice(0, 5) });
+      expect((await socket.next('error')).message).toBe('API key is missing the sessions:write scope');
+    });
+
+    it('closes the socket on an invalid token', async () => {
+      const socket = await open();
+      socket.send({ type: 'auth', token: 'not-a-token' });
+      expect(await socket.closed()).toMatchObject({ code: 4401, reason: 'Invalid token' });
+    });
+
+    it("takes a fresh token for the same user but not another user's", async () => {
+      const socket = await open(user.token);
+      await socket.next('ready');
+
+      socket.send({ type: 'auth', token: user.token });
+      expect(await socket.next('ready')).toMatchObject({ uid: user.uid });
+
+      socket.send({ type: 'auth', token: admin.token });
+      expect((await socket.next('error')).message).toBe('Token belongs to a different user');
+    });
+
+    it('closes sockets whose API key has been revoked', async () => {
+      const created = await api.post('/api/api-keys', { token: user.token, body: { name: 'Tracker', scopes: ['sessions:read'] } });
+      const socket = await open(created.body.data.key);
+      await socket.next('ready');
+
+      await api.delete(`/api/api-keys/${created.body.data.apiKey.id}`, { token: user.token });
+      await gazeStream.revalidate();
+      expect((await socket.closed()).code).toBe(4401);
+    });
+
+    it('turns away roles that still need to enroll in two-factor authentication', async () => {
+      await api.post('/api/admin/roles', {
+        token: admin.token,
+        body: { id: 'auditor', name: 'Auditor', permissions: ['sessions:read'], requireTwoFactor: true }
+      });
+      const auditor = await createSignedInUser({ role: 'auditor' });
+
+      const socket = await open(auditor.token);
+      expect(await socket.closed()).toMatchObject({ code: 4403, reason: 'Two-factor authentication must be enabled' });
+    });
+
+    it('drops messages over the per-socket budget', async () => {
+      const socket = await open(admin.token);
+      await socket.next('ready');
+
+      for (let i = 0; i < 60; i++) {
+        socket.send({ type: 'list' });
+      }
+      expect((await socket.next('error')).message).toBe('Rate limit exceeded; messages are being dropped');
+    });
+  });
+
+  describe('relaying samples', () => {
+    it('sends published samples to admins watching the session', async () => {
+      const watcher = await open(admin.token);
+      await watcher.next('ready');
+      watcher.send({ type: 'subscribe', sessionId: session.id });
+      expect(await watcher.next('status')).toMatchObject({ sessionId: session.id, live: false, screen: SESSION_INPUT.screen });
+
+      const publisher = await open(user.token);
+      await publisher.next('ready');
+      const samples = gazeSamples().slice(0, 5);
+      publisher.send({ type: 'publish', sessionId: session.id, samples });
+
+      const relayed = await watcher.next('samples');
+      expect(relayed.sessionId).toBe(session.id);
+      expect(relayed.samples.map(sample => sample.timestamp)).toEqual(samples.map(sample => sample.timestamp));
+
+      watcher.send({ type: 'list' });
+      expect((await watcher.next('sessions')).sessions).toEqual([
+        expect.objectContaining({ sessionId: session.id, uid: user.uid, live: true })
+      ]);
+    });
+
+    it('validates published samples', async () => {
+      const publisher = await open(user.token);
+      await publisher.next('ready');
+      publisher.send({ type: 'publish', sessionId: session.id, samples: [{ timestamp: 'soon' }] });
+      expect((await publisher.next('error')).message).toMatch(/timestamp/);
+    });
+
+    it("doesn't take samples for other users' sessions", async () => {
+      const other = await createSignedInUser();
+      const publisher = await open(other.token);
+      await publisher.next('ready');
+
+      publisher.send({ type: 'publish', sessionId: session.id, samples: gazeSamples().slice(0, 5) });
+      expect(await publisher.next('error')).toMatchObject({ sessionId: session.id, message: 'Session not found' });
+    });
+
+    it("doesn't take samples for finalized sessions", async () => {
+      const finalized = await recordSession(user.token);
+      const publisher = await open(user.token);
+      await publisher.next('ready');
+
+      publisher.send({ type: 'publish', sessionId: finalized.id, samples: gazeSamples().slice(0, 5) });
+      expect((await publisher.next('error')).message).toBe('Session is not recording');
+    });
+  });
+
+  describe('watching', () => {
+    it('is limited to admins', async () => {
+      const socket = await open(user.token);
+      await socket.next('ready');
+
+      socket.send({ type: 'subscribe', sessionId: session.id });
+      expect((await socket.next('error')).message).toBe('Insufficient permissions');
+      socket.send({ type: 'list' });
+      expect((await socket.next('error')).message).toBe('Insufficient permissions');
+    });
+
+    it('is limited to sessions the watcher may view', async () => {
+      await api.post('/api/admin/roles', {
+        token: admin.token,
+        body: { id: 'watcher', name: 'Watcher', permissions: ['streams:watch', 'sessions:create'] }
+      });
+      const watcher = await createSignedInUser({ role: 'watcher' });
+      const own = (await api.post('/api/sessions', { token: watcher.token, body: SESSION_INPUT })).body.data.session;
+
+      const publisher = await open(user.token);
+      await publisher.next('ready');
+      publisher.send({ type: 'publish', sessionId: session.id, samples: gazeSamples().slice(0, 5) });
+
+      const socket = await open(watcher.token);
+      await socket.next('ready');
+      socket.send({ type: 'subscribe', sessionId: session.id });
+      expect(await socket.next('error')).toMatchObject({ sessionId: session.id, message: 'Insufficient permissions' });
+
+      socket.send({ type: 'list' });
+      expect((await socket.next('sessions')).sessions).toEqual([]);
+
+      socket.send({ type: 'subscribe', sessionId: own.id });
+      expect(await socket.next('status')).toMatchObject({ sessionId: own.id });
+    });
+
+    it('reports unknown sessions', async () => {
+      const socket = await open(admin.token);
+      await socket.next('ready');
+
+      socket.send({ type: 'subscribe', sessionId: 'missing' });
+      expect((await socket.next('error')).message).toBe('Session not found');
+    });
+  });
+});
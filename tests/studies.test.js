@@ -0,0 +1,202 @@
+const { useApp, api, createSignedInUser, recordSession } = require('./helpers');
+
+const STUDY_INPUT = {
+  title: 'Landing page attention',
+  description: 'Where do visitors look first?',
+  consentText: 'I agree to have my gaze recorded.'
+};
+
+describe('studies', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  const createStudy = async (input = {}) => {
+    const response = await api.post('/api/studies', { token: user.token, body: { ...STUDY_INPUT, ...input } });
+    expect(response.status).toBe(201);
+    return response.body.data.study;
+  };
+
+  // An active study with one participant who consented to the current form
+  const activeStudy = async () => {
+    const study = await createStudy();
+    await api.put(`/api/studies/${study.id}`, { token: user.token, body: { status: 'active' } });
+    await api.post(`/api/studies/${study.id}/participants`, { token: user.token, body: { code: 'P-001' } });
+    await api.post(`/api/studies/${study.id}/participants/P-001/consent`, { token: user.token, body: { version: 1 } });
+    return study;
+  };
+
+  describe('setup', () => {
+    it('creates a draft study with version 1 of the consent form', async () => {
+      const study = await createStudy();
+      expect(study).toMatchObject({ status: 'draft', consentVersion: 1, participantCount: 0, ownerUid: user.uid });
+      expect(study).not.toHaveProperty('consentForms');
+
+      const forms = await api.get(`/api/studies/${study.id}/consent-forms`, { token: user.token });
+      expect(forms.body.data).toMatchObject({ currentVersion: 1, consentForms: [{ version: 1, text: STUDY_INPUT.consentText }] });
+    });
+
+    it.each([
+      ['a missing title', { title: '' }],
+      ['missing consent text', { consentText: undefined }],
+      ['an unknown status', { status: 'paused' }]
+    ])('rejects %s', async (description, input) => {
+      const response = await api.post('/api/studies', { token: user.token, body: { ...STUDY_INPUT, ...input } });
+      expect(response.status).toBe(400);
+    });
+
+    it('keeps studies to their owner', async () => {
+      const study = await createStudy();
+      const other = await createSignedInUser();
+      const admin = await createSignedInUser({ role: 'admin' });
+
+      expect((await api.get(`/api/studies/${study.id}`, { token: other.token })).status).toBe(403);
+      expect((await api.get('/api/studies', { token: other.token })).body.data.studies).toEqual([]);
+      expect((await api.get(`/api/studies/${study.id}`, { token: admin.token })).status).toBe(200);
+      expect((await api.get('/api/studies?all=true', { token: admin.token })).body.data.studies).toHaveLength(1);
+    });
+  });
+
+  describe('participants', () => {
+    it('enrolls chosen and generated codes', async () => {
+      const study = await createStudy();
+
+      const chosen = await api.post(`/api/studies/${study.id}/participants`, { token: user.token, body: { code: 'P-001' } });
+      expect(chosen.status).toBe(201);
+      const taken = await api.post(`/api/studies/${study.id}/participants`, { token: user.token, body: { code: 'P-001' } });
+      expect(taken.status).toBe(409);
+
+      const generated = await api.post(`/api/studies/${study.id}/participants`, { token: user.token, body: { count: 3 } });
+      expect(generated.body.data.participants.map(participant => participant.code))
+        .toEqual(Array(3).fill(expect.stringMatching(/^P[A-HJ-NP-Z2-9]{8}$/)));
+
+      expect((await api.get(`/api/studies/${study.id}`, { token: user.token })).body.data.study.participantCount).toBe(4);
+      expect((await api.post(`/api/studies/${study.id}/participants`, { token: user.token, body: { code: 'P 1' } })).status).toBe(400);
+    });
+
+    it('asks for consent again when the consent form changes', async () => {
+      const study = await activeStudy();
+      const participants = async () => (await api.get(`/api/studies/${study.id}/participants`, { token: user.token })).body.data.participants;
+      expect((await participants())[0]).toMatchObject({ code: 'P-001', hasCurrentConsent: true });
+
+      const published = await api.post(`/api/studies/${study.id}/consent-forms`, { token: user.token, body: { consentText: 'Now with eye images.' } });
+      expect(published.status).toBe(201);
+      expect(published.body.data.study.consentVersion).toBe(2);
+      expect((await participants())[0].hasCurrentConsent).toBe(false);
+
+      const outdated = await api.post(`/api/studies/${study.id}/participants/P-001/consent`, { token: user.token, body: { version: 1 } });
+      expect(outdated.status).toBe(409);
+
+      await api.post(`/api/studies/${study.id}/participants/P-001/consent`, { token: user.token, body: { version: 2 } });
+      await api.delete(`/api/studies/${study.id}/participants/P-001/consent`, { token: user.token });
+      const [participant] = await participants();
+      expect(participant.consent).toBeNull();
+      expect(participant.consentHistory.map(entry => [entry.version, entry.action]))
+        .toEqual([[1, 'granted'], [2, 'granted'], [2, 'withdrawn']]);
+    });
+
+    it("doesn't enroll participants in closed studies", async () => {
+      const study = await createStudy();
+      await api.put(`/api/studies/${study.id}`, { token: user.token, body: { status: 'closed' } });
+
+      const response = await api.post(`/api/studies/${study.id}/participants`, { token: user.token, body: { count: 1 } });
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('sessions', () => {
+    it('records sessions for consenting participants', async () => {
+      const study = await activeStudy();
+
+      const session = await recordSession(user.token, { studyId: study.id, participantCode: 'P-001' });
+      expect(session).toMatchObject({ studyId: study.id, participantCode: 'P-001', consentVersion: 1 });
+
+      const sessions = await api.get(`/api/studies/${study.id}/sessions?participant=P-001`, { token: user.token });
+      expect(sessions.body.data.sessions.map(({ id }) => id)).toEqual([session.id]);
+    });
+
+    it('exports study sessions to BIDS under the participant code', async () => {
+      const study = await activeStudy();
+      const session = await recordSession(user.token, { studyId: study.id, participantCode: 'P-001' });
+
+      const response = await api.get(`/api/sessions/${session.id}/export?format=bids`, { token: user.token });
+      expect(response.status).toBe(200);
+      const archive = response.body.toString('latin1');
+      expect(archive).toContain('sub-P001/');
+      expect(archive).not.toContain(user.uid.replace(/[^a-zA-Z0-9]/g, ''));
+    });
+
+    it('checks the study and the participant', async () => {
+      const study = await activeStudy();
+      const create = (link) => api.post('/api/sessions', {
+        token: user.token,
+        body: { client: { app: 'professional' }, screen: { width: 1920, height: 1080 }, ...link }
+      });
+
+      expect((await create({ studyId: study.id })).status).toBe(400);
+      expect((await create({ studyId: 'missing', participantCode: 'P-001' })).status).toBe(404);
+      expect((await create({ studyId: study.id, participantCode: 'P-999' })).status).toBe(404);
+
+      await api.delete(`/api/studies/${study.id}/participants/P-001/consent`, { token: user.token });
+      expect((await create({ studyId: study.id, participantCode: 'P-001' })).status).toBe(409);
+
+      await api.put(`/api/studies/${study.id}`, { token: user.token, body: { status: 'closed' } });
+      expect((await create({ studyId: study.id, participantCode: 'P-001' })).status).toBe(409);
+
+      const other = await createSignedInUser();
+      const foreign = await api.post('/api/sessions', {
+        token: other.token,
+        body: { client: { app: 'professional' }, screen: { width: 1920, height: 1080 }, studyId: study.id, participantCode: 'P-001' }
+      });
+      expect(foreign.status).toBe(404);
+    });
+
+    it("can't delete a study with recorded sessions", async () => {
+      const study = await activeStudy();
+      await recordSession(user.token, { studyId: study.id, participantCode: 'P-001' });
+
+      expect((await api.delete(`/api/studies/${study.id}`, { token: user.token })).status).toBe(409);
+
+      const empty = await createStudy();
+      expect((await api.delete(`/api/studies/${empty.id}`, { token: user.token })).status).toBe(200);
+      expect((await api.get(`/api/studies/${empty.id}`, { token: user.token })).status).toBe(404);
+    });
+  });
+
+  describe('export', () => {
+    it('exports sessions and participants as CSV', async () => {
+      const study = await activeStudy();
+      const session = await recordSession(user.token, { studyId: study.id, participantCode: 'P-001' });
+
+      const sessions = await api.get(`/api/studies/${study.id}/export`, { token: user.token });
+      expect(sessions.status).toBe(200);
+      const [header, row] = sessions.body.trim().split('\n');
+      expect(header).toBe('sessionId,participantCode,consentVersion,status,startedAt,endedAt,sampleCount,validRatio,durationMs');
+      expect(row.startsWith(`${session.id},P-001,1,completed,`)).toBe(true);
+
+      const participants = await api.get(`/api/studies/${study.id}/export?table=participants`, { token: user.token });
+      expect(participants.body.trim().split('\n')[1]).toMatch(/^P-001,\S+,1,\S+$/);
+    });
+
+    it('exports the study and its sessions as NDJSON', async () => {
+      const study = await activeStudy();
+      await recordSession(user.token, { studyId: study.id, participantCode: 'P-001' });
+
+      const response = await api.get(`/api/studies/${study.id}/export?format=ndjson`, { token: user.token });
+      const records = response.body.trim().split('\n').map(line => JSON.parse(line));
+      expect(records[0]).toMatchObject({ record: 'study', id: study.id });
+      expect(records[0]).not.toHaveProperty('consentForms');
+      expect(records.filter(record => record.record === 'session')).toHaveLength(1);
+    });
+
+    it('rejects unknown formats and tables', async () => {
+      const study = await createStudy();
+
+      expect((await api.get(`/api/studies/${study.id}/export?format=bids`, { token: user.token })).status).toBe(400);
+      expect((await api.get(`/api/studies/${study.id}/export?table=events`, { token: user.token })).status).toBe(400);
+    });
+  });
+});
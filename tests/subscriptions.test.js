@@ -0,0 +1,109 @@
+const { useApp, api, createSignedInUser, emailsTo } = require('./helpers');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+const subscriptionService = require('../services/subscriptionService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('subscriptions', () => {
+  useApp();
+
+  let admin;
+  let user;
+  beforeEach(async () => {
+    admin = await createSignedInUser({ role: 'admin' });
+    user = await createSignedInUser();
+  });
+
+  const currentPlan = async () => (await api.get('/api/subscriptions', { token: user.token })).body.data.subscription;
+
+  const grant = (body) => api.put(`/api/subscriptions/users/${user.uid}`, { token: admin.token, body });
+
+  // Store a subscription directly, e.g. one that has already ended
+  const setSubscription = (subscription) =>
+    firestoreHelpers.updateDocument(COLLECTIONS.USER_PROFILES, user.uid, { subscription });
+
+  describe('plans', () => {
+    it('lists plans with their cumulative features', async () => {
+      const response = await api.get('/api/subscriptions/plans');
+      const plans = response.body.data.plans;
+      expect(plans.map(plan => plan.id)).toEqual(['free', 'lite', 'professional', 'enterprise']);
+      expect(plans[2].features).toEqual(expect.arrayContaining(['exports', 'studies']));
+      expect(plans[2].features).not.toContain('organizations');
+    });
+
+    it('starts everyone on Free', async () => {
+      expect(await currentPlan()).toMatchObject({ plan: 'free', subscribedPlan: 'free', status: 'active' });
+    });
+
+    it('reads legacy premium subscriptions as Professional', async () => {
+      await setSubscription({ type: 'premium', status: 'active', endDate: new Date(Date.now() + DAY) });
+      expect((await currentPlan()).plan).toBe('professional');
+    });
+  });
+
+  describe('management', () => {
+    it('grants, renews and ends plans', async () => {
+      const granted = await grant({ plan: 'professional', durationDays: 30 });
+      expect(granted.status).toBe(200);
+      expect(granted.body.data.subscription).toMatchObject({ plan: 'professional', source: 'manual', status: 'active' });
+      expect(emailsTo(user.email).pop().subject).toBe('Your W.E.T Professional plan is active');
+
+      const endDate = new Date(granted.body.data.subscription.endDate);
+      const renewed = await api.post(`/api/subscriptions/users/${user.uid}/renew`, { token: admin.token, body: { durationDays: 10 } });
+      expect(new Date(renewed.body.data.subscription.endDate).getTime()).toBe(endDate.getTime() + 10 * DAY);
+
+      const ended = await api.delete(`/api/subscriptions/users/${user.uid}`, { token: admin.token });
+      expect(ended.body.data.subscription).toMatchObject({ plan: 'free', status: 'expired' });
+      expect(emailsTo(user.email).pop().subject).toBe('Your W.E.T Professional plan has ended');
+
+      expect((await api.post(`/api/subscriptions/users/${user.uid}/renew`, { token: admin.token, body: {} })).status).toBe(409);
+    });
+
+    it.each([
+      ['an unknown plan', { plan: 'platinum' }],
+      ['a zero duration', { plan: 'lite', durationDays: 0 }],
+      ['a past end date', { plan: 'lite', endDate: '2020-01-01' }]
+    ])('rejects %s', async (description, body) => {
+      expect((await grant(body)).status).toBe(400);
+    });
+
+    it('needs subscriptions:manage', async () => {
+      const response = await api.put(`/api/subscriptions/users/${admin.uid}`, { token: user.token, body: { plan: 'enterprise' } });
+      expect(response.status).toBe(403);
+      expect((await api.get('/api/subscriptions/users/missing', { token: admin.token })).status).toBe(404);
+    });
+
+    it('lets users cancel renewal of a manual plan', async () => {
+      expect((await api.post('/api/subscriptions/cancel', { token: user.token })).status).toBe(409);
+
+      await grant({ plan: 'lite' });
+      const canceled = await api.post('/api/subscriptions/cancel', { token: user.token });
+      expect(canceled.body.data.subscription).toMatchObject({ plan: 'lite', cancelAtPeriodEnd: true });
+
+      await setSubscription({ type: 'lite', status: 'active', source: 'stripe', endDate: new Date(Date.now() + DAY) });
+      expect((await api.post('/api/subscriptions/cancel', { token: user.token })).body.message)
+        .toBe('Manage this plan in the billing portal');
+    });
+  });
+
+  describe('grace periods', () => {
+    it('keeps a lapsed plan for seven days', async () => {
+      await setSubscription({ type: 'professional', status: 'active', endDate: new Date(Date.now() - 2 * DAY) });
+      expect(await currentPlan()).toMatchObject({ plan: 'professional', inGracePeriod: true });
+
+      await setSubscription({ type: 'professional', status: 'active', endDate: new Date(Date.now() - 8 * DAY) });
+      expect(await currentPlan()).toMatchObject({ plan: 'free', subscribedPlan: 'professional', status: 'expired' });
+    });
+
+    it('moves lapsed plans to Free', async () => {
+      await setSubscription({ type: 'professional', status: 'active', endDate: new Date(Date.now() - 8 * DAY) });
+      const other = await createSignedInUser({
+        subscription: { type: 'lite', status: 'active', endDate: new Date(Date.now() - 2 * DAY) }
+      });
+
+      expect(await subscriptionService.expireLapsed()).toBe(1);
+      expect((await currentPlan()).subscribedPlan).toBe('free');
+      expect((await api.get('/api/subscriptions', { token: other.token })).body.data.subscription.plan).toBe('lite');
+    });
+  });
+});
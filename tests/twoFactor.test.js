@@ -0,0 +1,172 @@
+const { useApp, api, createUser, signIn, createSignedInUser, totp } = require('./helpers');
+const { firestoreHelpers, COLLECTIONS } = require('../config/database');
+
+describe('two-factor authentication', () => {
+  useApp();
+
+  // Enroll a signed-in user. The confirming code is from the previous time
+  // step so that the current one is still unused.
+  const enroll = async (user) => {
+    const setup = await api.post('/api/auth/2fa/setup', { token: user.token });
+    expect(setup.status).toBe(200);
+    const { secret } = setup.body.data;
+
+    const enabled = await api.post('/api/auth/2fa/enable', { token: user.token, body: { code: totp(secret, -1) } });
+    expect(enabled.status).toBe(200);
+    return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  describe('enrollment', () => {
+    it('enables two-factor authentication with a code from the app', async () => {
+      const user = await createSignedInUser();
+      expect((await api.get('/api/auth/2fa', { token: user.token })).body.data).toMatchObject({ enabled: false, required: false });
+
+      const setup = await api.post('/api/auth/2fa/setup', { token: user.token });
+      const { secret, otpauthUrl, qrCode } = setup.body.data;
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const wrong = await api.post('/api/auth/2fa/enable', { token: user.token, body: { code: '000000' } });
+      expect(wrong.status).toBe(400);
+
+      const enabled = await api.post('/api/auth/2fa/enable', { token: user.token, body: { code: totp(secret) } });
+      expect(enabled.body.data.recoveryCodes).toEqual(Array(10).fill(expect.stringMatching(/^[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}$/)));
+
+      const status = await api.get('/api/auth/2fa', { token: user.token });
+      expect(status.body.data).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+      expect((await api.get('/api/auth/me', { token: user.token })).body.data.user.twoFactorEnabled).toBe(true);
+      expect((await api.post('/api/auth/2fa/setup', { token: user.token })).status).toBe(409);
+    });
+
+    it('signs out other devices until they use a code', async () => {
+      const user = await createUser();
+      const laptop = await signIn(user);
+      const phone = await signIn(user);
+      await enroll(laptop);
+
+      const rejected = await api.get('/api/auth/me', { token: phone.token });
+      expect(rejected.status).toBe(401);
+      expect(rejected.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect((await api.get('/api/auth/me', { token: laptop.token })).status).toBe(200);
+    });
+  });
+
+  describe('sign-in', () => {
+    let user;
+    let secret;
+    let recoveryCodes;
+    beforeEach(async () => {
+      user = await createUser();
+      ({ secret, recoveryCodes } = await enroll(await signIn(user)));
+    });
+
+    const login = (code) => api.post('/api/auth/login', { body: { email: user.email, password: user.password, code } });
+
+    it('asks for a code after the password', async () => {
+      const missing = await login();
+      expect(missing.status).toBe(401);
+      expect(missing.body.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(missing.body).not.toHaveProperty('data');
+
+      expect((await login('123456')).body.code).toBe('TWO_FACTOR_INVALID');
+
+      const response = await login(totp(secret));
+      expect(response.status).toBe(200);
+      expect((await api.get('/api/auth/me', { token: response.body.data.token })).status).toBe(200);
+    });
+
+    it("doesn't accept a code twice", async () => {
+      const code = totp(secret);
+      expect((await login(code)).status).toBe(200);
+
+      const replayed = await login(code);
+      expect(replayed.status).toBe(401);
+      expect(replayed.body.message).toBe('Two-factor code has already been used');
+    });
+
+    it('accepts each recovery code once', async () => {
+      const [recoveryCode] = recoveryCodes;
+      const response = await login(recoveryCode.toUpperCase());
+      expect(response.status).toBe(200);
+
+      expect((await login(recoveryCode)).status).toBe(401);
+      const status = await api.get('/api/auth/2fa', { token: response.body.data.token });
+      expect(status.body.data.recoveryCodesRemaining).toBe(9);
+    });
+  });
+
+  describe('step-up checks', () => {
+    let user;
+    let secret;
+    beforeEach(async () => {
+      const account = await createUser();
+      const signedIn = await signIn(account);
+      user = { ...account, token: signedIn.token };
+      ({ secret } = await enroll(user));
+    });
+
+    // Backdate the device's last two-factor check past the 15 minutes
+    const expireSecondFactor = async () => {
+      const devices = await api.get('/api/auth/devices', { token: user.token });
+      const current = devices.body.data.devices.find(entry => entry.current);
+      await firestoreHelpers.updateDocument(COLLECTIONS.SIGN_INS, current.id, {
+        secondFactorAt: new Date(Date.now() - 16 * 60 * 1000)
+      });
+    };
+
+    it('asks for a fresh code before sensitive operations', async () => {
+      expect((await api.post('/api/auth/2fa/recovery-codes', { token: user.token })).status).toBe(200);
+
+      await expireSecondFactor();
+      const stale = await api.post('/api/auth/2fa/recovery-codes', { token: user.token });
+      expect(stale.status).toBe(403);
+      expect(stale.body.code).toBe('SECOND_FACTOR_REQUIRED');
+      expect((await api.put('/api/user/change-password', {
+        token: user.token,
+        body: { currentPassword: user.password, newPassword: 'another-horse-battery' }
+      })).status).toBe(403);
+
+      expect((await api.post('/api/auth/2fa/verify', { token: user.token, body: { code: '000000' } })).status).toBe(400);
+      const verified = await api.post('/api/auth/2fa/verify', { token: user.token, body: { code: totp(secret) } });
+      expect(verified.body.data.method).toBe('totp');
+
+      const regenerated = await api.post('/api/auth/2fa/recovery-codes', { token: user.token });
+      expect(regenerated.body.data.recoveryCodes).toHaveLength(10);
+    });
+
+    it('disables two-factor authentication', async () => {
+      await expireSecondFactor();
+      expect((await api.post('/api/auth/2fa/disable', { token: user.token })).status).toBe(403);
+
+      await api.post('/api/auth/2fa/verify', { token: user.token, body: { code: totp(secret) } });
+      expect((await api.post('/api/auth/2fa/disable', { token: user.token })).status).toBe(200);
+      expect((await api.get('/api/auth/2fa', { token: user.token })).body.data.enabled).toBe(false);
+      expect((await api.post('/api/auth/login', { body: { email: user.email, password: user.password } })).status).toBe(200);
+    });
+  });
+
+  describe('roles that require it', () => {
+    it('limits users to the auth endpoints until they enroll', async () => {
+      const admin = await createSignedInUser({ role: 'admin' });
+      const created = await api.post('/api/admin/roles', {
+        token: admin.token,
+        body: { id: 'auditor', name: 'Auditor', permissions: ['sessions:read'], requireTwoFactor: true }
+      });
+      expect(created.status).toBe(201);
+
+      const auditor = await createSignedInUser({ role: 'auditor' });
+      const blocked = await api.get('/api/sessions', { token: auditor.token });
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.code).toBe('TWO_FACTOR_ENROLLMENT_REQUIRED');
+      expect((await api.get('/api/auth/2fa', { token: auditor.token })).body.data.required).toBe(true);
+
+      await enroll(auditor);
+      expect((await api.get('/api/sessions', { token: auditor.token })).status).toBe(200);
+
+      const disabled = await api.post('/api/auth/2fa/disable', { token: auditor.token });
+      expect(disabled.status).toBe(403);
+      expect(disabled.body.message).toBe('Two-factor authentication is required for your role');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const sharp = require('sharp');
+const { useApp, api, createSignedInUser, SESSION_INPUT, gazeSamples, recordSession } = require('./helpers');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('visualizations', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  describe('session heatmap', () => {
+    it('renders an SVG at the screen size', async () => {
+      const session = await recordSession(user.token);
+
+      const response = await api.get(`/api/sessions/${session.id}/heatmap`, { token: user.token });
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/^image\/svg\+xml/);
+      const svg = response.body.toString();
+      expect(svg).toMatch(/^<svg[^>]* width="1920" height="1080"/);
+      expect(svg).toContain('data:image/png;base64,');
+    });
+
+    it('renders a scaled PNG from fixations', async () => {
+      const session = await recordSession(user.token);
+
+      const response = await api.get(`/api/sessions/${session.id}/heatmap?format=png&source=fixations&width=480`, { token: user.token });
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('image/png');
+      expect(response.body.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+      expect(await sharp(response.body).metadata()).toMatchObject({ width: 480, height: 270 });
+    });
+
+    it.each([
+      ['an unknown format', 'format=gif'],
+      ['an unknown source', 'source=clicks'],
+      ['a width that is too small', 'width=10'],
+      ['a negative sigma', 'sigma=-5'],
+      ['a sigma that is too wide', 'sigma=500'],
+      ['an unknown background', 'background=white']
+    ])('rejects %s', async (description, query) => {
+      const session = await recordSession(user.token);
+
+      const response = await api.get(`/api/sessions/${session.id}/heatmap?${query}`, { token: user.token });
+      expect(response.status).toBe(400);
+    });
+
+    it('only fetches stimulus images from allowed hosts over https', async () => {
+      const session = await recordSession(user.token, { stimulus: { id: 'landing-page', url: 'https://example.com/page.png' } });
+      const insecure = await recordSession(user.token, { stimulus: { id: 'landing-page', url: 'http://example.com/page.png' } });
+
+      process.env.STIMULUS_ALLOWED_HOSTS = 'example.com';
+      try {
+        expect((await api.get(`/api/sessions/${insecure.id}/heatmap`, { token: user.token })).status).toBe(502);
+      } finally {
+        delete process.env.STIMULUS_ALLOWED_HOSTS;
+      }
+
+      const response = await api.get(`/api/sessions/${session.id}/heatmap`, { token: user.token });
+      expect(response.status).toBe(502);
+      expect(response.body.message).toBe('Stimulus URL is not allowed; use background=none');
+
+      const plain = await api.get(`/api/sessions/${session.id}/heatmap?background=none`, { token: user.token });
+      expect(plain.status).toBe(200);
+    });
+
+    it('scales tall screens down to fit the canvas', async () => {
+      const session = await recordSession(user.token, { screen: { width: 1000, height: 16000 } });
+
+      const response = await api.get(`/api/sessions/${session.id}/heatmap?background=none`, { token: user.token });
+      expect(response.status).toBe(200);
+      expect(response.body.toString()).toMatch(/^<svg[^>]* width="256" height="4096"/);
+    });
+
+    it('keeps heatmaps to those who can see the session', async () => {
+      const session = await recordSession(user.token);
+      const other = await createSignedInUser();
+
+      expect((await api.get(`/api/sessions/${session.id}/heatmap`, { token: other.token })).status).toBe(403);
+    });
+  });
+
+  describe('scanpath', () => {
+    it('numbers the fixations in order', async () => {
+      const session = await recordSession(user.token);
+
+      const response = await api.get(`/api/sessions/${session.id}/scanpath`, { token: user.token });
+      expect(response.status).toBe(200);
+      const svg = response.body.toString();
+      expect(svg.match(/<circle /g)).toHaveLength(3);
+      expect(svg).toContain('<polyline');
+      expect([...svg.matchAll(/<text[^>]*>(\d+)<\/text>/g)].map(match => match[1])).toEqual(['1', '2', '3']);
+    });
+
+    it('needs an analyzed session', async () => {
+      const created = await api.post('/api/sessions', { token: user.token, body: SESSION_INPUT });
+
+      const response = await api.get(`/api/sessions/${created.body.data.session.id}/scanpath`, { token: user.token });
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('stimulus heatmap', () => {
+    it("aggregates the user's sessions on a stimulus", async () => {
+      await recordSession(user.token);
+      await recordSession(user.token, { samples: gazeSamples(5000) });
+      await recordSession(user.token, { stimulus: 'pricing-page' });
+
+      const response = await api.get('/api/stimuli/landing-page/heatmap', { token: user.token });
+      expect(response.status).toBe(200);
+      expect(response.headers.get('x-session-count')).toBe('2');
+    });
+
+    it('takes a list of sessions', async () => {
+      const first = await recordSession(user.token);
+      await recordSession(user.token);
+      const other = await createSignedInUser();
+      const othersSession = await recordSession(other.token);
+
+      const chosen = await api.get(`/api/stimuli/landing-page/heatmap?sessions=${first.id}`, { token: user.token });
+      expect(chosen.headers.get('x-session-count')).toBe('1');
+
+      const foreign = await api.get(`/api/stimuli/landing-page/heatmap?sessions=${first.id},${othersSession.id}`, { token: user.token });
+      expect(foreign.status).toBe(404);
+    });
+
+    it('reports stimuli without sessions', async () => {
+      expect((await api.get('/api/stimuli/landing-page/heatmap', { token: user.token })).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const { useApp, api, createSignedInUser } = require('./helpers');
+const stripeService = require('../services/stripeService');
+
+let eventCount = 0;
+
+// A Stripe event about an object, created now unless given
+const stripeEvent = (type, object, created = Math.floor(Date.now() / 1000)) => {
+  eventCount++;
+  return { id: `evt_${eventCount}`, type, created, data: { object } };
+};
+
+const deliver = (event, { signature } = {}) => {
+  const payload = JSON.stringify(event);
+  return api.post('/api/webhooks/stripe', {
+    raw: payload,
+    headers: { 'Stripe-Signature': signature || stripeService.signatureHeader(payload) }
+  });
+};
+
+describe('Stripe webhooks', () => {
+  useApp();
+
+  let user;
+  beforeEach(async () => {
+    user = await createSignedInUser();
+  });
+
+  const periodEnd = () => Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+
+  const stripeSubscription = (fields = {}) => ({
+    id: 'sub_1',
+    object: 'subscription',
+    customer: 'cus_1',
+    status: 'active',
+    current_period_end: periodEnd(),
+    metadata: { uid: user.uid, plan: 'professional' },
+    ...fields
+  });
+
+  const currentPlan = async () => (await api.get('/api/subscriptions', { token: user.token })).body.data.subscription;
+
+  it('rejects payloads that are not signed with the endpoint secret', async () => {
+    const event = stripeEvent('customer.subscription.created', stripeSubscription());
+
+    const forged = await deliver(event, { signature: stripeService.signatureHeader(JSON.stringify(event), 'whsec_other') });
+    expect(forged.status).toBe(400);
+
+    const stale = await deliver(event, {
+      signature: stripeService.signatureHeader(JSON.stringify(event), undefined, Math.floor(Date.now() / 1000) - 600)
+    });
+    expect(stale.status).toBe(400);
+
+    expect((await currentPlan()).plan).toBe('free');
+  });
+
+  it('grants the plan of a new subscription', async () => {
+    const response = await deliver(stripeEvent('customer.subscription.created', stripeSubscription()));
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, status: 'processed' });
+
+    expect(await currentPlan()).toMatchObject({ plan: 'professional', status: 'active', source: 'stripe' });
+  });
+
+  it('applies a redelivered event once', async () => {
+    const event = stripeEvent('customer.subscription.created', stripeSubscription());
+    await deliver(event);
+
+    const again = await deliver(event);
+    expect(again.body.status).toBe('duplicate');
+  });
+
+  it('ignores events older than the last one applied', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await deliver(stripeEvent('customer.subscription.updated', stripeSubscription({ metadata: { uid: user.uid, plan: 'enterprise' } }), now));
+
+    const late = await deliver(stripeEvent('customer.subscription.created', stripeSubscription(), now - 60));
+    expect(late.body.status).toBe('ignored');
+    expect((await currentPlan()).plan).toBe('enterprise');
+  });
+
+  it('marks the plan past due when a payment fails', async () => {
+    await deliver(stripeEvent('customer.subscription.created', stripeSubscription()));
+
+    const response = await deliver(stripeEvent('invoice.payment_failed', { id: 'in_1', customer: 'cus_1', subscription: 'sub_1' }));
+    expect(response.body.status).toBe('processed');
+
+    // Past due plans keep working through the grace period
+    expect(await currentPlan()).toMatchObject({ plan: 'professional', status: 'past_due' });
+  });
+
+  it('only ends the subscription that bills the plan', async () => {
+    await deliver(stripeEvent('customer.subscription.created', stripeSubscription()));
+
+    const other = await deliver(stripeEvent('customer.subscription.deleted', stripeSubscription({ id: 'sub_2', status: 'canceled' })));
+    expect(other.body.status).toBe('ignored');
+    expect((await currentPlan()).plan).toBe('professional');
+
+    await deliver(stripeEvent('customer.subscription.deleted', stripeSubscription({ status: 'canceled' })));
+    expect((await currentPlan()).plan).toBe('free');
+  });
+});